@@ -0,0 +1,305 @@
+import Logger from '../common/logger.js';
+import TrashService from '../trash/trash-service.js';
+import VersionHistory from '../history/version-history.js';
+import PublicShareService from '../sharing/public-share-service.js';
+import { collection, doc, getDocs, writeBatch, Timestamp } from 'firebase/firestore';
+/**
+ * AccountBackup serializes everything under users/{uid} into one JSON archive
+ * and restores it by merging into, or replacing, the account's data.
+ */
+class AccountBackup {
+    constructor(db) {
+        this.logger = new Logger('AccountBackup');
+        this.db = db;
+        this.versionHistory = new VersionHistory(db);
+        this.publicShareService = new PublicShareService(db);
+    }
+    /**
+     * Read every backed-up collection of the user into an archive
+     */
+    async create(userId) {
+        this.logger.info('Creating backup', { userId });
+        const collections = {};
+        const checksums = {};
+        for (const name of AccountBackup.COLLECTIONS) {
+            collections[name] = await this.readCollection(userId, name);
+            checksums[name] = await this.checksum(collections[name]);
+        }
+        const archive = {
+            schema: AccountBackup.SCHEMA,
+            version: AccountBackup.VERSION,
+            createdAt: new Date().toISOString(),
+            userId,
+            collections,
+            checksums
+        };
+        this.logger.info('Backup created', {
+            categories: collections.categories.length,
+            words: collections.words.length,
+            glossary: collections.glossary.length,
+            templates: collections.templates.length
+        });
+        return archive;
+    }
+    /**
+     * Create a backup and save it as a JSON file; returns the archive
+     */
+    async download(userId) {
+        const archive = await this.create(userId);
+        const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `english-dictionary-backup-${archive.createdAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        return archive;
+    }
+    /**
+     * Parse a backup file and verify its schema, version and checksums
+     */
+    async readArchive(file) {
+        let archive;
+        try {
+            archive = JSON.parse(await file.text());
+        }
+        catch {
+            throw new Error('This file is not valid JSON');
+        }
+        if (archive?.schema !== AccountBackup.SCHEMA) {
+            throw new Error('This file is not an English Dictionary backup');
+        }
+        if (typeof archive.version !== 'number' || archive.version > AccountBackup.VERSION) {
+            throw new Error(`Backup version ${archive.version} is newer than this app supports (${AccountBackup.VERSION})`);
+        }
+        for (const name of this.collectionsOf(archive)) {
+            const documents = archive.collections?.[name];
+            if (!Array.isArray(documents)) {
+                throw new Error(`Backup is missing "${name}"`);
+            }
+            if (await this.checksum(documents) !== archive.checksums?.[name]) {
+                throw new Error(`Checksum mismatch in "${name}" - the backup file is damaged or was edited`);
+            }
+        }
+        this.logger.info('Backup archive verified', { createdAt: archive.createdAt, version: archive.version });
+        return archive;
+    }
+    /**
+     * Compare an archive with the account and work out the writes, without changing anything
+     */
+    async planRestore(userId, archive, mode, overwriteConflicts = false) {
+        const report = { mode, added: 0, updated: 0, unchanged: 0, deleted: 0, unpublished: 0, conflicts: [] };
+        const operations = [];
+        const current = {};
+        for (const name of AccountBackup.COLLECTIONS) {
+            current[name] = new Map((await this.readCollection(userId, name)).map(document => [document.id, document]));
+        }
+        const backupCategoryIds = new Set(archive.collections.categories.map(document => document.id));
+        const finalCategoryIds = mode === 'replace'
+            ? backupCategoryIds
+            : new Set([...backupCategoryIds, ...current.categories.keys()]);
+        for (const name of this.collectionsOf(archive)) {
+            for (const backupDocument of archive.collections[name]) {
+                const data = { ...backupDocument.data, ...(backupDocument.data.userId !== undefined ? { userId } : {}) };
+                const existing = current[name].get(backupDocument.id);
+                const label = this.labelOf(name, backupDocument);
+                if (name === 'words' && !finalCategoryIds.has(data.categoryId)) {
+                    report.conflicts.push({ collection: name, id: backupDocument.id, label, reason: 'Its category is not in the backup or the account' });
+                    continue;
+                }
+                if (!existing) {
+                    operations.push({ type: 'set', collection: name, id: backupDocument.id, data });
+                    report.added++;
+                }
+                else if (this.sameContent(name, existing.data, data)) {
+                    report.unchanged++;
+                }
+                else if (mode === 'replace' || overwriteConflicts) {
+                    operations.push({ type: 'set', collection: name, id: backupDocument.id, data });
+                    report.updated++;
+                }
+                else {
+                    report.conflicts.push({ collection: name, id: backupDocument.id, label, reason: 'Changed since the backup; kept the current version' });
+                }
+            }
+            if (mode === 'replace') {
+                const backupIds = new Set(archive.collections[name].map(document => document.id));
+                current[name].forEach((_, id) => {
+                    if (!backupIds.has(id)) {
+                        operations.push({ type: 'delete', collection: name, id });
+                        report.deleted++;
+                    }
+                });
+            }
+        }
+        operations.push(...this.wordCountUpdates(current, operations, finalCategoryIds));
+        const cleanup = mode === 'replace' ? this.replacedDocuments(current, operations) : [];
+        report.unpublished = cleanup.filter(item => item.publicShareId).length;
+        this.logger.info('Restore planned', { mode, operations: operations.length, cleanup: cleanup.length, conflicts: report.conflicts.length });
+        return { report, operations, cleanup };
+    }
+    /**
+     * Write a planned restore in batches of at most 500 operations. Public links and
+     * version histories of replaced documents are removed first, so running a restore
+     * again after a failure still finishes the job.
+     */
+    async applyRestore(userId, plan, onProgress) {
+        for (const item of plan.cleanup) {
+            if (item.publicShareId) {
+                await this.publicShareService.unpublish(userId, item.id, item.publicShareId);
+            }
+            await this.versionHistory.clear(userId, item.collection, item.id);
+        }
+        const total = plan.operations.length;
+        for (let start = 0; start < total; start += AccountBackup.MAX_BATCH_WRITES) {
+            const batch = writeBatch(this.db);
+            plan.operations.slice(start, start + AccountBackup.MAX_BATCH_WRITES).forEach(operation => {
+                const ref = doc(this.db, 'users', userId, operation.collection, operation.id);
+                if (operation.type === 'delete') {
+                    batch.delete(ref);
+                }
+                else if (operation.type === 'update') {
+                    batch.update(ref, this.revive(operation.data));
+                }
+                else {
+                    batch.set(ref, this.revive(operation.data));
+                }
+            });
+            await batch.commit();
+            onProgress?.(Math.min(start + AccountBackup.MAX_BATCH_WRITES, total), total);
+        }
+        this.logger.info('Restore applied', plan.report);
+        return plan.report;
+    }
+    // Collections the archive was written with; a restore leaves the others alone
+    collectionsOf(archive) {
+        return AccountBackup.COLLECTIONS.filter(name => archive.version >= (AccountBackup.ADDED_IN[name] || 1));
+    }
+    // Documents of users/{uid}/{name} with Timestamps made JSON-safe
+    async readCollection(userId, name) {
+        const snapshot = await getDocs(collection(this.db, 'users', userId, name));
+        const documents = [];
+        snapshot.forEach((document) => {
+            documents.push({ id: document.id, data: this.serialize(document.data()) });
+        });
+        return documents.sort((a, b) => a.id.localeCompare(b.id));
+    }
+    // Existing categories and words a replace restore overwrites or deletes. A restored
+    // category must not point at the public link taken down here.
+    replacedDocuments(current, operations) {
+        const cleanup = [];
+        operations.forEach(operation => {
+            if (operation.collection !== 'categories' && operation.collection !== 'words')
+                return;
+            if (operation.type === 'update')
+                return;
+            const existing = current[operation.collection].get(operation.id);
+            if (!existing)
+                return;
+            const publicShareId = operation.collection === 'categories' ? existing.data.publicShareId : undefined;
+            if (publicShareId && operation.data?.publicShareId === publicShareId) {
+                operation.data = { ...operation.data };
+                delete operation.data.publicShareId;
+            }
+            cleanup.push({ collection: operation.collection, id: operation.id, ...(publicShareId ? { publicShareId } : {}) });
+        });
+        return cleanup;
+    }
+    // Category wordCount must match the words the account ends up with (words in the trash don't count)
+    wordCountUpdates(current, operations, finalCategoryIds) {
+        const finalWords = new Map(); // word id → category id
+        current.words.forEach((document, id) => {
+            if (!TrashService.isTrashed(document.data)) {
+                finalWords.set(id, document.data.categoryId);
+            }
+        });
+        operations.filter(operation => operation.collection === 'words').forEach(operation => {
+            if (operation.type === 'delete' || TrashService.isTrashed(operation.data)) {
+                finalWords.delete(operation.id);
+            }
+            else {
+                finalWords.set(operation.id, operation.data.categoryId);
+            }
+        });
+        const counts = new Map();
+        finalWords.forEach(categoryId => counts.set(categoryId, (counts.get(categoryId) || 0) + 1));
+        const updates = [];
+        finalCategoryIds.forEach(categoryId => {
+            const wordCount = counts.get(categoryId) || 0;
+            const written = operations.find(operation => operation.collection === 'categories' && operation.id === categoryId && operation.type === 'set');
+            if (written) {
+                written.data = { ...written.data, wordCount };
+                return;
+            }
+            const existing = current.categories.get(categoryId);
+            if (existing && existing.data.wordCount !== wordCount) {
+                updates.push({ type: 'update', collection: 'categories', id: categoryId, data: { wordCount } });
+            }
+        });
+        return updates;
+    }
+    // Firestore values → JSON (Timestamps tagged so they can be revived)
+    serialize(value) {
+        if (value instanceof Timestamp) {
+            return { __timestamp: value.toDate().toISOString() };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.serialize(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.serialize(item)]));
+        }
+        return value;
+    }
+    // JSON → Firestore values
+    revive(value) {
+        if (value && typeof value === 'object' && typeof value.__timestamp === 'string' && Object.keys(value).length === 1) {
+            return Timestamp.fromDate(new Date(value.__timestamp));
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.revive(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.revive(item)]));
+        }
+        return value;
+    }
+    // Equal apart from derived fields (wordCount is recomputed on restore)
+    sameContent(name, a, b) {
+        const strip = (data) => name === 'categories' ? { ...data, wordCount: null } : data;
+        return this.canonicalJson(strip(a)) === this.canonicalJson(strip(b));
+    }
+    labelOf(name, document) {
+        if (name === 'categories')
+            return document.data.name || document.id;
+        if (name === 'words')
+            return document.data.englishWord || document.id;
+        if (name === 'templates')
+            return document.data.name || document.id;
+        return document.data.source || document.id;
+    }
+    // SHA-256 (hex) of the canonical JSON
+    async checksum(value) {
+        const bytes = new TextEncoder().encode(this.canonicalJson(value));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    // JSON with object keys sorted, so equal data always gives the same string
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value) ?? 'null';
+    }
+}
+AccountBackup.SCHEMA = 'english-dictionary/backup';
+AccountBackup.VERSION = 2;
+AccountBackup.COLLECTIONS = ['categories', 'words', 'glossary', 'templates'];
+// Archive version each collection first appeared in; older archives restore without it
+AccountBackup.ADDED_IN = { templates: 2 };
+AccountBackup.MAX_BATCH_WRITES = 500; // Firestore limit per batch
+export default AccountBackup;
+//# sourceMappingURL=account-backup.js.map
\ No newline at end of file
@@ -0,0 +1,183 @@
+import Logger from '../common/logger.js';
+import TrashService from '../trash/trash-service.js';
+import PublicShareService from '../sharing/public-share-service.js';
+import { normalizeEnglishWord } from '../words/word-model.js';
+import { collection, doc, getDoc, getDocs, query, where, updateDoc, writeBatch, increment, arrayRemove, deleteField, Timestamp } from 'firebase/firestore';
+/**
+ * CategoryOrganizer keeps the user's own category order (`sortOrder`), merges
+ * categories and splits a category into new ones.
+ */
+class CategoryOrganizer {
+    constructor(db, trashService) {
+        this.logger = new Logger('CategoryOrganizer');
+        this.db = db;
+        this.trashService = trashService;
+        this.publicShareService = new PublicShareService(db);
+    }
+    /**
+     * Categories in display order: ordered ones by `sortOrder`, then the rest
+     * (never reordered, or created since) by most recently updated
+     */
+    static sort(categories) {
+        return [...categories].sort((a, b) => {
+            const orderA = a.sortOrder ?? Number.POSITIVE_INFINITY;
+            const orderB = b.sortOrder ?? Number.POSITIVE_INFINITY;
+            if (orderA !== orderB)
+                return orderA - orderB;
+            return b.updatedAt.getTime() - a.updatedAt.getTime();
+        });
+    }
+    /**
+     * Save the order of the user's categories
+     */
+    async reorder(userId, categoryIds) {
+        for (let start = 0; start < categoryIds.length; start += CategoryOrganizer.MAX_BATCH_WRITES) {
+            const batch = writeBatch(this.db);
+            categoryIds.slice(start, start + CategoryOrganizer.MAX_BATCH_WRITES).forEach((categoryId, offset) => {
+                batch.update(doc(this.db, 'users', userId, 'categories', categoryId), { sortOrder: start + offset });
+            });
+            await batch.commit();
+        }
+        this.logger.info('Categories reordered', { count: categoryIds.length });
+    }
+    /**
+     * Move every word of the source categories into the target and put the emptied
+     * sources in the trash. Words whose English word is already in the target
+     * (ignoring case and spacing) go to the trash instead of being moved, and words
+     * linked into a source are linked into the target instead.
+     * Sources lose their public links and collaborators, which are not carried
+     * over to the target. The target's wordCount is recounted at the end.
+     */
+    async merge(userId, sourceIds, targetId) {
+        const summary = { moved: 0, duplicates: 0, wordCount: 0, unpublished: 0, collaboratorsRemoved: 0 };
+        const targetWords = await this.liveWords(userId, targetId);
+        const seen = new Set(targetWords.map((wordDoc) => normalizeEnglishWord(wordDoc.data().englishWord)));
+        for (const sourceId of sourceIds.filter(id => id !== targetId)) {
+            const moving = [];
+            const duplicates = [];
+            (await this.liveWords(userId, sourceId)).forEach((wordDoc) => {
+                const key = normalizeEnglishWord(wordDoc.data().englishWord);
+                if (seen.has(key)) {
+                    duplicates.push(wordDoc);
+                }
+                else {
+                    seen.add(key);
+                    moving.push(wordDoc);
+                }
+            });
+            await this.trashService.trashWords(userId, duplicates.map((wordDoc) => ({ id: wordDoc.id, categoryId: sourceId })));
+            await this.moveWords(userId, moving, sourceId, targetId);
+            await this.relinkWords(userId, sourceId, targetId);
+            const revoked = await this.revokeAccess(userId, sourceId);
+            await this.trashService.trashCategory(userId, sourceId);
+            summary.moved += moving.length;
+            summary.duplicates += duplicates.length;
+            summary.unpublished += revoked.unpublished ? 1 : 0;
+            summary.collaboratorsRemoved += revoked.collaborators;
+        }
+        summary.wordCount = (await this.liveWords(userId, targetId)).length;
+        await updateDoc(doc(this.db, 'users', userId, 'categories', targetId), {
+            wordCount: summary.wordCount,
+            updatedAt: Timestamp.fromDate(new Date())
+        });
+        this.logger.info('Categories merged', { sourceIds, targetId, ...summary });
+        return summary;
+    }
+    /**
+     * Move groups of a category's words into new categories; returns the new category ids
+     */
+    async split(userId, sourceId, parts) {
+        const source = await getDoc(doc(this.db, 'users', userId, 'categories', sourceId));
+        if (!source.exists() || TrashService.isTrashed(source.data())) {
+            throw new Error('Category not found');
+        }
+        const words = await this.liveWords(userId, sourceId);
+        const createdIds = [];
+        for (const part of parts) {
+            const partWords = words.filter((wordDoc) => part.wordIds.includes(wordDoc.id));
+            if (partWords.length === 0)
+                continue;
+            const now = Timestamp.fromDate(new Date());
+            const categoryRef = doc(collection(this.db, 'users', userId, 'categories'));
+            await this.moveWords(userId, partWords, sourceId, categoryRef.id, {
+                name: part.name,
+                description: part.description || '',
+                icon: source.data().icon || '📚',
+                createdAt: now,
+                updatedAt: now,
+                userId
+            });
+            createdIds.push(categoryRef.id);
+        }
+        this.logger.info('Category split', { sourceId, parts: createdIds.length });
+        return createdIds;
+    }
+    // Move word documents and both word counts together, one batch per chunk.
+    // With `newTarget` the target category is created by the first batch.
+    async moveWords(userId, wordDocs, sourceId, targetId, newTarget) {
+        const targetRef = doc(this.db, 'users', userId, 'categories', targetId);
+        const chunkSize = CategoryOrganizer.MAX_BATCH_WRITES - 2;
+        for (let start = 0; start < wordDocs.length; start += chunkSize) {
+            const chunk = wordDocs.slice(start, start + chunkSize);
+            const now = Timestamp.fromDate(new Date());
+            const batch = writeBatch(this.db);
+            chunk.forEach((wordDoc) => batch.update(wordDoc.ref, {
+                categoryId: targetId,
+                linkedCategoryIds: arrayRemove(targetId),
+                updatedAt: now
+            }));
+            batch.update(doc(this.db, 'users', userId, 'categories', sourceId), { wordCount: increment(-chunk.length), updatedAt: now });
+            if (newTarget && start === 0) {
+                batch.set(targetRef, { ...newTarget, wordCount: chunk.length });
+            }
+            else {
+                batch.update(targetRef, { wordCount: increment(chunk.length), updatedAt: now });
+            }
+            await batch.commit();
+        }
+    }
+    // Take down a category's public link and remove its collaborators, so an emptied
+    // source in the trash is no longer reachable by anyone but its owner
+    async revokeAccess(userId, categoryId) {
+        const categoryRef = doc(this.db, 'users', userId, 'categories', categoryId);
+        const categorySnap = await getDoc(categoryRef);
+        if (!categorySnap.exists()) {
+            return { unpublished: false, collaborators: 0 };
+        }
+        const data = categorySnap.data();
+        if (data.publicShareId) {
+            await this.publicShareService.unpublish(userId, categoryId, data.publicShareId);
+        }
+        const collaborators = Object.keys(data.collaborators || {}).length;
+        if (collaborators > 0 || (data.collaboratorIds || []).length > 0) {
+            await updateDoc(categoryRef, { collaborators: deleteField(), collaboratorIds: deleteField() });
+        }
+        return { unpublished: Boolean(data.publicShareId), collaborators };
+    }
+    // Point words linked into `sourceId` at `targetId`; words that already live in or
+    // are linked into the target just lose the source link
+    async relinkWords(userId, sourceId, targetId) {
+        const snapshot = await getDocs(query(collection(this.db, 'users', userId, 'words'), where('linkedCategoryIds', 'array-contains', sourceId)));
+        const linked = snapshot.docs; // trashed words too, so they come back with the right links
+        for (let start = 0; start < linked.length; start += CategoryOrganizer.MAX_BATCH_WRITES) {
+            const now = Timestamp.fromDate(new Date());
+            const batch = writeBatch(this.db);
+            linked.slice(start, start + CategoryOrganizer.MAX_BATCH_WRITES).forEach((wordDoc) => {
+                const data = wordDoc.data();
+                const linkedCategoryIds = data.linkedCategoryIds.filter((id) => id !== sourceId);
+                if (data.categoryId !== targetId && !linkedCategoryIds.includes(targetId)) {
+                    linkedCategoryIds.push(targetId);
+                }
+                batch.update(wordDoc.ref, { linkedCategoryIds, updatedAt: now });
+            });
+            await batch.commit();
+        }
+    }
+    async liveWords(userId, categoryId) {
+        const snapshot = await getDocs(query(collection(this.db, 'users', userId, 'words'), where('categoryId', '==', categoryId)));
+        return snapshot.docs.filter((wordDoc) => !TrashService.isTrashed(wordDoc.data()));
+    }
+}
+CategoryOrganizer.MAX_BATCH_WRITES = 500; // Firestore limit per batch
+export default CategoryOrganizer;
+//# sourceMappingURL=category-organizer.js.map
\ No newline at end of file
@@ -6,6 +6,7 @@ import Logger from './logger.js';
 class HttpClient {
     constructor(config = {}) {
         this.logger = new Logger('HttpClient');
+        this.cache = config.cache || null;
         // Default configuration
         this.defaultConfig = {
             timeout: config.timeout || 30000, // 30 seconds timeout
@@ -133,6 +134,29 @@ class HttpClient {
     async delete(url, config) {
         return this.request(url, { ...config, method: 'DELETE' });
     }
+    /**
+     * GET a JSON API response, served from the lookup cache when configured.
+     * Failed requests (including 404s) are not cached.
+     */
+    async getJson(url, options = {}) {
+        const fetchJson = async () => {
+            const response = await this.get(url, {
+                headers: { 'Accept': 'application/json' }
+            });
+            return response.data;
+        };
+        if (!this.cache || options.bypassCache) {
+            return await fetchJson();
+        }
+        const cached = await this.cache.get('api', url);
+        if (cached !== null) {
+            this.logger.info('Serving API response from lookup cache', { url });
+            return cached;
+        }
+        const data = await fetchJson();
+        await this.cache.set('api', url, data);
+        return data;
+    }
     /**
      * Get HTML content from URL (for scraping)
      */
@@ -151,9 +175,25 @@ class HttpClient {
         }
     }
     /**
-     * Get HTML content with CORS proxy fallback
+     * Get HTML content with CORS proxy fallback, served from the lookup cache when configured
+     */
+    async getHtmlWithProxy(url, options = {}) {
+        if (!this.cache || options.bypassCache) {
+            return await this.fetchHtmlWithProxy(url);
+        }
+        const cached = await this.cache.get('html', url);
+        if (cached !== null) {
+            this.logger.info('Serving HTML from lookup cache', { url });
+            return cached;
+        }
+        const html = await this.fetchHtmlWithProxy(url);
+        await this.cache.set('html', url, html);
+        return html;
+    }
+    /**
+     * Fetch HTML directly, falling back to CORS proxies
      */
-    async getHtmlWithProxy(url) {
+    async fetchHtmlWithProxy(url) {
         // Try direct access first
         try {
             this.logger.info('Trying direct access first', { url });
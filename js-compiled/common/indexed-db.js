@@ -0,0 +1,111 @@
+import Logger from './logger.js';
+/**
+ * Promise wrapper around one IndexedDB database
+ */
+class IndexedDbClient {
+    constructor(dbName, version, upgrade) {
+        this.dbPromise = null;
+        this.logger = new Logger('IndexedDbClient');
+        this.dbName = dbName;
+        this.version = version;
+        this.upgrade = upgrade;
+    }
+    /**
+     * Whether the browser exposes IndexedDB at all
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    /**
+     * Open (and upgrade) the database once
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!IndexedDbClient.isSupported()) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = (event) => {
+                    this.logger.info('Upgrading IndexedDB database', { dbName: this.dbName, from: event.oldVersion, to: this.version });
+                    this.upgrade(request.result, event.oldVersion);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.logger.error('Failed to open IndexedDB database', { dbName: this.dbName, error: request.error?.message });
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+    /**
+     * Run a request against one object store and resolve with its result
+     */
+    async run(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+    async get(storeName, key) {
+        return await this.run(storeName, 'readonly', store => store.get(key));
+    }
+    async getAll(storeName) {
+        return await this.run(storeName, 'readonly', store => store.getAll());
+    }
+    async getAllFromIndex(storeName, indexName, key) {
+        return await this.run(storeName, 'readonly', store => store.index(indexName).getAll(key));
+    }
+    async getAllKeysFromIndex(storeName, indexName, key) {
+        return await this.run(storeName, 'readonly', store => store.index(indexName).getAllKeys(key));
+    }
+    async put(storeName, value, key) {
+        await this.run(storeName, 'readwrite', store => store.put(value, key));
+    }
+    async delete(storeName, key) {
+        await this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+    async clear(storeName) {
+        await this.run(storeName, 'readwrite', store => store.clear());
+    }
+    async count(storeName) {
+        return await this.run(storeName, 'readonly', store => store.count());
+    }
+    /**
+     * Delete many keys in a single transaction
+     */
+    async deleteMany(storeName, keys) {
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            keys.forEach(key => store.delete(key));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+    /**
+     * Write many records in a single transaction
+     */
+    async putMany(storeName, values) {
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            values.forEach(value => store.put(value));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+export default IndexedDbClient;
+//# sourceMappingURL=indexed-db.js.map
\ No newline at end of file
@@ -0,0 +1,199 @@
+import Logger from './logger.js';
+import IndexedDbClient from './indexed-db.js';
+const DAY = 24 * 60 * 60 * 1000;
+/**
+ * LookupCache keeps dictionary pages, API responses and translations in
+ * IndexedDB with TTL expiry, entry and total size limits (least recently
+ * used evicted first) and manual invalidation.
+ * Every failure is swallowed: a broken cache must never break a lookup.
+ */
+class LookupCache {
+    constructor(config = {}) {
+        this.writesSincePrune = 0;
+        this.sizeSincePrune = 0;
+        this.logger = new Logger('LookupCache');
+        this.config = {
+            defaultTtl: 7 * DAY,
+            ttlByNamespace: { html: 7 * DAY, api: 7 * DAY, translation: 30 * DAY },
+            maxEntries: 500,
+            maxEntrySize: 2 * 1024 * 1024,
+            maxTotalSize: 50 * 1024 * 1024,
+            ...config
+        };
+        this.db = new IndexedDbClient(LookupCache.DB_NAME, 2, (db, oldVersion) => {
+            // Version 1 entries have no usage records; start over rather than backfill
+            if (oldVersion >= 1) {
+                db.deleteObjectStore(LookupCache.STORE);
+            }
+            const store = db.createObjectStore(LookupCache.STORE, { keyPath: 'key' });
+            store.createIndex('namespace', 'namespace');
+            const usage = db.createObjectStore(LookupCache.USAGE_STORE, { keyPath: 'key' });
+            usage.createIndex('namespace', 'namespace');
+        });
+    }
+    /**
+     * Cached value, or null when missing or expired
+     */
+    async get(namespace, key) {
+        if (!IndexedDbClient.isSupported()) {
+            return null;
+        }
+        try {
+            const record = await this.db.get(LookupCache.STORE, this.recordKey(namespace, key));
+            if (!record) {
+                this.logger.debug('Cache miss', { namespace, key });
+                return null;
+            }
+            if (record.expiresAt <= Date.now()) {
+                this.logger.debug('Cache entry expired', { namespace, key });
+                await this.db.delete(LookupCache.STORE, record.key);
+                await this.db.delete(LookupCache.USAGE_STORE, record.key);
+                return null;
+            }
+            this.logger.debug('Cache hit', { namespace, key });
+            await this.db.put(LookupCache.USAGE_STORE, this.usageRecord(record, Date.now()));
+            return record.value;
+        }
+        catch (error) {
+            this.logger.warn('Cache read failed', { namespace, key, error: error?.message });
+            return null;
+        }
+    }
+    /**
+     * Store a value; oversized values are skipped
+     */
+    async set(namespace, key, value) {
+        if (!IndexedDbClient.isSupported()) {
+            return;
+        }
+        const size = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+        if (size > this.config.maxEntrySize) {
+            this.logger.debug('Value too large to cache', { namespace, key, size });
+            return;
+        }
+        const now = Date.now();
+        const ttl = this.config.ttlByNamespace[namespace] ?? this.config.defaultTtl;
+        try {
+            const record = {
+                key: this.recordKey(namespace, key),
+                namespace,
+                value,
+                size,
+                storedAt: now,
+                expiresAt: now + ttl
+            };
+            await this.db.put(LookupCache.STORE, record);
+            await this.db.put(LookupCache.USAGE_STORE, this.usageRecord(record, now));
+            // Pruning reads every usage record, so only do it every few writes
+            // or once enough has been written to threaten the size budget
+            this.writesSincePrune++;
+            this.sizeSincePrune += size;
+            if (this.writesSincePrune >= 20 || this.sizeSincePrune >= this.config.maxTotalSize / 10) {
+                await this.prune();
+            }
+        }
+        catch (error) {
+            this.logger.warn('Cache write failed', { namespace, key, error: error?.message });
+        }
+    }
+    /**
+     * Return the cached value or compute, cache and return it
+     */
+    async getOrSet(namespace, key, compute) {
+        const cached = await this.get(namespace, key);
+        if (cached !== null) {
+            return cached;
+        }
+        const value = await compute();
+        await this.set(namespace, key, value);
+        return value;
+    }
+    /**
+     * Drop one key, one namespace, or (without arguments) everything
+     */
+    async invalidate(namespace, key) {
+        try {
+            if (namespace && key !== undefined) {
+                await this.db.delete(LookupCache.STORE, this.recordKey(namespace, key));
+                await this.db.delete(LookupCache.USAGE_STORE, this.recordKey(namespace, key));
+            }
+            else if (namespace) {
+                const keys = await this.db.getAllKeysFromIndex(LookupCache.STORE, 'namespace', namespace);
+                await this.db.deleteMany(LookupCache.STORE, keys);
+                await this.db.deleteMany(LookupCache.USAGE_STORE, keys);
+            }
+            else {
+                await this.db.clear(LookupCache.STORE);
+                await this.db.clear(LookupCache.USAGE_STORE);
+            }
+            this.logger.info('Cache invalidated', { namespace: namespace || 'all', key });
+        }
+        catch (error) {
+            this.logger.error('Cache invalidation failed', { namespace, key, error: error?.message });
+            throw error;
+        }
+    }
+    /**
+     * Number of cached entries
+     */
+    async count() {
+        try {
+            return await this.db.count(LookupCache.STORE);
+        }
+        catch (error) {
+            this.logger.warn('Cache count failed', { error: error?.message });
+            return 0;
+        }
+    }
+    /**
+     * Remove expired entries, then the least recently used ones until the
+     * cache fits both the entry limit and the total size budget
+     */
+    async prune() {
+        this.writesSincePrune = 0;
+        this.sizeSincePrune = 0;
+        try {
+            const now = Date.now();
+            const usage = await this.db.getAll(LookupCache.USAGE_STORE);
+            const toDelete = [];
+            let entries = 0;
+            let totalSize = 0;
+            usage
+                .sort((a, b) => b.usedAt - a.usedAt)
+                .forEach(record => {
+                const fits = entries < this.config.maxEntries && totalSize + record.size <= this.config.maxTotalSize;
+                if (record.expiresAt <= now || !fits) {
+                    toDelete.push(record.key);
+                    return;
+                }
+                entries++;
+                totalSize += record.size;
+            });
+            if (toDelete.length) {
+                await this.db.deleteMany(LookupCache.STORE, toDelete);
+                await this.db.deleteMany(LookupCache.USAGE_STORE, toDelete);
+                this.logger.info('Cache pruned', { removed: toDelete.length, entries, totalSize });
+            }
+        }
+        catch (error) {
+            this.logger.warn('Cache prune failed', { error: error?.message });
+        }
+    }
+    usageRecord(record, usedAt) {
+        return {
+            key: record.key,
+            namespace: record.namespace,
+            size: record.size,
+            usedAt,
+            expiresAt: record.expiresAt
+        };
+    }
+    recordKey(namespace, key) {
+        return `${namespace}:${key}`;
+    }
+}
+LookupCache.DB_NAME = 'lookup-cache';
+LookupCache.STORE = 'entries';
+LookupCache.USAGE_STORE = 'usage';
+export default LookupCache;
+//# sourceMappingURL=lookup-cache.js.map
\ No newline at end of file
@@ -0,0 +1,230 @@
+import Logger from './logger.js';
+/**
+ * PronunciationPlayer plays word audio with an animated IPA breakdown,
+ * falling back to browser text-to-speech when the audio cannot be played.
+ * Shared by the words page and the practice page.
+ */
+class PronunciationPlayer {
+    constructor(notify) {
+        this.logger = new Logger('PronunciationPlayer');
+        this.audioPlayer = new Audio();
+        this.notify = notify;
+    }
+    /**
+     * Play audio pronunciation with syllable highlighting
+     */
+    async play(audioUrl, accent, word, ipaPronunciation) {
+        try {
+            // Show IPA pronunciation breakdown FIRST
+            this.showIPABreakdown(word, ipaPronunciation, accent);
+            // Wait a bit for the modal to fully appear before playing audio
+            setTimeout(async () => {
+                try {
+                    this.audioPlayer.src = audioUrl;
+                    await this.audioPlayer.play();
+                    this.logger.info('Audio pronunciation played', { audioUrl, accent });
+                    this.notify(`🔊 Playing ${accent} pronunciation...`, 'success');
+                }
+                catch (playError) {
+                    this.logger.error('Failed to play audio after showing modal', { error: playError.message });
+                    this.speak(word, accent, ipaPronunciation);
+                }
+            }, 500); // 500ms delay to let modal appear smoothly
+        }
+        catch (error) {
+            this.logger.error('Failed to play audio', { error: error.message, audioUrl, accent });
+            // Fallback to text-to-speech with IPA display
+            this.speak(word, accent, ipaPronunciation);
+        }
+    }
+    /**
+     * Fallback text-to-speech with IPA display
+     */
+    speak(word, accent, ipaPronunciation = '') {
+        try {
+            if ('speechSynthesis' in window) {
+                // Show IPA breakdown for TTS
+                this.showIPABreakdown(word, ipaPronunciation, accent);
+                const utterance = new SpeechSynthesisUtterance(word);
+                // Set voice based on accent
+                const voices = speechSynthesis.getVoices();
+                let selectedVoice;
+                switch (accent) {
+                    case 'british':
+                        selectedVoice = voices.find(voice => voice.lang.includes('en-GB') || voice.name.includes('British'));
+                        break;
+                    case 'american':
+                        selectedVoice = voices.find(voice => voice.lang.includes('en-US') || voice.name.includes('US'));
+                        break;
+                    case 'australian':
+                        selectedVoice = voices.find(voice => voice.lang.includes('en-AU') || voice.name.includes('Australian'));
+                        break;
+                }
+                if (selectedVoice) {
+                    utterance.voice = selectedVoice;
+                }
+                // Slower rate for better comprehension
+                utterance.rate = 0.7;
+                utterance.pitch = 1.0;
+                speechSynthesis.speak(utterance);
+                this.notify(`🗣️ Using text-to-speech for ${accent} pronunciation`, 'success');
+            }
+            else {
+                this.notify('Text-to-speech not supported in this browser', 'error');
+            }
+        }
+        catch (error) {
+            this.logger.error('Text-to-speech failed', { error: error.message });
+            this.notify('Failed to play pronunciation', 'error');
+        }
+    }
+    /**
+     * Show IPA pronunciation breakdown with beautiful styling
+     */
+    showIPABreakdown(word, ipaPronunciation, accent) {
+        if (!word && !ipaPronunciation)
+            return;
+        // Break IPA into segments for better visualization
+        const ipaSegments = this.breakIPAIntoSegments(ipaPronunciation || word);
+        // Create or update IPA display
+        let ipaDisplay = document.getElementById('ipa-display');
+        if (!ipaDisplay) {
+            ipaDisplay = document.createElement('div');
+            ipaDisplay.id = 'ipa-display';
+            ipaDisplay.style.cssText = `
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                background: rgba(255, 255, 255, 0.98);
+                color: #1e293b;
+                padding: 30px 40px;
+                border-radius: 20px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.15);
+                z-index: 2000;
+                font-size: 28px;
+                font-weight: 500;
+                text-align: center;
+                backdrop-filter: blur(15px);
+                border: 2px solid #e2e8f0;
+                min-width: 300px;
+                font-family: 'Times New Roman', serif;
+            `;
+            document.body.appendChild(ipaDisplay);
+        }
+        // Display word, IPA and accent info with beautiful white styling
+        ipaDisplay.innerHTML = `
+            <div style="font-size: 16px; color: #64748b; margin-bottom: 15px; font-weight: 400;">
+                ${this.getAccentFlag(accent)} ${accent.toUpperCase()} Pronunciation
+            </div>
+            <div style="font-size: 22px; color: #374151; margin-bottom: 10px; font-weight: 600;">
+                "${word}"
+            </div>
+            <div id="ipa-text" style="letter-spacing: 3px; margin: 20px 0; font-size: 32px;">
+                ${ipaSegments.map((segment, index) => `<span id="ipa-segment-${index}" style="opacity: 0.4; transition: all 0.4s ease; padding: 0 2px; color: #1e293b;">${segment}</span>`).join('')}
+            </div>
+            <div style="font-size: 14px; color: #9ca3af; margin-top: 15px; font-weight: 400;">
+                🎵 Listen to the pronunciation sounds
+            </div>
+        `;
+        // Animate IPA segments
+        this.animateIPASegments(ipaSegments);
+        // Auto-hide after duration
+        setTimeout(() => {
+            if (ipaDisplay && ipaDisplay.parentNode) {
+                ipaDisplay.style.animation = 'fadeOut 0.4s ease';
+                setTimeout(() => {
+                    if (ipaDisplay && ipaDisplay.parentNode) {
+                        ipaDisplay.parentNode.removeChild(ipaDisplay);
+                    }
+                }, 400);
+            }
+        }, Math.max(3000, ipaSegments.length * 1000)); // Longer display time
+    }
+    /**
+     * Break IPA pronunciation into meaningful segments
+     */
+    breakIPAIntoSegments(ipa) {
+        if (!ipa)
+            return [];
+        // Clean up IPA string
+        const cleanIPA = ipa.replace(/[\/\[\]]/g, '').trim();
+        if (!cleanIPA)
+            return [];
+        // Split by common IPA boundaries
+        const segments = [];
+        let currentSegment = '';
+        for (let i = 0; i < cleanIPA.length; i++) {
+            const char = cleanIPA[i];
+            // IPA stress markers and syllable boundaries
+            if (char === 'ˈ' || char === 'ˌ' || char === '.') {
+                if (currentSegment) {
+                    segments.push(currentSegment);
+                    currentSegment = '';
+                }
+                if (char !== '.')
+                    currentSegment += char; // Include stress markers
+            }
+            else if (char === ' ') {
+                if (currentSegment) {
+                    segments.push(currentSegment);
+                    currentSegment = '';
+                }
+            }
+            else {
+                currentSegment += char;
+            }
+        }
+        if (currentSegment) {
+            segments.push(currentSegment);
+        }
+        return segments.length > 0 ? segments : [cleanIPA];
+    }
+    /**
+     * Animate IPA segments with highlighting
+     */
+    animateIPASegments(segments) {
+        segments.forEach((segment, index) => {
+            setTimeout(() => {
+                const segmentEl = document.getElementById(`ipa-segment-${index}`);
+                if (segmentEl) {
+                    // Highlight current segment with blue color for white background
+                    segmentEl.style.cssText = `
+                        opacity: 1;
+                        color: #2563eb;
+                        text-shadow: 0 0 15px rgba(37, 99, 235, 0.4);
+                        transform: scale(1.2);
+                        transition: all 0.4s ease;
+                        padding: 0 2px;
+                        background: rgba(37, 99, 235, 0.1);
+                        border-radius: 4px;
+                    `;
+                    // Fade previous segments to grey
+                    for (let j = 0; j < index; j++) {
+                        const prevEl = document.getElementById(`ipa-segment-${j}`);
+                        if (prevEl) {
+                            prevEl.style.opacity = '0.7';
+                            prevEl.style.color = '#6b7280';
+                            prevEl.style.transform = 'scale(1)';
+                            prevEl.style.textShadow = 'none';
+                            prevEl.style.background = 'transparent';
+                        }
+                    }
+                }
+            }, index * 800); // 800ms per segment
+        });
+    }
+    /**
+     * Get accent flag emoji
+     */
+    getAccentFlag(accent) {
+        switch (accent) {
+            case 'british': return '🇬🇧';
+            case 'american': return '🇺🇸';
+            case 'australian': return '🇦🇺';
+            default: return '🔊';
+        }
+    }
+}
+export default PronunciationPlayer;
+//# sourceMappingURL=pronunciation-player.js.map
\ No newline at end of file
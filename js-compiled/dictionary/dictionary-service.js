@@ -0,0 +1,360 @@
+import Logger from '../common/logger.js';
+import HttpClient from '../common/http-client.js';
+import LookupCache from '../common/lookup-cache.js';
+import { inflectionFormsOf } from '../words/word-model.js';
+import CambridgeProvider from './providers/cambridge-provider.js';
+import FreeDictionaryProvider from './providers/free-dictionary-provider.js';
+import WiktionaryProvider from './providers/wiktionary-provider.js';
+import LocalDictionaryProvider from './providers/local-provider.js';
+import OfflineDictionaryProvider from './providers/offline-provider.js';
+import OfflineDictionary from './offline-dictionary.js';
+import TranslationService from '../translation/translation-service.js';
+import { TranslationError } from '../translation/translation-types.js';
+/**
+ * DictionaryService looks words up through pluggable providers (Cambridge,
+ * Free Dictionary, Wiktionary, local, offline) and translates them (TranslationService).
+ * Shared by the words page and the home page search.
+ */
+class DictionaryService {
+    constructor() {
+        this.providers = [];
+        this.logger = new Logger('DictionaryService');
+        this.lookupCache = new LookupCache();
+        this.httpClient = new HttpClient({
+            cache: this.lookupCache,
+            timeout: 30000, // 30 seconds
+            headers: {
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.9,vi;q=0.8'
+                // Note: Cache-Control and Pragma headers removed for better CORS proxy compatibility
+            }
+        });
+        this.offlineDictionary = new OfflineDictionary();
+        this.translationService = new TranslationService(this.httpClient, this.lookupCache);
+        this.registerProvider(new CambridgeProvider(this.httpClient));
+        this.registerProvider(new FreeDictionaryProvider(this.httpClient));
+        this.registerProvider(new WiktionaryProvider(this.httpClient));
+        this.registerProvider(new LocalDictionaryProvider(this.httpClient));
+        this.registerProvider(new OfflineDictionaryProvider(this.offlineDictionary));
+        // Optional order override, e.g. window.__DICT_PROVIDERS = ['free-dictionary', 'cambridge']
+        const order = window.__DICT_PROVIDERS;
+        if (Array.isArray(order)) {
+            this.setProviderOrder(order);
+        }
+        this.logger.info('DictionaryService initialized', { providers: this.getProviderNames() });
+    }
+    /**
+     * Register a provider; providers are queried in registration order unless reordered
+     */
+    registerProvider(provider, options = {}) {
+        this.unregisterProvider(provider.name);
+        const entry = { provider, timeout: options.timeout ?? provider.timeout };
+        const position = options.position ?? this.providers.length;
+        this.providers.splice(Math.max(0, Math.min(position, this.providers.length)), 0, entry);
+        this.logger.debug('Dictionary provider registered', { name: provider.name, timeout: entry.timeout, position });
+    }
+    /**
+     * Remove a provider by name
+     */
+    unregisterProvider(name) {
+        this.providers = this.providers.filter(entry => entry.provider.name !== name);
+    }
+    /**
+     * Put the named providers first, in the given order; others keep their relative order
+     */
+    setProviderOrder(names) {
+        const rank = (name) => {
+            const index = names.indexOf(name);
+            return index === -1 ? names.length : index;
+        };
+        this.providers = this.providers
+            .map((entry, index) => ({ entry, index }))
+            .sort((a, b) => rank(a.entry.provider.name) - rank(b.entry.provider.name) || a.index - b.index)
+            .map(({ entry }) => entry);
+        this.logger.info('Dictionary provider order updated', { order: this.getProviderNames() });
+    }
+    /**
+     * Override the timeout of a registered provider
+     */
+    setProviderTimeout(name, timeout) {
+        const entry = this.providers.find(item => item.provider.name === name);
+        if (entry) {
+            entry.timeout = timeout;
+        }
+        else {
+            this.logger.warn('Cannot set timeout of unknown provider', { name });
+        }
+    }
+    /**
+     * User-imported dictionary used when there is no connection
+     */
+    getOfflineDictionary() {
+        return this.offlineDictionary;
+    }
+    /**
+     * Translation backends (glossary, MyMemory, LibreTranslate)
+     */
+    getTranslationService() {
+        return this.translationService;
+    }
+    /**
+     * Forget cached dictionary pages ("html"), API responses ("api"), translations ("translation"), or everything
+     */
+    async clearLookupCache(namespace) {
+        await this.lookupCache.invalidate(namespace);
+    }
+    /**
+     * Number of cached lookup responses
+     */
+    async getLookupCacheSize() {
+        return await this.lookupCache.count();
+    }
+    /**
+     * Names of registered providers in query order
+     */
+    getProviderNames() {
+        return this.providers.map(entry => entry.provider.name);
+    }
+    /**
+     * Look up word with the providers in order; later providers are only asked
+     * while definitions, UK/US pronunciations or verb forms are still missing
+     */
+    async lookupWordInDictionary(word) {
+        this.logger.info('Looking up word with providers', { word, providers: this.getProviderNames() });
+        const found = [];
+        for (const entry of this.providers) {
+            const response = await this.queryProvider(entry, word);
+            if (response) {
+                found.push(response);
+            }
+            if (found.length > 0 && this.isComplete(this.mergeResponses(found))) {
+                break;
+            }
+        }
+        if (!found.some(response => response.definition?.length)) {
+            this.logger.warn('No provider returned definitions', { word });
+            throw new Error('Failed to look up word in dictionary');
+        }
+        return this.mergeResponses(found);
+    }
+    // Run one provider with its timeout; failures are logged and treated as "not found"
+    async queryProvider(entry, word) {
+        let timeoutId;
+        const timeout = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(`Provider timeout after ${entry.timeout}ms`)), entry.timeout);
+        });
+        try {
+            const response = await Promise.race([entry.provider.lookup(word), timeout]);
+            this.logger.debug('Provider answered', { provider: entry.provider.name, found: !!response });
+            return response;
+        }
+        catch (error) {
+            this.logger.warn('Provider lookup failed', { provider: entry.provider.name, error: error?.message });
+            return null;
+        }
+        finally {
+            clearTimeout(timeoutId);
+        }
+    }
+    // Nothing a further provider could add
+    isComplete(response) {
+        const hasAccent = (lang) => response.pronunciation.some(p => p.lang.toLowerCase() === lang);
+        const isVerb = response.pos.some(pos => pos.toLowerCase() === 'verb');
+        return response.definition.length > 0 && hasAccent('uk') && hasAccent('us') && (!isVerb || response.verbs.length > 0);
+    }
+    // Definitions come from the first provider that has them; later providers add
+    // parts of speech, accents and verb forms the earlier ones are missing
+    mergeResponses(responses) {
+        const base = responses.find(response => response.definition?.length) || responses[0];
+        const merged = {
+            word: base.word,
+            pos: [...(base.pos || [])],
+            verbs: [...(base.verbs || [])],
+            pronunciation: [...(base.pronunciation || [])],
+            definition: [...(base.definition || [])]
+        };
+        const hasPOS = (pos) => merged.pos.some(p => p.toLowerCase() === pos.toLowerCase());
+        const hasAccent = (lang) => merged.pronunciation.some(p => p.lang.toLowerCase() === lang.toLowerCase());
+        responses.filter(response => response !== base).forEach(response => {
+            const newPOS = (response.pos || []).filter(pos => pos && !hasPOS(pos));
+            merged.definition.push(...(response.definition || []).filter(d => newPOS.includes(d.pos)));
+            merged.pos.push(...newPOS);
+            merged.pronunciation.push(...(response.pronunciation || []).filter(p => p.lang && !hasAccent(p.lang)));
+            if (!merged.verbs.length && response.verbs?.length) {
+                merged.verbs = [...response.verbs];
+            }
+        });
+        merged.definition = merged.definition.map((definition, id) => ({ ...definition, id }));
+        return merged;
+    }
+    /**
+     * Translate text; throws TranslationError instead of returning the input when it fails
+     */
+    async translateText(text, fromLang = 'en', toLang = 'vi') {
+        const result = await this.translationService.translate(text, fromLang, toLang);
+        return result.text;
+    }
+    /**
+     * Lookup word and translate automatically
+     */
+    async lookupAndTranslate(word) {
+        // Lookup word in dictionary
+        const dictionaryData = await this.lookupWordInDictionary(word);
+        if (!dictionaryData) {
+            throw new Error('Word not found in dictionary');
+        }
+        // Take the first definition text if available
+        const firstDefinitionText = dictionaryData.definition?.[0]?.text || '';
+        // The imported offline dictionary already has a Vietnamese meaning
+        const offlineEntry = await this.offlineDictionary.lookup(word).catch(() => null);
+        // Translate word and first definition; a failed translation is left empty for the user to fill in
+        let translationError;
+        let vietnameseTranslation = offlineEntry?.translation || '';
+        let vietnameseDefinition;
+        try {
+            if (!vietnameseTranslation) {
+                vietnameseTranslation = await this.translateText(word);
+            }
+            if (!navigator.onLine) {
+                vietnameseDefinition = offlineEntry?.definition;
+            }
+            else if (firstDefinitionText) {
+                vietnameseDefinition = await this.translateText(firstDefinitionText);
+            }
+        }
+        catch (error) {
+            this.logger.warn('Translation failed during lookup', { word, reason: error?.reason, error: error?.message });
+            translationError = error instanceof TranslationError ? error.message : 'Translation failed';
+            vietnameseDefinition = vietnameseDefinition || offlineEntry?.definition;
+        }
+        return {
+            dictionaryData,
+            vietnameseTranslation,
+            vietnameseDefinition,
+            translationError
+        };
+    }
+    /**
+     * Categorize pronunciations (UK/US/AU) from Cambridge response
+     */
+    categorizePronunciations(prons) {
+        const pick = (match) => prons.find(p => match.test(p.lang || ''));
+        const uk = pick(/UK/i) || prons.find(p => /brit|gb/i.test(p.lang || ''));
+        const us = pick(/US/i) || prons.find(p => /amer/i.test(p.lang || ''));
+        const au = pick(/AU/i) || prons.find(p => /aus/i.test(p.lang || ''));
+        return {
+            british: uk ? { text: uk.pron || '', audio: uk.url || '' } : undefined,
+            american: us ? { text: us.pron || '', audio: us.url || '' } : undefined,
+            australian: au ? { text: au.pron || '', audio: au.url || '' } : undefined,
+        };
+    }
+    /**
+     * Every definition block of a response as a Word sense
+     */
+    sensesFromResponse(response) {
+        return (response.definition || [])
+            .filter(block => block.text)
+            .map(block => ({
+            pos: block.pos || '',
+            definition: block.text,
+            translation: block.translation || '',
+            examples: (block.example || [])
+                .filter(example => example.text)
+                .map(example => ({ text: example.text, translation: example.translation || '' }))
+        }));
+    }
+    /**
+     * Map Wiktionary verb table rows to past / past participle / -ing / third person
+     */
+    inflectionsFromResponse(response) {
+        const inflections = {};
+        (response.verbs || []).forEach(verb => {
+            const type = verb.type.toLowerCase();
+            if (/past participle/.test(type)) {
+                inflections.pastParticiple = inflections.pastParticiple || verb.text;
+            }
+            else if (/present participle|-ing|gerund/.test(type)) {
+                inflections.presentParticiple = inflections.presentParticiple || verb.text;
+            }
+            else if (/third|3rd/.test(type)) {
+                inflections.thirdPerson = inflections.thirdPerson || verb.text;
+            }
+            else if (/past/.test(type)) {
+                inflections.past = inflections.past || verb.text;
+            }
+        });
+        return Object.keys(inflections).length > 0 ? inflections : undefined;
+    }
+    /**
+     * Firestore fields for verb forms; empty when the word has none
+     */
+    inflectionFields(inflections) {
+        return inflections
+            ? { inflections, inflectionForms: inflectionFormsOf(inflections) }
+            : { inflectionForms: [] };
+    }
+    /**
+     * Fill in missing example translations (at most `limit` API calls per word)
+     */
+    async translateMissingExamples(senses, limit = DictionaryService.MAX_EXAMPLE_TRANSLATIONS) {
+        let remaining = limit;
+        const translated = [];
+        for (const sense of senses) {
+            const examples = [];
+            for (const example of sense.examples) {
+                if (!example.translation && remaining > 0) {
+                    remaining--;
+                    try {
+                        examples.push({ ...example, translation: await this.translateText(example.text) });
+                    }
+                    catch (error) {
+                        this.logger.warn('Example translation failed', { text: example.text, reason: error?.reason });
+                        examples.push({ ...example, translation: '' });
+                        // No point spending more calls once the quota is gone
+                        if (error instanceof TranslationError && error.reason === 'quota') {
+                            remaining = 0;
+                        }
+                    }
+                }
+                else {
+                    examples.push(example);
+                }
+            }
+            translated.push({ ...sense, examples });
+        }
+        this.logger.info('Example translations filled', { translated: limit - remaining });
+        return translated;
+    }
+    /**
+     * Parse Cambridge response to Word data; the first sense fills the flat fields
+     */
+    buildWordData(response, categoryId, userId, vietnameseTranslation, vietnameseDefinition, senses = this.sensesFromResponse(response)) {
+        const categorized = this.categorizePronunciations(response.pronunciation || []);
+        const primary = senses[0];
+        if (primary && vietnameseDefinition && !primary.translation) {
+            senses = [{ ...primary, translation: vietnameseDefinition }, ...senses.slice(1)];
+        }
+        return {
+            categoryId,
+            englishWord: response.word,
+            vietnameseTranslation,
+            britishPronunciation: categorized.british?.text || '',
+            americanPronunciation: categorized.american?.text || '',
+            australianPronunciation: categorized.australian?.text || '',
+            partOfSpeech: primary?.pos || response.pos?.[0] || '',
+            definition: primary?.definition || '',
+            vietnameseDefinition: vietnameseDefinition || primary?.translation || '',
+            senses,
+            ...this.inflectionFields(this.inflectionsFromResponse(response)),
+            audioUrls: {
+                british: categorized.british?.audio || '',
+                american: categorized.american?.audio || '',
+                australian: categorized.australian?.audio || ''
+            },
+            userId
+        };
+    }
+}
+DictionaryService.MAX_EXAMPLE_TRANSLATIONS = 12;
+export default DictionaryService;
+//# sourceMappingURL=dictionary-service.js.map
\ No newline at end of file
@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=dictionary-types.js.map
\ No newline at end of file
@@ -0,0 +1,272 @@
+import Logger from '../common/logger.js';
+import IndexedDbClient from '../common/indexed-db.js';
+/**
+ * OfflineDictionary parses a user-provided StarDict (.ifo/.idx/.dict[.dz]) or
+ * JSON en→vi word list in the browser and indexes it in IndexedDB
+ */
+class OfflineDictionary {
+    constructor() {
+        this.logger = new Logger('OfflineDictionary');
+        this.db = new IndexedDbClient(OfflineDictionary.DB_NAME, 2, (db, oldVersion) => {
+            if (oldVersion < 1) {
+                db.createObjectStore(OfflineDictionary.ENTRIES_STORE, { keyPath: 'key' });
+                db.createObjectStore(OfflineDictionary.META_STORE);
+            }
+            if (oldVersion < 2) {
+                db.createObjectStore(OfflineDictionary.STAGING_STORE, { keyPath: 'key' });
+            }
+        });
+    }
+    /**
+     * Import dictionary files, replacing any previously imported dictionary.
+     * Entries go into the entry store not in use; the previous dictionary stays
+     * usable until the new one is completely written.
+     */
+    async importFiles(files) {
+        const byExtension = (pattern) => files.find(file => pattern.test(file.name.toLowerCase()));
+        const jsonFile = byExtension(/\.json$/);
+        const ifoFile = byExtension(/\.ifo$/);
+        const idxFile = byExtension(/\.idx$/);
+        const dictFile = byExtension(/\.dict(\.dz)?$/);
+        let name;
+        let format;
+        let entries;
+        if (jsonFile) {
+            this.logger.info('Importing JSON dictionary', { file: jsonFile.name, size: jsonFile.size });
+            name = jsonFile.name.replace(/\.json$/i, '');
+            format = 'json';
+            entries = this.parseJson(JSON.parse(await jsonFile.text()));
+        }
+        else if (ifoFile && idxFile && dictFile) {
+            this.logger.info('Importing StarDict dictionary', { ifo: ifoFile.name, idx: idxFile.name, dict: dictFile.name });
+            const ifo = this.parseIfo(await ifoFile.text());
+            name = ifo.bookname || ifoFile.name.replace(/\.ifo$/i, '');
+            format = 'stardict';
+            entries = await this.parseStarDict(ifo, idxFile, dictFile);
+        }
+        else {
+            throw new Error('Select a .json word list, or the .ifo, .idx and .dict (or .dict.dz) files of a StarDict dictionary');
+        }
+        entries = this.mergeDuplicates(entries);
+        if (!entries.length) {
+            throw new Error('No entries found in the dictionary file');
+        }
+        const previousStore = this.storeOf(await this.getInfo());
+        const store = previousStore === OfflineDictionary.ENTRIES_STORE ? OfflineDictionary.STAGING_STORE : OfflineDictionary.ENTRIES_STORE;
+        await this.db.clear(store); // leftovers of an import that did not finish
+        for (let i = 0; i < entries.length; i += OfflineDictionary.WRITE_CHUNK_SIZE) {
+            await this.db.putMany(store, entries.slice(i, i + OfflineDictionary.WRITE_CHUNK_SIZE));
+        }
+        // Switching the info record is what makes the new dictionary the active one
+        const info = { name, format, entryCount: entries.length, importedAt: Date.now(), store };
+        await this.db.put(OfflineDictionary.META_STORE, info, 'info');
+        await this.db.clear(previousStore).catch((error) => {
+            // Only wastes space until the next import clears it
+            this.logger.warn('Failed to remove the previous dictionary', { error: error?.message });
+        });
+        this.logger.info('Offline dictionary imported', info);
+        return info;
+    }
+    /**
+     * Find an entry by headword (case-insensitive)
+     */
+    async lookup(word) {
+        if (!IndexedDbClient.isSupported()) {
+            return null;
+        }
+        const info = await this.getInfo();
+        if (!info) {
+            return null;
+        }
+        const entry = await this.db.get(this.storeOf(info), this.normalize(word));
+        return entry || null;
+    }
+    /**
+     * Metadata of the imported dictionary, or null when none is imported
+     */
+    async getInfo() {
+        if (!IndexedDbClient.isSupported()) {
+            return null;
+        }
+        const info = await this.db.get(OfflineDictionary.META_STORE, 'info');
+        return info || null;
+    }
+    /**
+     * Remove the imported dictionary
+     */
+    async clear() {
+        await this.db.clear(OfflineDictionary.META_STORE);
+        await this.db.clear(OfflineDictionary.ENTRIES_STORE);
+        await this.db.clear(OfflineDictionary.STAGING_STORE);
+        this.logger.info('Offline dictionary cleared');
+    }
+    // Entry store of an imported dictionary; imports before staging always used ENTRIES_STORE
+    storeOf(info) {
+        return info?.store || OfflineDictionary.ENTRIES_STORE;
+    }
+    // Homographs share a key; keep the first translation and join the definitions
+    mergeDuplicates(entries) {
+        const merged = new Map();
+        entries.forEach(entry => {
+            const existing = merged.get(entry.key);
+            if (!existing) {
+                merged.set(entry.key, entry);
+            }
+            else if (entry.definition) {
+                existing.definition = existing.definition ? `${existing.definition}\n\n${entry.definition}` : entry.definition;
+            }
+        });
+        return Array.from(merged.values());
+    }
+    normalize(word) {
+        return word.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+    // Accepts [{ word, vi, pos?, ipa?, definition? }], { word: "nghĩa" } or { word: { vi, ... } }
+    parseJson(data) {
+        const entries = [];
+        const add = (word, value) => {
+            const headword = String(word || '').trim();
+            if (!headword || value === undefined || value === null)
+                return;
+            const record = typeof value === 'string' ? { translation: value } : value;
+            const translation = String(record.vi ?? record.translation ?? record.meaning ?? record.vietnamese ?? '').trim();
+            if (!translation)
+                return;
+            entries.push({
+                key: this.normalize(headword),
+                word: headword,
+                translation,
+                definition: record.definition ? String(record.definition) : undefined,
+                pos: record.pos || record.partOfSpeech || undefined,
+                ipa: record.ipa || record.pronunciation || undefined
+            });
+        };
+        if (Array.isArray(data)) {
+            data.forEach(item => add(item?.word ?? item?.en ?? item?.english, item));
+        }
+        else if (data && typeof data === 'object') {
+            Object.entries(data).forEach(([word, value]) => add(word, value));
+        }
+        else {
+            throw new Error('Unsupported JSON dictionary format');
+        }
+        return entries;
+    }
+    // .ifo is a "key=value" text file after the magic first line
+    parseIfo(text) {
+        const ifo = {};
+        text.split(/\r?\n/).slice(1).forEach(line => {
+            const separator = line.indexOf('=');
+            if (separator > 0) {
+                ifo[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        });
+        return ifo;
+    }
+    // .idx holds [word\0][offset][size] records pointing into .dict
+    async parseStarDict(ifo, idxFile, dictFile) {
+        const idx = new Uint8Array(await idxFile.arrayBuffer());
+        const dict = new Uint8Array(await this.readDictFile(dictFile));
+        const offsetBytes = ifo.idxoffsetbits === '64' ? 8 : 4;
+        const sameTypeSequence = ifo.sametypesequence || '';
+        const decoder = new TextDecoder('utf-8');
+        const view = new DataView(idx.buffer, idx.byteOffset, idx.byteLength);
+        const entries = [];
+        let position = 0;
+        while (position < idx.length) {
+            const end = idx.indexOf(0, position);
+            if (end === -1)
+                break;
+            const word = decoder.decode(idx.subarray(position, end));
+            position = end + 1;
+            const offset = offsetBytes === 8
+                ? Number(view.getBigUint64(position))
+                : view.getUint32(position);
+            position += offsetBytes;
+            const size = view.getUint32(position);
+            position += 4;
+            const text = this.decodeDictData(dict.subarray(offset, offset + size), sameTypeSequence, decoder);
+            if (word && text) {
+                entries.push(this.entryFromText(word, text));
+            }
+        }
+        return entries;
+    }
+    // .dict.dz is dictzip, which is gzip-compatible
+    async readDictFile(file) {
+        if (!/\.dz$/i.test(file.name)) {
+            return await file.arrayBuffer();
+        }
+        if (typeof window.DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read .dict.dz files; extract the .dict file first');
+        }
+        const stream = file.stream().pipeThrough(new window.DecompressionStream('gzip'));
+        return await new Response(stream).arrayBuffer();
+    }
+    // Keep the text fields of a .dict record (types m, t, y, l, g, x, h, ...)
+    decodeDictData(data, sameTypeSequence, decoder) {
+        const parts = [];
+        if (sameTypeSequence) {
+            let position = 0;
+            sameTypeSequence.split('').forEach((type, i) => {
+                const isLast = i === sameTypeSequence.length - 1;
+                if (type === type.toUpperCase()) {
+                    // Binary field: 4-byte size prefix (except the last one)
+                    const size = isLast ? data.length - position : new DataView(data.buffer, data.byteOffset + position).getUint32(0);
+                    position += (isLast ? 0 : 4) + size;
+                    return;
+                }
+                const end = isLast ? data.length : data.indexOf(0, position);
+                parts.push({ type, text: decoder.decode(data.subarray(position, end === -1 ? data.length : end)) });
+                position = (end === -1 ? data.length : end) + 1;
+            });
+        }
+        else {
+            let position = 0;
+            while (position < data.length) {
+                const type = String.fromCharCode(data[position++]);
+                if (type === type.toUpperCase()) {
+                    const size = new DataView(data.buffer, data.byteOffset + position).getUint32(0);
+                    position += 4 + size;
+                    continue;
+                }
+                const end = data.indexOf(0, position);
+                parts.push({ type, text: decoder.decode(data.subarray(position, end === -1 ? data.length : end)) });
+                position = (end === -1 ? data.length : end) + 1;
+            }
+        }
+        return parts
+            .map(part => /[ghx]/.test(part.type) ? this.stripMarkup(part.text) : part.text)
+            .join('\n')
+            .trim();
+    }
+    stripMarkup(markup) {
+        const doc = new DOMParser().parseFromString(markup.replace(/<br\s*\/?>/gi, '\n'), 'text/html');
+        return doc.body.textContent || '';
+    }
+    // Vietnamese StarDict entries usually look like "@word /ipa/\n* danh từ\n- nghĩa 1\n- nghĩa 2"
+    entryFromText(word, text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const ipa = text.match(/\/[^/\n]+\//)?.[0];
+        const pos = lines.find(line => line.startsWith('*'))?.replace(/^\*\s*/, '');
+        const meaning = lines.find(line => line.startsWith('-'))?.replace(/^-\s*/, '')
+            || lines.find(line => !line.startsWith('@') && !line.startsWith('*'))
+            || lines[0]
+            || '';
+        return {
+            key: this.normalize(word),
+            word,
+            translation: meaning,
+            definition: text,
+            pos,
+            ipa
+        };
+    }
+}
+OfflineDictionary.DB_NAME = 'offline-dictionary';
+OfflineDictionary.ENTRIES_STORE = 'entries';
+OfflineDictionary.STAGING_STORE = 'entries-staging';
+OfflineDictionary.META_STORE = 'meta';
+OfflineDictionary.WRITE_CHUNK_SIZE = 2000;
+export default OfflineDictionary;
+//# sourceMappingURL=offline-dictionary.js.map
\ No newline at end of file
@@ -0,0 +1,99 @@
+import Logger from '../../common/logger.js';
+/**
+ * CambridgeProvider scrapes dictionary.cambridge.org (with CORS proxy fallback)
+ */
+class CambridgeProvider {
+    constructor(httpClient) {
+        this.name = 'cambridge';
+        this.timeout = 20000;
+        this.logger = new Logger('CambridgeProvider');
+        this.httpClient = httpClient;
+    }
+    /**
+     * Look up word via Cambridge website using HTTP client with CORS proxy fallback
+     */
+    async lookup(word) {
+        const langSlug = window.__DICT_LANG || 'en';
+        const { nation, languagePath } = this.mapCambridgeLang(langSlug);
+        const pageUrl = `https://dictionary.cambridge.org/${nation}/dictionary/${languagePath}/${encodeURIComponent(word)}`;
+        this.logger.info('Fetching Cambridge page with HTTP client', { pageUrl, langSlug });
+        const html = await this.httpClient.getHtmlWithProxy(pageUrl);
+        return this.parseCambridgeHtml(html);
+    }
+    // Map our UI language slug to Cambridge path + nation
+    mapCambridgeLang(slug) {
+        switch (slug) {
+            case 'uk':
+                return { nation: 'uk', languagePath: 'english' };
+            case 'en-tw':
+                return { nation: 'us', languagePath: 'english-chinese-traditional' };
+            case 'en-cn':
+                return { nation: 'us', languagePath: 'english-chinese-simplified' };
+            case 'en':
+            default:
+                return { nation: 'us', languagePath: 'english' };
+        }
+    }
+    // Parse Cambridge HTML into our structured response (jQuery -> DOMParser equivalent)
+    parseCambridgeHtml(html) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html, 'text/html');
+        const siteurl = 'https://dictionary.cambridge.org';
+        const word = doc.querySelector('.hw.dhw')?.textContent?.trim() || '';
+        if (!word) {
+            this.logger.info('No Cambridge entry on page');
+            return null;
+        }
+        // POS list
+        const posSet = new Set();
+        doc.querySelectorAll('.pos.dpos').forEach(el => {
+            const t = el.textContent?.trim();
+            if (t)
+                posSet.add(t);
+        });
+        const pos = Array.from(posSet);
+        // Pronunciations
+        const pronunciation = [];
+        doc.querySelectorAll('.pos-header.dpos-h').forEach(section => {
+            const pText = (section.querySelector('.dpos-g')?.textContent || '').trim();
+            section.querySelectorAll('.dpron-i').forEach(node => {
+                const lang = (node.querySelector('.region.dreg')?.textContent || '').trim();
+                const source = node.querySelector('audio source');
+                const audioSrc = source?.getAttribute('src') || '';
+                const pron = (node.querySelector('.pron.dpron')?.textContent || '').trim();
+                if (audioSrc && pron) {
+                    const url = audioSrc.startsWith('http') ? audioSrc : siteurl + audioSrc;
+                    pronunciation.push({ pos: pText, lang, url, pron });
+                }
+            });
+        });
+        // Definitions
+        const definition = [];
+        doc.querySelectorAll('.def-block.ddef_block').forEach((block, index) => {
+            const el = block;
+            const entryEl = el.closest('.pr.entry-body__el');
+            const defPOS = (entryEl?.querySelector('.pos.dpos')?.textContent || '').trim();
+            const dictEl = el.closest('.pr.dictionary');
+            const source = dictEl?.getAttribute('data-id') || undefined;
+            const text = (el.querySelector('.def.ddef_d.db')?.textContent || '').trim();
+            const translation = (el.querySelector('.def-body.ddef_b > span.trans.dtrans')?.textContent || '').trim();
+            const example = [];
+            el.querySelectorAll('.def-body.ddef_b > .examp.dexamp').forEach((ex, i) => {
+                const exEl = ex;
+                const eText = (exEl.querySelector('.eg.deg')?.textContent || '').trim();
+                const eTrans = (exEl.querySelector('.trans.dtrans')?.textContent || '').trim();
+                example.push({ id: i, text: eText, translation: eTrans || undefined });
+            });
+            definition.push({ id: index, pos: defPOS, source, text, translation: translation || undefined, example });
+        });
+        return {
+            word,
+            pos,
+            verbs: [], // filled by the Wiktionary provider
+            pronunciation,
+            definition,
+        };
+    }
+}
+export default CambridgeProvider;
+//# sourceMappingURL=cambridge-provider.js.map
\ No newline at end of file
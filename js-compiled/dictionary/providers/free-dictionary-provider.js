@@ -0,0 +1,75 @@
+import Logger from '../../common/logger.js';
+/**
+ * FreeDictionaryProvider reads the Free Dictionary JSON API
+ */
+class FreeDictionaryProvider {
+    constructor(httpClient) {
+        this.name = 'free-dictionary';
+        this.timeout = 8000;
+        this.logger = new Logger('FreeDictionaryProvider');
+        this.httpClient = httpClient;
+    }
+    /**
+     * Look up word; the API answers 404 when the word is unknown
+     */
+    async lookup(word) {
+        const url = `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(word)}`;
+        let entries;
+        try {
+            const data = await this.httpClient.getJson(url);
+            entries = Array.isArray(data) ? data : [];
+        }
+        catch (error) {
+            if (String(error?.message).includes('HTTP 404')) {
+                this.logger.info('Word not found in Free Dictionary', { word });
+                return null;
+            }
+            throw error;
+        }
+        if (!entries.length) {
+            this.logger.info('Empty Free Dictionary response', { word });
+            return null;
+        }
+        return this.toResponse(entries);
+    }
+    // Convert API entries into the CambridgeAPIResponse shape
+    toResponse(entries) {
+        const pos = new Set();
+        const pronunciation = [];
+        const definition = [];
+        entries.forEach(entry => {
+            (entry.phonetics || []).forEach(phonetic => {
+                const lang = this.accentFromAudioUrl(phonetic.audio || '');
+                if (phonetic.text && lang && !pronunciation.some(p => p.lang === lang)) {
+                    pronunciation.push({ pos: '', lang, url: phonetic.audio || '', pron: phonetic.text });
+                }
+            });
+            (entry.meanings || []).forEach(meaning => {
+                pos.add(meaning.partOfSpeech);
+                meaning.definitions.forEach(item => {
+                    definition.push({
+                        id: definition.length,
+                        pos: meaning.partOfSpeech,
+                        source: 'free-dictionary',
+                        text: item.definition,
+                        example: item.example ? [{ id: 0, text: item.example }] : []
+                    });
+                });
+            });
+        });
+        return {
+            word: entries[0].word,
+            pos: Array.from(pos),
+            verbs: [],
+            pronunciation,
+            definition
+        };
+    }
+    // Audio files are named like "hello-uk.mp3" / "hello-us.mp3" / "hello-au.mp3"
+    accentFromAudioUrl(url) {
+        const match = url.match(/-(uk|us|au)\.mp3$/i);
+        return match ? match[1].toUpperCase() : '';
+    }
+}
+export default FreeDictionaryProvider;
+//# sourceMappingURL=free-dictionary-provider.js.map
\ No newline at end of file
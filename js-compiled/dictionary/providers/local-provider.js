@@ -0,0 +1,71 @@
+import Logger from '../../common/logger.js';
+/**
+ * LocalDictionaryProvider answers from a self-hosted source: the local
+ * dictionary API when `window.__API_BASE` is set, otherwise a JSON bundle
+ * (`window.__LOCAL_DICTIONARY_URL`, default /data/dictionary.json) mapping
+ * lower-cased words to CambridgeAPIResponse entries
+ */
+class LocalDictionaryProvider {
+    constructor(httpClient) {
+        this.name = 'local';
+        this.timeout = 5000;
+        this.bundle = null;
+        this.bundleUnavailable = false;
+        this.logger = new Logger('LocalDictionaryProvider');
+        this.httpClient = httpClient;
+    }
+    /**
+     * Look up word in the local API or JSON bundle
+     */
+    async lookup(word) {
+        const apiBase = window.__API_BASE;
+        if (typeof apiBase === 'string') {
+            return await this.lookupInApi(apiBase, word);
+        }
+        const bundle = await this.loadBundle();
+        const entry = bundle?.[word.trim().toLowerCase()] || null;
+        this.logger.debug('Local bundle lookup', { word, found: !!entry });
+        return entry;
+    }
+    // Local dictionary API (same response shape as Cambridge)
+    async lookupInApi(apiBase, word) {
+        const langSlug = window.__DICT_LANG || 'en';
+        const response = await this.httpClient.get(`${apiBase}/api/dictionary/${langSlug}/${encodeURIComponent(word)}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        const data = response.data;
+        if (!data || data.error) {
+            this.logger.info('Word not found in local API', { word });
+            return null;
+        }
+        return data;
+    }
+    // Fetch the JSON bundle once; remember when it is not deployed
+    async loadBundle() {
+        if (this.bundle || this.bundleUnavailable) {
+            return this.bundle;
+        }
+        const url = window.__LOCAL_DICTIONARY_URL || LocalDictionaryProvider.DEFAULT_BUNDLE_URL;
+        try {
+            const response = await this.httpClient.get(url, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (response.data && typeof response.data === 'object') {
+                this.bundle = response.data;
+                this.logger.info('Local dictionary bundle loaded', { url, entries: Object.keys(this.bundle).length });
+            }
+            else {
+                this.bundleUnavailable = true;
+                this.logger.warn('Local dictionary bundle is not JSON', { url });
+            }
+        }
+        catch (error) {
+            this.bundleUnavailable = true;
+            this.logger.info('Local dictionary bundle not available', { url, error: error.message });
+        }
+        return this.bundle;
+    }
+}
+LocalDictionaryProvider.DEFAULT_BUNDLE_URL = '/data/dictionary.json';
+export default LocalDictionaryProvider;
+//# sourceMappingURL=local-provider.js.map
\ No newline at end of file
@@ -0,0 +1,40 @@
+import Logger from '../../common/logger.js';
+/**
+ * OfflineDictionaryProvider answers from the user-imported dictionary in IndexedDB
+ */
+class OfflineDictionaryProvider {
+    constructor(offlineDictionary) {
+        this.name = 'offline';
+        this.timeout = 3000;
+        this.logger = new Logger('OfflineDictionaryProvider');
+        this.offlineDictionary = offlineDictionary;
+    }
+    /**
+     * Look up word in the imported dictionary
+     */
+    async lookup(word) {
+        const entry = await this.offlineDictionary.lookup(word);
+        if (!entry) {
+            this.logger.debug('Word not in offline dictionary', { word });
+            return null;
+        }
+        // Entries carry Vietnamese text, so `pos` stays empty to keep them from
+        // being merged into English definitions from online providers
+        return {
+            word: entry.word,
+            pos: [],
+            verbs: [],
+            pronunciation: entry.ipa ? [{ pos: '', lang: 'UK', url: '', pron: entry.ipa }] : [],
+            definition: [{
+                    id: 0,
+                    pos: entry.pos || '',
+                    source: 'offline',
+                    text: entry.definition || entry.translation,
+                    translation: entry.translation,
+                    example: []
+                }]
+        };
+    }
+}
+export default OfflineDictionaryProvider;
+//# sourceMappingURL=offline-provider.js.map
\ No newline at end of file
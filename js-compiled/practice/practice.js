@@ -0,0 +1,528 @@
+import Logger from '../common/logger.js';
+import AuthManager from '../auth/auth-manager.js';
+import PronunciationPlayer from '../common/pronunciation-player.js';
+import SpacedRepetitionScheduler from './spaced-repetition.js';
+import { wordFromFirestore } from '../words/word-model.js';
+import TrashService from '../trash/trash-service.js';
+import CategoryOrganizer from '../category/category-organizer.js';
+import { getFirestore, collection, doc, updateDoc, getDocs, query, where, orderBy } from 'firebase/firestore';
+/**
+ * PracticeManager runs spaced-repetition review sessions (flashcards)
+ * over due words from one category or from all categories
+ */
+class PracticeManager {
+    constructor() {
+        this.currentUser = null;
+        this.categories = [];
+        this.selectedCategoryId = '';
+        this.queue = [];
+        this.currentIndex = 0;
+        this.isRevealed = false;
+        this.isGrading = false;
+        this.stats = { reviewed: 0, again: 0, hard: 0, good: 0, easy: 0 };
+        this.logger = new Logger('PracticeManager');
+        this.authManager = new AuthManager();
+        this.scheduler = new SpacedRepetitionScheduler();
+        this.pronunciationPlayer = new PronunciationPlayer((message, type) => {
+            if (type === 'error') {
+                this.showError(message);
+            }
+            else {
+                this.showSuccess(message);
+            }
+        });
+        this.db = getFirestore();
+        this.logger.info('PracticeManager initialized');
+    }
+    /**
+     * Initialize practice page
+     */
+    async initialize() {
+        this.logger.info('Initializing practice manager');
+        try {
+            // Check authentication
+            await this.authManager.waitForAuthState();
+            this.currentUser = this.authManager.getCurrentUser();
+            if (!this.currentUser) {
+                throw new Error('User not authenticated');
+            }
+            // Preselect category from URL (?categoryId=...), empty means all categories
+            const urlParams = new URLSearchParams(window.location.search);
+            this.selectedCategoryId = urlParams.get('categoryId') || '';
+            this.setupUI();
+            await this.loadCategories();
+            this.setupEventListeners();
+            await this.startSession();
+            this.logger.info('Practice manager initialization complete');
+        }
+        catch (error) {
+            this.logger.error('Failed to initialize practice manager', { error: error.message });
+            this.showError('Failed to initialize practice session');
+            // Redirect to home if not authenticated
+            if (error.message === 'User not authenticated') {
+                window.location.href = '/';
+            }
+        }
+    }
+    /**
+     * Setup UI elements
+     */
+    setupUI() {
+        // Setup user profile in header
+        const authSection = document.getElementById('auth-section');
+        if (authSection && this.currentUser) {
+            const displayName = this.currentUser.displayName || this.currentUser.email?.split('@')[0] || 'User';
+            authSection.innerHTML = `
+                <div class="user-profile">
+                    <span class="user-name">👋 ${this.escapeHtml(displayName)}</span>
+                    <button class="sign-out-btn" id="signout-btn">Sign Out</button>
+                </div>
+            `;
+            // Setup sign out
+            const signOutBtn = document.getElementById('signout-btn');
+            if (signOutBtn) {
+                signOutBtn.addEventListener('click', async () => {
+                    try {
+                        await this.authManager.signOut();
+                        window.location.href = '/';
+                    }
+                    catch (error) {
+                        this.logger.error('Sign out failed', { error: error.message });
+                    }
+                });
+            }
+        }
+    }
+    /**
+     * Load categories for the category picker
+     */
+    async loadCategories() {
+        try {
+            const categoriesRef = collection(this.db, 'users', this.currentUser.uid, 'categories');
+            const snapshot = await getDocs(query(categoriesRef, orderBy('updatedAt', 'desc')));
+            // Same order as on the categories page
+            const live = snapshot.docs
+                .filter(categoryDoc => !TrashService.isTrashed(categoryDoc.data()))
+                .map(categoryDoc => ({
+                id: categoryDoc.id,
+                data: categoryDoc.data(),
+                sortOrder: typeof categoryDoc.data().sortOrder === 'number' ? categoryDoc.data().sortOrder : undefined,
+                updatedAt: categoryDoc.data().updatedAt?.toDate() || new Date()
+            }));
+            this.categories = CategoryOrganizer.sort(live).map(category => ({
+                id: category.id,
+                name: category.data.name,
+                icon: category.data.icon || '📚'
+            }));
+            const select = document.getElementById('practice-category-select');
+            if (select) {
+                select.innerHTML = `
+                    <option value="">📚 All categories</option>
+                    ${this.categories.map(category => `
+                        <option value="${category.id}">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</option>
+                    `).join('')}
+                `;
+                select.value = this.categories.some(c => c.id === this.selectedCategoryId) ? this.selectedCategoryId : '';
+            }
+            this.logger.info('Practice categories loaded', { count: this.categories.length });
+        }
+        catch (error) {
+            this.logger.error('Failed to load categories', { error: error.message });
+            this.showError('Failed to load categories');
+        }
+    }
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const select = document.getElementById('practice-category-select');
+        if (select) {
+            select.addEventListener('change', () => {
+                this.selectedCategoryId = select.value;
+                this.startSession();
+            });
+        }
+        const revealBtn = document.getElementById('reveal-answer-btn');
+        if (revealBtn) {
+            revealBtn.addEventListener('click', () => this.revealAnswer());
+        }
+        document.querySelectorAll('.grade-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const quality = Number(btn.dataset.quality);
+                this.gradeCurrentWord(quality);
+            });
+        });
+        const restartBtn = document.getElementById('restart-session-btn');
+        if (restartBtn) {
+            restartBtn.addEventListener('click', () => this.startSession());
+        }
+        // Keyboard shortcuts: Space/Enter reveals, 1-4 grades
+        document.addEventListener('keydown', (e) => {
+            if (e.target?.tagName === 'SELECT')
+                return;
+            if (!this.isRevealed && (e.key === ' ' || e.key === 'Enter')) {
+                e.preventDefault();
+                this.revealAnswer();
+            }
+            else if (this.isRevealed) {
+                const gradeKeys = { '1': 1, '2': 3, '3': 4, '4': 5 };
+                const quality = gradeKeys[e.key];
+                if (quality !== undefined) {
+                    this.gradeCurrentWord(quality);
+                }
+            }
+        });
+    }
+    /**
+     * Start a new review session for the selected category (or all categories)
+     */
+    async startSession() {
+        this.logger.info('Starting review session', { categoryId: this.selectedCategoryId || 'all' });
+        this.showLoading(true);
+        try {
+            this.queue = await this.loadDueWords();
+            this.currentIndex = 0;
+            this.stats = { reviewed: 0, again: 0, hard: 0, good: 0, easy: 0 };
+            const url = new URL(window.location.href);
+            if (this.selectedCategoryId) {
+                url.searchParams.set('categoryId', this.selectedCategoryId);
+            }
+            else {
+                url.searchParams.delete('categoryId');
+            }
+            window.history.replaceState(null, '', url.toString());
+            this.renderCurrentCard();
+            this.logger.info('Review session started', { dueWords: this.queue.length });
+        }
+        catch (error) {
+            this.logger.error('Failed to start review session', { error: error.message });
+            this.showError('Failed to load words for practice');
+        }
+        finally {
+            this.showLoading(false);
+        }
+    }
+    /**
+     * Load words that are due for review, most overdue first, then new words
+     */
+    async loadDueWords() {
+        const wordsRef = collection(this.db, 'users', this.currentUser.uid, 'words');
+        // A category's words include the ones linked into it from other categories
+        const snapshots = this.selectedCategoryId
+            ? await Promise.all([
+                getDocs(query(wordsRef, where('categoryId', '==', this.selectedCategoryId))),
+                getDocs(query(wordsRef, where('linkedCategoryIds', 'array-contains', this.selectedCategoryId)))
+            ])
+            : [await getDocs(query(wordsRef))];
+        const wordDocs = new Map(snapshots.flatMap(snapshot => snapshot.docs).map(wordDoc => [wordDoc.id, wordDoc]));
+        const now = new Date();
+        const dueWords = [];
+        const newWords = [];
+        wordDocs.forEach((wordDoc) => {
+            if (TrashService.isTrashed(wordDoc.data()))
+                return;
+            const word = wordFromFirestore(wordDoc.id, wordDoc.data());
+            if (!word.review) {
+                newWords.push(word);
+            }
+            else if (this.scheduler.isDue(word.review, now)) {
+                dueWords.push(word);
+            }
+        });
+        dueWords.sort((a, b) => a.review.dueDate.getTime() - b.review.dueDate.getTime());
+        newWords.sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime());
+        return [...dueWords, ...newWords.slice(0, PracticeManager.NEW_WORDS_PER_SESSION)];
+    }
+    /**
+     * Render the flashcard for the current word (or the session summary)
+     */
+    renderCurrentCard() {
+        const cardSection = document.getElementById('flashcard-section');
+        const summarySection = document.getElementById('session-summary');
+        const emptyState = document.getElementById('empty-state');
+        if (!cardSection || !summarySection || !emptyState)
+            return;
+        this.isRevealed = false;
+        this.updateProgress();
+        if (this.queue.length === 0) {
+            cardSection.style.display = 'none';
+            summarySection.style.display = 'none';
+            emptyState.style.display = 'block';
+            return;
+        }
+        if (this.currentIndex >= this.queue.length) {
+            cardSection.style.display = 'none';
+            emptyState.style.display = 'none';
+            this.renderSummary();
+            return;
+        }
+        emptyState.style.display = 'none';
+        summarySection.style.display = 'none';
+        cardSection.style.display = 'block';
+        const word = this.queue[this.currentIndex];
+        const front = document.getElementById('flashcard-front');
+        const back = document.getElementById('flashcard-back');
+        if (front) {
+            front.innerHTML = `
+                <h2 class="english-word">${this.escapeHtml(word.englishWord)}</h2>
+                <div class="pronunciation-section">
+                    ${this.renderPronunciation(word, 'british', '🇬🇧', 'uk-pronunciation')}
+                    ${this.renderPronunciation(word, 'american', '🇺🇸', 'us-pronunciation')}
+                    ${this.renderPronunciation(word, 'australian', '🇦🇺', 'au-pronunciation')}
+                </div>
+                ${word.partOfSpeech ? `<div class="part-of-speech">${this.escapeHtml(word.partOfSpeech)}</div>` : ''}
+            `;
+        }
+        if (back) {
+            back.style.display = 'none';
+            back.innerHTML = `
+                <p class="vietnamese-translation">${this.escapeHtml(word.vietnameseTranslation)}</p>
+                ${word.definition ? `<p class="definition">${this.escapeHtml(word.definition)}</p>` : ''}
+                ${word.vietnameseDefinition ? `<p class="vietnamese-definition">🇻🇳 ${this.escapeHtml(word.vietnameseDefinition)}</p>` : ''}
+            `;
+        }
+        const revealBtn = document.getElementById('reveal-answer-btn');
+        const gradeButtons = document.getElementById('grade-buttons');
+        if (revealBtn)
+            revealBtn.style.display = 'inline-block';
+        if (gradeButtons)
+            gradeButtons.style.display = 'none';
+        this.updateGradeLabels(word);
+    }
+    /**
+     * Render one pronunciation chip with an audio button
+     */
+    renderPronunciation(word, accent, flag, cssClass) {
+        const ipa = accent === 'british' ? word.britishPronunciation
+            : accent === 'american' ? word.americanPronunciation
+                : word.australianPronunciation;
+        const audioUrl = word.audioUrls?.[accent];
+        if (!ipa && !audioUrl)
+            return '';
+        return `
+            <span class="pronunciation ${cssClass}">
+                ${flag} ${this.escapeHtml(ipa || '')}
+                <button class="audio-btn-inline" onclick="practiceManager.playAudio('${accent}')" title="Play ${accent} pronunciation">🔊</button>
+            </span>
+        `;
+    }
+    /**
+     * Play pronunciation of the current word
+     */
+    async playAudio(accent) {
+        const word = this.queue[this.currentIndex];
+        if (!word)
+            return;
+        const ipa = accent === 'british' ? word.britishPronunciation
+            : accent === 'american' ? word.americanPronunciation
+                : word.australianPronunciation || '';
+        const audioUrl = word.audioUrls?.[accent] || '';
+        if (audioUrl) {
+            await this.pronunciationPlayer.play(audioUrl, accent, word.englishWord, ipa);
+        }
+        else {
+            this.pronunciationPlayer.speak(word.englishWord, accent, ipa);
+        }
+    }
+    /**
+     * Show next interval for each grade button
+     */
+    updateGradeLabels(word) {
+        const preview = this.scheduler.previewIntervals(word.review);
+        document.querySelectorAll('.grade-btn').forEach(btn => {
+            const quality = Number(btn.dataset.quality);
+            const intervalEl = btn.querySelector('.grade-interval');
+            if (intervalEl) {
+                intervalEl.textContent = this.formatInterval(preview[quality]);
+            }
+        });
+    }
+    /**
+     * Reveal the answer side of the flashcard
+     */
+    revealAnswer() {
+        if (this.isRevealed || this.currentIndex >= this.queue.length)
+            return;
+        this.isRevealed = true;
+        const back = document.getElementById('flashcard-back');
+        const revealBtn = document.getElementById('reveal-answer-btn');
+        const gradeButtons = document.getElementById('grade-buttons');
+        if (back)
+            back.style.display = 'block';
+        if (revealBtn)
+            revealBtn.style.display = 'none';
+        if (gradeButtons)
+            gradeButtons.style.display = 'flex';
+    }
+    /**
+     * Grade the current word, save its schedule and move to the next card
+     */
+    async gradeCurrentWord(quality) {
+        if (!this.isRevealed || this.isGrading)
+            return;
+        const word = this.queue[this.currentIndex];
+        if (!word)
+            return;
+        this.isGrading = true;
+        const nextState = this.scheduler.review(word.review, quality);
+        try {
+            const wordRef = doc(this.db, 'users', this.currentUser.uid, 'words', word.id);
+            const updates = {
+                review: this.scheduler.toFirestore(nextState)
+            };
+            // Words reaching the mastered interval count as learned on the dashboard
+            if (this.scheduler.isMastered(nextState) && !word.learned) {
+                updates.learned = true;
+                word.learned = true;
+            }
+            await updateDoc(wordRef, updates);
+            word.review = nextState;
+            this.recordGrade(quality);
+            // Forgotten words come back at the end of this session
+            if (quality < 3) {
+                this.queue.push(word);
+            }
+            this.logger.info('Word reviewed', {
+                wordId: word.id,
+                quality,
+                interval: nextState.interval,
+                easeFactor: nextState.easeFactor
+            });
+            this.currentIndex++;
+            this.renderCurrentCard();
+        }
+        catch (error) {
+            this.logger.error('Failed to save review', { error: error.message, wordId: word.id });
+            this.showError('Failed to save review. Please try again.');
+        }
+        finally {
+            this.isGrading = false;
+        }
+    }
+    /**
+     * Update session counters
+     */
+    recordGrade(quality) {
+        this.stats.reviewed++;
+        if (quality < 3) {
+            this.stats.again++;
+        }
+        else if (quality === 3) {
+            this.stats.hard++;
+        }
+        else if (quality === 4) {
+            this.stats.good++;
+        }
+        else {
+            this.stats.easy++;
+        }
+    }
+    /**
+     * Render the end-of-session summary
+     */
+    renderSummary() {
+        const summarySection = document.getElementById('session-summary');
+        const summaryStats = document.getElementById('summary-stats');
+        if (!summarySection || !summaryStats)
+            return;
+        summaryStats.innerHTML = `
+            <div class="summary-stat"><span class="summary-value">${this.stats.reviewed}</span>Reviews</div>
+            <div class="summary-stat again"><span class="summary-value">${this.stats.again}</span>Again</div>
+            <div class="summary-stat hard"><span class="summary-value">${this.stats.hard}</span>Hard</div>
+            <div class="summary-stat good"><span class="summary-value">${this.stats.good}</span>Good</div>
+            <div class="summary-stat easy"><span class="summary-value">${this.stats.easy}</span>Easy</div>
+        `;
+        summarySection.style.display = 'block';
+        this.logger.info('Review session finished', this.stats);
+    }
+    /**
+     * Update "x / y" progress indicator
+     */
+    updateProgress() {
+        const progress = document.getElementById('session-progress');
+        if (progress) {
+            const total = this.queue.length;
+            const current = Math.min(this.currentIndex + 1, total);
+            progress.textContent = total > 0 ? `Card ${current} of ${total}` : '';
+        }
+    }
+    /**
+     * Format an interval in days for grade buttons
+     */
+    formatInterval(days) {
+        if (days <= 1)
+            return '1 day';
+        if (days < 30)
+            return `${days} days`;
+        if (days < 365)
+            return `${Math.round(days / 30)} mo`;
+        return `${(days / 365).toFixed(1)} yr`;
+    }
+    /**
+     * Show loading state
+     */
+    showLoading(show) {
+        const loading = document.getElementById('loading');
+        if (loading) {
+            loading.style.display = show ? 'flex' : 'none';
+        }
+    }
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        // Also quotes, for attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const errorEl = document.getElementById('error-notification');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.style.display = 'block';
+            setTimeout(() => {
+                errorEl.style.display = 'none';
+            }, 5000);
+        }
+    }
+    /**
+     * Show success message
+     */
+    showSuccess(message) {
+        const successEl = document.getElementById('success-notification');
+        if (successEl) {
+            successEl.textContent = message;
+            successEl.style.display = 'block';
+            setTimeout(() => {
+                successEl.style.display = 'none';
+            }, 3000);
+        }
+    }
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.logger.info('Destroying PracticeManager');
+        this.queue = [];
+        this.categories = [];
+        this.logger.info('PracticeManager destroyed');
+    }
+}
+PracticeManager.NEW_WORDS_PER_SESSION = 20;
+// Initialize practice manager when DOM is loaded
+let practiceManager;
+document.addEventListener('DOMContentLoaded', async () => {
+    practiceManager = new PracticeManager();
+    // Make practiceManager globally accessible for inline event handlers
+    window.practiceManager = practiceManager;
+    await practiceManager.initialize();
+});
+// Cleanup when page unloads
+window.addEventListener('beforeunload', () => {
+    if (practiceManager) {
+        practiceManager.destroy();
+    }
+});
+export default PracticeManager;
+//# sourceMappingURL=practice.js.map
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { Timestamp } from 'firebase/firestore';
+/**
+ * SpacedRepetitionScheduler implements an SM-2 style scheduler.
+ * It is pure logic (no Firestore/DOM access) so it can be reused by any page.
+ */
+class SpacedRepetitionScheduler {
+    /**
+     * Create review state for a word that has never been reviewed
+     */
+    createInitialState(now = new Date()) {
+        return {
+            easeFactor: SpacedRepetitionScheduler.DEFAULT_EASE,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            dueDate: now,
+            history: []
+        };
+    }
+    /**
+     * Apply a review grade and return the next review state (SM-2)
+     */
+    review(state, quality, now = new Date()) {
+        const current = state || this.createInitialState(now);
+        let { easeFactor, interval, repetitions, lapses } = current;
+        if (quality < 3) {
+            // Forgotten - start over, review again tomorrow
+            repetitions = 0;
+            interval = 1;
+            lapses += 1;
+        }
+        else {
+            repetitions += 1;
+            if (repetitions === 1) {
+                interval = 1;
+            }
+            else if (repetitions === 2) {
+                interval = 6;
+            }
+            else {
+                interval = Math.round(interval * easeFactor);
+            }
+        }
+        // EF' = EF + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+        easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        easeFactor = Math.max(SpacedRepetitionScheduler.MIN_EASE, Math.round(easeFactor * 100) / 100);
+        const dueDate = new Date(now.getTime() + interval * 24 * 60 * 60 * 1000);
+        const history = [
+            ...current.history,
+            { reviewedAt: now, quality, interval, easeFactor }
+        ].slice(-SpacedRepetitionScheduler.MAX_HISTORY);
+        return {
+            easeFactor,
+            interval,
+            repetitions,
+            lapses,
+            dueDate,
+            lastReviewedAt: now,
+            history
+        };
+    }
+    /**
+     * Check whether a word is due for review (never-reviewed words are always due)
+     */
+    isDue(state, now = new Date()) {
+        if (!state)
+            return true;
+        return state.dueDate.getTime() <= now.getTime();
+    }
+    /**
+     * Check whether a word has reached the mastered interval
+     */
+    isMastered(state) {
+        return !!state && state.interval >= SpacedRepetitionScheduler.MASTERED_INTERVAL;
+    }
+    /**
+     * Preview the interval (days) each grade would produce - used for button labels
+     */
+    previewIntervals(state, now = new Date()) {
+        const preview = {};
+        [1, 3, 4, 5].forEach(quality => {
+            preview[quality] = this.review(state, quality, now).interval;
+        });
+        return preview;
+    }
+    /**
+     * Convert review state to Firestore data
+     */
+    toFirestore(state) {
+        return {
+            easeFactor: state.easeFactor,
+            interval: state.interval,
+            repetitions: state.repetitions,
+            lapses: state.lapses,
+            dueDate: Timestamp.fromDate(state.dueDate),
+            lastReviewedAt: state.lastReviewedAt ? Timestamp.fromDate(state.lastReviewedAt) : null,
+            history: state.history.map(entry => ({
+                reviewedAt: Timestamp.fromDate(entry.reviewedAt),
+                quality: entry.quality,
+                interval: entry.interval,
+                easeFactor: entry.easeFactor
+            }))
+        };
+    }
+    /**
+     * Parse review state from Firestore data (undefined when the word was never reviewed)
+     */
+    fromFirestore(data) {
+        if (!data || typeof data !== 'object')
+            return undefined;
+        return {
+            easeFactor: data.easeFactor || SpacedRepetitionScheduler.DEFAULT_EASE,
+            interval: data.interval || 0,
+            repetitions: data.repetitions || 0,
+            lapses: data.lapses || 0,
+            dueDate: data.dueDate?.toDate() || new Date(),
+            lastReviewedAt: data.lastReviewedAt?.toDate() || undefined,
+            history: (data.history || []).map((entry) => ({
+                reviewedAt: entry.reviewedAt?.toDate() || new Date(),
+                quality: entry.quality,
+                interval: entry.interval || 0,
+                easeFactor: entry.easeFactor || SpacedRepetitionScheduler.DEFAULT_EASE
+            }))
+        };
+    }
+}
+SpacedRepetitionScheduler.DEFAULT_EASE = 2.5;
+SpacedRepetitionScheduler.MIN_EASE = 1.3;
+SpacedRepetitionScheduler.MAX_HISTORY = 50; // Keep word documents small
+SpacedRepetitionScheduler.MASTERED_INTERVAL = 21; // Days - word is considered learned
+export default SpacedRepetitionScheduler;
+//# sourceMappingURL=spaced-repetition.js.map
\ No newline at end of file
@@ -0,0 +1,235 @@
+import Logger from '../common/logger.js';
+import AuthManager from '../auth/auth-manager.js';
+import PronunciationPlayer from '../common/pronunciation-player.js';
+import PublicShareService from '../sharing/public-share-service.js';
+import { getFirestore } from 'firebase/firestore';
+/**
+ * SharePage shows a published category at /share/{id} without sign-in
+ * and lets signed-in visitors clone it into their own categories
+ */
+class SharePage {
+    constructor() {
+        this.currentUser = null;
+        this.shareId = '';
+        this.share = null;
+        this.words = [];
+        this.logger = new Logger('SharePage');
+        this.authManager = new AuthManager();
+        this.db = getFirestore();
+        this.publicShareService = new PublicShareService(this.db);
+        this.pronunciationPlayer = new PronunciationPlayer((message, type) => {
+            if (type === 'error') {
+                this.showError(message);
+            }
+            else {
+                this.showSuccess(message);
+            }
+        });
+        this.logger.info('SharePage initialized');
+    }
+    /**
+     * Initialize share page
+     */
+    async initialize() {
+        this.logger.info('Initializing share page');
+        this.showLoading(true);
+        try {
+            // /share/{id}
+            this.shareId = decodeURIComponent(window.location.pathname.split('/')[2] || '');
+            if (!this.shareId) {
+                throw new Error('This link is incomplete');
+            }
+            const [loaded] = await Promise.all([
+                this.publicShareService.load(this.shareId),
+                this.authManager.waitForAuthState()
+            ]);
+            this.share = loaded.share;
+            this.words = loaded.words;
+            this.currentUser = this.authManager.getCurrentUser();
+            this.renderHeader();
+            this.renderWords();
+            this.logger.info('Share page ready', { shareId: this.shareId, words: this.words.length });
+        }
+        catch (error) {
+            this.logger.error('Failed to load shared category', { shareId: this.shareId, error: error.message });
+            this.renderUnavailable(error.message);
+        }
+        finally {
+            this.showLoading(false);
+        }
+    }
+    /**
+     * Copy the shared words into a new category of the signed-in user
+     */
+    async cloneToMyCategories() {
+        if (!this.currentUser) {
+            window.location.href = `/signin?redirect=${encodeURIComponent(window.location.pathname)}`;
+            return;
+        }
+        const cloneBtn = document.getElementById('clone-share-btn');
+        if (cloneBtn) {
+            cloneBtn.disabled = true;
+            cloneBtn.textContent = 'Copying...';
+        }
+        try {
+            const categoryId = await this.publicShareService.clone(this.currentUser.uid, this.shareId);
+            this.showSuccess(`"${this.share?.name}" was added to your categories`);
+            window.location.href = `/words?categoryId=${categoryId}`;
+        }
+        catch (error) {
+            this.logger.error('Failed to clone shared category', { shareId: this.shareId, error: error.message });
+            this.showError('Failed to copy the list. Please try again.');
+            if (cloneBtn) {
+                cloneBtn.disabled = false;
+                cloneBtn.textContent = '📥 Add to my categories';
+            }
+        }
+    }
+    /**
+     * Play a pronunciation from a word card
+     */
+    async playAudio(wordIndex, accent) {
+        const word = this.words[wordIndex];
+        const url = word?.audioUrls[accent];
+        if (!word || !url)
+            return;
+        const ipa = accent === 'british' ? word.britishPronunciation
+            : accent === 'american' ? word.americanPronunciation : word.australianPronunciation || '';
+        await this.pronunciationPlayer.play(url, accent, word.englishWord, ipa);
+    }
+    // Category name, owner and the clone / sign-in action
+    renderHeader() {
+        const info = document.getElementById('share-info');
+        if (!info || !this.share)
+            return;
+        document.title = `${this.share.name} - English Dictionary`;
+        info.innerHTML = `
+            <div class="category-info-icon">${this.escapeHtml(this.share.icon)}</div>
+            <div class="category-info-details">
+                <h2>${this.escapeHtml(this.share.name)}</h2>
+                ${this.share.description ? `<p class="category-info-description">${this.escapeHtml(this.share.description)}</p>` : ''}
+                <div class="category-info-stats">
+                    <span class="word-count">${this.words.length} words</span>
+                    <span class="share-owner">Shared by ${this.escapeHtml(this.share.ownerName)} · ${this.share.publishedAt.toLocaleDateString()}</span>
+                </div>
+            </div>
+            <button id="clone-share-btn" class="add-word-btn" onclick="sharePage.cloneToMyCategories()">
+                ${this.currentUser ? '📥 Add to my categories' : '🔑 Sign in to add to your categories'}
+            </button>
+        `;
+    }
+    // Read-only word cards
+    renderWords() {
+        const grid = document.getElementById('share-words-grid');
+        if (!grid)
+            return;
+        if (this.words.length === 0) {
+            grid.innerHTML = '<p class="share-empty">This list has no words yet.</p>';
+            return;
+        }
+        const flags = { british: '🇬🇧', american: '🇺🇸', australian: '🇦🇺' };
+        grid.innerHTML = this.words.map((word, index) => {
+            const pronunciations = [
+                ['british', word.britishPronunciation],
+                ['american', word.americanPronunciation],
+                ['australian', word.australianPronunciation || '']
+            ].filter(([, ipa]) => ipa);
+            return `
+                <div class="word-card">
+                    <h3 class="english-word">${this.escapeHtml(word.englishWord)}</h3>
+                    <p class="vietnamese-translation">${this.escapeHtml(word.vietnameseTranslation)}</p>
+                    <div class="pronunciation-section">
+                        ${pronunciations.map(([accent, ipa]) => `
+                            <span class="pronunciation">
+                                ${flags[accent]} ${this.escapeHtml(ipa)}
+                                ${word.audioUrls[accent] ? `<button class="audio-btn-inline" onclick="sharePage.playAudio(${index}, '${accent}')" title="Play pronunciation">🔊</button>` : ''}
+                            </span>
+                        `).join('')}
+                    </div>
+                    <ol class="word-senses">
+                        ${word.senses.map(sense => `
+                            <li class="word-sense">
+                                ${sense.pos ? `<div class="part-of-speech">${this.escapeHtml(sense.pos)}</div>` : ''}
+                                ${sense.definition ? `<p class="definition">${this.escapeHtml(sense.definition)}</p>` : ''}
+                                ${sense.translation ? `<p class="vietnamese-definition">🇻🇳 ${this.escapeHtml(sense.translation)}</p>` : ''}
+                                ${sense.examples.length ? `
+                                    <ul class="sense-examples">
+                                        ${sense.examples.map(example => `
+                                            <li>
+                                                <em>${this.escapeHtml(example.text)}</em>
+                                                ${example.translation ? `<span class="example-translation">${this.escapeHtml(example.translation)}</span>` : ''}
+                                            </li>
+                                        `).join('')}
+                                    </ul>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                    </ol>
+                </div>
+            `;
+        }).join('');
+    }
+    renderUnavailable(message) {
+        const info = document.getElementById('share-info');
+        if (info) {
+            info.innerHTML = `
+                <div class="category-info-details">
+                    <h2>List unavailable</h2>
+                    <p class="category-info-description">${this.escapeHtml(message)}</p>
+                </div>
+            `;
+        }
+    }
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    /**
+     * Show/hide loading overlay
+     */
+    showLoading(show) {
+        const loading = document.getElementById('loading');
+        if (loading) {
+            loading.style.display = show ? 'flex' : 'none';
+        }
+    }
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const errorEl = document.getElementById('error-notification');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.style.display = 'block';
+            setTimeout(() => {
+                errorEl.style.display = 'none';
+            }, 5000);
+        }
+    }
+    /**
+     * Show success message
+     */
+    showSuccess(message) {
+        const successEl = document.getElementById('success-notification');
+        if (successEl) {
+            successEl.textContent = message;
+            successEl.style.display = 'block';
+            setTimeout(() => {
+                successEl.style.display = 'none';
+            }, 3000);
+        }
+    }
+}
+// Initialize share page when DOM is loaded
+let sharePage;
+document.addEventListener('DOMContentLoaded', async () => {
+    sharePage = new SharePage();
+    // Make sharePage globally accessible for inline event handlers
+    window.sharePage = sharePage;
+    await sharePage.initialize();
+});
+export default SharePage;
+//# sourceMappingURL=share-page.js.map
\ No newline at end of file
@@ -0,0 +1,170 @@
+import Logger from '../common/logger.js';
+import TrashService from '../trash/trash-service.js';
+import { wordFromFirestore } from '../words/word-model.js';
+import { collection, doc, getDoc, getDocs, query, where, writeBatch, deleteField, Timestamp } from 'firebase/firestore';
+/**
+ * PublicShareService publishes a read-only snapshot of a category that anyone
+ * can open at /share/{id} without signing in, and clones a snapshot into the
+ * signed-in visitor's own categories.
+ */
+class PublicShareService {
+    constructor(db) {
+        this.logger = new Logger('PublicShareService');
+        this.db = db;
+    }
+    /**
+     * Public URL of a share
+     */
+    static linkFor(shareId) {
+        return `${window.location.origin}/share/${shareId}`;
+    }
+    /**
+     * Publish (or refresh) the snapshot of a category; returns the share id
+     */
+    async publish(owner, categoryId) {
+        const categoryRef = doc(this.db, 'users', owner.uid, 'categories', categoryId);
+        const categorySnap = await getDoc(categoryRef);
+        if (!categorySnap.exists() || TrashService.isTrashed(categorySnap.data())) {
+            throw new Error('Category not found');
+        }
+        const category = categorySnap.data();
+        const wordsSnap = await getDocs(query(collection(this.db, 'users', owner.uid, 'words'), where('categoryId', '==', categoryId)));
+        const words = wordsSnap.docs
+            .filter((wordDoc) => !TrashService.isTrashed(wordDoc.data()))
+            .map((wordDoc) => this.snapshotWord(wordDoc.data()));
+        // Refreshing keeps the same link, so the old words are replaced
+        const shareRef = category.publicShareId
+            ? doc(this.db, 'publicShares', category.publicShareId)
+            : doc(collection(this.db, 'publicShares'));
+        const staleWords = category.publicShareId
+            ? (await getDocs(collection(shareRef, 'words'))).docs
+            : [];
+        const now = Timestamp.fromDate(new Date());
+        await this.commitInBatches([
+            (batch) => batch.set(shareRef, {
+                ownerId: owner.uid,
+                ownerName: owner.displayName || owner.email?.split('@')[0] || 'Anonymous',
+                categoryId,
+                name: category.name,
+                description: category.description || '',
+                icon: category.icon || '📚',
+                wordCount: words.length,
+                publishedAt: now
+            }),
+            ...staleWords.map((wordDoc) => (batch) => batch.delete(wordDoc.ref)),
+            ...words.map(word => (batch) => batch.set(doc(collection(shareRef, 'words')), word)),
+            (batch) => batch.update(categoryRef, { publicShareId: shareRef.id })
+        ]);
+        this.logger.info('Category published', { categoryId, shareId: shareRef.id, words: words.length });
+        return shareRef.id;
+    }
+    /**
+     * Take a category's public link down
+     */
+    async unpublish(ownerId, categoryId, shareId) {
+        const shareRef = doc(this.db, 'publicShares', shareId);
+        const wordsSnap = await getDocs(collection(shareRef, 'words'));
+        // Words first: the rules check them against the share document
+        await this.commitInBatches([
+            ...wordsSnap.docs.map((wordDoc) => (batch) => batch.delete(wordDoc.ref)),
+            (batch) => batch.delete(shareRef),
+            (batch) => batch.update(doc(this.db, 'users', ownerId, 'categories', categoryId), { publicShareId: deleteField() })
+        ]);
+        this.logger.info('Category unpublished', { categoryId, shareId });
+    }
+    /**
+     * Load a published snapshot; no sign-in needed
+     */
+    async load(shareId) {
+        const shareRef = doc(this.db, 'publicShares', shareId);
+        const shareSnap = await getDoc(shareRef);
+        if (!shareSnap.exists()) {
+            throw new Error('This link does not exist or was taken down');
+        }
+        const data = shareSnap.data();
+        const wordsSnap = await getDocs(collection(shareRef, 'words'));
+        const words = wordsSnap.docs
+            .map((wordDoc) => wordFromFirestore(wordDoc.id, wordDoc.data()))
+            .sort((a, b) => a.englishWord.localeCompare(b.englishWord));
+        return {
+            share: {
+                id: shareSnap.id,
+                ownerId: data.ownerId,
+                ownerName: data.ownerName || 'Anonymous',
+                categoryId: data.categoryId,
+                name: data.name,
+                description: data.description || '',
+                icon: data.icon || '📚',
+                wordCount: words.length,
+                publishedAt: data.publishedAt?.toDate() || new Date()
+            },
+            words
+        };
+    }
+    /**
+     * Copy a published snapshot into a new category of `userId`; returns the new category id
+     */
+    async clone(userId, shareId) {
+        const shareRef = doc(this.db, 'publicShares', shareId);
+        const shareSnap = await getDoc(shareRef);
+        if (!shareSnap.exists()) {
+            throw new Error('This link does not exist or was taken down');
+        }
+        const share = shareSnap.data();
+        const wordsSnap = await getDocs(collection(shareRef, 'words'));
+        const categoryRef = doc(collection(this.db, 'users', userId, 'categories'));
+        const wordsRef = collection(this.db, 'users', userId, 'words');
+        const now = Timestamp.fromDate(new Date());
+        // The category goes last so a failure part-way leaves no half-filled category in the list
+        await this.commitInBatches([
+            ...wordsSnap.docs.map((wordDoc) => (batch) => batch.set(doc(wordsRef), {
+                ...this.snapshotWord(wordDoc.data()),
+                categoryId: categoryRef.id,
+                userId,
+                isFavorite: false,
+                learned: false,
+                createdAt: now,
+                updatedAt: now
+            })),
+            (batch) => batch.set(categoryRef, {
+                name: share.name,
+                description: share.description || '',
+                icon: share.icon || '📚',
+                wordCount: wordsSnap.size,
+                createdAt: now,
+                updatedAt: now,
+                userId,
+                clonedFrom: shareId
+            })
+        ]);
+        this.logger.info('Public share cloned', { shareId, categoryId: categoryRef.id, words: wordsSnap.size });
+        return categoryRef.id;
+    }
+    // Shareable fields of a word document
+    snapshotWord(data) {
+        const word = {};
+        PublicShareService.WORD_FIELDS.forEach(field => {
+            if (data[field] !== undefined) {
+                word[field] = data[field];
+            }
+        });
+        return word;
+    }
+    // Run write operations in order, at most MAX_BATCH_WRITES per batch
+    async commitInBatches(operations) {
+        for (let start = 0; start < operations.length; start += PublicShareService.MAX_BATCH_WRITES) {
+            const batch = writeBatch(this.db);
+            operations.slice(start, start + PublicShareService.MAX_BATCH_WRITES).forEach(operation => operation(batch));
+            await batch.commit();
+        }
+    }
+}
+PublicShareService.MAX_BATCH_WRITES = 500; // Firestore limit per batch
+// Word content copied into a snapshot; personal progress (favorite, learned, review) stays private
+PublicShareService.WORD_FIELDS = [
+    'englishWord', 'vietnameseTranslation', 'partOfSpeech', 'definition', 'vietnameseDefinition',
+    'britishPronunciation', 'americanPronunciation', 'australianPronunciation',
+    'audioUrls', 'senses', 'inflections', 'inflectionForms'
+];
+export default PublicShareService;
+//# sourceMappingURL=public-share-service.js.map
\ No newline at end of file
@@ -0,0 +1,128 @@
+import Logger from '../common/logger.js';
+import TrashService from '../trash/trash-service.js';
+import { collectionGroup, doc, getDoc, setDoc, updateDoc, query, where, onSnapshot, arrayUnion, arrayRemove, deleteField, Timestamp } from 'firebase/firestore';
+/**
+ * SharingService shares a user's categories with other users as viewers or
+ * editors. Access is granted by the category's `collaborators` map (checked in
+ * firestore.rules); `collaboratorIds` mirrors its keys for the "shared with me" query.
+ * Users are found by email through userDirectory/{email}, written at sign-in.
+ */
+class SharingService {
+    constructor(db) {
+        this.logger = new Logger('SharingService');
+        this.db = db;
+    }
+    /**
+     * Collaborator role of `userId` in a category's Firestore data, or null
+     */
+    static roleOf(data, userId) {
+        const role = data?.collaborators?.[userId]?.role;
+        return SharingService.ROLES.includes(role) ? role : null;
+    }
+    /**
+     * Collaborators of a category, sorted by name
+     */
+    static collaboratorsOf(data) {
+        return Object.entries(data?.collaborators || {})
+            .map(([uid, value]) => ({
+            uid,
+            email: value.email || '',
+            displayName: value.displayName || value.email || 'Unknown user',
+            role: value.role
+        }))
+            .sort((a, b) => a.displayName.localeCompare(b.displayName));
+    }
+    /**
+     * Publish the signed-in user's email so others can share categories with them
+     */
+    async registerProfile(user) {
+        if (!user?.email)
+            return;
+        await setDoc(doc(this.db, 'userDirectory', this.emailKey(user.email)), {
+            uid: user.uid,
+            email: user.email,
+            displayName: user.displayName || user.email.split('@')[0],
+            updatedAt: Timestamp.fromDate(new Date())
+        });
+    }
+    /**
+     * Share a category with the user who signed in with `email`
+     */
+    async addCollaborator(owner, categoryId, email, role) {
+        const directoryDoc = await getDoc(doc(this.db, 'userDirectory', this.emailKey(email)));
+        if (!directoryDoc.exists()) {
+            throw new Error(`No account found for ${email}. Ask them to sign in once, then try again.`);
+        }
+        const profile = directoryDoc.data();
+        if (profile.uid === owner.uid) {
+            throw new Error('You already own this category');
+        }
+        const collaborator = {
+            uid: profile.uid,
+            email: profile.email,
+            displayName: profile.displayName || profile.email,
+            role
+        };
+        await updateDoc(doc(this.db, 'users', owner.uid, 'categories', categoryId), {
+            [`collaborators.${collaborator.uid}`]: { email: collaborator.email, displayName: collaborator.displayName, role },
+            collaboratorIds: arrayUnion(collaborator.uid),
+            ownerName: owner.displayName || owner.email || ''
+        });
+        this.logger.info('Category shared', { categoryId, collaborator: collaborator.uid, role });
+        return collaborator;
+    }
+    /**
+     * Change what a collaborator may do
+     */
+    async setRole(ownerId, categoryId, collaboratorId, role) {
+        await updateDoc(doc(this.db, 'users', ownerId, 'categories', categoryId), {
+            [`collaborators.${collaboratorId}.role`]: role
+        });
+        this.logger.info('Collaborator role changed', { categoryId, collaborator: collaboratorId, role });
+    }
+    /**
+     * Stop sharing a category with a collaborator (also used by collaborators to leave)
+     */
+    async removeCollaborator(ownerId, categoryId, collaboratorId) {
+        await updateDoc(doc(this.db, 'users', ownerId, 'categories', categoryId), {
+            [`collaborators.${collaboratorId}`]: deleteField(),
+            collaboratorIds: arrayRemove(collaboratorId)
+        });
+        this.logger.info('Collaborator removed', { categoryId, collaborator: collaboratorId });
+    }
+    /**
+     * Listen to categories shared with `userId`; returns the unsubscribe function
+     */
+    listenSharedWithMe(userId, onChange, onError) {
+        const sharedQuery = query(collectionGroup(this.db, 'categories'), where('collaboratorIds', 'array-contains', userId));
+        return onSnapshot(sharedQuery, (snapshot) => {
+            const categories = [];
+            snapshot.forEach((categoryDoc) => {
+                const data = categoryDoc.data();
+                const role = SharingService.roleOf(data, userId);
+                if (!role || TrashService.isTrashed(data))
+                    return;
+                categories.push({
+                    id: categoryDoc.id,
+                    ownerId: categoryDoc.ref.parent.parent.id,
+                    ownerName: data.ownerName || 'Another user',
+                    name: data.name,
+                    description: data.description || '',
+                    icon: data.icon || '📚',
+                    wordCount: data.wordCount || 0,
+                    role,
+                    updatedAt: data.updatedAt?.toDate() || new Date()
+                });
+            });
+            categories.sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+            onChange(categories);
+        }, onError);
+    }
+    // Directory document id for an email address (firestore.rules directoryKey must match it)
+    emailKey(email) {
+        return encodeURIComponent(email.trim().toLowerCase());
+    }
+}
+SharingService.ROLES = ['viewer', 'editor'];
+export default SharingService;
+//# sourceMappingURL=sharing-service.js.map
\ No newline at end of file
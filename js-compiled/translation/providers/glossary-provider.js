@@ -0,0 +1,54 @@
+import Logger from '../../common/logger.js';
+/**
+ * GlossaryProvider answers from an in-memory glossary of preferred renderings
+ * (seeded from `window.__TRANSLATION_GLOSSARY = { "word": "từ" }` for en→vi)
+ */
+class GlossaryProvider {
+    constructor() {
+        this.name = 'glossary';
+        this.entries = new Map();
+        this.logger = new Logger('GlossaryProvider');
+        const seed = window.__TRANSLATION_GLOSSARY;
+        if (seed && typeof seed === 'object') {
+            Object.entries(seed).forEach(([source, target]) => this.setEntry(source, String(target)));
+            this.logger.info('Glossary seeded', { entries: this.entries.size });
+        }
+    }
+    /**
+     * Key an entry is stored under: language pair plus lowercased, whitespace-collapsed text
+     */
+    static entryKey(text, fromLang, toLang) {
+        return `${fromLang}|${toLang}|${text.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+    }
+    /**
+     * Exact (case/whitespace-insensitive) glossary match
+     */
+    async translate(text, fromLang, toLang) {
+        const target = this.entries.get(GlossaryProvider.entryKey(text, fromLang, toLang));
+        if (target === undefined) {
+            return null;
+        }
+        this.logger.debug('Glossary hit', { text, target });
+        return { text: target, provider: this.name, confidence: 1 };
+    }
+    /**
+     * Add or replace a preferred rendering
+     */
+    setEntry(source, target, fromLang = 'en', toLang = 'vi') {
+        this.entries.set(GlossaryProvider.entryKey(source, fromLang, toLang), target);
+    }
+    /**
+     * Remove a rendering
+     */
+    removeEntry(source, fromLang = 'en', toLang = 'vi') {
+        this.entries.delete(GlossaryProvider.entryKey(source, fromLang, toLang));
+    }
+    /**
+     * Drop every entry
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+export default GlossaryProvider;
+//# sourceMappingURL=glossary-provider.js.map
\ No newline at end of file
@@ -0,0 +1,52 @@
+import Logger from '../../common/logger.js';
+import { TranslationError } from '../translation-types.js';
+/**
+ * LibreTranslateProvider calls a LibreTranslate server. Configure it with
+ * `window.__LIBRETRANSLATE_URL` (and `window.__LIBRETRANSLATE_API_KEY` if required);
+ * without a URL the provider is skipped.
+ */
+class LibreTranslateProvider {
+    constructor(httpClient) {
+        this.name = 'libretranslate';
+        this.logger = new Logger('LibreTranslateProvider');
+        this.httpClient = httpClient;
+    }
+    /**
+     * Translate text with the configured LibreTranslate server
+     */
+    async translate(text, fromLang, toLang) {
+        const baseUrl = window.__LIBRETRANSLATE_URL;
+        if (!baseUrl) {
+            this.logger.debug('LibreTranslate not configured; skipping');
+            return null;
+        }
+        let data;
+        try {
+            const response = await this.httpClient.post(`${baseUrl.replace(/\/$/, '')}/translate`, {
+                q: text,
+                source: fromLang,
+                target: toLang,
+                format: 'text',
+                api_key: window.__LIBRETRANSLATE_API_KEY || undefined
+            });
+            data = response.data;
+        }
+        catch (error) {
+            if (String(error?.message).includes('HTTP 429')) {
+                throw new TranslationError('LibreTranslate rate limit reached', 'quota', this.name);
+            }
+            throw new TranslationError(`LibreTranslate request failed: ${error?.message}`, 'network', this.name);
+        }
+        if (!data?.translatedText) {
+            throw new TranslationError(`LibreTranslate returned no translation: ${data?.error || 'empty response'}`, 'invalid-response', this.name);
+        }
+        return {
+            text: data.translatedText,
+            provider: this.name,
+            confidence: LibreTranslateProvider.DEFAULT_CONFIDENCE
+        };
+    }
+}
+LibreTranslateProvider.DEFAULT_CONFIDENCE = 0.7; // LibreTranslate does not report one
+export default LibreTranslateProvider;
+//# sourceMappingURL=libretranslate-provider.js.map
\ No newline at end of file
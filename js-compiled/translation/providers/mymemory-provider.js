@@ -0,0 +1,43 @@
+import Logger from '../../common/logger.js';
+import { TranslationError } from '../translation-types.js';
+/**
+ * MyMemoryProvider calls the free MyMemory API and reports quota exhaustion
+ */
+class MyMemoryProvider {
+    constructor(httpClient) {
+        this.name = 'mymemory';
+        this.logger = new Logger('MyMemoryProvider');
+        this.httpClient = httpClient;
+    }
+    /**
+     * Translate text; throws TranslationError with reason "quota" when the daily quota is used up
+     */
+    async translate(text, fromLang, toLang) {
+        this.logger.info('Translating text with MyMemory', { text, fromLang, toLang });
+        let data;
+        try {
+            const response = await this.httpClient.get(`https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${fromLang}|${toLang}`);
+            data = response.data;
+        }
+        catch (error) {
+            if (String(error?.message).includes('HTTP 429')) {
+                throw new TranslationError('MyMemory quota exceeded', 'quota', this.name);
+            }
+            throw new TranslationError(`MyMemory request failed: ${error?.message}`, 'network', this.name);
+        }
+        const translatedText = data?.responseData?.translatedText || '';
+        if (data?.quotaFinished || /MYMEMORY WARNING/i.test(translatedText)) {
+            throw new TranslationError('MyMemory quota exceeded', 'quota', this.name);
+        }
+        if (data?.responseStatus !== 200 || !translatedText) {
+            throw new TranslationError(`MyMemory returned status ${data?.responseStatus}: ${data?.responseDetails || 'no translation'}`, 'invalid-response', this.name);
+        }
+        return {
+            text: translatedText,
+            provider: this.name,
+            confidence: typeof data.responseData.match === 'number' ? data.responseData.match : 0
+        };
+    }
+}
+export default MyMemoryProvider;
+//# sourceMappingURL=mymemory-provider.js.map
\ No newline at end of file
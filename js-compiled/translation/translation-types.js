@@ -0,0 +1,13 @@
+/**
+ * Raised instead of echoing the input back when no provider could translate
+ */
+class TranslationError extends Error {
+    constructor(message, reason, provider) {
+        super(message);
+        this.name = 'TranslationError';
+        this.reason = reason;
+        this.provider = provider;
+    }
+}
+export { TranslationError };
+//# sourceMappingURL=translation-types.js.map
\ No newline at end of file
@@ -0,0 +1,66 @@
+import Logger from '../common/logger.js';
+import GlossaryProvider from './providers/glossary-provider.js';
+import { collection, doc, getDocs, setDoc, Timestamp } from 'firebase/firestore';
+/**
+ * UserGlossary keeps a user's preferred renderings in Firestore and mirrors
+ * them into the GlossaryProvider that TranslationService consults first.
+ */
+class UserGlossary {
+    constructor(db, glossary) {
+        this.userId = '';
+        this.logger = new Logger('UserGlossary');
+        this.db = db;
+        this.glossary = glossary;
+    }
+    /**
+     * Load the signed-in user's glossary into the translation glossary
+     */
+    async load(userId) {
+        this.userId = userId;
+        const snapshot = await getDocs(collection(this.db, 'users', userId, 'glossary'));
+        snapshot.forEach((entryDoc) => {
+            const data = entryDoc.data();
+            if (data.source && data.target) {
+                this.glossary.setEntry(data.source, data.target, data.fromLang || 'en', data.toLang || 'vi');
+            }
+        });
+        this.logger.info('User glossary loaded', { userId, entries: snapshot.size });
+        return snapshot.size;
+    }
+    /**
+     * Remember a user's correction when it differs from the machine suggestion.
+     * Returns true when a new rendering was saved.
+     */
+    async learn(source, target, suggested = '', fromLang = 'en', toLang = 'vi') {
+        const sourceText = source.trim();
+        const targetText = target.trim();
+        if (!this.userId || !sourceText || !targetText || sourceText.length > UserGlossary.MAX_SOURCE_LENGTH) {
+            return false;
+        }
+        if (targetText === suggested.trim() || targetText.toLowerCase() === sourceText.toLowerCase()) {
+            return false;
+        }
+        const entry = {
+            source: sourceText,
+            target: targetText,
+            fromLang,
+            toLang,
+            userId: this.userId,
+            updatedAt: new Date()
+        };
+        await setDoc(doc(this.db, 'users', this.userId, 'glossary', this.entryId(sourceText, fromLang, toLang)), {
+            ...entry,
+            updatedAt: Timestamp.fromDate(entry.updatedAt)
+        });
+        this.glossary.setEntry(sourceText, targetText, fromLang, toLang);
+        this.logger.info('Glossary learned a correction', { source: sourceText, target: targetText, suggested });
+        return true;
+    }
+    // One document per normalized source text, so re-correcting overwrites
+    entryId(source, fromLang, toLang) {
+        return encodeURIComponent(GlossaryProvider.entryKey(source, fromLang, toLang));
+    }
+}
+UserGlossary.MAX_SOURCE_LENGTH = 500;
+export default UserGlossary;
+//# sourceMappingURL=user-glossary.js.map
\ No newline at end of file
@@ -0,0 +1,271 @@
+import Logger from '../common/logger.js';
+import VersionHistory from '../history/version-history.js';
+import PublicShareService from '../sharing/public-share-service.js';
+import { collection, doc, getDoc, getDocs, query, where, writeBatch, increment, deleteField, arrayRemove, Timestamp } from 'firebase/firestore';
+/**
+ * TrashService soft-deletes words and categories (deleted: true + deletedAt),
+ * restores them, and permanently removes them when asked or after RETENTION_DAYS.
+ * Readers of users/{uid}/words and categories skip documents with `deleted: true`.
+ */
+class TrashService {
+    constructor(db) {
+        this.logger = new Logger('TrashService');
+        this.db = db;
+        this.versionHistory = new VersionHistory(db);
+        this.publicShareService = new PublicShareService(db);
+    }
+    /**
+     * True for Firestore data of a document that is in the trash
+     */
+    static isTrashed(data) {
+        return data?.deleted === true;
+    }
+    /**
+     * Move a word to the trash and take it off its category's count
+     */
+    async trashWord(userId, wordId, categoryId) {
+        const batch = writeBatch(this.db);
+        batch.update(doc(this.db, 'users', userId, 'words', wordId), {
+            deleted: true,
+            deletedAt: Timestamp.fromDate(new Date())
+        });
+        batch.update(doc(this.db, 'users', userId, 'categories', categoryId), {
+            wordCount: increment(-1),
+            updatedAt: Timestamp.fromDate(new Date())
+        });
+        await batch.commit();
+        this.logger.info('Word moved to trash', { wordId, categoryId });
+    }
+    /**
+     * Bring a word back; its category must not be in the trash
+     */
+    async restoreWord(userId, wordId) {
+        const wordSnap = await getDoc(doc(this.db, 'users', userId, 'words', wordId));
+        if (!wordSnap.exists()) {
+            throw new Error('This word no longer exists');
+        }
+        const categoryId = wordSnap.data().categoryId;
+        const categorySnap = await getDoc(doc(this.db, 'users', userId, 'categories', categoryId));
+        if (!categorySnap.exists()) {
+            throw new Error('The word\'s category was deleted permanently');
+        }
+        if (TrashService.isTrashed(categorySnap.data())) {
+            throw new Error('Restore the word\'s category first');
+        }
+        const batch = writeBatch(this.db);
+        batch.update(wordSnap.ref, { deleted: deleteField(), deletedAt: deleteField(), deletedWithCategory: deleteField() });
+        batch.update(categorySnap.ref, { wordCount: increment(1), updatedAt: Timestamp.fromDate(new Date()) });
+        await batch.commit();
+        this.logger.info('Word restored from trash', { wordId, categoryId });
+    }
+    /**
+     * Move several words to the trash, taking each off its category's count in the same batch
+     */
+    async trashWords(userId, words) {
+        const deletedAt = Timestamp.fromDate(new Date());
+        await this.commitWordChunks(words, (batch, chunk) => {
+            chunk.forEach(word => batch.update(doc(this.db, 'users', userId, 'words', word.id), { deleted: true, deletedAt }));
+            this.countByCategory(chunk).forEach((count, categoryId) => {
+                batch.update(doc(this.db, 'users', userId, 'categories', categoryId), { wordCount: increment(-count), updatedAt: deletedAt });
+            });
+        });
+        this.logger.info('Words moved to trash', { count: words.length });
+    }
+    /**
+     * Bring back words trashed by trashWords (undo); their categories must still exist
+     */
+    async restoreWords(userId, words) {
+        const now = Timestamp.fromDate(new Date());
+        await this.commitWordChunks(words, (batch, chunk) => {
+            chunk.forEach(word => batch.update(doc(this.db, 'users', userId, 'words', word.id), {
+                deleted: deleteField(),
+                deletedAt: deleteField(),
+                deletedWithCategory: deleteField()
+            }));
+            this.countByCategory(chunk).forEach((count, categoryId) => {
+                batch.update(doc(this.db, 'users', userId, 'categories', categoryId), { wordCount: increment(count), updatedAt: now });
+            });
+        });
+        this.logger.info('Words restored from trash', { count: words.length });
+    }
+    /**
+     * Move a category and its words to the trash; returns how many words went with it
+     */
+    async trashCategory(userId, categoryId) {
+        const deletedAt = Timestamp.fromDate(new Date());
+        const words = await this.wordsOfCategory(userId, categoryId);
+        const liveWords = words.filter(wordDoc => !TrashService.isTrashed(wordDoc.data()));
+        // The category goes last so a failure part-way leaves it visible and retryable
+        await this.commitInBatches([
+            ...liveWords.map(wordDoc => (batch) => batch.update(wordDoc.ref, { deleted: true, deletedAt, deletedWithCategory: true })),
+            (batch) => batch.update(doc(this.db, 'users', userId, 'categories', categoryId), { deleted: true, deletedAt })
+        ]);
+        this.logger.info('Category moved to trash', { categoryId, words: liveWords.length });
+        return liveWords.length;
+    }
+    /**
+     * Bring a category back with the words that were deleted along with it
+     */
+    async restoreCategory(userId, categoryId) {
+        const words = await this.wordsOfCategory(userId, categoryId);
+        const returning = words.filter(wordDoc => wordDoc.data().deletedWithCategory === true);
+        const liveCount = words.filter(wordDoc => !TrashService.isTrashed(wordDoc.data())).length + returning.length;
+        await this.commitInBatches([
+            ...returning.map(wordDoc => (batch) => batch.update(wordDoc.ref, {
+                deleted: deleteField(),
+                deletedAt: deleteField(),
+                deletedWithCategory: deleteField()
+            })),
+            (batch) => batch.update(doc(this.db, 'users', userId, 'categories', categoryId), {
+                deleted: deleteField(),
+                deletedAt: deleteField(),
+                wordCount: liveCount,
+                updatedAt: Timestamp.fromDate(new Date())
+            })
+        ]);
+        this.logger.info('Category restored from trash', { categoryId, words: returning.length });
+        return returning.length;
+    }
+    /**
+     * Everything in the trash, newest first
+     */
+    async list(userId) {
+        const [categorySnap, wordSnap] = await Promise.all([
+            getDocs(query(collection(this.db, 'users', userId, 'categories'), where('deleted', '==', true))),
+            getDocs(query(collection(this.db, 'users', userId, 'words'), where('deleted', '==', true)))
+        ]);
+        const wordsWithCategory = new Map();
+        const words = [];
+        wordSnap.forEach((wordDoc) => {
+            const data = wordDoc.data();
+            if (data.deletedWithCategory) {
+                wordsWithCategory.set(data.categoryId, (wordsWithCategory.get(data.categoryId) || 0) + 1);
+                return;
+            }
+            words.push({
+                id: wordDoc.id,
+                englishWord: data.englishWord,
+                vietnameseTranslation: data.vietnameseTranslation,
+                categoryId: data.categoryId,
+                deletedAt: data.deletedAt?.toDate() || new Date()
+            });
+        });
+        const categories = [];
+        categorySnap.forEach((categoryDoc) => {
+            const data = categoryDoc.data();
+            categories.push({
+                id: categoryDoc.id,
+                name: data.name,
+                icon: data.icon || '📚',
+                wordCount: wordsWithCategory.get(categoryDoc.id) || 0,
+                deletedAt: data.deletedAt?.toDate() || new Date()
+            });
+        });
+        const newestFirst = (a, b) => b.deletedAt.getTime() - a.deletedAt.getTime();
+        return { categories: categories.sort(newestFirst), words: words.sort(newestFirst) };
+    }
+    /**
+     * Permanently delete a trashed word and its version history
+     */
+    async deleteWordForever(userId, wordId) {
+        await this.versionHistory.clear(userId, 'words', wordId);
+        const batch = writeBatch(this.db);
+        batch.delete(doc(this.db, 'users', userId, 'words', wordId));
+        await batch.commit();
+        this.logger.info('Word deleted permanently', { wordId });
+    }
+    /**
+     * Permanently delete a trashed category and every word still pointing at it, with their
+     * histories and public link
+     */
+    async deleteCategoryForever(userId, categoryId) {
+        const categorySnap = await getDoc(doc(this.db, 'users', userId, 'categories', categoryId));
+        const publicShareId = categorySnap.exists() ? categorySnap.data().publicShareId : undefined;
+        if (publicShareId) {
+            await this.publicShareService.unpublish(userId, categoryId, publicShareId);
+        }
+        const words = await this.wordsOfCategory(userId, categoryId);
+        for (const wordDoc of words) {
+            await this.versionHistory.clear(userId, 'words', wordDoc.id);
+        }
+        await this.versionHistory.clear(userId, 'categories', categoryId);
+        // Words of other categories stop being shown in this one
+        const linkedSnap = await getDocs(query(collection(this.db, 'users', userId, 'words'), where('linkedCategoryIds', 'array-contains', categoryId)));
+        await this.commitInBatches([
+            ...words.map(wordDoc => (batch) => batch.delete(wordDoc.ref)),
+            ...linkedSnap.docs.map((wordDoc) => (batch) => batch.update(wordDoc.ref, { linkedCategoryIds: arrayRemove(categoryId) })),
+            (batch) => batch.delete(doc(this.db, 'users', userId, 'categories', categoryId))
+        ]);
+        this.logger.info('Category deleted permanently', { categoryId, words: words.length });
+    }
+    /**
+     * Permanently delete everything in the trash
+     */
+    async empty(userId) {
+        const contents = await this.list(userId);
+        for (const category of contents.categories) {
+            await this.deleteCategoryForever(userId, category.id);
+        }
+        for (const word of contents.words) {
+            await this.deleteWordForever(userId, word.id);
+        }
+        this.logger.info('Trash emptied', { categories: contents.categories.length, words: contents.words.length });
+    }
+    /**
+     * Permanently delete items that have been in the trash longer than RETENTION_DAYS
+     */
+    async purgeExpired(userId, now = new Date()) {
+        const cutoff = now.getTime() - TrashService.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const contents = await this.list(userId);
+        const expiredCategories = contents.categories.filter(category => category.deletedAt.getTime() < cutoff);
+        const expiredWords = contents.words.filter(word => word.deletedAt.getTime() < cutoff);
+        for (const category of expiredCategories) {
+            await this.deleteCategoryForever(userId, category.id);
+        }
+        for (const word of expiredWords) {
+            await this.deleteWordForever(userId, word.id);
+        }
+        const purged = expiredCategories.length + expiredWords.length;
+        if (purged > 0) {
+            this.logger.info('Expired trash purged', { categories: expiredCategories.length, words: expiredWords.length });
+        }
+        return purged;
+    }
+    /**
+     * Days until a trashed item is purged
+     */
+    daysLeft(deletedAt, now = new Date()) {
+        const expiresAt = deletedAt.getTime() + TrashService.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        return Math.max(0, Math.ceil((expiresAt - now.getTime()) / (24 * 60 * 60 * 1000)));
+    }
+    countByCategory(words) {
+        const counts = new Map();
+        words.forEach(word => counts.set(word.categoryId, (counts.get(word.categoryId) || 0) + 1));
+        return counts;
+    }
+    // One batch per chunk of words, leaving room for the category count updates written with them
+    async commitWordChunks(words, write) {
+        const chunkSize = Math.max(1, TrashService.MAX_BATCH_WRITES - this.countByCategory(words).size);
+        for (let start = 0; start < words.length; start += chunkSize) {
+            const batch = writeBatch(this.db);
+            write(batch, words.slice(start, start + chunkSize));
+            await batch.commit();
+        }
+    }
+    async wordsOfCategory(userId, categoryId) {
+        const snapshot = await getDocs(query(collection(this.db, 'users', userId, 'words'), where('categoryId', '==', categoryId)));
+        return snapshot.docs;
+    }
+    // Run write operations in order, at most MAX_BATCH_WRITES per batch
+    async commitInBatches(operations) {
+        for (let start = 0; start < operations.length; start += TrashService.MAX_BATCH_WRITES) {
+            const batch = writeBatch(this.db);
+            operations.slice(start, start + TrashService.MAX_BATCH_WRITES).forEach(operation => operation(batch));
+            await batch.commit();
+        }
+    }
+}
+TrashService.RETENTION_DAYS = 30;
+TrashService.MAX_BATCH_WRITES = 500; // Firestore limit per batch
+export default TrashService;
+//# sourceMappingURL=trash-service.js.map
\ No newline at end of file
@@ -0,0 +1,192 @@
+import Logger from '../common/logger.js';
+/**
+ * WordExporter turns categories of words into CSV, versioned JSON or an
+ * Anki import file, and downloads the result.
+ */
+class WordExporter {
+    constructor() {
+        this.logger = new Logger('WordExporter');
+    }
+    /**
+     * Build the export and save it as a file named after `baseName`
+     */
+    download(format, categories, baseName) {
+        const content = format === 'csv'
+            ? this.toCsv(categories)
+            : format === 'json' ? this.toJson(categories) : this.toAnki(categories);
+        const { extension, mimeType } = WordExporter.FILE_TYPES[format];
+        const filename = `${this.slugify(baseName)}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+        const wordCount = categories.reduce((total, category) => total + category.words.length, 0);
+        this.logger.info('Words exported', { format, filename, categories: categories.length, words: wordCount });
+    }
+    /**
+     * CSV with a BOM so Excel reads UTF-8; headers match what the importer recognises
+     */
+    toCsv(categories) {
+        const headers = [
+            'Category', 'English', 'Vietnamese', 'Part of speech', 'Definition', 'Vietnamese definition',
+            'UK IPA', 'US IPA', 'AU IPA', 'Example', 'Verb forms',
+            'UK audio', 'US audio', 'AU audio', 'Favorite', 'Learned'
+        ];
+        const rows = categories.flatMap(category => category.words.map(word => [
+            category.name,
+            word.englishWord,
+            word.vietnameseTranslation,
+            word.partOfSpeech,
+            word.definition,
+            word.vietnameseDefinition || '',
+            word.britishPronunciation,
+            word.americanPronunciation,
+            word.australianPronunciation || '',
+            word.senses[0]?.examples[0]?.text || '',
+            this.verbForms(word.inflections),
+            word.audioUrls.british || '',
+            word.audioUrls.american || '',
+            word.audioUrls.australian || '',
+            word.isFavorite ? 'yes' : '',
+            word.learned ? 'yes' : ''
+        ]));
+        return '\uFEFF' + [headers, ...rows].map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+    /**
+     * Versioned JSON document with every field needed to rebuild the words elsewhere
+     */
+    toJson(categories) {
+        const exportDocument = {
+            schema: WordExporter.JSON_SCHEMA,
+            version: WordExporter.JSON_VERSION,
+            exportedAt: new Date().toISOString(),
+            categories: categories.map(category => ({
+                name: category.name,
+                description: category.description || '',
+                icon: category.icon,
+                words: category.words.map(word => this.exportedWord(word))
+            }))
+        };
+        return JSON.stringify(exportDocument, null, 2);
+    }
+    /**
+     * Anki "Import File" text: one Basic (and reversed card) note per word, one subdeck per
+     * category. Audio stays on the web, so cards link to it instead of embedding sound files.
+     */
+    toAnki(categories) {
+        const header = [
+            '#separator:tab',
+            '#html:true',
+            '#notetype:Basic (and reversed card)',
+            '#deck column:1',
+            '#tags column:4',
+            '#columns:Deck\tFront\tBack\tTags'
+        ];
+        const notes = categories.flatMap(category => category.words.map(word => [
+            `${WordExporter.ANKI_DECK_ROOT}::${category.name.replace(/::/g, ':')}`,
+            this.ankiFront(word),
+            this.ankiBack(word),
+            this.ankiTags(word)
+        ].map(field => this.ankiField(field)).join('\t')));
+        return [...header, ...notes].join('\n') + '\n';
+    }
+    // Word in the JSON export shape
+    exportedWord(word) {
+        return {
+            englishWord: word.englishWord,
+            vietnameseTranslation: word.vietnameseTranslation,
+            partOfSpeech: word.partOfSpeech,
+            definition: word.definition,
+            vietnameseDefinition: word.vietnameseDefinition || '',
+            pronunciations: {
+                british: word.britishPronunciation,
+                american: word.americanPronunciation,
+                australian: word.australianPronunciation || ''
+            },
+            audioUrls: {
+                british: word.audioUrls.british || '',
+                american: word.audioUrls.american || '',
+                australian: word.audioUrls.australian || ''
+            },
+            senses: word.senses,
+            ...(word.inflections ? { inflections: word.inflections } : {}),
+            isFavorite: word.isFavorite,
+            learned: word.learned,
+            createdAt: word.createdAt.toISOString(),
+            updatedAt: word.updatedAt.toISOString()
+        };
+    }
+    // English word, IPA and links to the pronunciation audio
+    ankiFront(word) {
+        const ipa = word.britishPronunciation || word.americanPronunciation;
+        const audioLinks = [['british', '🇬🇧'], ['american', '🇺🇸'], ['australian', '🇦🇺']]
+            .filter(([accent]) => word.audioUrls[accent])
+            .map(([accent, flag]) => `<a href="${this.escapeHtml(word.audioUrls[accent])}">🔊 ${flag}</a>`)
+            .join(' ');
+        return [
+            `<b>${this.escapeHtml(word.englishWord)}</b>`,
+            ipa ? this.escapeHtml(ipa) : '',
+            audioLinks
+        ].filter(Boolean).join('<br>');
+    }
+    // Translation, then each sense with its examples
+    ankiBack(word) {
+        const senses = word.senses.map(sense => {
+            const examples = sense.examples
+                .map(example => `<li><i>${this.escapeHtml(example.text)}</i>${example.translation ? ` — ${this.escapeHtml(example.translation)}` : ''}</li>`)
+                .join('');
+            return `<div>${sense.pos ? `<small>${this.escapeHtml(sense.pos)}</small> ` : ''}${this.escapeHtml(sense.definition)}` +
+                `${sense.translation ? `<br>${this.escapeHtml(sense.translation)}` : ''}` +
+                `${examples ? `<ul>${examples}</ul>` : ''}</div>`;
+        }).join('');
+        const verbForms = this.verbForms(word.inflections);
+        return `<b>${this.escapeHtml(word.vietnameseTranslation)}</b>` +
+            (verbForms ? `<br><small>${this.escapeHtml(verbForms)}</small>` : '') +
+            senses;
+    }
+    // Anki tags cannot contain spaces
+    ankiTags(word) {
+        const tags = [word.partOfSpeech, word.isFavorite ? 'favorite' : '', word.learned ? 'learned' : '']
+            .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '_'))
+            .filter(Boolean);
+        return Array.from(new Set(tags)).join(' ');
+    }
+    // Quote an Anki field when it contains the separator, quotes or line breaks
+    ankiField(value) {
+        const singleLine = value.replace(/\r?\n/g, '<br>');
+        return /[\t"]/.test(singleLine) ? `"${singleLine.replace(/"/g, '""')}"` : singleLine;
+    }
+    csvCell(value) {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+    verbForms(inflections) {
+        if (!inflections)
+            return '';
+        return [inflections.past, inflections.pastParticiple, inflections.presentParticiple, inflections.thirdPerson]
+            .filter(Boolean)
+            .join(' · ');
+    }
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    slugify(name) {
+        return name.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'words';
+    }
+}
+WordExporter.JSON_SCHEMA = 'english-dictionary/words';
+WordExporter.JSON_VERSION = 1;
+WordExporter.ANKI_DECK_ROOT = 'English Dictionary';
+WordExporter.FILE_TYPES = {
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    anki: { extension: 'txt', mimeType: 'text/plain;charset=utf-8' }
+};
+export default WordExporter;
+//# sourceMappingURL=word-export.js.map
\ No newline at end of file
@@ -0,0 +1,327 @@
+import Logger from '../common/logger.js';
+import VersionHistory from '../history/version-history.js';
+import { collection, doc, writeBatch, increment, Timestamp } from 'firebase/firestore';
+/**
+ * WordImporter parses CSV/TSV word lists, previews them against the category,
+ * optionally fills gaps from the dictionary, and writes them in batches.
+ */
+class WordImporter {
+    constructor(db, dictionaryService) {
+        this.logger = new Logger('WordImporter');
+        this.db = db;
+        this.dictionaryService = dictionaryService;
+        this.versionHistory = new VersionHistory(db);
+    }
+    /**
+     * Parse CSV/TSV text (quoted fields, CRLF and Excel's BOM supported); the delimiter is detected if omitted
+     */
+    parse(text, delimiter) {
+        const source = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                }
+                else if (char === '"') {
+                    inQuotes = false;
+                }
+                else {
+                    field += char;
+                }
+            }
+            else if (char === '"' && field === '') {
+                inQuotes = true;
+            }
+            else if (char === separator) {
+                row.push(field);
+                field = '';
+            }
+            else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            }
+            else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+        this.logger.info('Parsed import file', { delimiter: separator, rows: nonEmpty.length });
+        return { delimiter: separator, rows: nonEmpty };
+    }
+    /**
+     * Guess which field each column holds from the header row.
+     * Returns null when no header name is recognised (the file probably has no header).
+     */
+    guessMapping(headers) {
+        const used = new Set();
+        const mapping = headers.map(header => {
+            const name = header.trim().toLowerCase();
+            const field = Object.keys(WordImporter.HEADER_ALIASES)
+                .find(candidate => !used.has(candidate) && WordImporter.HEADER_ALIASES[candidate].includes(name));
+            if (field) {
+                used.add(field);
+            }
+            return field || '';
+        });
+        return used.has('englishWord') ? mapping : null;
+    }
+    /**
+     * Mapping used for files without a header: word, translation, then the remaining fields in order
+     */
+    defaultMapping(columnCount) {
+        const order = ['englishWord', 'vietnameseTranslation', 'partOfSpeech', 'definition', 'vietnameseDefinition', 'example'];
+        return Array.from({ length: columnCount }, (_, index) => order[index] || '');
+    }
+    /**
+     * Classify every data row against the words already in the category
+     */
+    plan(table, mapping, hasHeader, existingWords) {
+        const existingByWord = new Map(existingWords.map(word => [word.englishWord.toLowerCase(), word]));
+        const seenInFile = new Map();
+        const dataRows = table.rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + WordImporter.MAX_ROWS);
+        return dataRows.map((cells, index) => {
+            const line = index + (hasHeader ? 2 : 1);
+            const values = {};
+            mapping.forEach((field, column) => {
+                const value = (cells[column] || '').trim();
+                if (field && value) {
+                    values[field] = value;
+                }
+            });
+            const englishWord = values.englishWord || '';
+            const key = englishWord.toLowerCase();
+            const existing = existingByWord.get(key);
+            if (!englishWord) {
+                return { line, values, status: 'invalid', message: 'No English word' };
+            }
+            if (englishWord.length > 100) {
+                return { line, values, status: 'invalid', message: 'English word is longer than 100 characters' };
+            }
+            if ((values.vietnameseTranslation || '').length > 200) {
+                return { line, values, status: 'invalid', message: 'Translation is longer than 200 characters' };
+            }
+            if (seenInFile.has(key)) {
+                return { line, values, status: 'duplicate', message: `Same word as line ${seenInFile.get(key)}` };
+            }
+            seenInFile.set(key, line);
+            if (existing) {
+                const translation = values.vietnameseTranslation || '';
+                if (!translation || translation.toLowerCase() === existing.vietnameseTranslation.toLowerCase()) {
+                    return { line, values, status: 'duplicate', existing, message: 'Already in this category' };
+                }
+                return { line, values, status: 'conflict', existing, message: `Saved as "${existing.vietnameseTranslation}"` };
+            }
+            return { line, values, status: 'new' };
+        });
+    }
+    /**
+     * Look up new rows that are missing a translation or definition, one at a time with a pause
+     * between requests; only empty fields are filled. Returns how many rows were filled.
+     */
+    async autoFill(rows, onProgress, shouldStop) {
+        const targets = rows.filter(row => row.status === 'new' && (!row.values.vietnameseTranslation || !row.values.definition));
+        let filled = 0;
+        for (let i = 0; i < targets.length; i++) {
+            if (shouldStop?.()) {
+                this.logger.info('Auto-fill stopped', { done: i, total: targets.length });
+                break;
+            }
+            const row = targets[i];
+            onProgress?.(i, targets.length);
+            try {
+                const result = await this.dictionaryService.lookupAndTranslate(row.values.englishWord);
+                const first = result.dictionaryData.definition?.[0];
+                row.lookup = result;
+                row.values = {
+                    ...row.values,
+                    vietnameseTranslation: row.values.vietnameseTranslation || result.vietnameseTranslation || undefined,
+                    partOfSpeech: row.values.partOfSpeech || first?.pos || result.dictionaryData.pos?.[0] || undefined,
+                    definition: row.values.definition || first?.text || undefined,
+                    vietnameseDefinition: row.values.vietnameseDefinition || result.vietnameseDefinition || undefined
+                };
+                filled++;
+            }
+            catch (error) {
+                this.logger.warn('Auto-fill lookup failed', { word: row.values.englishWord, error: error.message });
+                row.message = 'Not found in dictionary';
+            }
+            if (i < targets.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, WordImporter.LOOKUP_DELAY));
+            }
+        }
+        onProgress?.(targets.length, targets.length);
+        return filled;
+    }
+    /**
+     * Write new rows (and conflicts, when overwriting) in batches. Each batch also bumps the
+     * category's wordCount by the words it creates, so the count stays right if a later batch fails.
+     * Overwritten words keep their previous content in their version history.
+     */
+    async write(userId, categoryId, rows, overwriteConflicts, onProgress) {
+        const summary = { created: 0, updated: 0, skipped: 0 };
+        const writable = rows.filter(row => {
+            const include = (row.status === 'new' || (row.status === 'conflict' && overwriteConflicts)) && !!row.values.vietnameseTranslation;
+            if (!include) {
+                summary.skipped++;
+            }
+            return include;
+        });
+        const newRows = writable.filter(row => !(row.status === 'conflict' && row.existing));
+        const overwrites = writable.filter(row => row.status === 'conflict' && row.existing);
+        const wordsRef = collection(this.db, 'users', userId, 'words');
+        const categoryRef = doc(this.db, 'users', userId, 'categories', categoryId);
+        const chunkSize = WordImporter.MAX_BATCH_WRITES - 1; // leave room for the category update
+        for (let start = 0; start < newRows.length; start += chunkSize) {
+            const chunk = newRows.slice(start, start + chunkSize);
+            const batch = writeBatch(this.db);
+            const now = Timestamp.fromDate(new Date());
+            chunk.forEach(row => {
+                batch.set(doc(wordsRef), { ...this.newWordData(row, categoryId, userId), createdAt: now, updatedAt: now });
+            });
+            batch.update(categoryRef, {
+                wordCount: increment(chunk.length),
+                updatedAt: now
+            });
+            await batch.commit();
+            summary.created += chunk.length;
+            onProgress?.(start + chunk.length, writable.length);
+            this.logger.info('Import batch committed', { size: chunk.length });
+        }
+        if (overwrites.length > 0) {
+            const now = Timestamp.fromDate(new Date());
+            summary.updated = await this.versionHistory.updateMany(userId, 'words', overwrites.map(row => ({
+                id: row.existing.id,
+                changes: { ...this.conflictUpdates(row, row.existing), updatedAt: now }
+            })));
+            summary.skipped += overwrites.length - summary.updated; // deleted since the preview
+            onProgress?.(writable.length, writable.length);
+        }
+        this.logger.info('Import finished', summary);
+        return summary;
+    }
+    // Firestore data for a new word; dictionary data from auto-fill is used where the file had nothing
+    newWordData(row, categoryId, userId) {
+        const values = row.values;
+        const base = row.lookup
+            ? this.dictionaryService.buildWordData(row.lookup.dictionaryData, categoryId, userId, values.vietnameseTranslation, values.vietnameseDefinition)
+            : {};
+        const senses = this.importedSenses(row, base.senses || []);
+        const primary = senses[0];
+        return {
+            ...this.dictionaryService.inflectionFields(),
+            audioUrls: { british: '', american: '', australian: '' },
+            britishPronunciation: '',
+            americanPronunciation: '',
+            australianPronunciation: '',
+            ...base,
+            categoryId,
+            englishWord: values.englishWord,
+            vietnameseTranslation: values.vietnameseTranslation,
+            ...(values.britishPronunciation ? { britishPronunciation: values.britishPronunciation } : {}),
+            ...(values.americanPronunciation ? { americanPronunciation: values.americanPronunciation } : {}),
+            partOfSpeech: primary?.pos || values.partOfSpeech || '',
+            definition: primary?.definition || '',
+            vietnameseDefinition: primary?.translation || values.vietnameseDefinition || '',
+            senses,
+            isFavorite: false,
+            learned: false,
+            userId
+        };
+    }
+    // The file's own definition/example become the first sense, ahead of any dictionary senses
+    importedSenses(row, dictionarySenses) {
+        const { partOfSpeech, definition, vietnameseDefinition, example } = row.values;
+        const examples = example ? [{ text: example, translation: '', userAdded: true }] : [];
+        const matching = dictionarySenses.findIndex(sense => sense.definition === definition);
+        if (matching >= 0) {
+            const sense = dictionarySenses[matching];
+            const merged = {
+                ...sense,
+                pos: partOfSpeech || sense.pos,
+                translation: vietnameseDefinition || sense.translation,
+                examples: [...examples, ...sense.examples]
+            };
+            return [merged, ...dictionarySenses.filter((_, index) => index !== matching)];
+        }
+        if (definition) {
+            return [{ pos: partOfSpeech || '', definition, translation: vietnameseDefinition || '', examples }, ...dictionarySenses];
+        }
+        if (examples.length && dictionarySenses.length) {
+            return [{ ...dictionarySenses[0], examples: [...examples, ...dictionarySenses[0].examples] }, ...dictionarySenses.slice(1)];
+        }
+        return dictionarySenses;
+    }
+    // Fields a conflicting row overwrites on the saved word (the first sense is kept in sync)
+    conflictUpdates(row, existing) {
+        const { vietnameseTranslation, partOfSpeech, definition, vietnameseDefinition, britishPronunciation, americanPronunciation } = row.values;
+        const updates = { vietnameseTranslation };
+        if (britishPronunciation)
+            updates.britishPronunciation = britishPronunciation;
+        if (americanPronunciation)
+            updates.americanPronunciation = americanPronunciation;
+        if (definition || partOfSpeech || vietnameseDefinition) {
+            const first = existing.senses[0];
+            const primarySense = {
+                pos: partOfSpeech || first?.pos || existing.partOfSpeech,
+                definition: definition || first?.definition || existing.definition,
+                translation: vietnameseDefinition || (definition ? '' : first?.translation || ''),
+                examples: first?.examples || []
+            };
+            updates.partOfSpeech = primarySense.pos;
+            updates.definition = primarySense.definition;
+            updates.vietnameseDefinition = primarySense.translation;
+            updates.senses = [primarySense, ...existing.senses.slice(1)];
+        }
+        return updates;
+    }
+    // Pick the separator that splits the first line into the most columns
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const candidates = ['\t', ';', ','];
+        const counts = candidates.map(candidate => firstLine.split(candidate).length - 1);
+        const best = counts.indexOf(Math.max(...counts));
+        return counts[best] > 0 ? candidates[best] : ',';
+    }
+}
+WordImporter.MAX_BATCH_WRITES = 500; // Firestore limit per batch
+WordImporter.MAX_ROWS = 2000;
+WordImporter.LOOKUP_DELAY = 1200; // ms between dictionary lookups during auto-fill
+WordImporter.FIELD_LABELS = {
+    englishWord: 'English word',
+    vietnameseTranslation: 'Vietnamese translation',
+    partOfSpeech: 'Part of speech',
+    definition: 'Definition (English)',
+    vietnameseDefinition: 'Definition (Vietnamese)',
+    britishPronunciation: 'British pronunciation',
+    americanPronunciation: 'American pronunciation',
+    example: 'Example sentence'
+};
+// Header names recognised when guessing the mapping (lower-cased)
+WordImporter.HEADER_ALIASES = {
+    englishWord: ['english', 'english word', 'word', 'term', 'en', 'từ', 'tiếng anh'],
+    vietnameseTranslation: ['vietnamese', 'vietnamese translation', 'translation', 'meaning', 'vi', 'nghĩa', 'tiếng việt'],
+    partOfSpeech: ['part of speech', 'pos', 'type', 'word type', 'loại từ'],
+    definition: ['definition', 'english definition', 'definition (english)'],
+    vietnameseDefinition: ['vietnamese definition', 'definition (vietnamese)', 'định nghĩa'],
+    britishPronunciation: ['pronunciation', 'ipa', 'uk', 'british', 'uk ipa', 'phát âm'],
+    americanPronunciation: ['us', 'american', 'us ipa'],
+    example: ['example', 'example sentence', 'sentence', 'ví dụ']
+};
+export default WordImporter;
+//# sourceMappingURL=word-import.js.map
\ No newline at end of file
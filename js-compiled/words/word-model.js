@@ -0,0 +1,82 @@
+import SpacedRepetitionScheduler from '../practice/spaced-repetition.js';
+const scheduler = new SpacedRepetitionScheduler();
+/**
+ * Map a Firestore word document to the Word interface
+ */
+function wordFromFirestore(id, data) {
+    return {
+        id,
+        categoryId: data.categoryId,
+        linkedCategoryIds: Array.isArray(data.linkedCategoryIds) ? data.linkedCategoryIds : [],
+        englishWord: data.englishWord,
+        vietnameseTranslation: data.vietnameseTranslation,
+        britishPronunciation: data.britishPronunciation || '',
+        americanPronunciation: data.americanPronunciation || '',
+        australianPronunciation: data.australianPronunciation || '',
+        partOfSpeech: data.partOfSpeech || '',
+        definition: data.definition || '',
+        vietnameseDefinition: data.vietnameseDefinition || '',
+        senses: sensesFromFirestore(data),
+        inflections: data.inflections || undefined,
+        inflectionForms: Array.isArray(data.inflectionForms) ? data.inflectionForms : inflectionFormsOf(data.inflections),
+        audioUrls: data.audioUrls || {
+            british: data.audioUrl || '', // Legacy support
+            american: '',
+            australian: ''
+        },
+        isFavorite: data.isFavorite === true,
+        learned: data.learned === true,
+        review: scheduler.fromFirestore(data.review),
+        createdAt: data.createdAt?.toDate() || new Date(),
+        updatedAt: data.updatedAt?.toDate() || new Date(),
+        userId: data.userId
+    };
+}
+/**
+ * Read saved senses; words saved before senses existed get one from the flat fields
+ */
+function sensesFromFirestore(data) {
+    if (Array.isArray(data.senses)) {
+        return data.senses.map((sense) => ({
+            pos: sense.pos || '',
+            definition: sense.definition || '',
+            translation: sense.translation || '',
+            examples: Array.isArray(sense.examples)
+                ? sense.examples.map((example) => ({
+                    text: example.text || '',
+                    translation: example.translation || '',
+                    userAdded: example.userAdded === true
+                }))
+                : []
+        }));
+    }
+    if (data.definition) {
+        return [{
+                pos: data.partOfSpeech || '',
+                definition: data.definition,
+                translation: data.vietnameseDefinition || '',
+                examples: []
+            }];
+    }
+    return [];
+}
+/**
+ * Lower-cased searchable list of every inflected form ("dreamed or dreamt" gives both)
+ */
+function inflectionFormsOf(inflections) {
+    if (!inflections)
+        return [];
+    const forms = Object.values(inflections)
+        .flatMap(value => String(value || '').split(/,|\/|\bor\b/))
+        .map(form => form.trim().toLowerCase())
+        .filter(Boolean);
+    return Array.from(new Set(forms));
+}
+/**
+ * Key two words share when they are the same English word (ignores case and spacing)
+ */
+function normalizeEnglishWord(englishWord) {
+    return String(englishWord || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+export { wordFromFirestore, inflectionFormsOf, normalizeEnglishWord };
+//# sourceMappingURL=word-model.js.map
\ No newline at end of file
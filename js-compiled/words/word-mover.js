@@ -0,0 +1,114 @@
+import Logger from '../common/logger.js';
+import { collection, doc, updateDoc, writeBatch, increment, arrayUnion, arrayRemove, Timestamp } from 'firebase/firestore';
+/**
+ * WordMover moves or copies words to another category and links words into
+ * extra categories. A word's home is still its `categoryId` (which holds its
+ * wordCount); `linkedCategoryIds` lists the other categories it is shown in.
+ */
+class WordMover {
+    constructor(db) {
+        this.logger = new Logger('WordMover');
+        this.db = db;
+    }
+    /**
+     * Move words to `targetCategoryId`; both word counts change in the same batch as the words
+     */
+    async move(userId, words, targetCategoryId) {
+        const moving = words.filter(word => word.categoryId !== targetCategoryId);
+        const now = Timestamp.fromDate(new Date());
+        await this.commitChunks(moving, (batch, chunk) => {
+            chunk.forEach(word => batch.update(doc(this.db, 'users', userId, 'words', word.id), {
+                categoryId: targetCategoryId,
+                linkedCategoryIds: arrayRemove(targetCategoryId), // the target is now the word's home
+                updatedAt: now
+            }));
+            this.countBySource(chunk).forEach((count, sourceId) => {
+                batch.update(doc(this.db, 'users', userId, 'categories', sourceId), { wordCount: increment(-count), updatedAt: now });
+            });
+            batch.update(doc(this.db, 'users', userId, 'categories', targetCategoryId), { wordCount: increment(chunk.length), updatedAt: now });
+        });
+        this.logger.info('Words moved', { targetCategoryId, count: moving.length });
+        return moving.length;
+    }
+    /**
+     * Copy words into a category of `userId` (also works for words of a shared category)
+     */
+    async copy(userId, words, targetCategoryId) {
+        const wordsRef = collection(this.db, 'users', userId, 'words');
+        const now = Timestamp.fromDate(new Date());
+        await this.commitChunks(words, (batch, chunk) => {
+            chunk.forEach(word => batch.set(doc(wordsRef), {
+                ...this.copyData(word),
+                categoryId: targetCategoryId,
+                userId,
+                isFavorite: false,
+                learned: false,
+                createdAt: now,
+                updatedAt: now
+            }));
+            batch.update(doc(this.db, 'users', userId, 'categories', targetCategoryId), { wordCount: increment(chunk.length), updatedAt: now });
+        });
+        this.logger.info('Words copied', { targetCategoryId, count: words.length });
+        return words.length;
+    }
+    /**
+     * Also show words in `targetCategoryId` without duplicating them
+     */
+    async link(userId, words, targetCategoryId) {
+        const linking = words.filter(word => word.categoryId !== targetCategoryId && !word.linkedCategoryIds.includes(targetCategoryId));
+        const now = Timestamp.fromDate(new Date());
+        await this.commitChunks(linking, (batch, chunk) => {
+            chunk.forEach(word => batch.update(doc(this.db, 'users', userId, 'words', word.id), {
+                linkedCategoryIds: arrayUnion(targetCategoryId),
+                updatedAt: now
+            }));
+        });
+        this.logger.info('Words linked', { targetCategoryId, count: linking.length });
+        return linking.length;
+    }
+    /**
+     * Stop showing a word in a linked category
+     */
+    async unlink(userId, wordId, categoryId) {
+        await updateDoc(doc(this.db, 'users', userId, 'words', wordId), {
+            linkedCategoryIds: arrayRemove(categoryId),
+            updatedAt: Timestamp.fromDate(new Date())
+        });
+        this.logger.info('Word unlinked', { wordId, categoryId });
+    }
+    // Home categories of the words with how many of them leave each one
+    countBySource(words) {
+        const counts = new Map();
+        words.forEach(word => counts.set(word.categoryId, (counts.get(word.categoryId) || 0) + 1));
+        return counts;
+    }
+    copyData(word) {
+        const data = {};
+        WordMover.COPY_FIELDS.forEach(field => {
+            const value = word[field];
+            if (value !== undefined) {
+                data[field] = value;
+            }
+        });
+        return data;
+    }
+    // One batch per chunk of words, leaving room for the category count updates written with them
+    async commitChunks(words, write) {
+        const categoryIds = new Set(words.map(word => word.categoryId));
+        const chunkSize = Math.max(1, WordMover.MAX_BATCH_WRITES - categoryIds.size - 1);
+        for (let start = 0; start < words.length; start += chunkSize) {
+            const batch = writeBatch(this.db);
+            write(batch, words.slice(start, start + chunkSize));
+            await batch.commit();
+        }
+    }
+}
+WordMover.MAX_BATCH_WRITES = 500; // Firestore limit per batch
+// Content copied to a new word; favorite, learned and review progress start over
+WordMover.COPY_FIELDS = [
+    'englishWord', 'vietnameseTranslation', 'partOfSpeech', 'definition', 'vietnameseDefinition',
+    'britishPronunciation', 'americanPronunciation', 'australianPronunciation',
+    'audioUrls', 'senses', 'inflections', 'inflectionForms'
+];
+export default WordMover;
+//# sourceMappingURL=word-mover.js.map
\ No newline at end of file
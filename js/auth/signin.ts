@@ -275,8 +275,20 @@ class SignIn {
      * Redirect to main page
      */
     private redirectToMain(): void {
-        this.logger.info('Redirecting to main page');
-        window.location.href = '/';
+        // Pages that send visitors here to sign in pass ?redirect=/path to come back to
+        // Resolve it the way the browser will ("/\evil.com" means //evil.com) and stay on this origin
+        const redirect = new URLSearchParams(window.location.search).get('redirect') || '/';
+        let target = '/';
+        try {
+            const url = new URL(redirect, window.location.origin);
+            if (url.origin === window.location.origin) {
+                target = url.pathname + url.search + url.hash;
+            }
+        } catch {
+            // Not a URL; go to the main page
+        }
+        this.logger.info('Redirecting after sign in', { target });
+        window.location.href = target;
     }
 }
 
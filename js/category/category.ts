@@ -1,11 +1,19 @@
 import Logger from '../common/logger.js';
 import AuthManager from '../auth/auth-manager.js';
+import WordExporter, { ExportFormat } from '../words/word-export.js';
+import { Word, wordFromFirestore } from '../words/word-model.js';
+import AccountBackup, { BackupArchive, RestoreMode, RestorePlan } from '../backup/account-backup.js';
+import TrashService, { TrashContents } from '../trash/trash-service.js';
+import VersionHistory from '../history/version-history.js';
+import SharingService, { Collaborator, CollaboratorRole, SharedCategory } from '../sharing/sharing-service.js';
+import PublicShareService from '../sharing/public-share-service.js';
+import TemplateService, { CategoryTemplate } from '../templates/template-service.js';
+import CategoryOrganizer, { SplitPart } from './category-organizer.js';
 import { 
     getFirestore, 
     collection, 
     doc, 
     addDoc, 
-    updateDoc, 
     deleteDoc, 
     getDocs, 
     query, 
@@ -28,6 +36,9 @@ interface Category {
     createdAt: Date;
     updatedAt: Date;
     userId: string;
+    collaborators: Collaborator[];
+    publicShareId?: string;
+    sortOrder?: number; // position chosen by drag and drop
 }
 
 /**
@@ -41,11 +52,39 @@ class CategoryManager {
     private unsubscribeCategories: any = null;
     private categories: Category[] = [];
     private isOnline: boolean = true;
+    private wordExporter: WordExporter;
+    private accountBackup: AccountBackup;
+    private restoreArchive: BackupArchive | null = null;
+    private restorePlan: RestorePlan | null = null;
+    private trashService: TrashService;
+    private trashContents: TrashContents = { categories: [], words: [] };
+    private versionHistory: VersionHistory;
+    private sharingService: SharingService;
+    private publicShareService: PublicShareService;
+    private sharedCategories: SharedCategory[] = [];
+    private unsubscribeShared: (() => void) | null = null;
+    private shareCategoryId: string | null = null;
+    private templateService: TemplateService;
+    private builtInTemplates: CategoryTemplate[] = [];
+    private userTemplates: CategoryTemplate[] = [];
+    private categoryOrganizer: CategoryOrganizer;
+    private selectedCategoryIds: Set<string> = new Set();
+    private draggedCategoryId: string | null = null;
+    private splitCategoryId: string | null = null;
+    private splitWords: Word[] = [];
 
     constructor() {
         this.logger = new Logger('CategoryManager');
         this.authManager = new AuthManager();
         this.db = getFirestore();
+        this.wordExporter = new WordExporter();
+        this.accountBackup = new AccountBackup(this.db);
+        this.trashService = new TrashService(this.db);
+        this.versionHistory = new VersionHistory(this.db);
+        this.sharingService = new SharingService(this.db);
+        this.publicShareService = new PublicShareService(this.db);
+        this.templateService = new TemplateService(this.db);
+        this.categoryOrganizer = new CategoryOrganizer(this.db, this.trashService);
         this.setupNetworkListener();
         this.logger.info('CategoryManager initialized');
     }
@@ -71,6 +110,17 @@ class CategoryManager {
             
             // Setup real-time categories listener
             this.setupCategoriesListener();
+            this.setupSharedCategoriesListener();
+
+            // Let other users find this account by email when sharing
+            this.sharingService.registerProfile(this.currentUser).catch((error: any) => {
+                this.logger.warn('Failed to register sharing profile', { error: error.message });
+            });
+
+            // Items older than the retention period leave the trash for good
+            this.trashService.purgeExpired(this.currentUser.uid).catch((error: any) => {
+                this.logger.warn('Failed to purge expired trash', { error: error.message });
+            });
             
             this.logger.info('Category manager initialization complete');
         } catch (error: any) {
@@ -131,194 +181,1413 @@ class CategoryManager {
     }
 
     /**
-     * Setup event listeners
+     * Setup event listeners
+     */
+    private setupEventListeners(): void {
+        // Add category button
+        const addBtn = document.getElementById('add-category-btn');
+        const addForm = document.getElementById('add-category-form');
+        const createBtn = document.getElementById('create-category-btn');
+        const cancelBtn = document.getElementById('cancel-category-btn');
+        const nameInput = document.getElementById('category-name-input') as HTMLInputElement;
+
+        if (addBtn && addForm) {
+            addBtn.addEventListener('click', () => {
+                addForm.style.display = addForm.style.display === 'none' ? 'block' : 'none';
+                if (addForm.style.display === 'block') {
+                    nameInput?.focus();
+                }
+            });
+        }
+
+        if (createBtn && nameInput) {
+            createBtn.addEventListener('click', () => this.createCategory());
+            nameInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.createCategory();
+                }
+            });
+        }
+
+        if (cancelBtn && addForm) {
+            cancelBtn.addEventListener('click', () => {
+                addForm.style.display = 'none';
+                this.clearForm();
+            });
+        }
+
+        // Export every category
+        const exportAllBtn = document.getElementById('export-all-btn');
+        if (exportAllBtn) {
+            exportAllBtn.addEventListener('click', () => {
+                const format = (document.getElementById('export-format') as HTMLSelectElement)?.value as ExportFormat;
+                this.exportAllCategories(format || 'csv');
+            });
+        }
+
+        // Backup and restore
+        document.getElementById('backup-account-btn')?.addEventListener('click', () => this.backupAccount());
+        document.getElementById('delete-backup-btn')?.addEventListener('click', () => this.backupAccount());
+
+        const restoreBtn = document.getElementById('restore-backup-btn');
+        const restoreInput = document.getElementById('restore-file-input') as HTMLInputElement;
+        if (restoreBtn && restoreInput) {
+            restoreBtn.addEventListener('click', () => restoreInput.click());
+            restoreInput.addEventListener('change', () => {
+                const file = restoreInput.files?.[0];
+                restoreInput.value = '';
+                if (file) {
+                    this.openRestore(file);
+                }
+            });
+        }
+        document.querySelectorAll('input[name="restore-mode"]').forEach(input => {
+            input.addEventListener('change', () => this.planRestore());
+        });
+        document.getElementById('restore-overwrite')?.addEventListener('change', () => this.planRestore());
+        document.getElementById('confirm-restore-btn')?.addEventListener('click', () => this.confirmRestore());
+        document.getElementById('cancel-restore-btn')?.addEventListener('click', () => {
+            document.getElementById('restore-modal')!.style.display = 'none';
+            this.restoreArchive = null;
+            this.restorePlan = null;
+        });
+
+        // Share modal
+        document.getElementById('share-add-btn')?.addEventListener('click', () => this.addCollaborator());
+        document.getElementById('share-email-input')?.addEventListener('keydown', (e) => {
+            if ((e as KeyboardEvent).key === 'Enter') {
+                this.addCollaborator();
+            }
+        });
+        document.getElementById('close-share-btn')?.addEventListener('click', () => this.closeShareDialog());
+
+        // Category selection and bulk actions
+        document.getElementById('select-all-categories-btn')?.addEventListener('click', () => this.selectAllCategories());
+        document.getElementById('clear-category-selection-btn')?.addEventListener('click', () => this.clearCategorySelection());
+        document.getElementById('export-selected-btn')?.addEventListener('click', () => this.exportSelectedCategories());
+        document.getElementById('delete-selected-btn')?.addEventListener('click', () => this.bulkDeleteCategories());
+        document.getElementById('merge-selected-btn')?.addEventListener('click', () => this.openMergeDialog());
+        document.getElementById('confirm-merge-btn')?.addEventListener('click', () => this.confirmMerge());
+        document.getElementById('confirm-split-btn')?.addEventListener('click', () => this.confirmSplit());
+        document.getElementById('cancel-split-btn')?.addEventListener('click', () => this.closeSplitDialog());
+        document.querySelectorAll('input[name="split-mode"]').forEach(input => {
+            input.addEventListener('change', () => this.renderSplitOptions());
+        });
+        document.getElementById('cancel-merge-btn')?.addEventListener('click', () => {
+            document.getElementById('merge-modal')!.style.display = 'none';
+        });
+
+        // Templates gallery
+        document.getElementById('templates-btn')?.addEventListener('click', () => this.openTemplates());
+        document.getElementById('close-templates-btn')?.addEventListener('click', () => {
+            document.getElementById('templates-modal')!.style.display = 'none';
+        });
+
+        // Version history modal
+        document.getElementById('close-history-btn')?.addEventListener('click', () => {
+            document.getElementById('history-modal')!.style.display = 'none';
+        });
+
+        // Trash
+        document.getElementById('trash-toggle-btn')?.addEventListener('click', () => this.toggleTrash());
+        document.getElementById('empty-trash-btn')?.addEventListener('click', () => this.emptyTrash());
+
+        // Delete modal
+        const deleteModal = document.getElementById('delete-modal');
+        const confirmDeleteBtn = document.getElementById('confirm-delete-btn');
+        const cancelDeleteBtn = document.getElementById('cancel-delete-btn');
+
+        if (cancelDeleteBtn && deleteModal) {
+            cancelDeleteBtn.addEventListener('click', () => {
+                deleteModal.style.display = 'none';
+            });
+        }
+
+        if (confirmDeleteBtn) {
+            confirmDeleteBtn.addEventListener('click', () => this.confirmDelete());
+        }
+    }
+
+    /**
+     * Setup real-time categories listener
+     */
+    private setupCategoriesListener(): void {
+        this.logger.info('Setting up real-time categories listener');
+        this.showLoading(true);
+
+        try {
+            const categoriesRef = collection(this.db, 'users', this.currentUser.uid, 'categories');
+            const q = query(categoriesRef, orderBy('updatedAt', 'desc'));
+
+            // Setup real-time listener
+            this.unsubscribeCategories = onSnapshot(q, 
+                (querySnapshot) => {
+                    this.logger.info('Categories updated from Firestore');
+                    const categories: Category[] = [];
+                    
+                    querySnapshot.forEach((doc) => {
+                        const data = doc.data();
+                        if (TrashService.isTrashed(data)) return;
+                        categories.push({
+                            id: doc.id,
+                            name: data.name,
+                            description: data.description || '',
+                            icon: data.icon || '📚',
+                            wordCount: data.wordCount || 0,
+                            createdAt: data.createdAt?.toDate() || new Date(),
+                            updatedAt: data.updatedAt?.toDate() || new Date(),
+                            userId: data.userId,
+                            collaborators: SharingService.collaboratorsOf(data),
+                            publicShareId: data.publicShareId,
+                            sortOrder: typeof data.sortOrder === 'number' ? data.sortOrder : undefined
+                        });
+                    });
+
+                    this.categories = CategoryOrganizer.sort(categories);
+                    this.selectedCategoryIds.forEach(categoryId => {
+                        if (!categories.some(category => category.id === categoryId)) this.selectedCategoryIds.delete(categoryId);
+                    });
+                    this.renderCategories(this.categories);
+                    if (this.shareCategoryId) {
+                        this.renderCollaborators();
+                        this.renderPublicLink();
+                    }
+                    this.showLoading(false);
+                    this.logger.info('Categories rendered successfully', { count: categories.length });
+                },
+                (error: any) => {
+                    this.logger.error('Real-time categories listener error', { error: error.message });
+                    this.showError('Failed to sync categories with server');
+                    this.showLoading(false);
+                }
+            );
+        } catch (error: any) {
+            this.logger.error('Failed to setup categories listener', { error: error.message });
+            this.showError('Failed to load categories');
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Listen to categories other users shared with the current user
+     */
+    private setupSharedCategoriesListener(): void {
+        this.unsubscribeShared = this.sharingService.listenSharedWithMe(this.currentUser.uid,
+            (categories) => {
+                this.sharedCategories = categories;
+                this.renderSharedCategories();
+                this.logger.info('Shared categories updated', { count: categories.length });
+            },
+            (error: any) => {
+                this.logger.error('Shared categories listener error', { error: error.message });
+            }
+        );
+    }
+
+    /**
+     * Load categories from Firestore (fallback method)
+     */
+    private async loadCategories(): Promise<void> {
+        this.logger.info('Loading categories (fallback)');
+        this.showLoading(true);
+
+        try {
+            const categoriesRef = collection(this.db, 'users', this.currentUser.uid, 'categories');
+            const q = query(categoriesRef, orderBy('updatedAt', 'desc'));
+            const querySnapshot = await getDocs(q);
+
+            const categories: Category[] = [];
+            querySnapshot.forEach((doc) => {
+                const data = doc.data();
+                if (TrashService.isTrashed(data)) return;
+                categories.push({
+                    id: doc.id,
+                    name: data.name,
+                    description: data.description || '',
+                    icon: data.icon || '📚',
+                    wordCount: data.wordCount || 0,
+                    createdAt: data.createdAt?.toDate() || new Date(),
+                    updatedAt: data.updatedAt?.toDate() || new Date(),
+                    userId: data.userId,
+                    collaborators: SharingService.collaboratorsOf(data),
+                    publicShareId: data.publicShareId,
+                    sortOrder: typeof data.sortOrder === 'number' ? data.sortOrder : undefined
+                });
+            });
+
+            this.categories = CategoryOrganizer.sort(categories);
+            this.renderCategories(this.categories);
+            this.logger.info('Categories loaded successfully', { count: categories.length });
+        } catch (error: any) {
+            this.logger.error('Failed to load categories', { error: error.message });
+            this.showError('Failed to load categories');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Render categories in the grid
+     */
+    private renderCategories(categories: Category[]): void {
+        const grid = document.getElementById('categories-grid');
+        const emptyState = document.getElementById('empty-state');
+
+        if (!grid || !emptyState) return;
+
+        this.renderSharedCategories();
+
+        if (categories.length === 0) {
+            grid.innerHTML = '';
+            emptyState.style.display = 'block';
+            this.renderCategorySelectionToolbar();
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        grid.innerHTML = categories.map(category => `
+            <div class="category-card ${this.selectedCategoryIds.has(category.id) ? 'selected' : ''}" data-category-id="${category.id}" draggable="true" title="Drag to reorder">
+                <div class="category-card-header">
+                    <input type="checkbox" class="category-select" ${this.selectedCategoryIds.has(category.id) ? 'checked' : ''} onchange="categoryManager.toggleCategorySelection('${category.id}')" title="Select" aria-label="Select ${this.escapeHtml(category.name)}">
+                    <div class="category-icon">${this.escapeHtml(category.icon)}</div>
+                    <div class="category-actions">
+                        <button class="action-btn edit-btn" onclick="categoryManager.editCategory('${category.id}')">
+                            ✏️
+                        </button>
+                        <button class="action-btn share-btn" onclick="categoryManager.openShareDialog('${category.id}')" title="Share">
+                            👥
+                        </button>
+                        <button class="action-btn history-btn" onclick="categoryManager.showHistory('${category.id}')" title="Version history">
+                            🕘
+                        </button>
+                        <button class="action-btn template-btn" onclick="categoryManager.saveAsTemplate('${category.id}')" title="Save as template">
+                            📋
+                        </button>
+                        <button class="action-btn split-btn" onclick="categoryManager.openSplitDialog('${category.id}')" title="Split into new categories">
+                            ✂️
+                        </button>
+                        <button class="action-btn delete-btn" onclick="categoryManager.deleteCategory('${category.id}')">
+                            🗑️
+                        </button>
+                    </div>
+                </div>
+                <h3 class="category-name" id="name-${category.id}">${this.escapeHtml(category.name)}</h3>
+                ${category.description ? `<p class="category-description" id="description-${category.id}">${this.escapeHtml(category.description)}</p>` : ''}
+                <div class="category-stats">
+                    <span class="word-count">${category.wordCount} words</span>
+                    ${category.collaborators.length > 0 ? `<span class="shared-count" title="Shared with ${category.collaborators.length}">👥 ${category.collaborators.length}</span>` : ''}
+                    <span class="last-updated">Updated ${this.formatDate(category.updatedAt)}</span>
+                </div>
+            </div>
+        `).join('');
+
+        // Add click listeners to cards (excluding action buttons)
+        categories.forEach(category => {
+            const card = document.querySelector(`[data-category-id="${category.id}"]`);
+            if (card) {
+                card.addEventListener('click', (e) => {
+                    // Don't navigate if clicking on action buttons or the checkbox
+                    if (!(e.target as Element)?.closest('.category-actions, .category-select')) {
+                        this.navigateToCategory(category.id);
+                    }
+                });
+                this.setupCardDragAndDrop(card as HTMLElement, category.id);
+            }
+        });
+        this.renderCategorySelectionToolbar();
+    }
+
+    // Drag a card onto another to put it in that position
+    private setupCardDragAndDrop(card: HTMLElement, categoryId: string): void {
+        card.addEventListener('dragstart', (e) => {
+            this.draggedCategoryId = categoryId;
+            card.classList.add('dragging');
+            e.dataTransfer?.setData('text/plain', categoryId);
+            if (e.dataTransfer) e.dataTransfer.effectAllowed = 'move';
+        });
+        card.addEventListener('dragend', () => {
+            this.draggedCategoryId = null;
+            card.classList.remove('dragging');
+            document.querySelectorAll('.category-card.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+        card.addEventListener('dragover', (e) => {
+            if (!this.draggedCategoryId || this.draggedCategoryId === categoryId) return;
+            e.preventDefault();
+            card.classList.add('drag-over');
+        });
+        card.addEventListener('dragleave', () => card.classList.remove('drag-over'));
+        card.addEventListener('drop', (e) => {
+            e.preventDefault();
+            card.classList.remove('drag-over');
+            if (this.draggedCategoryId && this.draggedCategoryId !== categoryId) {
+                this.moveCategory(this.draggedCategoryId, categoryId);
+            }
+        });
+    }
+
+    /**
+     * Put a dragged category at the position of the card it was dropped on
+     */
+    async moveCategory(categoryId: string, beforeCategoryId: string): Promise<void> {
+        const from = this.categories.findIndex(category => category.id === categoryId);
+        const to = this.categories.findIndex(category => category.id === beforeCategoryId);
+        if (from === -1 || to === -1) return;
+
+        const previous = this.categories;
+        const reordered = [...this.categories];
+        const [moved] = reordered.splice(from, 1);
+        reordered.splice(to, 0, moved);
+        this.categories = reordered.map((category, index) => ({ ...category, sortOrder: index }));
+        this.renderCategories(this.categories);
+
+        try {
+            await this.categoryOrganizer.reorder(this.currentUser.uid, this.categories.map(category => category.id));
+        } catch (error: any) {
+            this.logger.error('Failed to save category order', { error: error.message });
+            this.categories = previous;
+            this.renderCategories(previous);
+            this.showError('Failed to save the new order. Please try again.');
+        }
+    }
+
+    /**
+     * Add a category to or remove it from the selection
+     */
+    toggleCategorySelection(categoryId: string): void {
+        if (this.selectedCategoryIds.has(categoryId)) {
+            this.selectedCategoryIds.delete(categoryId);
+        } else {
+            this.selectedCategoryIds.add(categoryId);
+        }
+        document.querySelector(`[data-category-id="${categoryId}"]`)?.classList.toggle('selected', this.selectedCategoryIds.has(categoryId));
+        this.renderCategorySelectionToolbar();
+    }
+
+    /**
+     * Select every category
+     */
+    selectAllCategories(): void {
+        this.categories.forEach(category => this.selectedCategoryIds.add(category.id));
+        this.renderCategories(this.categories);
+    }
+
+    /**
+     * Clear the category selection
+     */
+    clearCategorySelection(): void {
+        this.selectedCategoryIds.clear();
+        this.renderCategories(this.categories);
+    }
+
+    // Selection count and bulk actions, shown while categories are selected
+    private renderCategorySelectionToolbar(): void {
+        const toolbar = document.getElementById('category-selection-toolbar');
+        const count = document.getElementById('category-selection-count');
+        const mergeBtn = document.getElementById('merge-selected-btn') as HTMLButtonElement;
+        if (!toolbar || !count) return;
+
+        toolbar.style.display = this.selectedCategoryIds.size > 0 ? 'flex' : 'none';
+        count.textContent = `${this.selectedCategoryIds.size} selected`;
+        if (mergeBtn) mergeBtn.disabled = this.selectedCategoryIds.size < 2;
+
+        const hint = document.getElementById('reorder-hint');
+        if (hint) hint.style.display = this.categories.length > 1 ? 'block' : 'none';
+    }
+
+    // Selected categories in display order
+    private getSelectedCategories(): Category[] {
+        return this.categories.filter(category => this.selectedCategoryIds.has(category.id));
+    }
+
+    /**
+     * Move the selected categories and their words to the trash, with undo
+     */
+    async bulkDeleteCategories(): Promise<void> {
+        const selected = this.getSelectedCategories();
+        if (selected.length === 0) return;
+        if (!confirm(`Move ${selected.length} ${selected.length === 1 ? 'category' : 'categories'} and their words to the trash?`)) {
+            return;
+        }
+
+        this.showLoading(true);
+        const trashed: string[] = [];
+        try {
+            for (const category of selected) {
+                await this.trashService.trashCategory(this.currentUser.uid, category.id);
+                trashed.push(category.id);
+            }
+            this.selectedCategoryIds.clear();
+            this.showActionNotification(`${trashed.length} ${trashed.length === 1 ? 'category' : 'categories'} moved to trash`, {
+                label: 'Undo',
+                onClick: async () => {
+                    for (const categoryId of trashed) {
+                        await this.restoreFromTrash('category', categoryId);
+                    }
+                }
+            });
+            this.refreshTrashIfOpen();
+        } catch (error: any) {
+            this.logger.error('Failed to delete selected categories', { trashed: trashed.length, error: error.message });
+            this.showError(`Failed to delete categories (${trashed.length} of ${selected.length} moved to trash)`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Download the selected categories with their words
+     */
+    async exportSelectedCategories(): Promise<void> {
+        const selected = this.getSelectedCategories();
+        if (selected.length === 0) return;
+
+        const format = ((document.getElementById('export-format') as HTMLSelectElement)?.value || 'csv') as ExportFormat;
+        await this.exportCategories(selected, format, selected.length === 1 ? selected[0].name : 'selected-categories');
+    }
+
+    /**
+     * Open the merge dialog for the selected categories
+     */
+    openMergeDialog(): void {
+        const selected = this.getSelectedCategories();
+        const modal = document.getElementById('merge-modal');
+        const select = document.getElementById('merge-target-select') as HTMLSelectElement;
+        if (selected.length < 2 || !modal || !select) return;
+
+        select.innerHTML = selected
+            .map(category => `<option value="${category.id}">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)} (${category.wordCount} words)</option>`)
+            .join('');
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Merge the selected categories into the one chosen in the dialog
+     */
+    async confirmMerge(): Promise<void> {
+        const targetId = (document.getElementById('merge-target-select') as HTMLSelectElement)?.value;
+        const target = this.categories.find(category => category.id === targetId);
+        const sourceIds = this.getSelectedCategories().map(category => category.id).filter(id => id !== targetId);
+        if (!target || sourceIds.length === 0) return;
+
+        document.getElementById('merge-modal')!.style.display = 'none';
+        this.showLoading(true);
+        try {
+            const summary = await this.categoryOrganizer.merge(this.currentUser.uid, sourceIds, target.id);
+            this.selectedCategoryIds.clear();
+            this.showSuccess(`Merged ${sourceIds.length + 1} categories into "${target.name}": ${summary.moved} words moved`
+                + (summary.duplicates > 0 ? `, ${summary.duplicates} duplicates moved to the trash` : '')
+                + (summary.unpublished > 0 ? `, ${summary.unpublished} public links taken down` : '')
+                + (summary.collaboratorsRemoved > 0 ? `, ${summary.collaboratorsRemoved} collaborators removed` : ''));
+            this.refreshTrashIfOpen();
+        } catch (error: any) {
+            this.logger.error('Failed to merge categories', { targetId, error: error.message });
+            this.showError('Failed to merge categories. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Open the split dialog of a category
+     */
+    async openSplitDialog(categoryId: string): Promise<void> {
+        const category = this.categories.find(cat => cat.id === categoryId);
+        const modal = document.getElementById('split-modal');
+        if (!category || !modal) return;
+
+        this.showLoading(true);
+        try {
+            const snapshot = await getDocs(query(collection(this.db, 'users', this.currentUser.uid, 'words'), where('categoryId', '==', categoryId)));
+            this.splitWords = snapshot.docs
+                .filter(wordDoc => !TrashService.isTrashed(wordDoc.data()))
+                .map(wordDoc => wordFromFirestore(wordDoc.id, wordDoc.data()))
+                .sort((a, b) => a.englishWord.localeCompare(b.englishWord));
+        } catch (error: any) {
+            this.logger.error('Failed to load words for splitting', { categoryId, error: error.message });
+            this.showError('Failed to load the words of this category');
+            return;
+        } finally {
+            this.showLoading(false);
+        }
+
+        if (this.splitWords.length < 2) {
+            this.showError('A category needs at least two words to be split');
+            return;
+        }
+
+        this.splitCategoryId = categoryId;
+        const title = document.getElementById('split-title');
+        if (title) title.textContent = `Split "${category.name}"`;
+        (document.getElementById('split-name-input') as HTMLInputElement).value = '';
+        (document.querySelector('input[name="split-mode"][value="pos"]') as HTMLInputElement).checked = true;
+        this.renderSplitOptions();
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the split dialog
+     */
+    closeSplitDialog(): void {
+        this.splitCategoryId = null;
+        this.splitWords = [];
+        document.getElementById('split-modal')!.style.display = 'none';
+    }
+
+    /**
+     * Create the new categories chosen in the split dialog and move their words
+     */
+    async confirmSplit(): Promise<void> {
+        const category = this.categories.find(cat => cat.id === this.splitCategoryId);
+        if (!category) return;
+
+        const mode = (document.querySelector('input[name="split-mode"]:checked') as HTMLInputElement)?.value;
+        const parts: SplitPart[] = [];
+        if (mode === 'pos') {
+            const groups = this.groupByPartOfSpeech(this.splitWords);
+            document.querySelectorAll('#split-pos-groups input:checked').forEach(input => {
+                const pos = (input as HTMLInputElement).value;
+                parts.push({ name: `${category.name} (${pos})`, wordIds: (groups.get(pos) || []).map(word => word.id) });
+            });
+        } else {
+            const name = (document.getElementById('split-name-input') as HTMLInputElement).value.trim();
+            const wordIds = Array.from(document.querySelectorAll('#split-word-list input:checked')).map(input => (input as HTMLInputElement).value);
+            if (!name) {
+                this.showError('Please enter a name for the new category');
+                return;
+            }
+            parts.push({ name, wordIds });
+        }
+
+        const movedCount = parts.reduce((total, part) => total + part.wordIds.length, 0);
+        if (parts.length === 0 || movedCount === 0) {
+            this.showError('Choose the words to move to a new category');
+            return;
+        }
+        if (movedCount === this.splitWords.length) {
+            this.showError('Leave at least one word in the category');
+            return;
+        }
+
+        // Names must stay unique, including between the new categories
+        const taken: string[] = [];
+        parts.forEach(part => {
+            part.name = this.uniqueCategoryName(part.name, taken);
+            taken.push(part.name);
+        });
+
+        const sourceId = category.id;
+        this.closeSplitDialog();
+        this.showLoading(true);
+        try {
+            const created = await this.categoryOrganizer.split(this.currentUser.uid, sourceId, parts);
+            this.showSuccess(`Moved ${movedCount} words into ${created.length} new ${created.length === 1 ? 'category' : 'categories'}`);
+        } catch (error: any) {
+            this.logger.error('Failed to split category', { categoryId: sourceId, error: error.message });
+            this.showError('Failed to split the category. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Part-of-speech groups or the word checklist, depending on the split mode
+    private renderSplitOptions(): void {
+        const mode = (document.querySelector('input[name="split-mode"]:checked') as HTMLInputElement)?.value;
+        const posGroups = document.getElementById('split-pos-groups');
+        const selection = document.getElementById('split-selection');
+        const wordList = document.getElementById('split-word-list');
+        if (!posGroups || !selection || !wordList) return;
+
+        posGroups.style.display = mode === 'pos' ? 'block' : 'none';
+        selection.style.display = mode === 'pos' ? 'none' : 'block';
+
+        const groups = Array.from(this.groupByPartOfSpeech(this.splitWords).entries()).sort((a, b) => b[1].length - a[1].length);
+        posGroups.innerHTML = groups.length > 1
+            ? `<p class="share-note">Each ticked part of speech becomes a new category; the rest stay here.</p>
+               ${groups.map(([pos, words], index) => `
+                   <label class="split-option">
+                       <input type="checkbox" value="${this.escapeHtml(pos)}" ${index > 0 ? 'checked' : ''}>
+                       <strong>${this.escapeHtml(pos)}</strong> · ${words.length} ${words.length === 1 ? 'word' : 'words'}
+                       <span class="split-examples">${this.escapeHtml(words.slice(0, 4).map(word => word.englishWord).join(', '))}${words.length > 4 ? ', …' : ''}</span>
+                   </label>
+               `).join('')}`
+            : '<p class="share-note">All words in this category have the same part of speech. Split by selected words instead.</p>';
+
+        wordList.innerHTML = this.splitWords.map(word => `
+            <label class="split-option">
+                <input type="checkbox" value="${word.id}">
+                ${this.escapeHtml(word.englishWord)} <span class="split-examples">${this.escapeHtml(word.vietnameseTranslation)}</span>
+            </label>
+        `).join('');
+    }
+
+    // Words by part of speech of their first sense ('other' when unknown)
+    private groupByPartOfSpeech(words: Word[]): Map<string, Word[]> {
+        const groups = new Map<string, Word[]>();
+        words.forEach(word => {
+            const pos = (word.senses[0]?.pos || word.partOfSpeech || '').trim().toLowerCase() || 'other';
+            groups.set(pos, [...(groups.get(pos) || []), word]);
+        });
+        return groups;
+    }
+
+    // `base`, or `base (2)`, `base (3)`... when a category (or a name in `taken`) already has it
+    private uniqueCategoryName(base: string, taken: string[] = []): string {
+        const exists = (name: string) => this.categories.some(cat => cat.name.toLowerCase() === name.toLowerCase())
+            || taken.some(other => other.toLowerCase() === name.toLowerCase());
+        let name = base;
+        for (let copy = 2; exists(name); copy++) {
+            name = `${base} (${copy})`;
+        }
+        return name;
+    }
+
+    /**
+     * Render the "Shared with me" section
+     */
+    private renderSharedCategories(): void {
+        const section = document.getElementById('shared-categories-section');
+        const grid = document.getElementById('shared-categories-grid');
+        if (!section || !grid) return;
+
+        section.style.display = this.sharedCategories.length > 0 ? 'block' : 'none';
+        grid.innerHTML = this.sharedCategories.map(category => `
+            <div class="category-card shared-category-card" data-shared-category-id="${category.id}" data-owner-id="${category.ownerId}">
+                <div class="category-card-header">
+                    <div class="category-icon">${this.escapeHtml(category.icon)}</div>
+                    <div class="category-actions">
+                        <button class="action-btn leave-btn" onclick="categoryManager.leaveSharedCategory('${category.ownerId}', '${category.id}')" title="Remove from my list">
+                            🚪
+                        </button>
+                    </div>
+                </div>
+                <h3 class="category-name">${this.escapeHtml(category.name)}</h3>
+                ${category.description ? `<p class="category-description">${this.escapeHtml(category.description)}</p>` : ''}
+                <div class="category-stats">
+                    <span class="word-count">${category.wordCount} words</span>
+                    <span class="role-badge role-${category.role}">${category.role === 'editor' ? 'Can edit' : 'View only'}</span>
+                </div>
+                <div class="shared-owner">Shared by ${this.escapeHtml(category.ownerName)}</div>
+            </div>
+        `).join('');
+
+        grid.querySelectorAll<HTMLElement>('.shared-category-card').forEach(card => {
+            card.addEventListener('click', (e) => {
+                if (!(e.target as Element)?.closest('.category-actions')) {
+                    window.location.href = `/words?categoryId=${card.dataset.sharedCategoryId}&owner=${card.dataset.ownerId}`;
+                }
+            });
+        });
+    }
+
+    /**
+     * Open the share dialog of one of the user's categories
+     */
+    openShareDialog(categoryId: string): void {
+        const category = this.categories.find(cat => cat.id === categoryId);
+        const modal = document.getElementById('share-modal');
+        if (!category || !modal) return;
+
+        this.shareCategoryId = categoryId;
+        const title = document.getElementById('share-title');
+        if (title) title.textContent = `Share "${category.name}"`;
+        (document.getElementById('share-email-input') as HTMLInputElement).value = '';
+        this.renderCollaborators();
+        this.renderPublicLink();
+        modal.style.display = 'flex';
+        document.getElementById('share-email-input')?.focus();
+    }
+
+    /**
+     * Close the share dialog
+     */
+    closeShareDialog(): void {
+        this.shareCategoryId = null;
+        document.getElementById('share-modal')!.style.display = 'none';
+    }
+
+    /**
+     * Share the open category with the email typed in the dialog
+     */
+    async addCollaborator(): Promise<void> {
+        const emailInput = document.getElementById('share-email-input') as HTMLInputElement;
+        const roleSelect = document.getElementById('share-role-select') as HTMLSelectElement;
+        const addBtn = document.getElementById('share-add-btn') as HTMLButtonElement;
+        const email = emailInput?.value.trim();
+        if (!this.shareCategoryId || !email) return;
+
+        if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+            this.showError('Please enter a valid email address');
+            return;
+        }
+
+        if (addBtn) addBtn.disabled = true;
+        try {
+            const collaborator = await this.sharingService.addCollaborator(
+                this.currentUser, this.shareCategoryId, email, roleSelect.value as CollaboratorRole
+            );
+            emailInput.value = '';
+            this.showSuccess(`Shared with ${collaborator.displayName}`);
+        } catch (error: any) {
+            this.logger.error('Failed to share category', { categoryId: this.shareCategoryId, error: error.message });
+            this.showError(error.message);
+        } finally {
+            if (addBtn) addBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Change a collaborator's role in the open category
+     */
+    async changeCollaboratorRole(collaboratorId: string, role: CollaboratorRole): Promise<void> {
+        if (!this.shareCategoryId) return;
+        try {
+            await this.sharingService.setRole(this.currentUser.uid, this.shareCategoryId, collaboratorId, role);
+            this.showSuccess('Role updated');
+        } catch (error: any) {
+            this.logger.error('Failed to change collaborator role', { collaboratorId, error: error.message });
+            this.showError('Failed to update role. Please try again.');
+            this.renderCollaborators();
+        }
+    }
+
+    /**
+     * Stop sharing the open category with a collaborator
+     */
+    async removeCollaborator(collaboratorId: string): Promise<void> {
+        if (!this.shareCategoryId) return;
+        try {
+            await this.sharingService.removeCollaborator(this.currentUser.uid, this.shareCategoryId, collaboratorId);
+            this.showSuccess('Access removed');
+        } catch (error: any) {
+            this.logger.error('Failed to remove collaborator', { collaboratorId, error: error.message });
+            this.showError('Failed to remove access. Please try again.');
+        }
+    }
+
+    /**
+     * Remove a category someone shared with the current user from their list
+     */
+    async leaveSharedCategory(ownerId: string, categoryId: string): Promise<void> {
+        const category = this.sharedCategories.find(cat => cat.id === categoryId && cat.ownerId === ownerId);
+        if (!confirm(`Leave "${category?.name || 'this category'}"? The owner will need to share it with you again.`)) {
+            return;
+        }
+
+        try {
+            await this.sharingService.removeCollaborator(ownerId, categoryId, this.currentUser.uid);
+            this.showSuccess('You left the shared category');
+        } catch (error: any) {
+            this.logger.error('Failed to leave shared category', { ownerId, categoryId, error: error.message });
+            this.showError('Failed to leave the category. Please try again.');
+        }
+    }
+
+    /**
+     * Publish (or refresh) a read-only snapshot of the open category at /share/{id}
+     */
+    async publishCategory(): Promise<void> {
+        if (!this.shareCategoryId) return;
+
+        this.showLoading(true);
+        try {
+            const shareId = await this.publicShareService.publish(this.currentUser, this.shareCategoryId);
+            this.showSuccess('Public link is up to date');
+            this.logger.info('Public link published', { categoryId: this.shareCategoryId, shareId });
+        } catch (error: any) {
+            this.logger.error('Failed to publish category', { categoryId: this.shareCategoryId, error: error.message });
+            this.showError('Failed to create the public link. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Take down the public link of the open category
+     */
+    async unpublishCategory(): Promise<void> {
+        const category = this.categories.find(cat => cat.id === this.shareCategoryId);
+        if (!category?.publicShareId) return;
+        if (!confirm('Remove the public link? Anyone who has it will no longer see the list.')) {
+            return;
+        }
+
+        this.showLoading(true);
+        try {
+            await this.publicShareService.unpublish(this.currentUser.uid, category.id, category.publicShareId);
+            this.showSuccess('Public link removed');
+        } catch (error: any) {
+            this.logger.error('Failed to unpublish category', { categoryId: category.id, error: error.message });
+            this.showError('Failed to remove the public link. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Copy the open category's public link to the clipboard
+     */
+    async copyPublicLink(): Promise<void> {
+        const input = document.getElementById('public-link-input') as HTMLInputElement;
+        if (!input) return;
+
+        try {
+            await navigator.clipboard.writeText(input.value);
+            this.showSuccess('Link copied');
+        } catch {
+            // Clipboard API needs permission; fall back to selecting the text
+            input.select();
+        }
+    }
+
+    // Public link part of the open share dialog
+    private renderPublicLink(): void {
+        const container = document.getElementById('public-link-status');
+        const category = this.categories.find(cat => cat.id === this.shareCategoryId);
+        if (!container || !category) return;
+
+        container.innerHTML = category.publicShareId
+            ? `
+                <div class="share-form">
+                    <input type="text" id="public-link-input" class="category-input" readonly value="${PublicShareService.linkFor(category.publicShareId)}">
+                    <button class="save-btn" onclick="categoryManager.copyPublicLink()">Copy</button>
+                </div>
+                <div class="public-link-actions">
+                    <button class="cancel-btn" onclick="categoryManager.publishCategory()">🔄 Update with current words</button>
+                    <button class="cancel-btn" onclick="categoryManager.unpublishCategory()">Remove link</button>
+                </div>
+            `
+            : '<button class="save-btn" onclick="categoryManager.publishCategory()">🔗 Create public link</button>';
+    }
+
+    // Collaborator list of the open share dialog
+    private renderCollaborators(): void {
+        const list = document.getElementById('share-collaborators');
+        const category = this.categories.find(cat => cat.id === this.shareCategoryId);
+        if (!list || !category) return;
+
+        if (category.collaborators.length === 0) {
+            list.innerHTML = '<p class="share-empty">Not shared with anyone yet.</p>';
+            return;
+        }
+
+        list.innerHTML = category.collaborators.map(collaborator => `
+            <div class="collaborator-row">
+                <div class="collaborator-info">
+                    <strong>${this.escapeHtml(collaborator.displayName)}</strong>
+                    <span>${this.escapeHtml(collaborator.email)}</span>
+                </div>
+                <select class="share-role-select" onchange="categoryManager.changeCollaboratorRole('${collaborator.uid}', this.value)">
+                    ${SharingService.ROLES.map(role => `<option value="${role}" ${role === collaborator.role ? 'selected' : ''}>${role === 'editor' ? 'Editor' : 'Viewer'}</option>`).join('')}
+                </select>
+                <button class="cancel-btn" onclick="categoryManager.removeCollaborator('${collaborator.uid}')">Remove</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Download every category with its words as CSV, JSON or an Anki import file
+     */
+    async exportAllCategories(format: ExportFormat): Promise<void> {
+        if (this.categories.length === 0) {
+            this.showError('There are no categories to export');
+            return;
+        }
+
+        await this.exportCategories(this.categories, format, 'all-categories');
+    }
+
+    // Download categories with their words as one file
+    private async exportCategories(categories: Category[], format: ExportFormat, fileName: string): Promise<void> {
+        this.logger.info('Exporting categories', { format, categories: categories.length });
+        this.showLoading(true);
+
+        try {
+            const wordsSnapshot = await getDocs(collection(this.db, 'users', this.currentUser.uid, 'words'));
+            // Same words the words page shows: those living in the category plus those linked into it
+            const wordsByCategory = new Map<string, Word[]>();
+            wordsSnapshot.forEach((wordDoc) => {
+                if (TrashService.isTrashed(wordDoc.data())) return;
+                const word = wordFromFirestore(wordDoc.id, wordDoc.data());
+                new Set([word.categoryId, ...word.linkedCategoryIds]).forEach(categoryId => {
+                    wordsByCategory.set(categoryId, [...(wordsByCategory.get(categoryId) || []), word]);
+                });
+            });
+
+            const exportCategories = categories.map(category => ({
+                ...category,
+                words: (wordsByCategory.get(category.id) || [])
+                    .sort((a, b) => a.englishWord.localeCompare(b.englishWord))
+            }));
+            this.wordExporter.download(format, exportCategories, fileName);
+            const wordCount = exportCategories.reduce((total, category) => total + category.words.length, 0);
+            this.showSuccess(`Exported ${categories.length} ${categories.length === 1 ? 'category' : 'categories'} and ${wordCount} words`);
+        } catch (error: any) {
+            this.logger.error('Failed to export categories', { format, error: error.message });
+            this.showError('Failed to export categories. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Open the version history of a category with a diff against the current version
+     */
+    async showHistory(categoryId: string): Promise<void> {
+        const category = this.categories.find(cat => cat.id === categoryId);
+        const modal = document.getElementById('history-modal');
+        const title = document.getElementById('history-title');
+        const list = document.getElementById('history-list');
+        if (!category || !modal || !list) return;
+
+        if (title) title.textContent = `Version History: ${category.name}`;
+        list.innerHTML = '<p class="history-empty">Loading history...</p>';
+        modal.style.display = 'flex';
+
+        try {
+            const versions = await this.versionHistory.list(this.currentUser.uid, 'categories', categoryId);
+            if (versions.length === 0) {
+                list.innerHTML = '<p class="history-empty">No earlier versions yet. Versions are saved each time you edit this category.</p>';
+                return;
+            }
+
+            const current = { name: category.name, description: category.description || '', icon: category.icon };
+            list.innerHTML = versions.map(version => {
+                const changes = this.versionHistory.diff('categories', version, current);
+                return `
+                    <div class="history-item">
+                        <div class="history-item-header">
+                            <span>${version.savedAt.toLocaleString()}${version.action === 'rollback' ? ' · before a rollback' : ''}</span>
+                            ${changes.length > 0
+                                ? `<button class="save-btn" onclick="categoryManager.rollbackCategory('${categoryId}', '${version.id}')">Restore this version</button>`
+                                : '<span class="history-current">Same as current</span>'}
+                        </div>
+                        ${changes.map(change => `
+                            <div class="history-field">
+                                <div class="history-field-label">${change.label}</div>
+                                ${change.lines.map(line => `<div class="history-line history-line-${line.type}">${line.type === 'removed' ? '−' : line.type === 'added' ? '+' : ' '} ${this.escapeHtml(line.text)}</div>`).join('')}
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }).join('');
+            this.logger.debug('Category history loaded', { categoryId, versions: versions.length });
+        } catch (error: any) {
+            this.logger.error('Failed to load category history', { categoryId, error: error.message });
+            list.innerHTML = '<p class="history-empty">Failed to load history.</p>';
+        }
+    }
+
+    /**
+     * Roll a category back to a saved version
+     */
+    async rollbackCategory(categoryId: string, versionId: string): Promise<void> {
+        if (!confirm('Restore this version? The current name and description are kept in the history.')) {
+            return;
+        }
+
+        this.showLoading(true);
+        try {
+            await this.versionHistory.rollback(this.currentUser.uid, 'categories', categoryId, versionId);
+            document.getElementById('history-modal')!.style.display = 'none';
+            this.showSuccess('Category restored to the selected version');
+        } catch (error: any) {
+            this.logger.error('Failed to roll back category', { categoryId, versionId, error: error.message });
+            this.showError(`Failed to restore version: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Open the templates gallery with the built-in and the user's own templates
+     */
+    async openTemplates(): Promise<void> {
+        const modal = document.getElementById('templates-modal');
+        const builtInGrid = document.getElementById('builtin-templates');
+        const userGrid = document.getElementById('user-templates');
+        if (!modal || !builtInGrid || !userGrid) return;
+
+        builtInGrid.innerHTML = '<p class="templates-empty">Loading templates...</p>';
+        userGrid.innerHTML = '';
+        modal.style.display = 'flex';
+
+        const [builtIn, mine] = await Promise.allSettled([
+            this.templateService.loadBuiltIn(),
+            this.templateService.listUserTemplates(this.currentUser.uid)
+        ]);
+        if (builtIn.status === 'rejected') {
+            this.logger.error('Failed to load built-in templates', { error: builtIn.reason?.message });
+        }
+        if (mine.status === 'rejected') {
+            this.logger.error('Failed to load user templates', { error: mine.reason?.message });
+        }
+        this.builtInTemplates = builtIn.status === 'fulfilled' ? builtIn.value : [];
+        this.userTemplates = mine.status === 'fulfilled' ? mine.value : [];
+        this.renderTemplates(builtIn.status === 'rejected', mine.status === 'rejected');
+    }
+
+    /**
+     * Create a new category with the words of a template
+     */
+    async useTemplate(templateId: string, builtIn: boolean): Promise<void> {
+        const template = (builtIn ? this.builtInTemplates : this.userTemplates).find(item => item.id === templateId);
+        if (!template) return;
+
+        const name = this.uniqueCategoryName(template.name);
+
+        this.showLoading(true);
+        try {
+            await this.templateService.instantiate(this.currentUser.uid, template, name);
+            document.getElementById('templates-modal')!.style.display = 'none';
+            this.showSuccess(`"${name}" created with ${template.words.length} words`);
+        } catch (error: any) {
+            this.logger.error('Failed to create category from template', { templateId, error: error.message });
+            this.showError('Failed to create the category. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Save one of the user's categories as a personal template
+     */
+    async saveAsTemplate(categoryId: string): Promise<void> {
+        const category = this.categories.find(cat => cat.id === categoryId);
+        if (!category) return;
+
+        this.showLoading(true);
+        try {
+            const template = await this.templateService.saveAsTemplate(this.currentUser.uid, categoryId);
+            this.userTemplates.unshift(template);
+            this.showSuccess(`"${category.name}" saved to My templates`);
+        } catch (error: any) {
+            this.logger.error('Failed to save category as template', { categoryId, error: error.message });
+            this.showError(`Failed to save template: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Delete one of the user's templates
+     */
+    async deleteTemplate(templateId: string): Promise<void> {
+        const template = this.userTemplates.find(item => item.id === templateId);
+        if (!template || !confirm(`Delete the template "${template.name}"? Categories created from it are kept.`)) {
+            return;
+        }
+
+        try {
+            await this.templateService.deleteUserTemplate(this.currentUser.uid, templateId);
+            this.userTemplates = this.userTemplates.filter(item => item.id !== templateId);
+            this.renderTemplates(false, false);
+            this.showSuccess('Template deleted');
+        } catch (error: any) {
+            this.logger.error('Failed to delete template', { templateId, error: error.message });
+            this.showError('Failed to delete template');
+        }
+    }
+
+    // Template cards of the gallery
+    private renderTemplates(builtInFailed: boolean, userFailed: boolean): void {
+        const builtInGrid = document.getElementById('builtin-templates');
+        const userGrid = document.getElementById('user-templates');
+        if (!builtInGrid || !userGrid) return;
+
+        const card = (template: CategoryTemplate) => `
+            <div class="template-card">
+                <div class="template-card-header">
+                    <span class="category-icon">${this.escapeHtml(template.icon)}</span>
+                    <div>
+                        <h4>${this.escapeHtml(template.name)}</h4>
+                        <span class="word-count">${template.words.length} words</span>
+                    </div>
+                </div>
+                ${template.description ? `<p class="category-description">${this.escapeHtml(template.description)}</p>` : ''}
+                <p class="template-preview">${this.escapeHtml(template.words.slice(0, 5).map(word => word.englishWord).join(', '))}${template.words.length > 5 ? ', …' : ''}</p>
+                <div class="template-actions">
+                    <button class="save-btn" onclick="categoryManager.useTemplate('${template.id}', ${template.builtIn})">Use template</button>
+                    ${template.builtIn ? '' : `<button class="cancel-btn" onclick="categoryManager.deleteTemplate('${template.id}')">Delete</button>`}
+                </div>
+            </div>
+        `;
+
+        builtInGrid.innerHTML = builtInFailed
+            ? '<p class="templates-empty">Failed to load the built-in templates.</p>'
+            : this.builtInTemplates.map(card).join('');
+        userGrid.innerHTML = userFailed
+            ? '<p class="templates-empty">Failed to load your templates.</p>'
+            : this.userTemplates.length > 0
+                ? this.userTemplates.map(card).join('')
+                : '<p class="templates-empty">No templates yet. Use 📋 on one of your categories to save it as a template.</p>';
+    }
+
+    /**
+     * Show or hide the trash list
      */
-    private setupEventListeners(): void {
-        // Add category button
-        const addBtn = document.getElementById('add-category-btn');
-        const addForm = document.getElementById('add-category-form');
-        const createBtn = document.getElementById('create-category-btn');
-        const cancelBtn = document.getElementById('cancel-category-btn');
-        const nameInput = document.getElementById('category-name-input') as HTMLInputElement;
+    async toggleTrash(): Promise<void> {
+        const section = document.getElementById('trash-section');
+        if (!section) return;
 
-        if (addBtn && addForm) {
-            addBtn.addEventListener('click', () => {
-                addForm.style.display = addForm.style.display === 'none' ? 'block' : 'none';
-                if (addForm.style.display === 'block') {
-                    nameInput?.focus();
-                }
-            });
+        if (section.style.display !== 'none') {
+            section.style.display = 'none';
+            return;
         }
+        section.style.display = 'block';
+        await this.loadTrash();
+    }
 
-        if (createBtn && nameInput) {
-            createBtn.addEventListener('click', () => this.createCategory());
-            nameInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.createCategory();
-                }
-            });
-        }
+    /**
+     * Load and render trashed categories and words
+     */
+    private async loadTrash(): Promise<void> {
+        const list = document.getElementById('trash-list');
+        if (!list) return;
 
-        if (cancelBtn && addForm) {
-            cancelBtn.addEventListener('click', () => {
-                addForm.style.display = 'none';
-                this.clearForm();
-            });
+        list.innerHTML = '<p class="trash-empty">Loading trash...</p>';
+        try {
+            this.trashContents = await this.trashService.list(this.currentUser.uid);
+            this.renderTrash();
+        } catch (error: any) {
+            this.logger.error('Failed to load trash', { error: error.message });
+            list.innerHTML = '<p class="trash-empty">Failed to load trash.</p>';
         }
+    }
 
-        // Delete modal
-        const deleteModal = document.getElementById('delete-modal');
-        const confirmDeleteBtn = document.getElementById('confirm-delete-btn');
-        const cancelDeleteBtn = document.getElementById('cancel-delete-btn');
-
-        if (cancelDeleteBtn && deleteModal) {
-            cancelDeleteBtn.addEventListener('click', () => {
-                deleteModal.style.display = 'none';
-            });
+    /**
+     * Render the trash list
+     */
+    private renderTrash(): void {
+        const list = document.getElementById('trash-list');
+        const emptyBtn = document.getElementById('empty-trash-btn') as HTMLButtonElement;
+        if (!list) return;
+
+        const { categories, words } = this.trashContents;
+        if (emptyBtn) emptyBtn.disabled = categories.length === 0 && words.length === 0;
+        if (categories.length === 0 && words.length === 0) {
+            list.innerHTML = '<p class="trash-empty">The trash is empty.</p>';
+            return;
         }
 
-        if (confirmDeleteBtn) {
-            confirmDeleteBtn.addEventListener('click', () => this.confirmDelete());
-        }
+        const categoryName = (categoryId: string) => {
+            const category = this.categories.find(cat => cat.id === categoryId) || categories.find(cat => cat.id === categoryId);
+            return category ? `${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}` : 'a deleted category';
+        };
+
+        list.innerHTML = [
+            ...categories.map(category => `
+                <div class="trash-item">
+                    <div class="trash-item-info">
+                        <strong>${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</strong>
+                        <span>Category with ${category.wordCount} words · deleted ${this.formatDate(category.deletedAt)} · purged in ${this.trashService.daysLeft(category.deletedAt)} days</span>
+                    </div>
+                    <div class="trash-item-actions">
+                        <button class="save-btn" onclick="categoryManager.restoreFromTrash('category', '${category.id}')">Restore</button>
+                        <button class="cancel-btn" onclick="categoryManager.deleteForever('category', '${category.id}')">Delete forever</button>
+                    </div>
+                </div>
+            `),
+            ...words.map(word => `
+                <div class="trash-item">
+                    <div class="trash-item-info">
+                        <strong>${this.escapeHtml(word.englishWord)}</strong> — ${this.escapeHtml(word.vietnameseTranslation)}
+                        <span>Word in ${categoryName(word.categoryId)} · deleted ${this.formatDate(word.deletedAt)} · purged in ${this.trashService.daysLeft(word.deletedAt)} days</span>
+                    </div>
+                    <div class="trash-item-actions">
+                        <button class="save-btn" onclick="categoryManager.restoreFromTrash('word', '${word.id}')">Restore</button>
+                        <button class="cancel-btn" onclick="categoryManager.deleteForever('word', '${word.id}')">Delete forever</button>
+                    </div>
+                </div>
+            `)
+        ].join('');
     }
 
     /**
-     * Setup real-time categories listener
+     * Restore a trashed category (with its words) or word
      */
-    private setupCategoriesListener(): void {
-        this.logger.info('Setting up real-time categories listener');
+    async restoreFromTrash(kind: 'category' | 'word', id: string): Promise<void> {
         this.showLoading(true);
-
         try {
-            const categoriesRef = collection(this.db, 'users', this.currentUser.uid, 'categories');
-            const q = query(categoriesRef, orderBy('updatedAt', 'desc'));
+            if (kind === 'category') {
+                const words = await this.trashService.restoreCategory(this.currentUser.uid, id);
+                this.showSuccess(`Category restored with ${words} words`);
+            } else {
+                await this.trashService.restoreWord(this.currentUser.uid, id);
+                this.showSuccess('Word restored');
+            }
+            this.refreshTrashIfOpen();
+        } catch (error: any) {
+            this.logger.error('Failed to restore from trash', { kind, id, error: error.message });
+            this.showError(`Failed to restore: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
 
-            // Setup real-time listener
-            this.unsubscribeCategories = onSnapshot(q, 
-                (querySnapshot) => {
-                    this.logger.info('Categories updated from Firestore');
-                    const categories: Category[] = [];
-                    
-                    querySnapshot.forEach((doc) => {
-                        const data = doc.data();
-                        categories.push({
-                            id: doc.id,
-                            name: data.name,
-                            description: data.description || '',
-                            icon: data.icon || '📚',
-                            wordCount: data.wordCount || 0,
-                            createdAt: data.createdAt?.toDate() || new Date(),
-                            updatedAt: data.updatedAt?.toDate() || new Date(),
-                            userId: data.userId
-                        });
-                    });
+    /**
+     * Permanently delete one trashed item
+     */
+    async deleteForever(kind: 'category' | 'word', id: string): Promise<void> {
+        const label = kind === 'category'
+            ? 'this category and all its words'
+            : 'this word';
+        if (!confirm(`Permanently delete ${label}? This cannot be undone.`)) {
+            return;
+        }
 
-                    this.categories = categories;
-                    this.renderCategories(categories);
-                    this.showLoading(false);
-                    this.logger.info('Categories rendered successfully', { count: categories.length });
-                },
-                (error: any) => {
-                    this.logger.error('Real-time categories listener error', { error: error.message });
-                    this.showError('Failed to sync categories with server');
-                    this.showLoading(false);
-                }
-            );
+        this.showLoading(true);
+        try {
+            if (kind === 'category') {
+                await this.trashService.deleteCategoryForever(this.currentUser.uid, id);
+            } else {
+                await this.trashService.deleteWordForever(this.currentUser.uid, id);
+            }
+            this.showSuccess('Deleted permanently');
+            this.refreshTrashIfOpen();
         } catch (error: any) {
-            this.logger.error('Failed to setup categories listener', { error: error.message });
-            this.showError('Failed to load categories');
+            this.logger.error('Failed to delete permanently', { kind, id, error: error.message });
+            this.showError('Failed to delete. Please try again.');
+        } finally {
             this.showLoading(false);
         }
     }
 
     /**
-     * Load categories from Firestore (fallback method)
+     * Permanently delete everything in the trash
      */
-    private async loadCategories(): Promise<void> {
-        this.logger.info('Loading categories (fallback)');
-        this.showLoading(true);
+    async emptyTrash(): Promise<void> {
+        if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+            return;
+        }
 
+        this.showLoading(true);
         try {
-            const categoriesRef = collection(this.db, 'users', this.currentUser.uid, 'categories');
-            const q = query(categoriesRef, orderBy('updatedAt', 'desc'));
-            const querySnapshot = await getDocs(q);
+            await this.trashService.empty(this.currentUser.uid);
+            this.showSuccess('Trash emptied');
+            this.refreshTrashIfOpen();
+        } catch (error: any) {
+            this.logger.error('Failed to empty trash', { error: error.message });
+            this.showError('Failed to empty trash. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
 
-            const categories: Category[] = [];
-            querySnapshot.forEach((doc) => {
-                const data = doc.data();
-                categories.push({
-                    id: doc.id,
-                    name: data.name,
-                    description: data.description || '',
-                    icon: data.icon || '📚',
-                    wordCount: data.wordCount || 0,
-                    createdAt: data.createdAt?.toDate() || new Date(),
-                    updatedAt: data.updatedAt?.toDate() || new Date(),
-                    userId: data.userId
-                });
-            });
+    private refreshTrashIfOpen(): void {
+        if (document.getElementById('trash-section')?.style.display === 'block') {
+            this.loadTrash();
+        }
+    }
 
-            this.categories = categories;
-            this.renderCategories(categories);
-            this.logger.info('Categories loaded successfully', { count: categories.length });
+    /**
+     * Download every category, word, glossary entry and template as a JSON backup
+     */
+    async backupAccount(): Promise<void> {
+        this.showLoading(true);
+        try {
+            const archive = await this.accountBackup.download(this.currentUser.uid);
+            this.showSuccess(`Backup saved: ${archive.collections.categories.length} categories, ${archive.collections.words.length} words`);
         } catch (error: any) {
-            this.logger.error('Failed to load categories', { error: error.message });
-            this.showError('Failed to load categories');
+            this.logger.error('Backup failed', { error: error.message });
+            this.showError('Failed to create backup. Please try again.');
         } finally {
             this.showLoading(false);
         }
     }
 
     /**
-     * Render categories in the grid
+     * Verify a backup file and show what restoring it would do
      */
-    private renderCategories(categories: Category[]): void {
-        const grid = document.getElementById('categories-grid');
-        const emptyState = document.getElementById('empty-state');
+    private async openRestore(file: File): Promise<void> {
+        this.logger.info('Opening backup for restore', { name: file.name, size: file.size });
+        try {
+            this.restoreArchive = await this.accountBackup.readArchive(file);
+        } catch (error: any) {
+            this.logger.error('Backup file rejected', { error: error.message });
+            this.showError(error.message);
+            return;
+        }
 
-        if (!grid || !emptyState) return;
+        const info = document.getElementById('restore-archive-info');
+        if (info) {
+            const { categories, words } = this.restoreArchive.collections;
+            info.textContent = `Backup from ${new Date(this.restoreArchive.createdAt).toLocaleString()}: ${categories.length} categories, ${words.length} words. Checksums verified.`;
+        }
+        document.getElementById('restore-modal')!.style.display = 'flex';
+        await this.planRestore();
+    }
 
-        if (categories.length === 0) {
-            grid.innerHTML = '';
-            emptyState.style.display = 'block';
+    /**
+     * Re-plan the restore for the chosen mode and render the report
+     */
+    private async planRestore(): Promise<void> {
+        const report = document.getElementById('restore-report');
+        const confirmBtn = document.getElementById('confirm-restore-btn') as HTMLButtonElement;
+        if (!this.restoreArchive || !report) {
             return;
         }
 
-        emptyState.style.display = 'none';
-        grid.innerHTML = categories.map(category => `
-            <div class="category-card" data-category-id="${category.id}">
-                <div class="category-card-header">
-                    <div class="category-icon">${category.icon}</div>
-                    <div class="category-actions">
-                        <button class="action-btn edit-btn" onclick="categoryManager.editCategory('${category.id}')">
-                            ✏️
-                        </button>
-                        <button class="action-btn delete-btn" onclick="categoryManager.deleteCategory('${category.id}', '${category.name}')">
-                            🗑️
-                        </button>
-                    </div>
-                </div>
-                <h3 class="category-name" id="name-${category.id}">${category.name}</h3>
-                ${category.description ? `<p class="category-description" id="description-${category.id}">${category.description}</p>` : ''}
-                <div class="category-stats">
-                    <span class="word-count">${category.wordCount} words</span>
-                    <span class="last-updated">Updated ${this.formatDate(category.updatedAt)}</span>
-                </div>
-            </div>
-        `).join('');
+        const mode = ((document.querySelector('input[name="restore-mode"]:checked') as HTMLInputElement)?.value || 'merge') as RestoreMode;
+        const overwrite = (document.getElementById('restore-overwrite') as HTMLInputElement)?.checked || false;
+        if (confirmBtn) confirmBtn.disabled = true;
+        report.textContent = 'Comparing with your account...';
 
-        // Add click listeners to cards (excluding action buttons)
-        categories.forEach(category => {
-            const card = document.querySelector(`[data-category-id="${category.id}"]`);
-            if (card) {
-                card.addEventListener('click', (e) => {
-                    // Don't navigate if clicking on action buttons
-                    if (!(e.target as Element)?.closest('.category-actions')) {
-                        this.navigateToCategory(category.id);
-                    }
-                });
+        try {
+            this.restorePlan = await this.accountBackup.planRestore(this.currentUser.uid, this.restoreArchive, mode, overwrite);
+            const { added, updated, unchanged, deleted, unpublished, conflicts } = this.restorePlan.report;
+            report.innerHTML = `
+                <p>${added} to add · ${updated} to overwrite · ${unchanged} unchanged${mode === 'replace' ? ` · <strong>${deleted} to delete</strong>` : ''}</p>
+                ${unpublished ? `<p>${unpublished} public link${unpublished === 1 ? '' : 's'} of replaced categories will be taken down.</p>` : ''}
+                ${conflicts.length ? `
+                    <p>${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'} (not restored):</p>
+                    <ul class="restore-conflicts">
+                        ${conflicts.map(conflict => `<li>${this.escapeHtml(conflict.label)} (${conflict.collection}) — ${this.escapeHtml(conflict.reason)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            `;
+            if (confirmBtn) confirmBtn.disabled = this.restorePlan.operations.length === 0;
+        } catch (error: any) {
+            this.logger.error('Failed to plan restore', { error: error.message });
+            report.textContent = 'Could not compare the backup with your account.';
+            this.restorePlan = null;
+        }
+    }
+
+    /**
+     * Apply the planned restore; replacing first downloads a backup of the current data
+     */
+    private async confirmRestore(): Promise<void> {
+        if (!this.restorePlan) {
+            return;
+        }
+        if (!this.isOnline) {
+            this.showError('No internet connection. Please try again when online.');
+            return;
+        }
+
+        const plan = this.restorePlan;
+        document.getElementById('restore-modal')!.style.display = 'none';
+        this.showLoading(true);
+
+        try {
+            if (plan.report.mode === 'replace') {
+                this.showInfo('Saving a backup of your current data first...');
+                await this.accountBackup.download(this.currentUser.uid);
             }
-        });
+
+            const report = await this.accountBackup.applyRestore(this.currentUser.uid, plan);
+            this.showSuccess(`Backup restored: ${report.added} added, ${report.updated} overwritten` +
+                (report.deleted ? `, ${report.deleted} deleted` : '') +
+                (report.unpublished ? `, ${report.unpublished} public links taken down` : '') +
+                (report.conflicts.length ? `, ${report.conflicts.length} conflicts skipped` : ''));
+        } catch (error: any) {
+            this.logger.error('Restore failed', { error: error.message });
+            this.showError('Restore failed part-way. Run it again to finish; items already restored will show as unchanged.');
+        } finally {
+            this.restoreArchive = null;
+            this.restorePlan = null;
+            this.showLoading(false);
+        }
     }
 
     /**
@@ -365,7 +1634,8 @@ class CategoryManager {
             wordCount: 0,
             createdAt: new Date(),
             updatedAt: new Date(),
-            userId: this.currentUser.uid
+            userId: this.currentUser.uid,
+            collaborators: []
         };
 
         try {
@@ -568,9 +1838,8 @@ class CategoryManager {
             // Remove edit UI
             this.removeEditUI(categoryId);
 
-            // Update Firestore
-            const categoryRef = doc(this.db, 'users', this.currentUser.uid, 'categories', categoryId);
-            await updateDoc(categoryRef, {
+            // Update Firestore, keeping the previous name and description in the history
+            await this.versionHistory.update(this.currentUser.uid, 'categories', categoryId, {
                 name: newName,
                 description: newDescription,
                 updatedAt: Timestamp.fromDate(new Date())
@@ -669,12 +1938,13 @@ class CategoryManager {
     /**
      * Delete category with confirmation
      */
-    deleteCategory(categoryId: string, categoryName: string): void {
+    deleteCategory(categoryId: string): void {
         const modal = document.getElementById('delete-modal');
         const message = document.getElementById('delete-message');
-        
-        if (modal && message) {
-            message.textContent = `Are you sure you want to delete "${categoryName}"? This will also delete all words in this category.`;
+        const categoryName = this.categories.find(category => category.id === categoryId)?.name;
+
+        if (modal && message && categoryName !== undefined) {
+            message.textContent = `Move "${categoryName}" and all its words to the trash? You can restore them for ${TrashService.RETENTION_DAYS} days.`;
             modal.style.display = 'flex';
             
             // Store category ID for deletion
@@ -707,41 +1977,23 @@ class CategoryManager {
         modal!.style.display = 'none';
         this.showLoading(true);
 
-        // Show progress message
-        this.showInfo('Deleting category and all associated words...');
-
         try {
-            // Start batch operation
-            const batch = writeBatch(this.db);
-
-            // Delete the category document
-            const categoryRef = doc(this.db, 'users', this.currentUser.uid, 'categories', categoryId);
-            batch.delete(categoryRef);
-
-            // Delete all words in this category
-            const wordsRef = collection(this.db, 'users', this.currentUser.uid, 'words');
-            const wordsQuery = query(wordsRef, where('categoryId', '==', categoryId));
-            const wordsSnapshot = await getDocs(wordsQuery);
-            
-            let wordCount = 0;
-            wordsSnapshot.forEach((doc) => {
-                batch.delete(doc.ref);
-                wordCount++;
-            });
-
             // Optimistically remove from UI
             const updatedCategories = this.categories.filter(cat => cat.id !== categoryId);
             this.renderCategories(updatedCategories);
 
-            // Commit batch operation
-            await batch.commit();
+            const wordCount = await this.trashService.trashCategory(this.currentUser.uid, categoryId);
 
-            this.showSuccess(`Category and ${wordCount} words deleted successfully!`);
-            this.logger.info('Category and words deleted successfully', { 
+            this.showActionNotification(`"${categoryToDelete.name}" and ${wordCount} words moved to trash`, {
+                label: 'Undo',
+                onClick: () => this.restoreFromTrash('category', categoryId)
+            });
+            this.logger.info('Category and words moved to trash', { 
                 categoryId, 
                 categoryName: categoryToDelete.name, 
                 wordsDeleted: wordCount 
             });
+            this.refreshTrashIfOpen();
         } catch (error: any) {
             this.logger.error('Failed to delete category', { error: error.message });
             
@@ -831,6 +2083,55 @@ class CategoryManager {
         return date.toLocaleDateString();
     }
 
+    /**
+     * Toast with an action button (e.g. Undo); stays up for 8 seconds
+     */
+    private showActionNotification(message: string, action: { label: string; onClick: () => void }): void {
+        const notification = document.createElement('div');
+        notification.className = 'info-notification';
+        notification.textContent = message;
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: #10b981;
+            color: white;
+            padding: 12px 20px;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(16, 185, 129, 0.3);
+            z-index: 1000;
+            font-weight: 500;
+            animation: slideIn 0.3s ease;
+        `;
+
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'notification-action-btn';
+        actionBtn.textContent = action.label;
+        actionBtn.addEventListener('click', () => {
+            notification.remove();
+            action.onClick();
+        });
+        notification.appendChild(actionBtn);
+
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 8000);
+    }
+
+    /**
+     * Escape text for use in HTML templates
+     */
+    private escapeHtml(text: string): string {
+        const div = document.createElement('div');
+        div.textContent = text;
+        // Also quotes, for attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     /**
      * Show loading state
      */
@@ -879,6 +2180,10 @@ class CategoryManager {
             this.unsubscribeCategories();
             this.unsubscribeCategories = null;
         }
+        if (this.unsubscribeShared) {
+            this.unsubscribeShared();
+            this.unsubscribeShared = null;
+        }
         
         // Clear categories array
         this.categories = [];
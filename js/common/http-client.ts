@@ -1,4 +1,5 @@
 import Logger from './logger.js';
+import LookupCache from './lookup-cache.js';
 
 /**
  * HTTP Client Configuration
@@ -8,6 +9,7 @@ interface HttpClientConfig {
     timeout?: number;
     headers?: Record<string, string>;
     withCredentials?: boolean;
+    cache?: LookupCache; // caches getHtmlWithProxy pages and getJson responses
 }
 
 /**
@@ -28,9 +30,11 @@ interface HttpResponse<T = any> {
 class HttpClient {
     private defaultConfig: HttpClientConfig;
     private logger: Logger;
+    private cache: LookupCache | null;
 
     constructor(config: HttpClientConfig = {}) {
         this.logger = new Logger('HttpClient');
+        this.cache = config.cache || null;
         
         // Default configuration
         this.defaultConfig = {
@@ -180,6 +184,33 @@ class HttpClient {
         return this.request<T>(url, { ...config, method: 'DELETE' });
     }
 
+    /**
+     * GET a JSON API response, served from the lookup cache when configured.
+     * Failed requests (including 404s) are not cached.
+     */
+    async getJson<T = any>(url: string, options: { bypassCache?: boolean } = {}): Promise<T> {
+        const fetchJson = async (): Promise<T> => {
+            const response = await this.get<T>(url, {
+                headers: { 'Accept': 'application/json' }
+            });
+            return response.data;
+        };
+
+        if (!this.cache || options.bypassCache) {
+            return await fetchJson();
+        }
+
+        const cached = await this.cache.get<T>('api', url);
+        if (cached !== null) {
+            this.logger.info('Serving API response from lookup cache', { url });
+            return cached;
+        }
+
+        const data = await fetchJson();
+        await this.cache.set('api', url, data);
+        return data;
+    }
+
     /**
      * Get HTML content from URL (for scraping)
      */
@@ -198,9 +229,28 @@ class HttpClient {
     }
 
     /**
-     * Get HTML content with CORS proxy fallback
+     * Get HTML content with CORS proxy fallback, served from the lookup cache when configured
+     */
+    async getHtmlWithProxy(url: string, options: { bypassCache?: boolean } = {}): Promise<string> {
+        if (!this.cache || options.bypassCache) {
+            return await this.fetchHtmlWithProxy(url);
+        }
+
+        const cached = await this.cache.get<string>('html', url);
+        if (cached !== null) {
+            this.logger.info('Serving HTML from lookup cache', { url });
+            return cached;
+        }
+
+        const html = await this.fetchHtmlWithProxy(url);
+        await this.cache.set('html', url, html);
+        return html;
+    }
+
+    /**
+     * Fetch HTML directly, falling back to CORS proxies
      */
-    async getHtmlWithProxy(url: string): Promise<string> {
+    private async fetchHtmlWithProxy(url: string): Promise<string> {
         // Try direct access first
         try {
             this.logger.info('Trying direct access first', { url });
@@ -0,0 +1,131 @@
+import Logger from './logger.js';
+
+/**
+ * Promise wrapper around one IndexedDB database
+ */
+class IndexedDbClient {
+    private logger: Logger;
+    private dbName: string;
+    private version: number;
+    private upgrade: (db: IDBDatabase, oldVersion: number) => void;
+    private dbPromise: Promise<IDBDatabase> | null = null;
+
+    constructor(dbName: string, version: number, upgrade: (db: IDBDatabase, oldVersion: number) => void) {
+        this.logger = new Logger('IndexedDbClient');
+        this.dbName = dbName;
+        this.version = version;
+        this.upgrade = upgrade;
+    }
+
+    /**
+     * Whether the browser exposes IndexedDB at all
+     */
+    static isSupported(): boolean {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade) the database once
+     */
+    private open(): Promise<IDBDatabase> {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!IndexedDbClient.isSupported()) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = (event) => {
+                    this.logger.info('Upgrading IndexedDB database', { dbName: this.dbName, from: event.oldVersion, to: this.version });
+                    this.upgrade(request.result, event.oldVersion);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.logger.error('Failed to open IndexedDB database', { dbName: this.dbName, error: request.error?.message });
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against one object store and resolve with its result
+     */
+    private async run<T>(storeName: string, mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+        const db = await this.open();
+        return new Promise<T>((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async get<T>(storeName: string, key: IDBValidKey): Promise<T | undefined> {
+        return await this.run<T | undefined>(storeName, 'readonly', store => store.get(key));
+    }
+
+    async getAll<T>(storeName: string): Promise<T[]> {
+        return await this.run<T[]>(storeName, 'readonly', store => store.getAll());
+    }
+
+    async getAllFromIndex<T>(storeName: string, indexName: string, key: IDBValidKey | IDBKeyRange): Promise<T[]> {
+        return await this.run<T[]>(storeName, 'readonly', store => store.index(indexName).getAll(key));
+    }
+
+    async getAllKeysFromIndex(storeName: string, indexName: string, key?: IDBValidKey | IDBKeyRange): Promise<IDBValidKey[]> {
+        return await this.run<IDBValidKey[]>(storeName, 'readonly', store => store.index(indexName).getAllKeys(key));
+    }
+
+    async put<T>(storeName: string, value: T, key?: IDBValidKey): Promise<void> {
+        await this.run(storeName, 'readwrite', store => store.put(value, key));
+    }
+
+    async delete(storeName: string, key: IDBValidKey | IDBKeyRange): Promise<void> {
+        await this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    async clear(storeName: string): Promise<void> {
+        await this.run(storeName, 'readwrite', store => store.clear());
+    }
+
+    async count(storeName: string): Promise<number> {
+        return await this.run<number>(storeName, 'readonly', store => store.count());
+    }
+
+    /**
+     * Delete many keys in a single transaction
+     */
+    async deleteMany(storeName: string, keys: IDBValidKey[]): Promise<void> {
+        const db = await this.open();
+        await new Promise<void>((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            keys.forEach(key => store.delete(key));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Write many records in a single transaction
+     */
+    async putMany<T>(storeName: string, values: T[]): Promise<void> {
+        const db = await this.open();
+        await new Promise<void>((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            values.forEach(value => store.put(value));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+export default IndexedDbClient;
@@ -0,0 +1,249 @@
+import Logger from './logger.js';
+import IndexedDbClient from './indexed-db.js';
+
+/**
+ * Cache limits; TTLs are per namespace (e.g. "html", "api", "translation")
+ */
+interface LookupCacheConfig {
+    defaultTtl: number;               // ms
+    ttlByNamespace: Record<string, number>;
+    maxEntries: number;
+    maxEntrySize: number;             // characters of serialized value
+    maxTotalSize: number;             // characters across all entries
+}
+
+/**
+ * Stored cache record
+ */
+interface CacheRecord<T = any> {
+    key: string;        // `${namespace}:${key}`
+    namespace: string;
+    value: T;
+    size: number;
+    storedAt: number;
+    expiresAt: number;
+}
+
+/**
+ * Small per-entry record read by prune, so eviction never loads cached values
+ */
+interface UsageRecord {
+    key: string;
+    namespace: string;
+    size: number;
+    usedAt: number;
+    expiresAt: number;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * LookupCache keeps dictionary pages, API responses and translations in
+ * IndexedDB with TTL expiry, entry and total size limits (least recently
+ * used evicted first) and manual invalidation.
+ * Every failure is swallowed: a broken cache must never break a lookup.
+ */
+class LookupCache {
+    static readonly DB_NAME = 'lookup-cache';
+    static readonly STORE = 'entries';
+    static readonly USAGE_STORE = 'usage';
+
+    private logger: Logger;
+    private db: IndexedDbClient;
+    private config: LookupCacheConfig;
+    private writesSincePrune: number = 0;
+    private sizeSincePrune: number = 0;
+
+    constructor(config: Partial<LookupCacheConfig> = {}) {
+        this.logger = new Logger('LookupCache');
+        this.config = {
+            defaultTtl: 7 * DAY,
+            ttlByNamespace: { html: 7 * DAY, api: 7 * DAY, translation: 30 * DAY },
+            maxEntries: 500,
+            maxEntrySize: 2 * 1024 * 1024,
+            maxTotalSize: 50 * 1024 * 1024,
+            ...config
+        };
+        this.db = new IndexedDbClient(LookupCache.DB_NAME, 2, (db, oldVersion) => {
+            // Version 1 entries have no usage records; start over rather than backfill
+            if (oldVersion >= 1) {
+                db.deleteObjectStore(LookupCache.STORE);
+            }
+            const store = db.createObjectStore(LookupCache.STORE, { keyPath: 'key' });
+            store.createIndex('namespace', 'namespace');
+            const usage = db.createObjectStore(LookupCache.USAGE_STORE, { keyPath: 'key' });
+            usage.createIndex('namespace', 'namespace');
+        });
+    }
+
+    /**
+     * Cached value, or null when missing or expired
+     */
+    async get<T>(namespace: string, key: string): Promise<T | null> {
+        if (!IndexedDbClient.isSupported()) {
+            return null;
+        }
+
+        try {
+            const record = await this.db.get<CacheRecord<T>>(LookupCache.STORE, this.recordKey(namespace, key));
+            if (!record) {
+                this.logger.debug('Cache miss', { namespace, key });
+                return null;
+            }
+            if (record.expiresAt <= Date.now()) {
+                this.logger.debug('Cache entry expired', { namespace, key });
+                await this.db.delete(LookupCache.STORE, record.key);
+                await this.db.delete(LookupCache.USAGE_STORE, record.key);
+                return null;
+            }
+            this.logger.debug('Cache hit', { namespace, key });
+            await this.db.put<UsageRecord>(LookupCache.USAGE_STORE, this.usageRecord(record, Date.now()));
+            return record.value;
+        } catch (error: any) {
+            this.logger.warn('Cache read failed', { namespace, key, error: error?.message });
+            return null;
+        }
+    }
+
+    /**
+     * Store a value; oversized values are skipped
+     */
+    async set<T>(namespace: string, key: string, value: T): Promise<void> {
+        if (!IndexedDbClient.isSupported()) {
+            return;
+        }
+
+        const size = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+        if (size > this.config.maxEntrySize) {
+            this.logger.debug('Value too large to cache', { namespace, key, size });
+            return;
+        }
+
+        const now = Date.now();
+        const ttl = this.config.ttlByNamespace[namespace] ?? this.config.defaultTtl;
+        try {
+            const record: CacheRecord<T> = {
+                key: this.recordKey(namespace, key),
+                namespace,
+                value,
+                size,
+                storedAt: now,
+                expiresAt: now + ttl
+            };
+            await this.db.put<CacheRecord<T>>(LookupCache.STORE, record);
+            await this.db.put<UsageRecord>(LookupCache.USAGE_STORE, this.usageRecord(record, now));
+
+            // Pruning reads every usage record, so only do it every few writes
+            // or once enough has been written to threaten the size budget
+            this.writesSincePrune++;
+            this.sizeSincePrune += size;
+            if (this.writesSincePrune >= 20 || this.sizeSincePrune >= this.config.maxTotalSize / 10) {
+                await this.prune();
+            }
+        } catch (error: any) {
+            this.logger.warn('Cache write failed', { namespace, key, error: error?.message });
+        }
+    }
+
+    /**
+     * Return the cached value or compute, cache and return it
+     */
+    async getOrSet<T>(namespace: string, key: string, compute: () => Promise<T>): Promise<T> {
+        const cached = await this.get<T>(namespace, key);
+        if (cached !== null) {
+            return cached;
+        }
+        const value = await compute();
+        await this.set(namespace, key, value);
+        return value;
+    }
+
+    /**
+     * Drop one key, one namespace, or (without arguments) everything
+     */
+    async invalidate(namespace?: string, key?: string): Promise<void> {
+        try {
+            if (namespace && key !== undefined) {
+                await this.db.delete(LookupCache.STORE, this.recordKey(namespace, key));
+                await this.db.delete(LookupCache.USAGE_STORE, this.recordKey(namespace, key));
+            } else if (namespace) {
+                const keys = await this.db.getAllKeysFromIndex(LookupCache.STORE, 'namespace', namespace);
+                await this.db.deleteMany(LookupCache.STORE, keys);
+                await this.db.deleteMany(LookupCache.USAGE_STORE, keys);
+            } else {
+                await this.db.clear(LookupCache.STORE);
+                await this.db.clear(LookupCache.USAGE_STORE);
+            }
+            this.logger.info('Cache invalidated', { namespace: namespace || 'all', key });
+        } catch (error: any) {
+            this.logger.error('Cache invalidation failed', { namespace, key, error: error?.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Number of cached entries
+     */
+    async count(): Promise<number> {
+        try {
+            return await this.db.count(LookupCache.STORE);
+        } catch (error: any) {
+            this.logger.warn('Cache count failed', { error: error?.message });
+            return 0;
+        }
+    }
+
+    /**
+     * Remove expired entries, then the least recently used ones until the
+     * cache fits both the entry limit and the total size budget
+     */
+    async prune(): Promise<void> {
+        this.writesSincePrune = 0;
+        this.sizeSincePrune = 0;
+
+        try {
+            const now = Date.now();
+            const usage = await this.db.getAll<UsageRecord>(LookupCache.USAGE_STORE);
+            const toDelete: IDBValidKey[] = [];
+            let entries = 0;
+            let totalSize = 0;
+
+            usage
+                .sort((a, b) => b.usedAt - a.usedAt)
+                .forEach(record => {
+                    const fits = entries < this.config.maxEntries && totalSize + record.size <= this.config.maxTotalSize;
+                    if (record.expiresAt <= now || !fits) {
+                        toDelete.push(record.key);
+                        return;
+                    }
+                    entries++;
+                    totalSize += record.size;
+                });
+
+            if (toDelete.length) {
+                await this.db.deleteMany(LookupCache.STORE, toDelete);
+                await this.db.deleteMany(LookupCache.USAGE_STORE, toDelete);
+                this.logger.info('Cache pruned', { removed: toDelete.length, entries, totalSize });
+            }
+        } catch (error: any) {
+            this.logger.warn('Cache prune failed', { error: error?.message });
+        }
+    }
+
+    private usageRecord(record: CacheRecord, usedAt: number): UsageRecord {
+        return {
+            key: record.key,
+            namespace: record.namespace,
+            size: record.size,
+            usedAt,
+            expiresAt: record.expiresAt
+        };
+    }
+
+    private recordKey(namespace: string, key: string): string {
+        return `${namespace}:${key}`;
+    }
+}
+
+export default LookupCache;
+export type { LookupCacheConfig };
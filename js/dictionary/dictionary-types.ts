@@ -0,0 +1,72 @@
+/**
+ * Cambridge Dictionary API (backend) response types
+ * Shared by every module that looks words up
+ */
+interface CambridgePronunciation {
+    pos: string; // part of speech group in which this pron belongs
+    lang: string; // e.g. "UK", "US"
+    url: string;  // absolute audio URL
+    pron: string; // IPA text, e.g. /kæt/
+}
+
+interface CambridgeExample {
+    id: number;
+    text: string;
+    translation?: string;
+}
+
+interface CambridgeDefinitionBlock {
+    id: number;
+    pos: string;       // part of speech for this definition
+    source?: string;   // data-id from page
+    text: string;      // English definition
+    translation?: string; // (when present on bilingual pages)
+    example: CambridgeExample[];
+}
+
+interface CambridgeAPIResponse {
+    word: string;
+    pos: string[]; // unique parts of speech present on the page
+    verbs: { id: number; type: string; text: string; }[]; // from Simple Wiktionary
+    pronunciation: CambridgePronunciation[]; // UK/US audio & IPA
+    definition: CambridgeDefinitionBlock[];  // list of definitions
+}
+
+/**
+ * A dictionary source that can look a word up and return it in the
+ * CambridgeAPIResponse shape. Returns null when the word is not found.
+ */
+interface DictionaryProvider {
+    readonly name: string;
+    readonly timeout: number; // default per-provider timeout in ms
+    lookup(word: string): Promise<CambridgeAPIResponse | null>;
+}
+
+/**
+ * Pronunciations grouped by accent
+ */
+interface CategorizedPronunciations {
+    british?: { text: string; audio: string };
+    american?: { text: string; audio: string };
+    australian?: { text: string; audio: string };
+}
+
+/**
+ * Result of a dictionary lookup with automatic translation
+ */
+interface LookupResult {
+    dictionaryData: CambridgeAPIResponse;
+    vietnameseTranslation: string;
+    vietnameseDefinition?: string;
+    translationError?: string; // set when translation failed and the fields are left empty
+}
+
+export type {
+    CambridgePronunciation,
+    CambridgeExample,
+    CambridgeDefinitionBlock,
+    CambridgeAPIResponse,
+    DictionaryProvider,
+    CategorizedPronunciations,
+    LookupResult
+};
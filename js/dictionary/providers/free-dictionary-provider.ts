@@ -0,0 +1,107 @@
+import Logger from '../../common/logger.js';
+import HttpClient from '../../common/http-client.js';
+import {
+    CambridgePronunciation,
+    CambridgeDefinitionBlock,
+    CambridgeAPIResponse,
+    DictionaryProvider
+} from '../dictionary-types.js';
+
+/**
+ * Free Dictionary API entry (https://dictionaryapi.dev)
+ */
+interface FreeDictionaryEntry {
+    word: string;
+    phonetics: { text?: string; audio?: string }[];
+    meanings: {
+        partOfSpeech: string;
+        definitions: { definition: string; example?: string }[];
+    }[];
+}
+
+/**
+ * FreeDictionaryProvider reads the Free Dictionary JSON API
+ */
+class FreeDictionaryProvider implements DictionaryProvider {
+    readonly name = 'free-dictionary';
+    readonly timeout = 8000;
+
+    private logger: Logger;
+    private httpClient: HttpClient;
+
+    constructor(httpClient: HttpClient) {
+        this.logger = new Logger('FreeDictionaryProvider');
+        this.httpClient = httpClient;
+    }
+
+    /**
+     * Look up word; the API answers 404 when the word is unknown
+     */
+    async lookup(word: string): Promise<CambridgeAPIResponse | null> {
+        const url = `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(word)}`;
+
+        let entries: FreeDictionaryEntry[];
+        try {
+            const data = await this.httpClient.getJson<FreeDictionaryEntry[]>(url);
+            entries = Array.isArray(data) ? data : [];
+        } catch (error: any) {
+            if (String(error?.message).includes('HTTP 404')) {
+                this.logger.info('Word not found in Free Dictionary', { word });
+                return null;
+            }
+            throw error;
+        }
+
+        if (!entries.length) {
+            this.logger.info('Empty Free Dictionary response', { word });
+            return null;
+        }
+
+        return this.toResponse(entries);
+    }
+
+    // Convert API entries into the CambridgeAPIResponse shape
+    private toResponse(entries: FreeDictionaryEntry[]): CambridgeAPIResponse {
+        const pos = new Set<string>();
+        const pronunciation: CambridgePronunciation[] = [];
+        const definition: CambridgeDefinitionBlock[] = [];
+
+        entries.forEach(entry => {
+            (entry.phonetics || []).forEach(phonetic => {
+                const lang = this.accentFromAudioUrl(phonetic.audio || '');
+                if (phonetic.text && lang && !pronunciation.some(p => p.lang === lang)) {
+                    pronunciation.push({ pos: '', lang, url: phonetic.audio || '', pron: phonetic.text });
+                }
+            });
+
+            (entry.meanings || []).forEach(meaning => {
+                pos.add(meaning.partOfSpeech);
+                meaning.definitions.forEach(item => {
+                    definition.push({
+                        id: definition.length,
+                        pos: meaning.partOfSpeech,
+                        source: 'free-dictionary',
+                        text: item.definition,
+                        example: item.example ? [{ id: 0, text: item.example }] : []
+                    });
+                });
+            });
+        });
+
+        return {
+            word: entries[0].word,
+            pos: Array.from(pos),
+            verbs: [],
+            pronunciation,
+            definition
+        };
+    }
+
+    // Audio files are named like "hello-uk.mp3" / "hello-us.mp3" / "hello-au.mp3"
+    private accentFromAudioUrl(url: string): string {
+        const match = url.match(/-(uk|us|au)\.mp3$/i);
+        return match ? match[1].toUpperCase() : '';
+    }
+}
+
+export default FreeDictionaryProvider;
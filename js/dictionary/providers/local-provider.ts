@@ -0,0 +1,82 @@
+import Logger from '../../common/logger.js';
+import HttpClient from '../../common/http-client.js';
+import { CambridgeAPIResponse, DictionaryProvider } from '../dictionary-types.js';
+
+/**
+ * LocalDictionaryProvider answers from a self-hosted source: the local
+ * dictionary API when `window.__API_BASE` is set, otherwise a JSON bundle
+ * (`window.__LOCAL_DICTIONARY_URL`, default /data/dictionary.json) mapping
+ * lower-cased words to CambridgeAPIResponse entries
+ */
+class LocalDictionaryProvider implements DictionaryProvider {
+    static readonly DEFAULT_BUNDLE_URL = '/data/dictionary.json';
+
+    readonly name = 'local';
+    readonly timeout = 5000;
+
+    private logger: Logger;
+    private httpClient: HttpClient;
+    private bundle: Record<string, CambridgeAPIResponse> | null = null;
+    private bundleUnavailable: boolean = false;
+
+    constructor(httpClient: HttpClient) {
+        this.logger = new Logger('LocalDictionaryProvider');
+        this.httpClient = httpClient;
+    }
+
+    /**
+     * Look up word in the local API or JSON bundle
+     */
+    async lookup(word: string): Promise<CambridgeAPIResponse | null> {
+        const apiBase = (window as any).__API_BASE;
+        if (typeof apiBase === 'string') {
+            return await this.lookupInApi(apiBase, word);
+        }
+
+        const bundle = await this.loadBundle();
+        const entry = bundle?.[word.trim().toLowerCase()] || null;
+        this.logger.debug('Local bundle lookup', { word, found: !!entry });
+        return entry;
+    }
+
+    // Local dictionary API (same response shape as Cambridge)
+    private async lookupInApi(apiBase: string, word: string): Promise<CambridgeAPIResponse | null> {
+        const langSlug = (window as any).__DICT_LANG || 'en';
+        const response = await this.httpClient.get(`${apiBase}/api/dictionary/${langSlug}/${encodeURIComponent(word)}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        const data = response.data;
+        if (!data || data.error) {
+            this.logger.info('Word not found in local API', { word });
+            return null;
+        }
+        return data as CambridgeAPIResponse;
+    }
+
+    // Fetch the JSON bundle once; remember when it is not deployed
+    private async loadBundle(): Promise<Record<string, CambridgeAPIResponse> | null> {
+        if (this.bundle || this.bundleUnavailable) {
+            return this.bundle;
+        }
+
+        const url = (window as any).__LOCAL_DICTIONARY_URL || LocalDictionaryProvider.DEFAULT_BUNDLE_URL;
+        try {
+            const response = await this.httpClient.get<Record<string, CambridgeAPIResponse>>(url, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (response.data && typeof response.data === 'object') {
+                this.bundle = response.data;
+                this.logger.info('Local dictionary bundle loaded', { url, entries: Object.keys(this.bundle).length });
+            } else {
+                this.bundleUnavailable = true;
+                this.logger.warn('Local dictionary bundle is not JSON', { url });
+            }
+        } catch (error: any) {
+            this.bundleUnavailable = true;
+            this.logger.info('Local dictionary bundle not available', { url, error: error.message });
+        }
+        return this.bundle;
+    }
+}
+
+export default LocalDictionaryProvider;
@@ -0,0 +1,49 @@
+import Logger from '../../common/logger.js';
+import OfflineDictionary from '../offline-dictionary.js';
+import { CambridgeAPIResponse, DictionaryProvider } from '../dictionary-types.js';
+
+/**
+ * OfflineDictionaryProvider answers from the user-imported dictionary in IndexedDB
+ */
+class OfflineDictionaryProvider implements DictionaryProvider {
+    readonly name = 'offline';
+    readonly timeout = 3000;
+
+    private logger: Logger;
+    private offlineDictionary: OfflineDictionary;
+
+    constructor(offlineDictionary: OfflineDictionary) {
+        this.logger = new Logger('OfflineDictionaryProvider');
+        this.offlineDictionary = offlineDictionary;
+    }
+
+    /**
+     * Look up word in the imported dictionary
+     */
+    async lookup(word: string): Promise<CambridgeAPIResponse | null> {
+        const entry = await this.offlineDictionary.lookup(word);
+        if (!entry) {
+            this.logger.debug('Word not in offline dictionary', { word });
+            return null;
+        }
+
+        // Entries carry Vietnamese text, so `pos` stays empty to keep them from
+        // being merged into English definitions from online providers
+        return {
+            word: entry.word,
+            pos: [],
+            verbs: [],
+            pronunciation: entry.ipa ? [{ pos: '', lang: 'UK', url: '', pron: entry.ipa }] : [],
+            definition: [{
+                id: 0,
+                pos: entry.pos || '',
+                source: 'offline',
+                text: entry.definition || entry.translation,
+                translation: entry.translation,
+                example: []
+            }]
+        };
+    }
+}
+
+export default OfflineDictionaryProvider;
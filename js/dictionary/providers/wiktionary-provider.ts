@@ -0,0 +1,132 @@
+import Logger from '../../common/logger.js';
+import HttpClient from '../../common/http-client.js';
+import {
+    CambridgeDefinitionBlock,
+    CambridgeAPIResponse,
+    DictionaryProvider
+} from '../dictionary-types.js';
+
+/**
+ * Wiktionary REST definition response (only the fields we read)
+ */
+interface WiktionaryDefinitionResponse {
+    [language: string]: {
+        partOfSpeech: string;
+        language: string;
+        definitions: { definition: string; examples?: string[] }[];
+    }[];
+}
+
+/**
+ * WiktionaryProvider reads definitions from the Wiktionary REST API and
+ * verb forms from the Simple Wiktionary inflection table
+ */
+class WiktionaryProvider implements DictionaryProvider {
+    readonly name = 'wiktionary';
+    readonly timeout = 15000;
+
+    private logger: Logger;
+    private httpClient: HttpClient;
+
+    constructor(httpClient: HttpClient) {
+        this.logger = new Logger('WiktionaryProvider');
+        this.httpClient = httpClient;
+    }
+
+    /**
+     * Look up definitions and verb forms; either part may fail on its own
+     */
+    async lookup(word: string): Promise<CambridgeAPIResponse | null> {
+        const [definitionResult, verbsResult] = await Promise.allSettled([
+            this.fetchDefinitions(word),
+            this.fetchVerbsFromWiktionary(word)
+        ]);
+
+        const definition = definitionResult.status === 'fulfilled' ? definitionResult.value : [];
+        const verbs = verbsResult.status === 'fulfilled' ? verbsResult.value : [];
+
+        if (definitionResult.status === 'rejected') {
+            this.logger.warn('Fetch definitions failed (non-fatal)', { error: definitionResult.reason?.message });
+        }
+        if (verbsResult.status === 'rejected') {
+            this.logger.warn('Fetch verbs failed (non-fatal)', { error: verbsResult.reason?.message });
+        }
+
+        if (!definition.length && !verbs.length) {
+            this.logger.info('No Wiktionary entry found', { word });
+            return null;
+        }
+
+        return {
+            word,
+            pos: Array.from(new Set(definition.map(d => d.pos).filter(Boolean))),
+            verbs,
+            pronunciation: [],
+            definition
+        };
+    }
+
+    // English definitions from the Wiktionary REST API (CORS enabled)
+    private async fetchDefinitions(word: string): Promise<CambridgeDefinitionBlock[]> {
+        const url = `https://en.wiktionary.org/api/rest_v1/page/definition/${encodeURIComponent(word)}`;
+        const data = await this.httpClient.getJson<WiktionaryDefinitionResponse>(url);
+
+        const definition: CambridgeDefinitionBlock[] = [];
+        (data?.en || []).forEach(entry => {
+            const pos = (entry.partOfSpeech || '').toLowerCase();
+            entry.definitions.forEach(item => {
+                const text = this.stripHtml(item.definition);
+                if (!text) return;
+                const example = (item.examples || [])
+                    .map(html => this.stripHtml(html))
+                    .filter(Boolean)
+                    .map((exampleText, i) => ({ id: i, text: exampleText }));
+                definition.push({ id: definition.length, pos, source: 'wiktionary', text, example });
+            });
+        });
+        return definition;
+    }
+
+    // Best-effort verbs scraper from Simple Wiktionary
+    private async fetchVerbsFromWiktionary(entry: string): Promise<{ id: number; type: string; text: string }[]> {
+        const url = `https://simple.wiktionary.org/wiki/${encodeURIComponent(entry)}`;
+        const html = await this.httpClient.getHtmlWithProxy(url);
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html, 'text/html');
+
+        const verbs: { id: number; type: string; text: string }[] = [];
+        const cells = Array.from(doc.querySelectorAll('.inflection-table tr td')) as HTMLElement[];
+        let id = 0;
+        for (const cell of cells) {
+            const p = cell.querySelector('p');
+            if (!p) continue;
+            const pText = (p.textContent || '').trim();
+            if (pText.includes('\n')) {
+                const parts = pText.split('\n').map(s => s.trim()).filter(Boolean);
+                if (parts.length >= 2) {
+                    const type = parts[0];
+                    const text = parts[1];
+                    if (type && text) verbs.push({ id: id++, type, text });
+                }
+            } else {
+                const htmlParts = (p.innerHTML || '').split('<br>');
+                if (htmlParts.length >= 2) {
+                    const typeTmp = htmlParts[0];
+                    const textTmp = htmlParts[1];
+                    const tmpDiv1 = document.createElement('div'); tmpDiv1.innerHTML = typeTmp; const type = tmpDiv1.textContent?.trim() || '';
+                    const tmpDiv2 = document.createElement('div'); tmpDiv2.innerHTML = textTmp; const text = tmpDiv2.textContent?.trim() || '';
+                    if (type && text) verbs.push({ id: id++, type, text });
+                }
+            }
+        }
+        return verbs;
+    }
+
+    // Wiktionary returns HTML fragments; keep only the text
+    private stripHtml(html: string): string {
+        const doc = new DOMParser().parseFromString(html || '', 'text/html');
+        return (doc.body.textContent || '').trim();
+    }
+}
+
+export default WiktionaryProvider;
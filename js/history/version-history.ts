@@ -0,0 +1,328 @@
+import Logger from '../common/logger.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    orderBy,
+    writeBatch,
+    deleteField,
+    FieldValue,
+    Timestamp
+} from 'firebase/firestore';
+
+/**
+ * Collections whose documents keep a history subcollection
+ */
+type HistoryKind = 'categories' | 'words';
+
+/**
+ * Prior version of a document, stored in users/{uid}/{kind}/{id}/history
+ */
+interface VersionEntry {
+    id: string;
+    fields: Record<string, any>; // tracked fields as they were before the edit
+    changedFields: string[];
+    action: 'edit' | 'rollback';
+    savedAt: Date;
+}
+
+/**
+ * One field that differs between a version and the current document
+ */
+interface FieldChange {
+    field: string;
+    label: string;
+    lines: DiffLine[];
+}
+
+/**
+ * Line of a before/after diff
+ */
+interface DiffLine {
+    type: 'same' | 'removed' | 'added';
+    text: string;
+}
+
+/**
+ * VersionHistory snapshots the editable fields of a category or word before
+ * each update, diffs old versions against the current document and rolls back.
+ */
+class VersionHistory {
+    static readonly MAX_VERSIONS = 50;
+    static readonly MAX_BATCH_WRITES = 500; // Firestore limit per batch
+
+    static readonly TRACKED_FIELDS: Record<HistoryKind, string[]> = {
+        categories: ['name', 'description', 'icon'],
+        words: [
+            'vietnameseTranslation', 'partOfSpeech', 'definition', 'vietnameseDefinition',
+            'britishPronunciation', 'americanPronunciation', 'australianPronunciation',
+            'audioUrls', 'senses', 'inflections', 'inflectionForms'
+        ]
+    };
+
+    private static readonly FIELD_LABELS: Record<string, string> = {
+        name: 'Name',
+        description: 'Description',
+        icon: 'Icon',
+        vietnameseTranslation: 'Vietnamese',
+        partOfSpeech: 'Part of speech',
+        definition: 'Definition',
+        vietnameseDefinition: 'Vietnamese definition',
+        britishPronunciation: 'UK IPA',
+        americanPronunciation: 'US IPA',
+        australianPronunciation: 'AU IPA',
+        audioUrls: 'Audio',
+        senses: 'Senses and examples',
+        inflections: 'Verb forms'
+    };
+
+    private logger: Logger;
+    private db: any;
+
+    constructor(db: any) {
+        this.logger = new Logger('VersionHistory');
+        this.db = db;
+    }
+
+    /**
+     * Apply `changes` to a document, saving its previous tracked fields as a version
+     * in the same batch. Updates that touch no tracked field leave no version.
+     */
+    async update(userId: string, kind: HistoryKind, id: string, changes: Record<string, any>, action: VersionEntry['action'] = 'edit'): Promise<void> {
+        const ref = doc(this.db, 'users', userId, kind, id);
+        const snapshot = await getDoc(ref);
+        if (!snapshot.exists()) {
+            throw Object.assign(new Error('Document no longer exists'), { code: 'not-found' });
+        }
+
+        const current = snapshot.data();
+        const changedFields = VersionHistory.TRACKED_FIELDS[kind].filter(field =>
+            field in changes && !this.sameValue(current[field], changes[field] instanceof FieldValue ? undefined : changes[field])
+        );
+
+        const batch = writeBatch(this.db);
+        batch.update(ref, changes);
+        if (changedFields.length > 0) {
+            batch.set(doc(collection(ref, 'history')), {
+                fields: this.trackedFields(kind, current),
+                changedFields,
+                action,
+                userId,
+                savedAt: Timestamp.fromDate(new Date())
+            });
+        }
+        await batch.commit();
+        this.logger.debug('Document updated', { kind, id, changedFields });
+    }
+
+    /**
+     * Apply updates to many documents, each with its version in the same batch;
+     * batches hold at most MAX_BATCH_WRITES writes. Missing documents are skipped.
+     */
+    async updateMany(userId: string, kind: HistoryKind, updates: { id: string; changes: Record<string, any> }[], action: VersionEntry['action'] = 'edit'): Promise<number> {
+        const snapshots = await Promise.all(updates.map(update => getDoc(doc(this.db, 'users', userId, kind, update.id))));
+        const savedAt = Timestamp.fromDate(new Date());
+
+        // The writes of one document never straddle two batches
+        const groups: ((batch: any) => void)[][] = [];
+        updates.forEach((update, index) => {
+            const snapshot = snapshots[index];
+            if (!snapshot.exists()) return;
+
+            const current = snapshot.data();
+            const changedFields = VersionHistory.TRACKED_FIELDS[kind].filter(field =>
+                field in update.changes && !this.sameValue(current[field], update.changes[field] instanceof FieldValue ? undefined : update.changes[field])
+            );
+            const group: ((batch: any) => void)[] = [(batch: any) => batch.update(snapshot.ref, update.changes)];
+            if (changedFields.length > 0) {
+                group.push((batch: any) => batch.set(doc(collection(snapshot.ref, 'history')), {
+                    fields: this.trackedFields(kind, current),
+                    changedFields,
+                    action,
+                    userId,
+                    savedAt
+                }));
+            }
+            groups.push(group);
+        });
+
+        let batch = writeBatch(this.db);
+        let writes = 0;
+        for (const group of groups) {
+            if (writes + group.length > VersionHistory.MAX_BATCH_WRITES) {
+                await batch.commit();
+                batch = writeBatch(this.db);
+                writes = 0;
+            }
+            group.forEach(write => write(batch));
+            writes += group.length;
+        }
+        if (writes > 0) {
+            await batch.commit();
+        }
+
+        this.logger.debug('Documents updated', { kind, count: groups.length });
+        return groups.length;
+    }
+
+    /**
+     * Versions of a document, newest first; anything past MAX_VERSIONS is pruned
+     */
+    async list(userId: string, kind: HistoryKind, id: string): Promise<VersionEntry[]> {
+        const historyRef = collection(this.db, 'users', userId, kind, id, 'history');
+        const snapshot = await getDocs(query(historyRef, orderBy('savedAt', 'desc')));
+
+        const expired = snapshot.docs.slice(VersionHistory.MAX_VERSIONS);
+        if (expired.length > 0) {
+            const batch = writeBatch(this.db);
+            expired.forEach((versionDoc: any) => batch.delete(versionDoc.ref));
+            batch.commit().catch((error: any) => {
+                this.logger.warn('Failed to prune old versions', { kind, id, error: error.message });
+            });
+        }
+
+        return snapshot.docs.slice(0, VersionHistory.MAX_VERSIONS).map((versionDoc: any) => {
+            const data = versionDoc.data();
+            return {
+                id: versionDoc.id,
+                fields: data.fields || {},
+                changedFields: data.changedFields || [],
+                action: data.action || 'edit',
+                savedAt: data.savedAt?.toDate() || new Date()
+            };
+        });
+    }
+
+    /**
+     * Fields where `version` differs from the current document, as line diffs (version → current)
+     */
+    diff(kind: HistoryKind, version: VersionEntry, current: Record<string, any>): FieldChange[] {
+        return VersionHistory.TRACKED_FIELDS[kind]
+            .filter(field => field !== 'inflectionForms') // derived from inflections
+            .filter(field => !this.sameValue(version.fields[field], current[field]))
+            .map(field => ({
+                field,
+                label: VersionHistory.FIELD_LABELS[field] || field,
+                lines: this.diffLines(this.formatValue(field, version.fields[field]), this.formatValue(field, current[field]))
+            }));
+    }
+
+    /**
+     * Put a document's tracked fields back to a saved version; the replaced state becomes a version too
+     */
+    async rollback(userId: string, kind: HistoryKind, id: string, versionId: string): Promise<void> {
+        const versionSnap = await getDoc(doc(this.db, 'users', userId, kind, id, 'history', versionId));
+        if (!versionSnap.exists()) {
+            throw new Error('This version no longer exists');
+        }
+
+        const fields = versionSnap.data().fields || {};
+        const changes: Record<string, any> = { updatedAt: Timestamp.fromDate(new Date()) };
+        VersionHistory.TRACKED_FIELDS[kind].forEach(field => {
+            changes[field] = field in fields ? fields[field] : deleteField();
+        });
+
+        await this.update(userId, kind, id, changes, 'rollback');
+        this.logger.info('Document rolled back', { kind, id, versionId });
+    }
+
+    /**
+     * Delete every version of a document (used when the document itself is deleted for good)
+     */
+    async clear(userId: string, kind: HistoryKind, id: string): Promise<number> {
+        const snapshot = await getDocs(collection(this.db, 'users', userId, kind, id, 'history'));
+        for (let start = 0; start < snapshot.docs.length; start += VersionHistory.MAX_BATCH_WRITES) {
+            const batch = writeBatch(this.db);
+            snapshot.docs.slice(start, start + VersionHistory.MAX_BATCH_WRITES).forEach((versionDoc: any) => batch.delete(versionDoc.ref));
+            await batch.commit();
+        }
+        return snapshot.size;
+    }
+
+    // Tracked fields present on a document
+    private trackedFields(kind: HistoryKind, data: Record<string, any>): Record<string, any> {
+        const fields: Record<string, any> = {};
+        VersionHistory.TRACKED_FIELDS[kind].forEach(field => {
+            if (data[field] !== undefined) {
+                fields[field] = data[field];
+            }
+        });
+        return fields;
+    }
+
+    // Missing fields and empty strings/lists count as the same "nothing"
+    private sameValue(a: any, b: any): boolean {
+        const normalize = (value: any) => value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0) ? null : value;
+        return this.canonical(normalize(a)) === this.canonical(normalize(b));
+    }
+
+    // JSON with sorted keys, so key order does not count as a change
+    private canonical(value: any): string {
+        return JSON.stringify(value, (_key, inner) => inner && typeof inner === 'object' && !Array.isArray(inner)
+            ? Object.keys(inner).sort().reduce((sorted: Record<string, any>, key) => {
+                sorted[key] = inner[key];
+                return sorted;
+            }, {})
+            : inner) ?? 'null';
+    }
+
+    // Human-readable lines for a field value
+    private formatValue(field: string, value: any): string[] {
+        if (value === undefined || value === null || value === '') return [];
+
+        if (field === 'senses' && Array.isArray(value)) {
+            return value.flatMap((sense: any, index: number) => [
+                `${index + 1}. ${sense.pos ? `(${sense.pos}) ` : ''}${sense.definition || ''}${sense.translation ? ` — ${sense.translation}` : ''}`,
+                ...(sense.examples || []).map((example: any) =>
+                    `   • ${example.text}${example.translation ? ` — ${example.translation}` : ''}`)
+            ]);
+        }
+        if (field === 'audioUrls' && typeof value === 'object') {
+            return ['british', 'american', 'australian']
+                .filter(accent => value[accent])
+                .map(accent => `${accent}: ${value[accent]}`);
+        }
+        if (field === 'inflections' && typeof value === 'object') {
+            return [['past', 'Past'], ['pastParticiple', 'Past participle'], ['presentParticiple', '-ing'], ['thirdPerson', '3rd person']]
+                .filter(([key]) => value[key])
+                .map(([key, label]) => `${label}: ${value[key]}`);
+        }
+        return String(value).split('\n');
+    }
+
+    // Longest-common-subsequence line diff
+    private diffLines(before: string[], after: string[]): DiffLine[] {
+        const lengths: number[][] = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+        for (let i = before.length - 1; i >= 0; i--) {
+            for (let j = after.length - 1; j >= 0; j--) {
+                lengths[i][j] = before[i] === after[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines: DiffLine[] = [];
+        let i = 0;
+        let j = 0;
+        while (i < before.length || j < after.length) {
+            if (i < before.length && j < after.length && before[i] === after[j]) {
+                lines.push({ type: 'same', text: before[i] });
+                i++;
+                j++;
+            } else if (i < before.length && (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                lines.push({ type: 'removed', text: before[i] });
+                i++;
+            } else {
+                lines.push({ type: 'added', text: after[j] });
+                j++;
+            }
+        }
+        return lines;
+    }
+}
+
+export default VersionHistory;
+export type { HistoryKind, VersionEntry, FieldChange, DiffLine };
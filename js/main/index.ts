@@ -1,21 +1,71 @@
 import Logger from '../common/logger.js';
 import AuthManager from '../auth/auth-manager.js';
 import SignOut from '../auth/signout.js';
+import PronunciationPlayer, { Accent } from '../common/pronunciation-player.js';
+import DictionaryService from '../dictionary/dictionary-service.js';
+import UserGlossary from '../translation/user-glossary.js';
+import TrashService from '../trash/trash-service.js';
+import SharingService from '../sharing/sharing-service.js';
+import { LookupResult } from '../dictionary/dictionary-types.js';
+import { 
+    getFirestore, 
+    collection, 
+    doc,
+    query, 
+    where, 
+    orderBy, 
+    limit, 
+    getDocs, 
+    getCountFromServer,
+    writeBatch,
+    increment,
+    Timestamp
+} from 'firebase/firestore';
+
+/**
+ * Recent activity feed entry built from createdAt/updatedAt
+ */
+interface ActivityItem {
+    icon: string;
+    text: string;
+    date: Date;
+    link?: string;
+}
 
 /**
  * MainPageController handles the main page functionality
  * Displays different content based on authentication state
  */
 class MainPageController {
+    static readonly ACTIVITY_LIMIT = 10;
+
     private logger: Logger;
     private authManager: AuthManager;
     private signOut: SignOut;
+    private db: any;
     private authStateUnsubscribe: (() => void) | null = null;
+    private currentUser: any = null;
+    private dictionaryService: DictionaryService;
+    private pronunciationPlayer: PronunciationPlayer;
+    private lastSearchResult: LookupResult | null = null;
+    private userGlossary: UserGlossary;
+    private sharingService: SharingService;
 
     constructor() {
         this.logger = new Logger('MainPageController');
         this.authManager = new AuthManager();
         this.signOut = new SignOut();
+        this.db = getFirestore();
+        this.dictionaryService = new DictionaryService();
+        this.userGlossary = new UserGlossary(this.db, this.dictionaryService.getTranslationService().getGlossary());
+        this.sharingService = new SharingService(this.db);
+        this.pronunciationPlayer = new PronunciationPlayer((message, type) => {
+            if (type === 'error') {
+                this.showError(message);
+            } else {
+                this.logger.debug(message);
+            }
+        });
         this.logger.info('MainPageController initialized');
     }
 
@@ -150,6 +200,7 @@ class MainPageController {
         const mainContent = document.getElementById('main-content');
         if (mainContent) {
             const displayName = user.displayName || user.email?.split('@')[0] || 'User';
+            this.currentUser = user;
             
             mainContent.innerHTML = `
                 <div class="container">
@@ -189,9 +240,26 @@ class MainPageController {
                                     Favorite words
                                 </p>
                             </div>
+
+                            <div class="feature-card">
+                                <span class="feature-icon">🗂️</span>
+                                <h3 class="feature-title">Categories</h3>
+                                <p class="feature-description">
+                                    <span style="font-size: 2rem; font-weight: bold; color: var(--accent-color);" id="total-categories">0</span><br>
+                                    Word categories
+                                </p>
+                            </div>
                         </div>
                     </section>
 
+                    <!-- Recent Activity -->
+                    <section class="features-section">
+                        <h2 class="features-title">Recent Activity</h2>
+                        <ul id="recent-activity" class="activity-list">
+                            <li class="activity-empty">Loading recent activity...</li>
+                        </ul>
+                    </section>
+
                     <!-- Quick Actions -->
                     <section class="features-section">
                         <h2 class="features-title">Quick Actions</h2>
@@ -229,7 +297,7 @@ class MainPageController {
                                        onBlur="this.style.borderColor='var(--gray-200)'">
                                 <button class="cta-button" id="search-btn" style="white-space: nowrap;">Search</button>
                             </div>
-                            <div id="search-results" style="background: white; border-radius: var(--radius-lg); padding: 1.5rem; box-shadow: var(--shadow-md); display: none;">
+                            <div id="search-results" class="search-results" style="display: none;">
                                 <!-- Search results will appear here -->
                             </div>
                         </div>
@@ -239,6 +307,16 @@ class MainPageController {
             
             // Setup event listeners for interactive elements
             this.setupBasicInteractions();
+
+            // Load dashboard data
+            this.loadUserStats(user);
+            this.loadRecentActivity(user);
+            this.userGlossary.load(user.uid).catch((error: any) => {
+                this.logger.warn('Failed to load glossary', { error: error.message });
+            });
+            this.sharingService.registerProfile(user).catch((error: any) => {
+                this.logger.warn('Failed to register sharing profile', { error: error.message });
+            });
             
             this.logger.debug('Authenticated main content rendered');
         } else {
@@ -275,8 +353,8 @@ class MainPageController {
         if (practiceBtn) {
             practiceBtn.addEventListener('click', () => {
                 this.logger.info('Practice button clicked');
-                // TODO: Implement practice mode
-                alert('Practice feature coming soon!');
+                // Navigate to spaced-repetition review page
+                window.location.href = '/practice';
             });
         }
 
@@ -285,19 +363,10 @@ class MainPageController {
         const searchInput = document.getElementById('search-input') as HTMLInputElement;
         
         if (searchBtn && searchInput) {
-            const performSearch = () => {
-                const query = searchInput.value.trim();
-                if (query) {
-                    this.logger.info('Search performed', { query });
-                    // TODO: Implement search functionality
-                    alert(`Searching for: "${query}" - Feature coming soon!`);
-                }
-            };
-
-            searchBtn.addEventListener('click', performSearch);
+            searchBtn.addEventListener('click', () => this.performSearch());
             searchInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
-                    performSearch();
+                    this.performSearch();
                 }
             });
         }
@@ -370,60 +439,431 @@ class MainPageController {
     }
 
     /**
-     * Perform search functionality
+     * Look up the search query in the dictionary and render the result
      */
-    private performSearch(): void {
+    private async performSearch(): Promise<void> {
         const searchInput = document.getElementById('search-input') as HTMLInputElement;
+        const searchBtn = document.getElementById('search-btn') as HTMLButtonElement;
+        const resultsContainer = document.getElementById('search-results');
         const query = searchInput?.value.trim();
         
-        if (query) {
-            this.logger.info('Search performed', { query });
-            // TODO: Implement search functionality
-            alert(`Searching for: "${query}". Feature coming soon!`);
-        } else {
+        if (!query) {
             this.logger.warn('Empty search query');
-            alert('Please enter a word to search for');
+            this.showError('Please enter a word to search for');
+            return;
+        }
+
+        if (!resultsContainer) {
+            this.logger.warn('Search results container not found');
+            return;
+        }
+
+        this.logger.info('Search performed', { query });
+        this.lastSearchResult = null;
+        resultsContainer.style.display = 'block';
+        resultsContainer.innerHTML = `
+            <div class="search-status">
+                <div class="loading-spinner"></div>
+                <span>Looking up "${this.escapeHtml(query)}"...</span>
+            </div>
+        `;
+        if (searchBtn) {
+            searchBtn.disabled = true;
+        }
+
+        try {
+            const result = await this.dictionaryService.lookupAndTranslate(query);
+            
+            if (result.dictionaryData && result.dictionaryData.definition?.length) {
+                this.lastSearchResult = result;
+                this.renderSearchResult(result);
+                this.loadSaveCategories();
+            } else {
+                this.logger.info('No dictionary entry found', { query });
+                resultsContainer.innerHTML = `
+                    <p class="search-status">No results found for "${this.escapeHtml(query)}".</p>
+                `;
+            }
+        } catch (error: any) {
+            this.logger.error('Dictionary search failed', { query, error: error.message });
+            resultsContainer.innerHTML = `
+                <p class="search-status search-error">Failed to look up "${this.escapeHtml(query)}". Please try again.</p>
+            `;
+        } finally {
+            if (searchBtn) {
+                searchBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Render dictionary entry with pronunciations, definitions and save controls
+     */
+    private renderSearchResult(result: LookupResult): void {
+        const resultsContainer = document.getElementById('search-results');
+        if (!resultsContainer) {
+            this.logger.warn('Search results container not found');
+            return;
+        }
+
+        const data = result.dictionaryData;
+        const categorized = this.dictionaryService.categorizePronunciations(data.pronunciation || []);
+        const accents: { key: Accent; label: string }[] = [
+            { key: 'british', label: '🇬🇧 UK' },
+            { key: 'american', label: '🇺🇸 US' },
+            { key: 'australian', label: '🇦🇺 AU' }
+        ];
+
+        const pronunciationsHtml = accents
+            .filter(({ key }) => categorized[key]?.text)
+            .map(({ key, label }) => `
+                <button class="search-pron-btn" data-accent="${key}" title="Play ${key} pronunciation">
+                    ${label} <span class="search-ipa">${this.escapeHtml(categorized[key]!.text)}</span> 🔊
+                </button>
+            `).join('');
+
+        const definitionsHtml = (data.definition || []).map(definition => `
+            <li class="search-definition">
+                ${definition.pos ? `<span class="search-pos">${this.escapeHtml(definition.pos)}</span>` : ''}
+                <span>${this.escapeHtml(definition.text)}</span>
+                ${definition.translation ? `<div class="search-translation">${this.escapeHtml(definition.translation)}</div>` : ''}
+                ${definition.example?.length ? `
+                    <ul class="search-examples">
+                        ${definition.example.map(example => `
+                            <li>
+                                <em>${this.escapeHtml(example.text)}</em>
+                                ${example.translation ? `<div class="search-translation">${this.escapeHtml(example.translation)}</div>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `).join('');
+
+        const verbsHtml = data.verbs?.length ? `
+            <p class="search-verbs">
+                ${data.verbs.map(verb => `<span><strong>${this.escapeHtml(verb.type)}:</strong> ${this.escapeHtml(verb.text)}</span>`).join('')}
+            </p>
+        ` : '';
+
+        resultsContainer.innerHTML = `
+            <div class="search-result-header">
+                <h3 class="search-word">${this.escapeHtml(data.word)}</h3>
+                ${data.pos?.length ? `<span class="search-pos">${this.escapeHtml(data.pos.join(', '))}</span>` : ''}
+            </div>
+            ${pronunciationsHtml ? `<div class="search-pronunciations">${pronunciationsHtml}</div>` : ''}
+            ${result.translationError
+                ? `<p class="search-vietnamese search-translation-unavailable">🇻🇳 Translation unavailable: ${this.escapeHtml(result.translationError)}</p>`
+                : `<p class="search-vietnamese">🇻🇳 <strong>${this.escapeHtml(result.vietnameseTranslation)}</strong></p>`}
+            ${result.vietnameseDefinition ? `<p class="search-translation">${this.escapeHtml(result.vietnameseDefinition)}</p>` : ''}
+            ${verbsHtml}
+            <ol class="search-definitions">${definitionsHtml}</ol>
+            <div class="search-save">
+                <select id="search-save-category" disabled>
+                    <option value="">Loading categories...</option>
+                </select>
+                <button class="cta-button" id="search-save-btn" disabled>Save to category…</button>
+            </div>
+        `;
+
+        resultsContainer.querySelectorAll<HTMLButtonElement>('.search-pron-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const accent = button.dataset.accent as Accent;
+                const pronunciation = categorized[accent];
+                this.pronunciationPlayer.play(pronunciation?.audio || '', accent, data.word, pronunciation?.text || '');
+            });
+        });
+
+        const saveBtn = document.getElementById('search-save-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveSearchResult());
+        }
+    }
+
+    /**
+     * Fill the "Save to category" picker with the user's categories
+     */
+    private async loadSaveCategories(): Promise<void> {
+        const select = document.getElementById('search-save-category') as HTMLSelectElement;
+        const saveBtn = document.getElementById('search-save-btn') as HTMLButtonElement;
+        if (!select || !this.currentUser) {
+            this.logger.warn('Category picker not available');
+            return;
+        }
+
+        try {
+            const categoriesRef = collection(this.db, 'users', this.currentUser.uid, 'categories');
+            const snapshot = await getDocs(query(categoriesRef, orderBy('name')));
+            const categoryDocs = snapshot.docs.filter((categoryDoc: any) => !TrashService.isTrashed(categoryDoc.data()));
+
+            if (categoryDocs.length === 0) {
+                select.innerHTML = '<option value="">No categories yet</option>';
+                this.logger.info('No categories available for saving');
+                return;
+            }
+
+            select.innerHTML = categoryDocs.map((categoryDoc: any) =>
+                `<option value="${categoryDoc.id}">${this.escapeHtml(categoryDoc.data().name || 'Untitled')}</option>`
+            ).join('');
+            select.disabled = false;
+            if (saveBtn) {
+                saveBtn.disabled = false;
+            }
+            this.logger.debug('Save categories loaded', { count: categoryDocs.length });
+        } catch (error: any) {
+            this.logger.error('Failed to load categories for saving', { error: error.message });
+            select.innerHTML = '<option value="">Failed to load categories</option>';
         }
     }
 
     /**
-     * Load user statistics (placeholder for future implementation)
+     * Save the current search result as a word in the selected category
+     */
+    private async saveSearchResult(): Promise<void> {
+        const select = document.getElementById('search-save-category') as HTMLSelectElement;
+        const saveBtn = document.getElementById('search-save-btn') as HTMLButtonElement;
+        const categoryId = select?.value;
+
+        if (!this.lastSearchResult || !this.currentUser || !categoryId) {
+            this.logger.warn('Nothing to save', { categoryId });
+            this.showError('Please choose a category first');
+            return;
+        }
+
+        const { dictionaryData, vietnameseTranslation, vietnameseDefinition } = this.lastSearchResult;
+        if (!vietnameseTranslation) {
+            this.logger.warn('Cannot save without a translation', { word: dictionaryData.word });
+            this.showError('Translation is unavailable. Add this word from a category page to type the translation yourself.');
+            return;
+        }
+        const categoryName = select.options[select.selectedIndex]?.text || 'category';
+        this.logger.info('Saving search result to category', { word: dictionaryData.word, categoryId });
+
+        if (saveBtn) {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+        }
+
+        try {
+            const wordsRef = collection(this.db, 'users', this.currentUser.uid, 'words');
+            const existing = await getDocs(query(
+                wordsRef,
+                where('categoryId', '==', categoryId),
+                where('englishWord', '==', dictionaryData.word)
+            ));
+
+            if (existing.docs.some((wordDoc: any) => !TrashService.isTrashed(wordDoc.data()))) {
+                this.logger.warn('Word already exists in category', { word: dictionaryData.word, categoryId });
+                this.showError(`"${dictionaryData.word}" is already in ${categoryName}`);
+                return;
+            }
+
+            const senses = await this.dictionaryService.translateMissingExamples(
+                this.dictionaryService.sensesFromResponse(dictionaryData)
+            );
+            const now = Timestamp.fromDate(new Date());
+            const batch = writeBatch(this.db);
+            batch.set(doc(wordsRef), {
+                ...this.dictionaryService.buildWordData(
+                    dictionaryData,
+                    categoryId,
+                    this.currentUser.uid,
+                    vietnameseTranslation,
+                    vietnameseDefinition,
+                    senses
+                ),
+                isFavorite: false,
+                learned: false,
+                createdAt: now,
+                updatedAt: now
+            });
+            batch.update(doc(this.db, 'users', this.currentUser.uid, 'categories', categoryId), {
+                wordCount: increment(1),
+                updatedAt: now
+            });
+            await batch.commit();
+
+            this.logger.info('Search result saved', { word: dictionaryData.word, categoryId });
+            this.showSuccess(`Saved "${dictionaryData.word}" to ${categoryName}`);
+            this.loadUserStats(this.currentUser);
+            this.loadRecentActivity(this.currentUser);
+        } catch (error: any) {
+            this.logger.error('Failed to save search result', { error: error.message });
+            this.showError('Failed to save word. Please try again.');
+        } finally {
+            if (saveBtn) {
+                saveBtn.disabled = false;
+                saveBtn.textContent = 'Save to category…';
+            }
+        }
+    }
+
+    /**
+     * Escape dictionary text before inserting it as HTML
+     */
+    private escapeHtml(text: string): string {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Load user statistics with Firestore count aggregates
      */
     private async loadUserStats(user: any): Promise<void> {
         this.logger.debug('Loading user stats', { uid: user.uid });
         
         try {
-            // TODO: Implement actual data loading from Firestore
-            // For now, use placeholder data
+            const wordsRef = collection(this.db, 'users', user.uid, 'words');
+            const categoriesRef = collection(this.db, 'users', user.uid, 'categories');
+
+            // Each count runs for all documents and for trashed ones; the difference is what's live
+            const inTrash = where('deleted', '==', true);
+            const countPairs = await Promise.all([
+                [wordsRef, query(wordsRef, inTrash)],
+                [query(wordsRef, where('learned', '==', true)), query(wordsRef, where('learned', '==', true), inTrash)],
+                [query(wordsRef, where('isFavorite', '==', true)), query(wordsRef, where('isFavorite', '==', true), inTrash)],
+                [categoriesRef, query(categoriesRef, inTrash)]
+            ].map(async ([all, trashed]) => {
+                const [allSnap, trashedSnap] = await Promise.all([getCountFromServer(all), getCountFromServer(trashed)]);
+                return allSnap.data().count - trashedSnap.data().count;
+            }));
+
+            const stats = {
+                totalWords: countPairs[0],
+                learnedWords: countPairs[1],
+                favoriteWords: countPairs[2],
+                categoriesCount: countPairs[3]
+            };
             
             const totalWordsEl = document.getElementById('total-words');
             const learnedWordsEl = document.getElementById('learned-words');
             const favoriteWordsEl = document.getElementById('favorite-words');
+            const totalCategoriesEl = document.getElementById('total-categories');
             
-            if (totalWordsEl) totalWordsEl.textContent = '0';
-            if (learnedWordsEl) learnedWordsEl.textContent = '0';
-            if (favoriteWordsEl) favoriteWordsEl.textContent = '0';
+            if (totalWordsEl) totalWordsEl.textContent = String(stats.totalWords);
+            if (learnedWordsEl) learnedWordsEl.textContent = String(stats.learnedWords);
+            if (favoriteWordsEl) favoriteWordsEl.textContent = String(stats.favoriteWords);
+            if (totalCategoriesEl) totalCategoriesEl.textContent = String(stats.categoriesCount);
             
-            this.logger.debug('User stats loaded (placeholder data)');
+            this.logger.debug('User stats loaded', stats);
         } catch (error: any) {
             this.logger.error('Failed to load user stats', { error: error.message });
         }
     }
 
     /**
-     * Load recent activity (placeholder for future implementation)
+     * Load recent activity feed from word and category timestamps
      */
     private async loadRecentActivity(user: any): Promise<void> {
         this.logger.debug('Loading recent activity', { uid: user.uid });
         
+        const list = document.getElementById('recent-activity');
+        if (!list) return;
+
         try {
-            // TODO: Implement actual data loading from Firestore
-            this.logger.debug('Recent activity loaded (placeholder)');
+            const wordsRef = collection(this.db, 'users', user.uid, 'words');
+            const categoriesRef = collection(this.db, 'users', user.uid, 'categories');
+
+            const [wordsSnap, categoriesSnap] = await Promise.all([
+                getDocs(query(wordsRef, orderBy('updatedAt', 'desc'), limit(MainPageController.ACTIVITY_LIMIT))),
+                getDocs(query(categoriesRef, orderBy('updatedAt', 'desc')))
+            ]);
+
+            const categoryNames: { [id: string]: string } = {};
+            const items: ActivityItem[] = [];
+
+            categoriesSnap.forEach((categoryDoc) => {
+                const data = categoryDoc.data();
+                categoryNames[categoryDoc.id] = this.escapeHtml(`${data.icon || '📚'} ${data.name}`);
+            });
+
+            const liveCategories = categoriesSnap.docs.filter((categoryDoc) => !TrashService.isTrashed(categoryDoc.data()));
+            liveCategories.slice(0, MainPageController.ACTIVITY_LIMIT).forEach((categoryDoc) => {
+                const data = categoryDoc.data();
+                const createdAt: Date = data.createdAt?.toDate() || new Date();
+                const updatedAt: Date = data.updatedAt?.toDate() || createdAt;
+                const isNew = this.isSameMoment(createdAt, updatedAt);
+                items.push({
+                    icon: isNew ? '🗂️' : '✏️',
+                    text: isNew ? `Created category <strong>${this.escapeHtml(data.name)}</strong>` : `Updated category <strong>${this.escapeHtml(data.name)}</strong>`,
+                    date: updatedAt,
+                    link: `/words?categoryId=${categoryDoc.id}`
+                });
+            });
+
+            wordsSnap.forEach((wordDoc) => {
+                const data = wordDoc.data();
+                if (TrashService.isTrashed(data)) return;
+                const createdAt: Date = data.createdAt?.toDate() || new Date();
+                const updatedAt: Date = data.updatedAt?.toDate() || createdAt;
+                const isNew = this.isSameMoment(createdAt, updatedAt);
+                const categoryName = categoryNames[data.categoryId] || 'a category';
+                items.push({
+                    icon: isNew ? '📝' : '✏️',
+                    text: isNew
+                        ? `Added <strong>${this.escapeHtml(data.englishWord)}</strong> to ${categoryName}`
+                        : `Edited <strong>${this.escapeHtml(data.englishWord)}</strong> in ${categoryName}`,
+                    date: updatedAt,
+                    link: `/words?categoryId=${data.categoryId}`
+                });
+            });
+
+            items.sort((a, b) => b.date.getTime() - a.date.getTime());
+            this.renderRecentActivity(items.slice(0, MainPageController.ACTIVITY_LIMIT));
+
+            this.logger.debug('Recent activity loaded', { count: items.length });
         } catch (error: any) {
             this.logger.error('Failed to load recent activity', { error: error.message });
+            list.innerHTML = '<li class="activity-empty">Unable to load recent activity</li>';
         }
     }
 
+    /**
+     * Render recent activity feed
+     */
+    private renderRecentActivity(items: ActivityItem[]): void {
+        const list = document.getElementById('recent-activity');
+        if (!list) return;
+
+        if (items.length === 0) {
+            list.innerHTML = '<li class="activity-empty">No activity yet. Create a category and add your first word!</li>';
+            return;
+        }
+
+        list.innerHTML = items.map(item => `
+            <li class="activity-item">
+                <span class="activity-icon">${item.icon}</span>
+                <a class="activity-text" href="${item.link || '#'}">${item.text}</a>
+                <span class="activity-date">${this.formatRelativeDate(item.date)}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Treat timestamps written by the same create call as equal
+     */
+    private isSameMoment(a: Date, b: Date): boolean {
+        return Math.abs(a.getTime() - b.getTime()) < 1000;
+    }
+
+    /**
+     * Format date for activity feed
+     */
+    private formatRelativeDate(date: Date): string {
+        const diffMs = Date.now() - date.getTime();
+        const diffMinutes = Math.floor(diffMs / (1000 * 60));
+        const diffHours = Math.floor(diffMinutes / 60);
+        const diffDays = Math.floor(diffHours / 24);
+
+        if (diffMinutes < 1) return 'just now';
+        if (diffMinutes < 60) return `${diffMinutes} min ago`;
+        if (diffHours < 24) return `${diffHours} h ago`;
+        if (diffDays === 1) return 'yesterday';
+        if (diffDays < 7) return `${diffDays} days ago`;
+        return date.toLocaleDateString();
+    }
+
     /**
      * Show error message
      */
@@ -443,6 +883,24 @@ class MainPageController {
         }, 5000);
     }
 
+    /**
+     * Show success message
+     */
+    private showSuccess(message: string): void {
+        this.logger.info('Showing success to user', { message });
+        
+        const successDiv = document.createElement('div');
+        successDiv.className = 'success-notification';
+        successDiv.textContent = message;
+        
+        document.body.appendChild(successDiv);
+        
+        // Auto-remove after 3 seconds
+        setTimeout(() => {
+            successDiv.remove();
+        }, 3000);
+    }
+
     /**
      * Cleanup when page is unloaded
      */
@@ -0,0 +1,220 @@
+import Logger from '../common/logger.js';
+import TrashService from '../trash/trash-service.js';
+import { Word, wordFromFirestore } from '../words/word-model.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    writeBatch,
+    deleteField,
+    Timestamp
+} from 'firebase/firestore';
+
+/**
+ * Published category snapshot, stored in publicShares/{shareId} with its words
+ * in publicShares/{shareId}/words
+ */
+interface PublicShare {
+    id: string;
+    ownerId: string;
+    ownerName: string;
+    categoryId: string;
+    name: string;
+    description: string;
+    icon: string;
+    wordCount: number;
+    publishedAt: Date;
+}
+
+/**
+ * PublicShareService publishes a read-only snapshot of a category that anyone
+ * can open at /share/{id} without signing in, and clones a snapshot into the
+ * signed-in visitor's own categories.
+ */
+class PublicShareService {
+    static readonly MAX_BATCH_WRITES = 500; // Firestore limit per batch
+
+    // Word content copied into a snapshot; personal progress (favorite, learned, review) stays private
+    private static readonly WORD_FIELDS = [
+        'englishWord', 'vietnameseTranslation', 'partOfSpeech', 'definition', 'vietnameseDefinition',
+        'britishPronunciation', 'americanPronunciation', 'australianPronunciation',
+        'audioUrls', 'senses', 'inflections', 'inflectionForms'
+    ];
+
+    private logger: Logger;
+    private db: any;
+
+    constructor(db: any) {
+        this.logger = new Logger('PublicShareService');
+        this.db = db;
+    }
+
+    /**
+     * Public URL of a share
+     */
+    static linkFor(shareId: string): string {
+        return `${window.location.origin}/share/${shareId}`;
+    }
+
+    /**
+     * Publish (or refresh) the snapshot of a category; returns the share id
+     */
+    async publish(owner: any, categoryId: string): Promise<string> {
+        const categoryRef = doc(this.db, 'users', owner.uid, 'categories', categoryId);
+        const categorySnap = await getDoc(categoryRef);
+        if (!categorySnap.exists() || TrashService.isTrashed(categorySnap.data())) {
+            throw new Error('Category not found');
+        }
+
+        const category = categorySnap.data();
+        const wordsSnap = await getDocs(query(collection(this.db, 'users', owner.uid, 'words'), where('categoryId', '==', categoryId)));
+        const words = wordsSnap.docs
+            .filter((wordDoc: any) => !TrashService.isTrashed(wordDoc.data()))
+            .map((wordDoc: any) => this.snapshotWord(wordDoc.data()));
+
+        // Refreshing keeps the same link, so the old words are replaced
+        const shareRef = category.publicShareId
+            ? doc(this.db, 'publicShares', category.publicShareId)
+            : doc(collection(this.db, 'publicShares'));
+        const staleWords = category.publicShareId
+            ? (await getDocs(collection(shareRef, 'words'))).docs
+            : [];
+
+        const now = Timestamp.fromDate(new Date());
+        await this.commitInBatches([
+            (batch: any) => batch.set(shareRef, {
+                ownerId: owner.uid,
+                ownerName: owner.displayName || owner.email?.split('@')[0] || 'Anonymous',
+                categoryId,
+                name: category.name,
+                description: category.description || '',
+                icon: category.icon || '📚',
+                wordCount: words.length,
+                publishedAt: now
+            }),
+            ...staleWords.map((wordDoc: any) => (batch: any) => batch.delete(wordDoc.ref)),
+            ...words.map(word => (batch: any) => batch.set(doc(collection(shareRef, 'words')), word)),
+            (batch: any) => batch.update(categoryRef, { publicShareId: shareRef.id })
+        ]);
+
+        this.logger.info('Category published', { categoryId, shareId: shareRef.id, words: words.length });
+        return shareRef.id;
+    }
+
+    /**
+     * Take a category's public link down
+     */
+    async unpublish(ownerId: string, categoryId: string, shareId: string): Promise<void> {
+        const shareRef = doc(this.db, 'publicShares', shareId);
+        const wordsSnap = await getDocs(collection(shareRef, 'words'));
+
+        // Words first: the rules check them against the share document
+        await this.commitInBatches([
+            ...wordsSnap.docs.map((wordDoc: any) => (batch: any) => batch.delete(wordDoc.ref)),
+            (batch: any) => batch.delete(shareRef),
+            (batch: any) => batch.update(doc(this.db, 'users', ownerId, 'categories', categoryId), { publicShareId: deleteField() })
+        ]);
+        this.logger.info('Category unpublished', { categoryId, shareId });
+    }
+
+    /**
+     * Load a published snapshot; no sign-in needed
+     */
+    async load(shareId: string): Promise<{ share: PublicShare; words: Word[] }> {
+        const shareRef = doc(this.db, 'publicShares', shareId);
+        const shareSnap = await getDoc(shareRef);
+        if (!shareSnap.exists()) {
+            throw new Error('This link does not exist or was taken down');
+        }
+
+        const data = shareSnap.data();
+        const wordsSnap = await getDocs(collection(shareRef, 'words'));
+        const words = wordsSnap.docs
+            .map((wordDoc: any) => wordFromFirestore(wordDoc.id, wordDoc.data()))
+            .sort((a: Word, b: Word) => a.englishWord.localeCompare(b.englishWord));
+
+        return {
+            share: {
+                id: shareSnap.id,
+                ownerId: data.ownerId,
+                ownerName: data.ownerName || 'Anonymous',
+                categoryId: data.categoryId,
+                name: data.name,
+                description: data.description || '',
+                icon: data.icon || '📚',
+                wordCount: words.length,
+                publishedAt: data.publishedAt?.toDate() || new Date()
+            },
+            words
+        };
+    }
+
+    /**
+     * Copy a published snapshot into a new category of `userId`; returns the new category id
+     */
+    async clone(userId: string, shareId: string): Promise<string> {
+        const shareRef = doc(this.db, 'publicShares', shareId);
+        const shareSnap = await getDoc(shareRef);
+        if (!shareSnap.exists()) {
+            throw new Error('This link does not exist or was taken down');
+        }
+
+        const share = shareSnap.data();
+        const wordsSnap = await getDocs(collection(shareRef, 'words'));
+        const categoryRef = doc(collection(this.db, 'users', userId, 'categories'));
+        const wordsRef = collection(this.db, 'users', userId, 'words');
+        const now = Timestamp.fromDate(new Date());
+
+        // The category goes last so a failure part-way leaves no half-filled category in the list
+        await this.commitInBatches([
+            ...wordsSnap.docs.map((wordDoc: any) => (batch: any) => batch.set(doc(wordsRef), {
+                ...this.snapshotWord(wordDoc.data()),
+                categoryId: categoryRef.id,
+                userId,
+                isFavorite: false,
+                learned: false,
+                createdAt: now,
+                updatedAt: now
+            })),
+            (batch: any) => batch.set(categoryRef, {
+                name: share.name,
+                description: share.description || '',
+                icon: share.icon || '📚',
+                wordCount: wordsSnap.size,
+                createdAt: now,
+                updatedAt: now,
+                userId,
+                clonedFrom: shareId
+            })
+        ]);
+
+        this.logger.info('Public share cloned', { shareId, categoryId: categoryRef.id, words: wordsSnap.size });
+        return categoryRef.id;
+    }
+
+    // Shareable fields of a word document
+    private snapshotWord(data: Record<string, any>): Record<string, any> {
+        const word: Record<string, any> = {};
+        PublicShareService.WORD_FIELDS.forEach(field => {
+            if (data[field] !== undefined) {
+                word[field] = data[field];
+            }
+        });
+        return word;
+    }
+
+    // Run write operations in order, at most MAX_BATCH_WRITES per batch
+    private async commitInBatches(operations: ((batch: any) => void)[]): Promise<void> {
+        for (let start = 0; start < operations.length; start += PublicShareService.MAX_BATCH_WRITES) {
+            const batch = writeBatch(this.db);
+            operations.slice(start, start + PublicShareService.MAX_BATCH_WRITES).forEach(operation => operation(batch));
+            await batch.commit();
+        }
+    }
+}
+
+export default PublicShareService;
+export type { PublicShare };
@@ -0,0 +1,185 @@
+import Logger from '../common/logger.js';
+import TrashService from '../trash/trash-service.js';
+import {
+    collectionGroup,
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    query,
+    where,
+    onSnapshot,
+    arrayUnion,
+    arrayRemove,
+    deleteField,
+    Timestamp
+} from 'firebase/firestore';
+
+/**
+ * What a collaborator may do in a shared category
+ */
+type CollaboratorRole = 'viewer' | 'editor';
+
+/**
+ * Someone a category is shared with, stored in the category's `collaborators` map by uid
+ */
+interface Collaborator {
+    uid: string;
+    email: string;
+    displayName: string;
+    role: CollaboratorRole;
+}
+
+/**
+ * Category another user shared with the signed-in user
+ */
+interface SharedCategory {
+    id: string;
+    ownerId: string;
+    ownerName: string;
+    name: string;
+    description: string;
+    icon: string;
+    wordCount: number;
+    role: CollaboratorRole;
+    updatedAt: Date;
+}
+
+/**
+ * SharingService shares a user's categories with other users as viewers or
+ * editors. Access is granted by the category's `collaborators` map (checked in
+ * firestore.rules); `collaboratorIds` mirrors its keys for the "shared with me" query.
+ * Users are found by email through userDirectory/{email}, written at sign-in.
+ */
+class SharingService {
+    static readonly ROLES: CollaboratorRole[] = ['viewer', 'editor'];
+
+    private logger: Logger;
+    private db: any;
+
+    constructor(db: any) {
+        this.logger = new Logger('SharingService');
+        this.db = db;
+    }
+
+    /**
+     * Collaborator role of `userId` in a category's Firestore data, or null
+     */
+    static roleOf(data: any, userId: string): CollaboratorRole | null {
+        const role = data?.collaborators?.[userId]?.role;
+        return SharingService.ROLES.includes(role) ? role : null;
+    }
+
+    /**
+     * Collaborators of a category, sorted by name
+     */
+    static collaboratorsOf(data: any): Collaborator[] {
+        return Object.entries(data?.collaborators || {})
+            .map(([uid, value]: [string, any]) => ({
+                uid,
+                email: value.email || '',
+                displayName: value.displayName || value.email || 'Unknown user',
+                role: value.role
+            }))
+            .sort((a, b) => a.displayName.localeCompare(b.displayName));
+    }
+
+    /**
+     * Publish the signed-in user's email so others can share categories with them
+     */
+    async registerProfile(user: any): Promise<void> {
+        if (!user?.email) return;
+        await setDoc(doc(this.db, 'userDirectory', this.emailKey(user.email)), {
+            uid: user.uid,
+            email: user.email,
+            displayName: user.displayName || user.email.split('@')[0],
+            updatedAt: Timestamp.fromDate(new Date())
+        });
+    }
+
+    /**
+     * Share a category with the user who signed in with `email`
+     */
+    async addCollaborator(owner: any, categoryId: string, email: string, role: CollaboratorRole): Promise<Collaborator> {
+        const directoryDoc = await getDoc(doc(this.db, 'userDirectory', this.emailKey(email)));
+        if (!directoryDoc.exists()) {
+            throw new Error(`No account found for ${email}. Ask them to sign in once, then try again.`);
+        }
+
+        const profile = directoryDoc.data();
+        if (profile.uid === owner.uid) {
+            throw new Error('You already own this category');
+        }
+
+        const collaborator: Collaborator = {
+            uid: profile.uid,
+            email: profile.email,
+            displayName: profile.displayName || profile.email,
+            role
+        };
+        await updateDoc(doc(this.db, 'users', owner.uid, 'categories', categoryId), {
+            [`collaborators.${collaborator.uid}`]: { email: collaborator.email, displayName: collaborator.displayName, role },
+            collaboratorIds: arrayUnion(collaborator.uid),
+            ownerName: owner.displayName || owner.email || ''
+        });
+        this.logger.info('Category shared', { categoryId, collaborator: collaborator.uid, role });
+        return collaborator;
+    }
+
+    /**
+     * Change what a collaborator may do
+     */
+    async setRole(ownerId: string, categoryId: string, collaboratorId: string, role: CollaboratorRole): Promise<void> {
+        await updateDoc(doc(this.db, 'users', ownerId, 'categories', categoryId), {
+            [`collaborators.${collaboratorId}.role`]: role
+        });
+        this.logger.info('Collaborator role changed', { categoryId, collaborator: collaboratorId, role });
+    }
+
+    /**
+     * Stop sharing a category with a collaborator (also used by collaborators to leave)
+     */
+    async removeCollaborator(ownerId: string, categoryId: string, collaboratorId: string): Promise<void> {
+        await updateDoc(doc(this.db, 'users', ownerId, 'categories', categoryId), {
+            [`collaborators.${collaboratorId}`]: deleteField(),
+            collaboratorIds: arrayRemove(collaboratorId)
+        });
+        this.logger.info('Collaborator removed', { categoryId, collaborator: collaboratorId });
+    }
+
+    /**
+     * Listen to categories shared with `userId`; returns the unsubscribe function
+     */
+    listenSharedWithMe(userId: string, onChange: (categories: SharedCategory[]) => void, onError: (error: any) => void): () => void {
+        const sharedQuery = query(collectionGroup(this.db, 'categories'), where('collaboratorIds', 'array-contains', userId));
+        return onSnapshot(sharedQuery, (snapshot: any) => {
+            const categories: SharedCategory[] = [];
+            snapshot.forEach((categoryDoc: any) => {
+                const data = categoryDoc.data();
+                const role = SharingService.roleOf(data, userId);
+                if (!role || TrashService.isTrashed(data)) return;
+                categories.push({
+                    id: categoryDoc.id,
+                    ownerId: categoryDoc.ref.parent.parent.id,
+                    ownerName: data.ownerName || 'Another user',
+                    name: data.name,
+                    description: data.description || '',
+                    icon: data.icon || '📚',
+                    wordCount: data.wordCount || 0,
+                    role,
+                    updatedAt: data.updatedAt?.toDate() || new Date()
+                });
+            });
+            categories.sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
+            onChange(categories);
+        }, onError);
+    }
+
+    // Directory document id for an email address (firestore.rules directoryKey must match it)
+    private emailKey(email: string): string {
+        return encodeURIComponent(email.trim().toLowerCase());
+    }
+}
+
+export default SharingService;
+export type { CollaboratorRole, Collaborator, SharedCategory };
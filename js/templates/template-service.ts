@@ -0,0 +1,252 @@
+import Logger from '../common/logger.js';
+import HttpClient from '../common/http-client.js';
+import TrashService from '../trash/trash-service.js';
+import { WordSense, WordInflections, inflectionFormsOf } from '../words/word-model.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    setDoc,
+    deleteDoc,
+    writeBatch,
+    Timestamp
+} from 'firebase/firestore';
+
+/**
+ * Word in a template; built-in templates only fill the first few fields
+ */
+interface TemplateWord {
+    englishWord: string;
+    vietnameseTranslation: string;
+    partOfSpeech?: string;
+    definition?: string;
+    vietnameseDefinition?: string;
+    example?: string;
+    britishPronunciation?: string;
+    americanPronunciation?: string;
+    australianPronunciation?: string;
+    audioUrls?: { british?: string; american?: string; australian?: string };
+    senses?: WordSense[];
+    inflections?: WordInflections;
+}
+
+/**
+ * Starter category: built-in (data/category-templates.json) or saved by the user
+ * in users/{uid}/templates
+ */
+interface CategoryTemplate {
+    id: string;
+    name: string;
+    description: string;
+    icon: string;
+    words: TemplateWord[];
+    builtIn: boolean;
+    createdAt?: Date;
+}
+
+/**
+ * TemplateService loads the built-in template catalogue and the user's own
+ * templates, saves categories as templates, and turns a template into a new
+ * category with its words.
+ */
+class TemplateService {
+    static readonly CATALOGUE_URL = '/data/category-templates.json';
+    static readonly CATALOGUE_SCHEMA = 'english-dictionary/templates';
+    static readonly MAX_WORDS = 499; // the category and its words are written in one batch of at most 500
+
+    // Word fields a saved template keeps; personal progress stays with the original words
+    private static readonly WORD_FIELDS: (keyof TemplateWord)[] = [
+        'englishWord', 'vietnameseTranslation', 'partOfSpeech', 'definition', 'vietnameseDefinition',
+        'britishPronunciation', 'americanPronunciation', 'australianPronunciation', 'audioUrls', 'senses', 'inflections'
+    ];
+
+    private logger: Logger;
+    private db: any;
+    private httpClient: HttpClient;
+    private builtIn: CategoryTemplate[] | null = null;
+
+    constructor(db: any, httpClient: HttpClient = new HttpClient({ timeout: 10000 })) {
+        this.logger = new Logger('TemplateService');
+        this.db = db;
+        this.httpClient = httpClient;
+    }
+
+    /**
+     * Templates that ship with the app (fetched once per page)
+     */
+    async loadBuiltIn(): Promise<CategoryTemplate[]> {
+        if (this.builtIn) return this.builtIn;
+
+        const response = await this.httpClient.get(TemplateService.CATALOGUE_URL, { headers: { Accept: 'application/json' } });
+        const catalogue = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+        if (catalogue?.schema !== TemplateService.CATALOGUE_SCHEMA || !Array.isArray(catalogue.templates)) {
+            throw new Error('The template catalogue is not in the expected format');
+        }
+
+        this.builtIn = catalogue.templates.map((template: any) => ({
+            id: template.id,
+            name: template.name,
+            description: template.description || '',
+            icon: template.icon || '📚',
+            words: (template.words || []).slice(0, TemplateService.MAX_WORDS),
+            builtIn: true
+        }));
+        this.logger.info('Built-in templates loaded', { count: this.builtIn!.length });
+        return this.builtIn!;
+    }
+
+    /**
+     * Templates the user saved from their own categories, newest first
+     */
+    async listUserTemplates(userId: string): Promise<CategoryTemplate[]> {
+        const snapshot = await getDocs(query(collection(this.db, 'users', userId, 'templates'), orderBy('createdAt', 'desc')));
+        return snapshot.docs.map((templateDoc: any) => {
+            const data = templateDoc.data();
+            return {
+                id: templateDoc.id,
+                name: data.name,
+                description: data.description || '',
+                icon: data.icon || '📚',
+                words: data.words || [],
+                builtIn: false,
+                createdAt: data.createdAt?.toDate() || new Date()
+            };
+        });
+    }
+
+    /**
+     * Save a category and its words as a personal template
+     */
+    async saveAsTemplate(userId: string, categoryId: string): Promise<CategoryTemplate> {
+        const categorySnap = await getDoc(doc(this.db, 'users', userId, 'categories', categoryId));
+        if (!categorySnap.exists() || TrashService.isTrashed(categorySnap.data())) {
+            throw new Error('Category not found');
+        }
+
+        const wordsSnap = await getDocs(query(collection(this.db, 'users', userId, 'words'), where('categoryId', '==', categoryId)));
+        const words = wordsSnap.docs
+            .filter((wordDoc: any) => !TrashService.isTrashed(wordDoc.data()))
+            .map((wordDoc: any) => this.templateWord(wordDoc.data()));
+        if (words.length > TemplateService.MAX_WORDS) {
+            throw new Error(`Templates can hold up to ${TemplateService.MAX_WORDS} words; this category has ${words.length}`);
+        }
+
+        const category = categorySnap.data();
+        const templateRef = doc(collection(this.db, 'users', userId, 'templates'));
+        const createdAt = new Date();
+        const template: CategoryTemplate = {
+            id: templateRef.id,
+            name: category.name,
+            description: category.description || '',
+            icon: category.icon || '📚',
+            words,
+            builtIn: false,
+            createdAt
+        };
+        await setDoc(templateRef, {
+            name: template.name,
+            description: template.description,
+            icon: template.icon,
+            words,
+            userId,
+            createdAt: Timestamp.fromDate(createdAt)
+        });
+
+        this.logger.info('Category saved as template', { categoryId, templateId: templateRef.id, words: words.length });
+        return template;
+    }
+
+    /**
+     * Delete one of the user's templates
+     */
+    async deleteUserTemplate(userId: string, templateId: string): Promise<void> {
+        await deleteDoc(doc(this.db, 'users', userId, 'templates', templateId));
+        this.logger.info('Template deleted', { templateId });
+    }
+
+    /**
+     * Create a category with all of a template's words in one batch; returns the category id
+     */
+    async instantiate(userId: string, template: CategoryTemplate, name: string = template.name): Promise<string> {
+        const words = template.words.slice(0, TemplateService.MAX_WORDS);
+        const categoryRef = doc(collection(this.db, 'users', userId, 'categories'));
+        const wordsRef = collection(this.db, 'users', userId, 'words');
+        const now = Timestamp.fromDate(new Date());
+
+        const batch = writeBatch(this.db);
+        batch.set(categoryRef, {
+            name,
+            description: template.description,
+            icon: template.icon,
+            wordCount: words.length,
+            createdAt: now,
+            updatedAt: now,
+            userId,
+            ...(template.builtIn ? { templateId: template.id } : {})
+        });
+        words.forEach(word => batch.set(doc(wordsRef), {
+            ...this.wordData(word),
+            categoryId: categoryRef.id,
+            userId,
+            createdAt: now,
+            updatedAt: now
+        }));
+        await batch.commit();
+
+        this.logger.info('Template instantiated', { templateId: template.id, categoryId: categoryRef.id, words: words.length });
+        return categoryRef.id;
+    }
+
+    // Firestore word fields for a template word; a template's definition and example become the first sense
+    private wordData(word: TemplateWord): Record<string, any> {
+        const senses: WordSense[] = Array.isArray(word.senses) && word.senses.length > 0
+            ? word.senses
+            : word.definition
+                ? [{
+                    pos: word.partOfSpeech || '',
+                    definition: word.definition,
+                    translation: word.vietnameseDefinition || '',
+                    examples: word.example ? [{ text: word.example, translation: '' }] : []
+                }]
+                : [];
+
+        return {
+            englishWord: word.englishWord,
+            vietnameseTranslation: word.vietnameseTranslation,
+            britishPronunciation: word.britishPronunciation || '',
+            americanPronunciation: word.americanPronunciation || '',
+            australianPronunciation: word.australianPronunciation || '',
+            partOfSpeech: senses[0]?.pos || word.partOfSpeech || '',
+            definition: senses[0]?.definition || '',
+            vietnameseDefinition: senses[0]?.translation || word.vietnameseDefinition || '',
+            senses,
+            ...(word.inflections ? { inflections: word.inflections } : {}),
+            inflectionForms: inflectionFormsOf(word.inflections),
+            audioUrls: {
+                british: word.audioUrls?.british || '',
+                american: word.audioUrls?.american || '',
+                australian: word.audioUrls?.australian || ''
+            },
+            isFavorite: false,
+            learned: false
+        };
+    }
+
+    // Template copy of a saved word
+    private templateWord(data: Record<string, any>): TemplateWord {
+        const word: Record<string, any> = {};
+        TemplateService.WORD_FIELDS.forEach(field => {
+            if (data[field] !== undefined && data[field] !== '') {
+                word[field] = data[field];
+            }
+        });
+        return word as TemplateWord;
+    }
+}
+
+export default TemplateService;
+export type { CategoryTemplate, TemplateWord };
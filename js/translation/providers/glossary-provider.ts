@@ -0,0 +1,64 @@
+import Logger from '../../common/logger.js';
+import { TranslationProvider, TranslationResult } from '../translation-types.js';
+
+/**
+ * GlossaryProvider answers from an in-memory glossary of preferred renderings
+ * (seeded from `window.__TRANSLATION_GLOSSARY = { "word": "từ" }` for en→vi)
+ */
+class GlossaryProvider implements TranslationProvider {
+    readonly name = 'glossary';
+
+    private logger: Logger;
+    private entries: Map<string, string> = new Map();
+
+    constructor() {
+        this.logger = new Logger('GlossaryProvider');
+        const seed = (window as any).__TRANSLATION_GLOSSARY;
+        if (seed && typeof seed === 'object') {
+            Object.entries(seed).forEach(([source, target]) => this.setEntry(source, String(target)));
+            this.logger.info('Glossary seeded', { entries: this.entries.size });
+        }
+    }
+
+    /**
+     * Key an entry is stored under: language pair plus lowercased, whitespace-collapsed text
+     */
+    static entryKey(text: string, fromLang: string, toLang: string): string {
+        return `${fromLang}|${toLang}|${text.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+    }
+
+    /**
+     * Exact (case/whitespace-insensitive) glossary match
+     */
+    async translate(text: string, fromLang: string, toLang: string): Promise<TranslationResult | null> {
+        const target = this.entries.get(GlossaryProvider.entryKey(text, fromLang, toLang));
+        if (target === undefined) {
+            return null;
+        }
+        this.logger.debug('Glossary hit', { text, target });
+        return { text: target, provider: this.name, confidence: 1 };
+    }
+
+    /**
+     * Add or replace a preferred rendering
+     */
+    setEntry(source: string, target: string, fromLang: string = 'en', toLang: string = 'vi'): void {
+        this.entries.set(GlossaryProvider.entryKey(source, fromLang, toLang), target);
+    }
+
+    /**
+     * Remove a rendering
+     */
+    removeEntry(source: string, fromLang: string = 'en', toLang: string = 'vi'): void {
+        this.entries.delete(GlossaryProvider.entryKey(source, fromLang, toLang));
+    }
+
+    /**
+     * Drop every entry
+     */
+    clear(): void {
+        this.entries.clear();
+    }
+}
+
+export default GlossaryProvider;
@@ -0,0 +1,70 @@
+import Logger from '../../common/logger.js';
+import HttpClient from '../../common/http-client.js';
+import { TranslationProvider, TranslationResult, TranslationError } from '../translation-types.js';
+
+/**
+ * LibreTranslate /translate response
+ */
+interface LibreTranslateResponse {
+    translatedText?: string;
+    error?: string;
+}
+
+/**
+ * LibreTranslateProvider calls a LibreTranslate server. Configure it with
+ * `window.__LIBRETRANSLATE_URL` (and `window.__LIBRETRANSLATE_API_KEY` if required);
+ * without a URL the provider is skipped.
+ */
+class LibreTranslateProvider implements TranslationProvider {
+    static readonly DEFAULT_CONFIDENCE = 0.7; // LibreTranslate does not report one
+
+    readonly name = 'libretranslate';
+
+    private logger: Logger;
+    private httpClient: HttpClient;
+
+    constructor(httpClient: HttpClient) {
+        this.logger = new Logger('LibreTranslateProvider');
+        this.httpClient = httpClient;
+    }
+
+    /**
+     * Translate text with the configured LibreTranslate server
+     */
+    async translate(text: string, fromLang: string, toLang: string): Promise<TranslationResult | null> {
+        const baseUrl: string | undefined = (window as any).__LIBRETRANSLATE_URL;
+        if (!baseUrl) {
+            this.logger.debug('LibreTranslate not configured; skipping');
+            return null;
+        }
+
+        let data: LibreTranslateResponse;
+        try {
+            const response = await this.httpClient.post<LibreTranslateResponse>(`${baseUrl.replace(/\/$/, '')}/translate`, {
+                q: text,
+                source: fromLang,
+                target: toLang,
+                format: 'text',
+                api_key: (window as any).__LIBRETRANSLATE_API_KEY || undefined
+            });
+            data = response.data;
+        } catch (error: any) {
+            if (String(error?.message).includes('HTTP 429')) {
+                throw new TranslationError('LibreTranslate rate limit reached', 'quota', this.name);
+            }
+            throw new TranslationError(`LibreTranslate request failed: ${error?.message}`, 'network', this.name);
+        }
+
+        if (!data?.translatedText) {
+            throw new TranslationError(`LibreTranslate returned no translation: ${data?.error || 'empty response'}`, 'invalid-response', this.name);
+        }
+
+        return {
+            text: data.translatedText,
+            provider: this.name,
+            confidence: LibreTranslateProvider.DEFAULT_CONFIDENCE
+        };
+    }
+}
+
+export default LibreTranslateProvider;
@@ -0,0 +1,68 @@
+import Logger from '../../common/logger.js';
+import HttpClient from '../../common/http-client.js';
+import { TranslationProvider, TranslationResult, TranslationError } from '../translation-types.js';
+
+/**
+ * MyMemory Translation API Response interface
+ */
+interface MyMemoryResponse {
+    responseData: {
+        translatedText: string; // Văn bản đã dịch
+        match: number; // Độ chính xác (0-1)
+    };
+    quotaFinished: boolean; // Hết quota chưa
+    responseStatus: number; // Status code
+    responseDetails?: string;
+}
+
+/**
+ * MyMemoryProvider calls the free MyMemory API and reports quota exhaustion
+ */
+class MyMemoryProvider implements TranslationProvider {
+    readonly name = 'mymemory';
+
+    private logger: Logger;
+    private httpClient: HttpClient;
+
+    constructor(httpClient: HttpClient) {
+        this.logger = new Logger('MyMemoryProvider');
+        this.httpClient = httpClient;
+    }
+
+    /**
+     * Translate text; throws TranslationError with reason "quota" when the daily quota is used up
+     */
+    async translate(text: string, fromLang: string, toLang: string): Promise<TranslationResult | null> {
+        this.logger.info('Translating text with MyMemory', { text, fromLang, toLang });
+
+        let data: MyMemoryResponse;
+        try {
+            const response = await this.httpClient.get<MyMemoryResponse>(
+                `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${fromLang}|${toLang}`
+            );
+            data = response.data;
+        } catch (error: any) {
+            if (String(error?.message).includes('HTTP 429')) {
+                throw new TranslationError('MyMemory quota exceeded', 'quota', this.name);
+            }
+            throw new TranslationError(`MyMemory request failed: ${error?.message}`, 'network', this.name);
+        }
+
+        const translatedText = data?.responseData?.translatedText || '';
+        if (data?.quotaFinished || /MYMEMORY WARNING/i.test(translatedText)) {
+            throw new TranslationError('MyMemory quota exceeded', 'quota', this.name);
+        }
+        if (data?.responseStatus !== 200 || !translatedText) {
+            throw new TranslationError(`MyMemory returned status ${data?.responseStatus}: ${data?.responseDetails || 'no translation'}`, 'invalid-response', this.name);
+        }
+
+        return {
+            text: translatedText,
+            provider: this.name,
+            confidence: typeof data.responseData.match === 'number' ? data.responseData.match : 0
+        };
+    }
+}
+
+export default MyMemoryProvider;
+export type { MyMemoryResponse };
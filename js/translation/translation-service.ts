@@ -0,0 +1,140 @@
+import Logger from '../common/logger.js';
+import HttpClient from '../common/http-client.js';
+import LookupCache from '../common/lookup-cache.js';
+import {
+    TranslationProvider,
+    TranslationResult,
+    TranslationError
+} from './translation-types.js';
+import GlossaryProvider from './providers/glossary-provider.js';
+import MyMemoryProvider from './providers/mymemory-provider.js';
+import LibreTranslateProvider from './providers/libretranslate-provider.js';
+
+/**
+ * TranslationService tries the glossary, then the lookup cache, then each
+ * machine translation backend in order. Backends that report an exhausted
+ * quota are skipped for a while, low-confidence answers are only used when
+ * nothing better comes back, and total failure raises TranslationError.
+ */
+class TranslationService {
+    static readonly MIN_CONFIDENCE = 0.5;
+    static readonly QUOTA_BACKOFF = 60 * 60 * 1000; // 1 hour
+
+    private logger: Logger;
+    private cache: LookupCache;
+    private glossary: GlossaryProvider;
+    private providers: TranslationProvider[] = [];
+    private exhaustedUntil: Map<string, number> = new Map();
+
+    constructor(httpClient: HttpClient, cache: LookupCache) {
+        this.logger = new Logger('TranslationService');
+        this.cache = cache;
+        this.glossary = new GlossaryProvider();
+        this.registerProvider(new MyMemoryProvider(httpClient));
+        this.registerProvider(new LibreTranslateProvider(httpClient));
+        this.logger.info('TranslationService initialized', { providers: this.providers.map(p => p.name) });
+    }
+
+    /**
+     * Add a machine translation backend (tried after the glossary and cache)
+     */
+    registerProvider(provider: TranslationProvider, position: number = this.providers.length): void {
+        this.providers = this.providers.filter(p => p.name !== provider.name);
+        this.providers.splice(position, 0, provider);
+    }
+
+    /**
+     * Local glossary of preferred renderings
+     */
+    getGlossary(): GlossaryProvider {
+        return this.glossary;
+    }
+
+    /**
+     * Translate text or throw TranslationError; never returns the input as a translation
+     */
+    async translate(text: string, fromLang: string = 'en', toLang: string = 'vi'): Promise<TranslationResult> {
+        const source = text.trim();
+        if (!source) {
+            throw new TranslationError('Nothing to translate', 'invalid-response');
+        }
+
+        const glossaryHit = await this.glossary.translate(source, fromLang, toLang);
+        if (glossaryHit) {
+            return glossaryHit;
+        }
+
+        const cacheKey = `${fromLang}|${toLang}|${source}`;
+        const cached = await this.cache.get<TranslationResult | string>('translation', cacheKey);
+        if (cached !== null) {
+            this.logger.info('Serving translation from lookup cache', { text: source, fromLang, toLang });
+            // Entries cached before providers existed are plain MyMemory strings
+            return typeof cached === 'string' ? { text: cached, provider: 'mymemory', confidence: 1 } : cached;
+        }
+
+        const errors: TranslationError[] = [];
+        let lowConfidence: TranslationResult | null = null;
+
+        for (const provider of this.providers) {
+            const blockedUntil = this.exhaustedUntil.get(provider.name) || 0;
+            if (blockedUntil > Date.now()) {
+                this.logger.debug('Skipping provider with exhausted quota', { provider: provider.name });
+                errors.push(new TranslationError(`${provider.name} quota exceeded`, 'quota', provider.name));
+                continue;
+            }
+
+            try {
+                const result = await provider.translate(source, fromLang, toLang);
+                if (!result) {
+                    continue;
+                }
+                if (result.text.trim().toLowerCase() === source.toLowerCase()) {
+                    this.logger.warn('Provider echoed the input', { provider: provider.name, text: source });
+                    errors.push(new TranslationError(`${provider.name} returned the input unchanged`, 'low-confidence', provider.name));
+                    continue;
+                }
+                if (result.confidence >= TranslationService.MIN_CONFIDENCE) {
+                    await this.cache.set('translation', cacheKey, result);
+                    return result;
+                }
+
+                this.logger.warn('Low-confidence translation', { provider: provider.name, confidence: result.confidence });
+                if (!lowConfidence || result.confidence > lowConfidence.confidence) {
+                    lowConfidence = result;
+                }
+            } catch (error: any) {
+                const translationError = error instanceof TranslationError
+                    ? error
+                    : new TranslationError(error?.message || 'Translation failed', 'network', provider.name);
+                if (translationError.reason === 'quota') {
+                    this.exhaustedUntil.set(provider.name, Date.now() + TranslationService.QUOTA_BACKOFF);
+                }
+                this.logger.warn('Translation provider failed', { provider: provider.name, reason: translationError.reason, error: translationError.message });
+                errors.push(translationError);
+            }
+        }
+
+        if (lowConfidence) {
+            return lowConfidence;
+        }
+
+        throw this.summarizeFailure(errors);
+    }
+
+    // Pick the error that best explains why nothing could be translated
+    private summarizeFailure(errors: TranslationError[]): TranslationError {
+        if (errors.length === 0) {
+            return new TranslationError('No translation service is available', 'unavailable');
+        }
+        if (errors.every(error => error.reason === 'quota')) {
+            return new TranslationError('Translation quota used up. Please try again later or type the translation yourself.', 'quota');
+        }
+        if (!navigator.onLine) {
+            return new TranslationError('No internet connection for translation', 'network');
+        }
+        const primary = errors.find(error => error.reason !== 'quota') || errors[0];
+        return new TranslationError(primary.message, primary.reason, primary.provider);
+    }
+}
+
+export default TranslationService;
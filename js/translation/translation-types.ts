@@ -0,0 +1,40 @@
+/**
+ * Successful translation from one provider
+ */
+interface TranslationResult {
+    text: string;
+    provider: string;
+    confidence: number; // 0-1 (MyMemory "match"; 1 for glossary entries)
+}
+
+/**
+ * Why a translation could not be produced
+ */
+type TranslationFailureReason = 'quota' | 'low-confidence' | 'unavailable' | 'network' | 'invalid-response';
+
+/**
+ * A translation backend. Returns null when it has nothing for this text
+ * (e.g. glossary miss or backend not configured); throws TranslationError on failure.
+ */
+interface TranslationProvider {
+    readonly name: string;
+    translate(text: string, fromLang: string, toLang: string): Promise<TranslationResult | null>;
+}
+
+/**
+ * Raised instead of echoing the input back when no provider could translate
+ */
+class TranslationError extends Error {
+    readonly reason: TranslationFailureReason;
+    readonly provider?: string;
+
+    constructor(message: string, reason: TranslationFailureReason, provider?: string) {
+        super(message);
+        this.name = 'TranslationError';
+        this.reason = reason;
+        this.provider = provider;
+    }
+}
+
+export type { TranslationResult, TranslationFailureReason, TranslationProvider };
+export { TranslationError };
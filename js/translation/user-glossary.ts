@@ -0,0 +1,95 @@
+import Logger from '../common/logger.js';
+import GlossaryProvider from './providers/glossary-provider.js';
+import {
+    collection,
+    doc,
+    getDocs,
+    setDoc,
+    Timestamp
+} from 'firebase/firestore';
+
+/**
+ * Glossary entry as stored in users/{uid}/glossary
+ */
+interface GlossaryEntry {
+    source: string;
+    target: string;
+    fromLang: string;
+    toLang: string;
+    userId: string;
+    updatedAt: Date;
+}
+
+/**
+ * UserGlossary keeps a user's preferred renderings in Firestore and mirrors
+ * them into the GlossaryProvider that TranslationService consults first.
+ */
+class UserGlossary {
+    static readonly MAX_SOURCE_LENGTH = 500;
+
+    private logger: Logger;
+    private db: any;
+    private glossary: GlossaryProvider;
+    private userId: string = '';
+
+    constructor(db: any, glossary: GlossaryProvider) {
+        this.logger = new Logger('UserGlossary');
+        this.db = db;
+        this.glossary = glossary;
+    }
+
+    /**
+     * Load the signed-in user's glossary into the translation glossary
+     */
+    async load(userId: string): Promise<number> {
+        this.userId = userId;
+        const snapshot = await getDocs(collection(this.db, 'users', userId, 'glossary'));
+        snapshot.forEach((entryDoc: any) => {
+            const data = entryDoc.data();
+            if (data.source && data.target) {
+                this.glossary.setEntry(data.source, data.target, data.fromLang || 'en', data.toLang || 'vi');
+            }
+        });
+        this.logger.info('User glossary loaded', { userId, entries: snapshot.size });
+        return snapshot.size;
+    }
+
+    /**
+     * Remember a user's correction when it differs from the machine suggestion.
+     * Returns true when a new rendering was saved.
+     */
+    async learn(source: string, target: string, suggested: string = '', fromLang: string = 'en', toLang: string = 'vi'): Promise<boolean> {
+        const sourceText = source.trim();
+        const targetText = target.trim();
+        if (!this.userId || !sourceText || !targetText || sourceText.length > UserGlossary.MAX_SOURCE_LENGTH) {
+            return false;
+        }
+        if (targetText === suggested.trim() || targetText.toLowerCase() === sourceText.toLowerCase()) {
+            return false;
+        }
+
+        const entry: GlossaryEntry = {
+            source: sourceText,
+            target: targetText,
+            fromLang,
+            toLang,
+            userId: this.userId,
+            updatedAt: new Date()
+        };
+        await setDoc(doc(this.db, 'users', this.userId, 'glossary', this.entryId(sourceText, fromLang, toLang)), {
+            ...entry,
+            updatedAt: Timestamp.fromDate(entry.updatedAt)
+        });
+        this.glossary.setEntry(sourceText, targetText, fromLang, toLang);
+        this.logger.info('Glossary learned a correction', { source: sourceText, target: targetText, suggested });
+        return true;
+    }
+
+    // One document per normalized source text, so re-correcting overwrites
+    private entryId(source: string, fromLang: string, toLang: string): string {
+        return encodeURIComponent(GlossaryProvider.entryKey(source, fromLang, toLang));
+    }
+}
+
+export default UserGlossary;
+export type { GlossaryEntry };
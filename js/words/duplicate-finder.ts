@@ -0,0 +1,94 @@
+import Logger from '../common/logger.js';
+import TrashService from '../trash/trash-service.js';
+import { Word, wordFromFirestore, normalizeEnglishWord } from './word-model.js';
+import {
+    collection,
+    getDocs,
+    query,
+    where
+} from 'firebase/firestore';
+
+/**
+ * Saved word that a new word would duplicate
+ */
+interface DuplicateMatch {
+    word: Word;
+    sameCategory: boolean; // saved in (or linked into) the category the new word goes to
+    inflected: boolean; // one word is an inflected form of the other ("went" and "go")
+}
+
+/**
+ * DuplicateFinder looks for saved words that are the same as a word about to be
+ * added, ignoring case and spacing and treating inflected forms as the same word.
+ */
+class DuplicateFinder {
+    static readonly MAX_IN_VALUES = 30; // Firestore limit for `in` queries
+
+    private logger: Logger;
+    private db: any;
+
+    constructor(db: any) {
+        this.logger = new Logger('DuplicateFinder');
+        this.db = db;
+    }
+
+    /**
+     * How `word` relates to a new English word with the given inflected forms, or null if it is a different word
+     */
+    static compare(word: Pick<Word, 'englishWord' | 'inflectionForms'>, englishWord: string, inflectionForms: string[] = []): 'same' | 'inflected' | null {
+        const key = normalizeEnglishWord(englishWord);
+        const savedKey = normalizeEnglishWord(word.englishWord);
+        if (savedKey === key) return 'same';
+        if (word.inflectionForms.includes(key) || inflectionForms.includes(savedKey)) return 'inflected';
+        return null;
+    }
+
+    /**
+     * Duplicates among words already loaded (the words shown in a category)
+     */
+    inWords(words: Word[], englishWord: string, inflectionForms: string[], categoryId: string): DuplicateMatch[] {
+        return words
+            .map(word => ({ word, relation: DuplicateFinder.compare(word, englishWord, inflectionForms) }))
+            .filter(({ relation }) => relation !== null)
+            .map(({ word, relation }) => ({ word, sameCategory: this.isInCategory(word, categoryId), inflected: relation === 'inflected' }));
+    }
+
+    /**
+     * Duplicates anywhere in the user's words. Firestore cannot compare normalized
+     * text, so this queries the spellings a saved word is likely to have and
+     * confirms each hit with `compare`.
+     */
+    async inAccount(userId: string, englishWord: string, inflectionForms: string[], categoryId: string): Promise<DuplicateMatch[]> {
+        const key = normalizeEnglishWord(englishWord);
+        const spellings = Array.from(new Set([
+            englishWord.trim(),
+            key,
+            key.charAt(0).toUpperCase() + key.slice(1),
+            ...inflectionForms
+        ].filter(Boolean))).slice(0, DuplicateFinder.MAX_IN_VALUES);
+
+        const wordsRef = collection(this.db, 'users', userId, 'words');
+        const [bySpelling, byInflection] = await Promise.all([
+            getDocs(query(wordsRef, where('englishWord', 'in', spellings))),
+            getDocs(query(wordsRef, where('inflectionForms', 'array-contains', key)))
+        ]);
+
+        const words = new Map<string, Word>();
+        [...bySpelling.docs, ...byInflection.docs].forEach((wordDoc: any) => {
+            if (!TrashService.isTrashed(wordDoc.data())) {
+                words.set(wordDoc.id, wordFromFirestore(wordDoc.id, wordDoc.data()));
+            }
+        });
+
+        const matches = this.inWords(Array.from(words.values()), englishWord, inflectionForms, categoryId);
+        this.logger.debug('Duplicate check', { englishWord, matches: matches.length });
+        return matches;
+    }
+
+    private isInCategory(word: Word, categoryId: string): boolean {
+        return word.categoryId === categoryId || word.linkedCategoryIds.includes(categoryId);
+    }
+}
+
+export default DuplicateFinder;
+export type { DuplicateMatch };
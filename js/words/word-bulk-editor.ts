@@ -0,0 +1,104 @@
+import Logger from '../common/logger.js';
+import DictionaryService from '../dictionary/dictionary-service.js';
+import VersionHistory from '../history/version-history.js';
+import { Word } from './word-model.js';
+import {
+    doc,
+    writeBatch,
+    Timestamp
+} from 'firebase/firestore';
+
+/**
+ * Status flags that can be set on many words at once
+ */
+interface WordStatus {
+    isFavorite?: boolean;
+    learned?: boolean;
+}
+
+/**
+ * Outcome of a bulk re-translation
+ */
+interface RetranslateSummary {
+    updated: number;
+    failed: string[]; // English words no translation could be found for
+}
+
+/**
+ * WordBulkEditor applies one change to many selected words, in batches of at
+ * most MAX_BATCH_WRITES writes.
+ */
+class WordBulkEditor {
+    static readonly MAX_BATCH_WRITES = 500; // Firestore limit per batch
+
+    private logger: Logger;
+    private db: any;
+    private dictionaryService: DictionaryService;
+    private versionHistory: VersionHistory;
+
+    constructor(db: any, dictionaryService: DictionaryService) {
+        this.logger = new Logger('WordBulkEditor');
+        this.db = db;
+        this.dictionaryService = dictionaryService;
+        this.versionHistory = new VersionHistory(db);
+    }
+
+    /**
+     * Mark words as favorite/learned (or not)
+     */
+    async setStatus(userId: string, words: Word[], status: WordStatus): Promise<number> {
+        for (let start = 0; start < words.length; start += WordBulkEditor.MAX_BATCH_WRITES) {
+            const batch = writeBatch(this.db);
+            words.slice(start, start + WordBulkEditor.MAX_BATCH_WRITES).forEach(word => {
+                batch.update(doc(this.db, 'users', userId, 'words', word.id), { ...status });
+            });
+            await batch.commit();
+        }
+        this.logger.info('Word status updated', { count: words.length, ...status });
+        return words.length;
+    }
+
+    /**
+     * Translate the words and their definitions again (the glossary still wins);
+     * the previous translations are kept in each word's version history
+     */
+    async retranslate(userId: string, words: Word[], onProgress?: (done: number, total: number) => void): Promise<RetranslateSummary> {
+        const updates: { id: string; changes: Record<string, any> }[] = [];
+        const failed: string[] = [];
+
+        for (const [index, word] of words.entries()) {
+            try {
+                const vietnameseTranslation = await this.dictionaryService.translateText(word.englishWord);
+                const senses = [];
+                for (const sense of word.senses) {
+                    senses.push({
+                        ...sense,
+                        translation: sense.definition
+                            ? await this.dictionaryService.translateText(sense.definition).catch(() => sense.translation || '')
+                            : sense.translation || ''
+                    });
+                }
+                updates.push({
+                    id: word.id,
+                    changes: {
+                        vietnameseTranslation,
+                        senses,
+                        vietnameseDefinition: senses[0]?.translation || word.vietnameseDefinition || '',
+                        updatedAt: Timestamp.fromDate(new Date())
+                    }
+                });
+            } catch (error: any) {
+                this.logger.warn('Failed to re-translate word', { word: word.englishWord, error: error.message });
+                failed.push(word.englishWord);
+            }
+            onProgress?.(index + 1, words.length);
+        }
+
+        const updated = await this.versionHistory.updateMany(userId, 'words', updates);
+        this.logger.info('Words re-translated', { updated, failed: failed.length });
+        return { updated, failed };
+    }
+}
+
+export default WordBulkEditor;
+export type { WordStatus, RetranslateSummary };
@@ -0,0 +1,266 @@
+import Logger from '../common/logger.js';
+import { Word, WordSense, WordInflections } from './word-model.js';
+
+/**
+ * Export file formats
+ */
+type ExportFormat = 'csv' | 'json' | 'anki';
+
+/**
+ * A category and its words, as handed to the exporter
+ */
+interface ExportCategory {
+    name: string;
+    description?: string;
+    icon: string;
+    words: Word[];
+}
+
+/**
+ * Word in the JSON export (version 1)
+ */
+interface ExportedWord {
+    englishWord: string;
+    vietnameseTranslation: string;
+    partOfSpeech: string;
+    definition: string;
+    vietnameseDefinition: string;
+    pronunciations: { british: string; american: string; australian: string };
+    audioUrls: { british: string; american: string; australian: string };
+    senses: WordSense[];
+    inflections?: WordInflections;
+    isFavorite: boolean;
+    learned: boolean;
+    createdAt: string; // ISO 8601
+    updatedAt: string; // ISO 8601
+}
+
+/**
+ * JSON export document; bump JSON_VERSION when the shape changes
+ */
+interface ExportDocument {
+    schema: string;
+    version: number;
+    exportedAt: string;
+    categories: {
+        name: string;
+        description: string;
+        icon: string;
+        words: ExportedWord[];
+    }[];
+}
+
+/**
+ * WordExporter turns categories of words into CSV, versioned JSON or an
+ * Anki import file, and downloads the result.
+ */
+class WordExporter {
+    static readonly JSON_SCHEMA = 'english-dictionary/words';
+    static readonly JSON_VERSION = 1;
+    static readonly ANKI_DECK_ROOT = 'English Dictionary';
+
+    private static readonly FILE_TYPES: Record<ExportFormat, { extension: string; mimeType: string }> = {
+        csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        json: { extension: 'json', mimeType: 'application/json' },
+        anki: { extension: 'txt', mimeType: 'text/plain;charset=utf-8' }
+    };
+
+    private logger: Logger;
+
+    constructor() {
+        this.logger = new Logger('WordExporter');
+    }
+
+    /**
+     * Build the export and save it as a file named after `baseName`
+     */
+    download(format: ExportFormat, categories: ExportCategory[], baseName: string): void {
+        const content = format === 'csv'
+            ? this.toCsv(categories)
+            : format === 'json' ? this.toJson(categories) : this.toAnki(categories);
+        const { extension, mimeType } = WordExporter.FILE_TYPES[format];
+        const filename = `${this.slugify(baseName)}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        const wordCount = categories.reduce((total, category) => total + category.words.length, 0);
+        this.logger.info('Words exported', { format, filename, categories: categories.length, words: wordCount });
+    }
+
+    /**
+     * CSV with a BOM so Excel reads UTF-8; headers match what the importer recognises
+     */
+    toCsv(categories: ExportCategory[]): string {
+        const headers = [
+            'Category', 'English', 'Vietnamese', 'Part of speech', 'Definition', 'Vietnamese definition',
+            'UK IPA', 'US IPA', 'AU IPA', 'Example', 'Verb forms',
+            'UK audio', 'US audio', 'AU audio', 'Favorite', 'Learned'
+        ];
+        const rows = categories.flatMap(category => category.words.map(word => [
+            category.name,
+            word.englishWord,
+            word.vietnameseTranslation,
+            word.partOfSpeech,
+            word.definition,
+            word.vietnameseDefinition || '',
+            word.britishPronunciation,
+            word.americanPronunciation,
+            word.australianPronunciation || '',
+            word.senses[0]?.examples[0]?.text || '',
+            this.verbForms(word.inflections),
+            word.audioUrls.british || '',
+            word.audioUrls.american || '',
+            word.audioUrls.australian || '',
+            word.isFavorite ? 'yes' : '',
+            word.learned ? 'yes' : ''
+        ]));
+
+        return '\uFEFF' + [headers, ...rows].map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Versioned JSON document with every field needed to rebuild the words elsewhere
+     */
+    toJson(categories: ExportCategory[]): string {
+        const exportDocument: ExportDocument = {
+            schema: WordExporter.JSON_SCHEMA,
+            version: WordExporter.JSON_VERSION,
+            exportedAt: new Date().toISOString(),
+            categories: categories.map(category => ({
+                name: category.name,
+                description: category.description || '',
+                icon: category.icon,
+                words: category.words.map(word => this.exportedWord(word))
+            }))
+        };
+        return JSON.stringify(exportDocument, null, 2);
+    }
+
+    /**
+     * Anki "Import File" text: one Basic (and reversed card) note per word, one subdeck per
+     * category. Audio stays on the web, so cards link to it instead of embedding sound files.
+     */
+    toAnki(categories: ExportCategory[]): string {
+        const header = [
+            '#separator:tab',
+            '#html:true',
+            '#notetype:Basic (and reversed card)',
+            '#deck column:1',
+            '#tags column:4',
+            '#columns:Deck\tFront\tBack\tTags'
+        ];
+        const notes = categories.flatMap(category => category.words.map(word => [
+            `${WordExporter.ANKI_DECK_ROOT}::${category.name.replace(/::/g, ':')}`,
+            this.ankiFront(word),
+            this.ankiBack(word),
+            this.ankiTags(word)
+        ].map(field => this.ankiField(field)).join('\t')));
+
+        return [...header, ...notes].join('\n') + '\n';
+    }
+
+    // Word in the JSON export shape
+    private exportedWord(word: Word): ExportedWord {
+        return {
+            englishWord: word.englishWord,
+            vietnameseTranslation: word.vietnameseTranslation,
+            partOfSpeech: word.partOfSpeech,
+            definition: word.definition,
+            vietnameseDefinition: word.vietnameseDefinition || '',
+            pronunciations: {
+                british: word.britishPronunciation,
+                american: word.americanPronunciation,
+                australian: word.australianPronunciation || ''
+            },
+            audioUrls: {
+                british: word.audioUrls.british || '',
+                american: word.audioUrls.american || '',
+                australian: word.audioUrls.australian || ''
+            },
+            senses: word.senses,
+            ...(word.inflections ? { inflections: word.inflections } : {}),
+            isFavorite: word.isFavorite,
+            learned: word.learned,
+            createdAt: word.createdAt.toISOString(),
+            updatedAt: word.updatedAt.toISOString()
+        };
+    }
+
+    // English word, IPA and links to the pronunciation audio
+    private ankiFront(word: Word): string {
+        const ipa = word.britishPronunciation || word.americanPronunciation;
+        const audioLinks = ([['british', '🇬🇧'], ['american', '🇺🇸'], ['australian', '🇦🇺']] as const)
+            .filter(([accent]) => word.audioUrls[accent])
+            .map(([accent, flag]) => `<a href="${this.escapeHtml(word.audioUrls[accent]!)}">🔊 ${flag}</a>`)
+            .join(' ');
+
+        return [
+            `<b>${this.escapeHtml(word.englishWord)}</b>`,
+            ipa ? this.escapeHtml(ipa) : '',
+            audioLinks
+        ].filter(Boolean).join('<br>');
+    }
+
+    // Translation, then each sense with its examples
+    private ankiBack(word: Word): string {
+        const senses = word.senses.map(sense => {
+            const examples = sense.examples
+                .map(example => `<li><i>${this.escapeHtml(example.text)}</i>${example.translation ? ` — ${this.escapeHtml(example.translation)}` : ''}</li>`)
+                .join('');
+            return `<div>${sense.pos ? `<small>${this.escapeHtml(sense.pos)}</small> ` : ''}${this.escapeHtml(sense.definition)}` +
+                `${sense.translation ? `<br>${this.escapeHtml(sense.translation)}` : ''}` +
+                `${examples ? `<ul>${examples}</ul>` : ''}</div>`;
+        }).join('');
+        const verbForms = this.verbForms(word.inflections);
+
+        return `<b>${this.escapeHtml(word.vietnameseTranslation)}</b>` +
+            (verbForms ? `<br><small>${this.escapeHtml(verbForms)}</small>` : '') +
+            senses;
+    }
+
+    // Anki tags cannot contain spaces
+    private ankiTags(word: Word): string {
+        const tags = [word.partOfSpeech, word.isFavorite ? 'favorite' : '', word.learned ? 'learned' : '']
+            .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '_'))
+            .filter(Boolean);
+        return Array.from(new Set(tags)).join(' ');
+    }
+
+    // Quote an Anki field when it contains the separator, quotes or line breaks
+    private ankiField(value: string): string {
+        const singleLine = value.replace(/\r?\n/g, '<br>');
+        return /[\t"]/.test(singleLine) ? `"${singleLine.replace(/"/g, '""')}"` : singleLine;
+    }
+
+    private csvCell(value: string): string {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    private verbForms(inflections?: WordInflections): string {
+        if (!inflections) return '';
+        return [inflections.past, inflections.pastParticiple, inflections.presentParticiple, inflections.thirdPerson]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    private escapeHtml(text: string): string {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    private slugify(name: string): string {
+        return name.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'words';
+    }
+}
+
+export default WordExporter;
+export type { ExportFormat, ExportCategory, ExportedWord, ExportDocument };
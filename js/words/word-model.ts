@@ -0,0 +1,148 @@
+import SpacedRepetitionScheduler, { ReviewState } from '../practice/spaced-repetition.js';
+
+/**
+ * Example sentence of a sense
+ */
+interface WordExample {
+    text: string;
+    translation?: string;
+    userAdded?: boolean; // Written by the learner rather than taken from the dictionary
+}
+
+/**
+ * One meaning of a word (Cambridge lists several per page)
+ */
+interface WordSense {
+    pos: string;
+    definition: string;
+    translation?: string; // Vietnamese definition
+    examples: WordExample[];
+}
+
+/**
+ * Verb forms scraped from the Simple Wiktionary inflection table
+ */
+interface WordInflections {
+    past?: string;              // went
+    pastParticiple?: string;    // gone
+    presentParticiple?: string; // going
+    thirdPerson?: string;       // goes
+}
+
+/**
+ * Word interface - Updated for Dictionary API + Translation API integration
+ * Shared by every page that reads users/{uid}/words
+ */
+interface Word {
+    id: string;
+    categoryId: string; // Home category (counted in its wordCount)
+    linkedCategoryIds: string[]; // Other categories the word is also shown in
+    englishWord: string;
+    vietnameseTranslation: string; // Từ API + chỉnh sửa
+    britishPronunciation: string; // IPA format: /kæt/
+    americanPronunciation: string; // IPA format: /kæt/
+    australianPronunciation?: string; // IPA format: /kæt/ (tùy chọn)
+    partOfSpeech: string; // noun, verb, adjective, adverb, etc.
+    definition: string; // Định nghĩa tiếng Anh
+    vietnameseDefinition?: string; // Định nghĩa tiếng Việt (dịch tự động)
+    senses: WordSense[]; // Saved meanings; the first mirrors partOfSpeech/definition/vietnameseDefinition
+    inflections?: WordInflections; // Verb forms (verbs only)
+    inflectionForms: string[]; // Lower-cased inflected forms, so "went" finds "go"
+    audioUrls: { // Các link âm thanh
+        british?: string;
+        american?: string;
+        australian?: string;
+    };
+    isFavorite: boolean; // Starred by the user
+    learned: boolean; // Marked as learned (manually or mastered in practice)
+    review?: ReviewState; // Spaced-repetition state (missing until first practice)
+    createdAt: Date;
+    updatedAt: Date;
+    userId: string;
+}
+
+const scheduler = new SpacedRepetitionScheduler();
+
+/**
+ * Map a Firestore word document to the Word interface
+ */
+function wordFromFirestore(id: string, data: any): Word {
+    return {
+        id,
+        categoryId: data.categoryId,
+        linkedCategoryIds: Array.isArray(data.linkedCategoryIds) ? data.linkedCategoryIds : [],
+        englishWord: data.englishWord,
+        vietnameseTranslation: data.vietnameseTranslation,
+        britishPronunciation: data.britishPronunciation || '',
+        americanPronunciation: data.americanPronunciation || '',
+        australianPronunciation: data.australianPronunciation || '',
+        partOfSpeech: data.partOfSpeech || '',
+        definition: data.definition || '',
+        vietnameseDefinition: data.vietnameseDefinition || '',
+        senses: sensesFromFirestore(data),
+        inflections: data.inflections || undefined,
+        inflectionForms: Array.isArray(data.inflectionForms) ? data.inflectionForms : inflectionFormsOf(data.inflections),
+        audioUrls: data.audioUrls || {
+            british: data.audioUrl || '', // Legacy support
+            american: '',
+            australian: ''
+        },
+        isFavorite: data.isFavorite === true,
+        learned: data.learned === true,
+        review: scheduler.fromFirestore(data.review),
+        createdAt: data.createdAt?.toDate() || new Date(),
+        updatedAt: data.updatedAt?.toDate() || new Date(),
+        userId: data.userId
+    };
+}
+
+/**
+ * Read saved senses; words saved before senses existed get one from the flat fields
+ */
+function sensesFromFirestore(data: any): WordSense[] {
+    if (Array.isArray(data.senses)) {
+        return data.senses.map((sense: any) => ({
+            pos: sense.pos || '',
+            definition: sense.definition || '',
+            translation: sense.translation || '',
+            examples: Array.isArray(sense.examples)
+                ? sense.examples.map((example: any) => ({
+                    text: example.text || '',
+                    translation: example.translation || '',
+                    userAdded: example.userAdded === true
+                }))
+                : []
+        }));
+    }
+    if (data.definition) {
+        return [{
+            pos: data.partOfSpeech || '',
+            definition: data.definition,
+            translation: data.vietnameseDefinition || '',
+            examples: []
+        }];
+    }
+    return [];
+}
+
+/**
+ * Lower-cased searchable list of every inflected form ("dreamed or dreamt" gives both)
+ */
+function inflectionFormsOf(inflections?: WordInflections): string[] {
+    if (!inflections) return [];
+    const forms = Object.values(inflections)
+        .flatMap(value => String(value || '').split(/,|\/|\bor\b/))
+        .map(form => form.trim().toLowerCase())
+        .filter(Boolean);
+    return Array.from(new Set(forms));
+}
+
+/**
+ * Key two words share when they are the same English word (ignores case and spacing)
+ */
+function normalizeEnglishWord(englishWord: string): string {
+    return String(englishWord || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+export type { Word, WordSense, WordExample, WordInflections };
+export { wordFromFirestore, inflectionFormsOf, normalizeEnglishWord };
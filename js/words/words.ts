@@ -1,6 +1,18 @@
 import Logger from '../common/logger.js';
-import HttpClient from '../common/http-client.js';
 import AuthManager from '../auth/auth-manager.js';
+import PronunciationPlayer, { Accent } from '../common/pronunciation-player.js';
+import { Word, WordSense, WordInflections, wordFromFirestore, inflectionFormsOf, normalizeEnglishWord } from './word-model.js';
+import DictionaryService from '../dictionary/dictionary-service.js';
+import UserGlossary from '../translation/user-glossary.js';
+import WordImporter, { ColumnMapping, ImportField, ImportRow, ParsedTable } from './word-import.js';
+import WordExporter, { ExportFormat } from './word-export.js';
+import TrashService from '../trash/trash-service.js';
+import VersionHistory from '../history/version-history.js';
+import WordMover, { MoveAction } from './word-mover.js';
+import WordBulkEditor, { WordStatus } from './word-bulk-editor.js';
+import DuplicateFinder, { DuplicateMatch } from './duplicate-finder.js';
+import SharingService, { CollaboratorRole } from '../sharing/sharing-service.js';
+import { CambridgeAPIResponse } from '../dictionary/dictionary-types.js';
 import { 
     getFirestore, 
     collection, 
@@ -8,83 +20,16 @@ import {
     doc, 
     addDoc, 
     updateDoc, 
-    deleteDoc, 
     getDocs, 
     getDoc,
     query, 
     where, 
     orderBy, 
     onSnapshot, 
-    Timestamp 
+    Timestamp,
+    deleteField
 } from 'firebase/firestore';
 
-/**
- * Word interface - Updated for Dictionary API + Translation API integration
- */
-interface Word {
-    id: string;
-    categoryId: string;
-    englishWord: string;
-    vietnameseTranslation: string; // Từ API + chỉnh sửa
-    britishPronunciation: string; // IPA format: /kæt/
-    americanPronunciation: string; // IPA format: /kæt/
-    australianPronunciation?: string; // IPA format: /kæt/ (tùy chọn)
-    partOfSpeech: string; // noun, verb, adjective, adverb, etc.
-    definition: string; // Định nghĩa tiếng Anh
-    vietnameseDefinition?: string; // Định nghĩa tiếng Việt (dịch tự động)
-    audioUrls: { // Các link âm thanh
-        british?: string;
-        american?: string;
-        australian?: string;
-    };
-    createdAt: Date;
-    updatedAt: Date;
-    userId: string;
-}
-
-// New: Cambridge Dictionary API (backend) response types
-interface CambridgePronunciation {
-    pos: string; // part of speech group in which this pron belongs
-    lang: string; // e.g. "UK", "US"
-    url: string;  // absolute audio URL
-    pron: string; // IPA text, e.g. /kæt/
-}
-
-interface CambridgeExample {
-    id: number;
-    text: string;
-    translation?: string;
-}
-
-interface CambridgeDefinitionBlock {
-    id: number;
-    pos: string;       // part of speech for this definition
-    source?: string;   // data-id from page
-    text: string;      // English definition
-    translation?: string; // (when present on bilingual pages)
-    example: CambridgeExample[];
-}
-
-interface CambridgeAPIResponse {
-    word: string;
-    pos: string[]; // unique parts of speech present on the page
-    verbs: { id: number; type: string; text: string; }[]; // from Simple Wiktionary
-    pronunciation: CambridgePronunciation[]; // UK/US audio & IPA
-    definition: CambridgeDefinitionBlock[];  // list of definitions
-}
-
-/**
- * MyMemory Translation API Response interface
- */
-interface MyMemoryResponse {
-    responseData: {
-        translatedText: string; // Văn bản đã dịch
-        match: number; // Độ chính xác (0-1)
-    };
-    quotaFinished: boolean; // Hết quota chưa
-    responseStatus: number; // Status code
-}
-
 /**
  * Category interface (simplified)
  */
@@ -94,6 +39,24 @@ interface Category {
     description?: string;
     icon: string;
     wordCount: number;
+    ownerName?: string; // set when the category is shared with the current user
+}
+
+/**
+ * Word from the add form, kept while the duplicate dialog is open
+ */
+interface NewWordDraft {
+    englishWord: string;
+    vietnameseTranslation: string;
+    britishPronunciation: string;
+    americanPronunciation: string;
+    australianPronunciation: string;
+    partOfSpeech: string;
+    definition: string;
+    vietnameseDefinition: string;
+    audioUrls: { british?: string; american?: string; australian?: string };
+    senses: WordSense[];
+    inflections?: WordInflections;
 }
 
 /**
@@ -102,583 +65,93 @@ interface Category {
  */
 class WordsManager {
     private logger: Logger;
-    private httpClient: HttpClient;
+    private dictionaryService: DictionaryService;
     private authManager: AuthManager;
     private db: any;
     private currentUser: any = null;
     private categoryId: string = '';
+    private ownerId: string = ''; // uid whose users/{uid} tree holds the category (differs for shared categories)
+    private accessRole: 'owner' | CollaboratorRole = 'owner';
     private category: Category | null = null;
     private unsubscribeWords: any = null;
+    private unsubscribeLinkedWords: (() => void) | null = null;
+    private homeWords: Word[] = [];
+    private linkedWords: Word[] = []; // words of other categories that are also shown here
     private words: Word[] = [];
     private filteredWords: Word[] = [];
     private isOnline: boolean = true;
-    private audioPlayer: HTMLAudioElement | null = null;
+    private pronunciationPlayer: PronunciationPlayer;
+    private editingWordId: string | null = null;
+    private lookupSenses: WordSense[] = [];
+    private lookupInflections: WordInflections | undefined;
+    private lookupSuggestions: Map<string, string> = new Map(); // source text → machine translation shown in the form
+    private userGlossary: UserGlossary;
+    private wordImporter: WordImporter;
+    private wordExporter: WordExporter;
+    private trashService: TrashService;
+    private versionHistory: VersionHistory;
+    private wordMover: WordMover;
+    private ownCategories: Category[] = []; // the signed-in user's categories: move/copy targets and linked word labels
+    private wordBulkEditor: WordBulkEditor;
+    private selectedWordIds: Set<string> = new Set();
+    private lastSelectedWordId: string | null = null; // anchor of shift-click ranges
+    private moveWordIds: string[] = [];
+    private duplicateFinder: DuplicateFinder;
+    private pendingWord: NewWordDraft | null = null; // waiting for a choice in the duplicate dialog
+    private duplicateMatches: DuplicateMatch[] = [];
+    private highlightWordId: string = ''; // ?word= from "Open existing" in another category
+    private importTable: ParsedTable | null = null;
+    private importMapping: ColumnMapping = [];
+    private importRows: ImportRow[] = [];
+    private importRunning: boolean = false;
+    private importCancelled: boolean = false;
 
     constructor() {
         this.logger = new Logger('WordsManager');
-        this.httpClient = new HttpClient({
-            timeout: 30000, // 30 seconds
-            headers: {
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.9,vi;q=0.8'
-                // Note: Cache-Control and Pragma headers removed for better CORS proxy compatibility
-            }
-        });
+        this.dictionaryService = new DictionaryService();
         this.authManager = new AuthManager();
         this.db = getFirestore();
+        this.userGlossary = new UserGlossary(this.db, this.dictionaryService.getTranslationService().getGlossary());
+        this.wordImporter = new WordImporter(this.db, this.dictionaryService);
+        this.wordExporter = new WordExporter();
+        this.trashService = new TrashService(this.db);
+        this.versionHistory = new VersionHistory(this.db);
+        this.wordMover = new WordMover(this.db);
+        this.wordBulkEditor = new WordBulkEditor(this.db, this.dictionaryService);
+        this.duplicateFinder = new DuplicateFinder(this.db);
         this.setupNetworkListener();
-        this.audioPlayer = new Audio();
-        this.logger.info('WordsManager initialized with HTTP client (CORS proxy fallback)');
-    }
-
-    /**
-     * Look up word via Cambridge website using HTTP client with CORS proxy fallback
-     * Falls back to local API if browser blocks by CORS.
-     */
-    async lookupWordInDictionary(word: string): Promise<CambridgeAPIResponse | null> {
-        const langSlug: 'en' | 'uk' | 'en-tw' | 'en-cn' = (window as any).__DICT_LANG || 'en';
-        try {
-            const { nation, languagePath } = this.mapCambridgeLang(langSlug);
-            const pageUrl = `https://dictionary.cambridge.org/${nation}/dictionary/${languagePath}/${encodeURIComponent(word)}`;
-            this.logger.info('Fetching Cambridge page with HTTP client', { pageUrl, langSlug });
-
-            // Try with CORS proxy fallback
-            const html = await this.httpClient.getHtmlWithProxy(pageUrl);
-            const parsed = this.parseCambridgeHtml(html);
-
-            // Best-effort fetch of verb forms from Simple Wiktionary
-            try {
-                const verbs = await this.fetchVerbsFromWiktionary(word);
-                parsed.verbs = verbs;
-            } catch (e: any) {
-                this.logger.warn('Fetch verbs failed (non-fatal)', { error: e?.message });
-                parsed.verbs = [];
-            }
-
-            return parsed;
-        } catch (error: any) {
-            this.logger.warn('Cambridge fetch failed; trying local API fallback', { 
-                error: error?.message,
-                isCORSError: this.httpClient.isCORSError(error)
-            });
-            
-            // Fallback to local API if available (optional)
-            try {
-                const apiBase = (window as any).__API_BASE || '';
-                if (apiBase !== null) {
-                    const response = await this.httpClient.get(`${apiBase}/api/dictionary/${langSlug}/${encodeURIComponent(word)}`, {
-                        headers: { 'Accept': 'application/json' }
-                    });
-                    const data = response.data;
-                    if (!(data && data.error)) return data as CambridgeAPIResponse;
-                }
-            } catch (fallbackError: any) {
-                this.logger.error('Local API fallback also failed', { error: fallbackError?.message });
-            }
-            throw new Error('Failed to look up word in dictionary');
-        }
-    }
-
-    // Map our UI language slug to Cambridge path + nation
-    private mapCambridgeLang(slug: string): { nation: 'us' | 'uk'; languagePath: string } {
-        switch (slug) {
-            case 'uk':
-                return { nation: 'uk', languagePath: 'english' };
-            case 'en-tw':
-                return { nation: 'us', languagePath: 'english-chinese-traditional' };
-            case 'en-cn':
-                return { nation: 'us', languagePath: 'english-chinese-simplified' };
-            case 'en':
-            default:
-                return { nation: 'us', languagePath: 'english' };
-        }
-    }
-
-    // Fetch raw HTML using HTTP client with CORS proxy fallback
-    private async fetchHtml(url: string): Promise<string> {
-        return await this.httpClient.getHtmlWithProxy(url);
-    }
-
-    // Parse Cambridge HTML into our structured response (jQuery -> DOMParser equivalent)
-    private parseCambridgeHtml(html: string): CambridgeAPIResponse {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        const siteurl = 'https://dictionary.cambridge.org';
-
-        const word = doc.querySelector('.hw.dhw')?.textContent?.trim() || '';
-        if (!word) throw new Error('word not found');
-
-        // POS list
-        const posSet = new Set<string>();
-        doc.querySelectorAll('.pos.dpos').forEach(el => {
-            const t = el.textContent?.trim();
-            if (t) posSet.add(t);
-        });
-        const pos = Array.from(posSet);
-
-        // Pronunciations
-        const pronunciation: CambridgePronunciation[] = [];
-        doc.querySelectorAll('.pos-header.dpos-h').forEach(section => {
-            const pText = (section.querySelector('.dpos-g')?.textContent || '').trim();
-            section.querySelectorAll('.dpron-i').forEach(node => {
-                const lang = (node.querySelector('.region.dreg')?.textContent || '').trim();
-                const source = node.querySelector('audio source') as HTMLSourceElement | null;
-                const audioSrc = source?.getAttribute('src') || '';
-                const pron = (node.querySelector('.pron.dpron')?.textContent || '').trim();
-                if (audioSrc && pron) {
-                    const url = audioSrc.startsWith('http') ? audioSrc : siteurl + audioSrc;
-                    pronunciation.push({ pos: pText, lang, url, pron });
-                }
-            });
-        });
-
-        // Definitions
-        const definition: CambridgeDefinitionBlock[] = [];
-        doc.querySelectorAll('.def-block.ddef_block').forEach((block, index) => {
-            const el = block as HTMLElement;
-            const entryEl = el.closest('.pr.entry-body__el') as HTMLElement | null;
-            const defPOS = (entryEl?.querySelector('.pos.dpos')?.textContent || '').trim();
-            const dictEl = el.closest('.pr.dictionary') as HTMLElement | null;
-            const source = dictEl?.getAttribute('data-id') || undefined;
-            const text = (el.querySelector('.def.ddef_d.db')?.textContent || '').trim();
-            const translation = (el.querySelector('.def-body.ddef_b > span.trans.dtrans')?.textContent || '').trim();
-
-            const example: CambridgeExample[] = [];
-            el.querySelectorAll('.def-body.ddef_b > .examp.dexamp').forEach((ex, i) => {
-                const exEl = ex as HTMLElement;
-                const eText = (exEl.querySelector('.eg.deg')?.textContent || '').trim();
-                const eTrans = (exEl.querySelector('.trans.dtrans')?.textContent || '').trim();
-                example.push({ id: i, text: eText, translation: eTrans || undefined });
-            });
-
-            definition.push({ id: index, pos: defPOS, source, text, translation: translation || undefined, example });
-        });
-
-        return {
-            word,
-            pos,
-            verbs: [], // optionally filled later
-            pronunciation,
-            definition,
-        };
-    }
-
-    // Best-effort verbs scraper from Simple Wiktionary
-    private async fetchVerbsFromWiktionary(entry: string): Promise<{ id: number; type: string; text: string }[]> {
-        const url = `https://simple.wiktionary.org/wiki/${encodeURIComponent(entry)}`;
-        const html = await this.fetchHtml(url);
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        const verbs: { id: number; type: string; text: string }[] = [];
-        const cells = Array.from(doc.querySelectorAll('.inflection-table tr td')) as HTMLElement[];
-        let id = 0;
-        for (const cell of cells) {
-            const p = cell.querySelector('p');
-            if (!p) continue;
-            const pText = (p.textContent || '').trim();
-            if (pText.includes('\n')) {
-                const parts = pText.split('\n').map(s => s.trim()).filter(Boolean);
-                if (parts.length >= 2) {
-                    const type = parts[0];
-                    const text = parts[1];
-                    if (type && text) verbs.push({ id: id++, type, text });
-                }
-            } else {
-                const htmlParts = (p.innerHTML || '').split('<br>');
-                if (htmlParts.length >= 2) {
-                    const typeTmp = htmlParts[0];
-                    const textTmp = htmlParts[1];
-                    const tmpDiv1 = document.createElement('div'); tmpDiv1.innerHTML = typeTmp; const type = tmpDiv1.textContent?.trim() || '';
-                    const tmpDiv2 = document.createElement('div'); tmpDiv2.innerHTML = textTmp; const text = tmpDiv2.textContent?.trim() || '';
-                    if (type && text) verbs.push({ id: id++, type, text });
-                }
-            }
-        }
-        return verbs;
-    }
-
-    /**
-     * Translate text using MyMemory Translation API with axios
-     */
-    async translateText(text: string, fromLang: string = 'en', toLang: string = 'vi'): Promise<string> {
-        try {
-            this.logger.info('Translating text with axios', { text, fromLang, toLang });
-            const response = await this.httpClient.get<MyMemoryResponse>(
-                `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${fromLang}|${toLang}`
-            );
-            
-            const data = response.data;
-            
-            if (data.responseStatus === 200 && data.responseData?.translatedText) {
-                return data.responseData.translatedText;
-            }
-            
-            throw new Error('Translation failed');
-        } catch (error: any) {
-            this.logger.error('Translation API failed', { error: error.message, text });
-            // Return original text if translation fails
-            return text;
-        }
-    }
-
-    /**
-     * Lookup word and translate automatically
-     */
-    async lookupAndTranslate(word: string): Promise<{
-        dictionaryData: CambridgeAPIResponse;
-        vietnameseTranslation: string;
-        vietnameseDefinition?: string;
-    }> {
-        // Lookup word in dictionary
-        const dictionaryData = await this.lookupWordInDictionary(word);
-        if (!dictionaryData) {
-            throw new Error('Word not found in dictionary');
-        }
-
-        // Take the first definition text if available
-        const firstDefinitionText = dictionaryData.definition?.[0]?.text || '';
-        
-        // Translate word and first definition
-        const vietnameseTranslation = await this.translateText(word);
-        let vietnameseDefinition: string | undefined;
-        if (firstDefinitionText) {
-            vietnameseDefinition = await this.translateText(firstDefinitionText);
-        }
-
-        return {
-            dictionaryData,
-            vietnameseTranslation,
-            vietnameseDefinition
-        };
-    }
-
-    /**
-     * Categorize pronunciations (UK/US/AU) from Cambridge response
-     */
-    private categorizePronunciations(prons: CambridgePronunciation[]): {
-        british?: { text: string; audio: string };
-        american?: { text: string; audio: string };
-        australian?: { text: string; audio: string };
-    } {
-        const pick = (match: RegExp) => prons.find(p => match.test(p.lang || ''));
-        const uk = pick(/UK/i) || prons.find(p => /brit|gb/i.test(p.lang || ''));
-        const us = pick(/US/i) || prons.find(p => /amer/i.test(p.lang || ''));
-        const au = pick(/AU/i) || prons.find(p => /aus/i.test(p.lang || ''));
-        
-        return {
-            british: uk ? { text: uk.pron || '', audio: uk.url || '' } : undefined,
-            american: us ? { text: us.pron || '', audio: us.url || '' } : undefined,
-            australian: au ? { text: au.pron || '', audio: au.url || '' } : undefined,
-        };
-    }
-
-    /**
-     * Parse Cambridge response to Word data
-     */
-    private parseDictionaryResponse(
-        response: CambridgeAPIResponse, 
-        categoryId: string, 
-        vietnameseTranslation: string,
-        vietnameseDefinition?: string
-    ): Partial<Word> {
-        const categorized = this.categorizePronunciations(response.pronunciation || []);
-        const firstPOS = response.pos?.[0] || response.definition?.[0]?.pos || '';
-        const firstDefinition = response.definition?.[0]?.text || '';
-        
-        return {
-            categoryId,
-            englishWord: response.word,
-            vietnameseTranslation,
-            britishPronunciation: categorized.british?.text || '',
-            americanPronunciation: categorized.american?.text || '',
-            australianPronunciation: categorized.australian?.text || '',
-            partOfSpeech: firstPOS,
-            definition: firstDefinition,
-            vietnameseDefinition: vietnameseDefinition || '',
-            audioUrls: {
-                british: categorized.british?.audio || '',
-                american: categorized.american?.audio || '',
-                australian: categorized.australian?.audio || ''
-            },
-            userId: this.currentUser.uid
-        };
+        this.pronunciationPlayer = new PronunciationPlayer((message, type) => this.showNotification(message, type));
+        this.logger.info('WordsManager initialized');
     }
 
     /**
      * Play audio pronunciation with syllable highlighting
      */
-    async playAudioPronunciation(audioUrl: string, accent: 'british' | 'american' | 'australian' = 'british'): Promise<void> {
-        try {
-            if (!audioUrl) {
-                this.showError(`No ${accent} audio available for this word`);
-                return;
-            }
-            
-            // Get the word and IPA pronunciation being pronounced
-            const englishWordInput = document.getElementById('english-word-input') as HTMLInputElement;
-            const wordCard = document.querySelector(`[onclick*="${audioUrl}"]`)?.closest('.word-card');
-            const currentWord = englishWordInput?.value || wordCard?.querySelector('.english-word')?.textContent || '';
-            
-            // Get IPA pronunciation based on accent
-            let ipaPronunciation = '';
-            if (accent === 'british') {
-                ipaPronunciation = (document.getElementById('british-pronunciation-input') as HTMLInputElement)?.value ||
-                                  wordCard?.querySelector('.uk-pronunciation')?.textContent?.replace('🇬🇧', '').trim() || '';
-            } else if (accent === 'american') {
-                ipaPronunciation = (document.getElementById('american-pronunciation-input') as HTMLInputElement)?.value ||
-                                  wordCard?.querySelector('.us-pronunciation')?.textContent?.replace('🇺🇸', '').trim() || '';
-            } else if (accent === 'australian') {
-                ipaPronunciation = (document.getElementById('australian-pronunciation-input') as HTMLInputElement)?.value ||
-                                  wordCard?.querySelector('.au-pronunciation')?.textContent?.replace('🇦🇺', '').trim() || '';
-            }
-            
-            if (this.audioPlayer) {
-                // Show IPA pronunciation breakdown FIRST
-                this.showIPABreakdown(currentWord, ipaPronunciation, accent);
-                
-                // Wait a bit for the modal to fully appear before playing audio
-                setTimeout(async () => {
-                    try {
-                        this.audioPlayer!.src = audioUrl;
-                        await this.audioPlayer!.play();
-                        this.logger.info('Audio pronunciation played', { audioUrl, accent });
-                        this.showSuccess(`🔊 Playing ${accent} pronunciation...`);
-                    } catch (playError: any) {
-                        this.logger.error('Failed to play audio after showing modal', { error: playError.message });
-                        this.fallbackTextToSpeechWithIPA(currentWord, accent);
-                    }
-                }, 500); // 500ms delay to let modal appear smoothly
-            }
-        } catch (error: any) {
-            this.logger.error('Failed to play audio', { error: error.message, audioUrl, accent });
-            // Fallback to text-to-speech with IPA display
-            const englishWordInput = document.getElementById('english-word-input') as HTMLInputElement;
-            const wordCard = document.querySelector(`[onclick*="${audioUrl}"]`)?.closest('.word-card');
-            const currentWord = englishWordInput?.value || wordCard?.querySelector('.english-word')?.textContent || '';
-            this.fallbackTextToSpeechWithIPA(currentWord, accent);
-        }
-    }
-
-    /**
-     * Fallback text-to-speech with IPA display
-     */
-    private fallbackTextToSpeechWithIPA(word: string, accent: 'british' | 'american' | 'australian'): void {
-        try {
-            if ('speechSynthesis' in window) {
-                // Get IPA pronunciation for display
-                let ipaPronunciation = '';
-                if (accent === 'british') {
-                    ipaPronunciation = (document.getElementById('british-pronunciation-input') as HTMLInputElement)?.value || '';
-                } else if (accent === 'american') {
-                    ipaPronunciation = (document.getElementById('american-pronunciation-input') as HTMLInputElement)?.value || '';
-                } else if (accent === 'australian') {
-                    ipaPronunciation = (document.getElementById('australian-pronunciation-input') as HTMLInputElement)?.value || '';
-                }
-                
-                // Show IPA breakdown for TTS
-                this.showIPABreakdown(word, ipaPronunciation, accent);
-                
-                const utterance = new SpeechSynthesisUtterance(word);
-                
-                // Set voice based on accent
-                const voices = speechSynthesis.getVoices();
-                let selectedVoice;
-                
-                switch (accent) {
-                    case 'british':
-                        selectedVoice = voices.find(voice => 
-                            voice.lang.includes('en-GB') || voice.name.includes('British')
-                        );
-                        break;
-                    case 'american':
-                        selectedVoice = voices.find(voice => 
-                            voice.lang.includes('en-US') || voice.name.includes('US')
-                        );
-                        break;
-                    case 'australian':
-                        selectedVoice = voices.find(voice => 
-                            voice.lang.includes('en-AU') || voice.name.includes('Australian')
-                        );
-                        break;
-                }
-                
-                if (selectedVoice) {
-                    utterance.voice = selectedVoice;
-                }
-                
-                // Slower rate for better comprehension
-                utterance.rate = 0.7;
-                utterance.pitch = 1.0;
-                
-                speechSynthesis.speak(utterance);
-                this.showSuccess(`🗣️ Using text-to-speech for ${accent} pronunciation`);
-            } else {
-                this.showError('Text-to-speech not supported in this browser');
-            }
-        } catch (error: any) {
-            this.logger.error('Text-to-speech failed', { error: error.message });
-            this.showError('Failed to play pronunciation');
-        }
-    }
-
-    /**
-     * Show IPA pronunciation breakdown with beautiful styling
-     */
-    private showIPABreakdown(word: string, ipaPronunciation: string, accent: string): void {
-        if (!word && !ipaPronunciation) return;
-        
-        // Break IPA into segments for better visualization
-        const ipaSegments = this.breakIPAIntoSegments(ipaPronunciation || word);
-        
-        // Create or update IPA display
-        let ipaDisplay = document.getElementById('ipa-display');
-        if (!ipaDisplay) {
-            ipaDisplay = document.createElement('div');
-            ipaDisplay.id = 'ipa-display';
-            ipaDisplay.style.cssText = `
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background: rgba(255, 255, 255, 0.98);
-                color: #1e293b;
-                padding: 30px 40px;
-                border-radius: 20px;
-                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.15);
-                z-index: 2000;
-                font-size: 28px;
-                font-weight: 500;
-                text-align: center;
-                backdrop-filter: blur(15px);
-                border: 2px solid #e2e8f0;
-                min-width: 300px;
-                font-family: 'Times New Roman', serif;
-            `;
-            document.body.appendChild(ipaDisplay);
+    async playAudioPronunciation(audioUrl: string, accent: Accent = 'british'): Promise<void> {
+        if (!audioUrl) {
+            this.showError(`No ${accent} audio available for this word`);
+            return;
         }
-        
-        // Display word, IPA and accent info with beautiful white styling
-        ipaDisplay.innerHTML = `
-            <div style="font-size: 16px; color: #64748b; margin-bottom: 15px; font-weight: 400;">
-                ${this.getAccentFlag(accent)} ${accent.toUpperCase()} Pronunciation
-            </div>
-            <div style="font-size: 22px; color: #374151; margin-bottom: 10px; font-weight: 600;">
-                "${word}"
-            </div>
-            <div id="ipa-text" style="letter-spacing: 3px; margin: 20px 0; font-size: 32px;">
-                ${ipaSegments.map((segment, index) => 
-                    `<span id="ipa-segment-${index}" style="opacity: 0.4; transition: all 0.4s ease; padding: 0 2px; color: #1e293b;">${segment}</span>`
-                ).join('')}
-            </div>
-            <div style="font-size: 14px; color: #9ca3af; margin-top: 15px; font-weight: 400;">
-                🎵 Listen to the pronunciation sounds
-            </div>
-        `;
-        
-        // Animate IPA segments
-        this.animateIPASegments(ipaSegments);
-        
-        // Auto-hide after duration
-        setTimeout(() => {
-            if (ipaDisplay && ipaDisplay.parentNode) {
-                ipaDisplay.style.animation = 'fadeOut 0.4s ease';
-                setTimeout(() => {
-                    if (ipaDisplay && ipaDisplay.parentNode) {
-                        ipaDisplay.parentNode.removeChild(ipaDisplay);
-                    }
-                }, 400);
-            }
-        }, Math.max(3000, ipaSegments.length * 1000)); // Longer display time
-    }
 
-    /**
-     * Break IPA pronunciation into meaningful segments
-     */
-    private breakIPAIntoSegments(ipa: string): string[] {
-        if (!ipa) return [];
-        
-        // Clean up IPA string
-        const cleanIPA = ipa.replace(/[\/\[\]]/g, '').trim();
-        if (!cleanIPA) return [];
-        
-        // Split by common IPA boundaries
-        const segments: string[] = [];
-        let currentSegment = '';
-        
-        for (let i = 0; i < cleanIPA.length; i++) {
-            const char = cleanIPA[i];
-            
-            // IPA stress markers and syllable boundaries
-            if (char === 'ˈ' || char === 'ˌ' || char === '.') {
-                if (currentSegment) {
-                    segments.push(currentSegment);
-                    currentSegment = '';
-                }
-                if (char !== '.') currentSegment += char; // Include stress markers
-            } else if (char === ' ') {
-                if (currentSegment) {
-                    segments.push(currentSegment);
-                    currentSegment = '';
-                }
-            } else {
-                currentSegment += char;
-            }
-        }
-        
-        if (currentSegment) {
-            segments.push(currentSegment);
+        // Get the word and IPA pronunciation being pronounced
+        const englishWordInput = document.getElementById('english-word-input') as HTMLInputElement;
+        const wordCard = document.querySelector(`[onclick*="${audioUrl}"]`)?.closest('.word-card');
+        const currentWord = englishWordInput?.value || wordCard?.querySelector('.english-word')?.textContent || '';
+
+        // Get IPA pronunciation based on accent
+        let ipaPronunciation = '';
+        if (accent === 'british') {
+            ipaPronunciation = (document.getElementById('british-pronunciation-input') as HTMLInputElement)?.value ||
+                              wordCard?.querySelector('.uk-pronunciation')?.textContent?.replace('🇬🇧', '').trim() || '';
+        } else if (accent === 'american') {
+            ipaPronunciation = (document.getElementById('american-pronunciation-input') as HTMLInputElement)?.value ||
+                              wordCard?.querySelector('.us-pronunciation')?.textContent?.replace('🇺🇸', '').trim() || '';
+        } else if (accent === 'australian') {
+            ipaPronunciation = (document.getElementById('australian-pronunciation-input') as HTMLInputElement)?.value ||
+                              wordCard?.querySelector('.au-pronunciation')?.textContent?.replace('🇦🇺', '').trim() || '';
         }
-        
-        return segments.length > 0 ? segments : [cleanIPA];
-    }
-
-    /**
-     * Animate IPA segments with highlighting
-     */
-    private animateIPASegments(segments: string[]): void {
-        segments.forEach((segment, index) => {
-            setTimeout(() => {
-                const segmentEl = document.getElementById(`ipa-segment-${index}`);
-                if (segmentEl) {
-                    // Highlight current segment with blue color for white background
-                    segmentEl.style.cssText = `
-                        opacity: 1;
-                        color: #2563eb;
-                        text-shadow: 0 0 15px rgba(37, 99, 235, 0.4);
-                        transform: scale(1.2);
-                        transition: all 0.4s ease;
-                        padding: 0 2px;
-                        background: rgba(37, 99, 235, 0.1);
-                        border-radius: 4px;
-                    `;
-                    
-                    // Fade previous segments to grey
-                    for (let j = 0; j < index; j++) {
-                        const prevEl = document.getElementById(`ipa-segment-${j}`);
-                        if (prevEl) {
-                            prevEl.style.opacity = '0.7';
-                            prevEl.style.color = '#6b7280';
-                            prevEl.style.transform = 'scale(1)';
-                            prevEl.style.textShadow = 'none';
-                            prevEl.style.background = 'transparent';
-                        }
-                    }
-                }
-            }, index * 800); // 800ms per segment
-        });
-    }
 
-    /**
-     * Get accent flag emoji
-     */
-    private getAccentFlag(accent: string): string {
-        switch (accent) {
-            case 'british': return '🇬🇧';
-            case 'american': return '🇺🇸';
-            case 'australian': return '🇦🇺';
-            default: return '🔊';
-        }
+        await this.pronunciationPlayer.play(audioUrl, accent, currentWord, ipaPronunciation);
     }
 
     /**
@@ -701,9 +174,19 @@ class WordsManager {
             if (!this.currentUser) {
                 throw new Error('User not authenticated');
             }
+            this.ownerId = this.getOwnerIdFromURL() || this.currentUser.uid;
+            this.highlightWordId = new URLSearchParams(window.location.search).get('word') || '';
 
             // Load category information
             await this.loadCategoryInfo();
+            await this.loadOwnCategories().catch((error: any) => {
+                this.logger.warn('Failed to load categories for moving words', { error: error.message });
+            });
+
+            // Preferred translations override machine ones; the page still works without them
+            await this.userGlossary.load(this.currentUser.uid).catch((error: any) => {
+                this.logger.warn('Failed to load glossary', { error: error.message });
+            });
 
             // Setup UI
             this.setupUI();
@@ -734,25 +217,49 @@ class WordsManager {
         return urlParams.get('categoryId') || '';
     }
 
+    /**
+     * Get the owner of a shared category from URL parameters
+     */
+    private getOwnerIdFromURL(): string {
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.get('owner') || '';
+    }
+
+    /**
+     * Viewers of a shared category cannot change its words
+     */
+    private canEdit(): boolean {
+        return this.accessRole !== 'viewer';
+    }
+
     /**
      * Load category information
      */
     private async loadCategoryInfo(): Promise<void> {
         try {
-            const categoryRef = doc(this.db, 'users', this.currentUser.uid, 'categories', this.categoryId);
+            const categoryRef = doc(this.db, 'users', this.ownerId, 'categories', this.categoryId);
             const categoryDoc = await getDoc(categoryRef);
             
-            if (!categoryDoc.exists()) {
+            if (!categoryDoc.exists() || TrashService.isTrashed(categoryDoc.data())) {
                 throw new Error('Category not found');
             }
 
             const data = categoryDoc.data();
+            if (this.ownerId !== this.currentUser.uid) {
+                const role = SharingService.roleOf(data, this.currentUser.uid);
+                if (!role) {
+                    throw new Error('Category not found');
+                }
+                this.accessRole = role;
+            }
+
             this.category = {
                 id: categoryDoc.id,
                 name: data.name,
                 description: data.description || '',
                 icon: data.icon || '📚',
-                wordCount: data.wordCount || 0
+                wordCount: data.wordCount || 0,
+                ...(this.accessRole !== 'owner' ? { ownerName: data.ownerName || 'another user' } : {})
             };
 
             this.updatePageTitle();
@@ -784,12 +291,15 @@ class WordsManager {
         if (!categoryInfoContainer || !this.category) return;
 
         categoryInfoContainer.innerHTML = `
-            <div class="category-info-icon">${this.category.icon}</div>
+            <div class="category-info-icon">${this.escapeHtml(this.category.icon)}</div>
             <div class="category-info-details">
-                <h2>${this.category.name}</h2>
-                ${this.category.description ? `<p class="category-info-description">${this.category.description}</p>` : ''}
+                <h2>${this.escapeHtml(this.category.name)}</h2>
+                ${this.category.description ? `<p class="category-info-description">${this.escapeHtml(this.category.description)}</p>` : ''}
                 <div class="category-info-stats">
                     <span class="word-count">${this.category.wordCount} words</span>
+                    ${this.category.ownerName
+                        ? `<span class="shared-badge">👥 Shared by ${this.escapeHtml(this.category.ownerName)} · ${this.accessRole === 'editor' ? 'you can edit' : 'view only'}</span>`
+                        : ''}
                 </div>
             </div>
         `;
@@ -816,6 +326,14 @@ class WordsManager {
      * Setup UI elements
      */
     private setupUI(): void {
+        // Shared categories: viewers only read, and practice progress lives in the practicing user's own words
+        if (this.accessRole !== 'owner') {
+            document.body.classList.add('shared-category');
+            if (!this.canEdit()) {
+                document.body.classList.add('read-only-category');
+            }
+        }
+
         // Setup user profile in header
         const authSection = document.getElementById('auth-section');
         if (authSection && this.currentUser) {
@@ -866,12 +384,82 @@ class WordsManager {
             printBtn.addEventListener('click', () => this.printWordsList());
         }
 
+        // Practice words of this category
+        const practiceBtn = document.getElementById('practice-words-btn');
+        if (practiceBtn) {
+            practiceBtn.addEventListener('click', () => {
+                window.location.href = `/practice?categoryId=${this.categoryId}`;
+            });
+        }
+
+        // CSV/TSV import
+        const importWordsBtn = document.getElementById('import-words-btn');
+        if (importWordsBtn) {
+            importWordsBtn.addEventListener('click', () => this.openImportDialog());
+        }
+
+        const importFileInput = document.getElementById('import-file-input') as HTMLInputElement;
+        if (importFileInput) {
+            importFileInput.addEventListener('change', () => {
+                const file = importFileInput.files?.[0];
+                if (file) {
+                    this.loadImportFile(file);
+                }
+            });
+        }
+
+        document.getElementById('import-has-header')?.addEventListener('change', () => this.refreshImportPreview());
+        document.getElementById('import-conflict-mode')?.addEventListener('change', () => this.refreshImportPreview());
+        document.getElementById('import-delimiter')?.addEventListener('change', () => {
+            const file = importFileInput?.files?.[0];
+            if (file) {
+                this.loadImportFile(file);
+            }
+        });
+        document.getElementById('confirm-import-btn')?.addEventListener('click', () => this.runImport());
+        document.getElementById('cancel-import-btn')?.addEventListener('click', () => this.closeImportDialog());
+
+        // Export
+        const exportBtn = document.getElementById('export-words-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const format = (document.getElementById('export-format') as HTMLSelectElement)?.value as ExportFormat;
+                this.exportWords(format || 'csv');
+            });
+        }
+
         // Dictionary lookup
         const lookupBtn = document.getElementById('lookup-word-btn');
         if (lookupBtn) {
             lookupBtn.addEventListener('click', () => this.lookupWordFromInput());
         }
 
+        // Offline dictionary import
+        const importDictBtn = document.getElementById('import-offline-dict-btn');
+        const offlineDictInput = document.getElementById('offline-dict-input') as HTMLInputElement;
+        if (importDictBtn && offlineDictInput) {
+            importDictBtn.addEventListener('click', () => offlineDictInput.click());
+            offlineDictInput.addEventListener('change', () => {
+                const files = Array.from(offlineDictInput.files || []);
+                offlineDictInput.value = '';
+                if (files.length) {
+                    this.importOfflineDictionary(files);
+                }
+            });
+        }
+
+        const removeDictBtn = document.getElementById('remove-offline-dict-btn');
+        if (removeDictBtn) {
+            removeDictBtn.addEventListener('click', () => this.removeOfflineDictionary());
+        }
+        this.renderOfflineDictionaryStatus();
+
+        // Lookup cache invalidation
+        const clearCacheBtn = document.getElementById('clear-lookup-cache-btn');
+        if (clearCacheBtn) {
+            clearCacheBtn.addEventListener('click', () => this.clearLookupCache());
+        }
+
         // Play audio pronunciation
         const playAudioBtn = document.getElementById('play-audio-btn');
         if (playAudioBtn) {
@@ -922,6 +510,41 @@ class WordsManager {
                 deleteModal.style.display = 'none';
             });
         }
+
+        // Version history modal
+        document.getElementById('close-history-btn')?.addEventListener('click', () => {
+            document.getElementById('history-modal')!.style.display = 'none';
+        });
+
+        // Selection and move/copy
+        document.getElementById('select-all-btn')?.addEventListener('click', () => this.selectAllWords());
+        document.getElementById('clear-selection-btn')?.addEventListener('click', () => this.clearSelection());
+        document.getElementById('move-selected-btn')?.addEventListener('click', () => this.openMoveDialog(Array.from(this.selectedWordIds)));
+        document.getElementById('confirm-move-btn')?.addEventListener('click', () => this.confirmMove());
+        document.getElementById('cancel-move-btn')?.addEventListener('click', () => this.closeMoveDialog());
+
+        // Duplicate words
+        document.getElementById('add-duplicate-btn')?.addEventListener('click', () => this.addDuplicateAnyway());
+        document.getElementById('cancel-duplicate-btn')?.addEventListener('click', () => this.closeDuplicateDialog());
+
+        // Bulk actions on the selection
+        const bulkStatusSelect = document.getElementById('bulk-status-select') as HTMLSelectElement;
+        bulkStatusSelect?.addEventListener('change', () => {
+            const statuses: Record<string, WordStatus> = {
+                favorite: { isFavorite: true },
+                unfavorite: { isFavorite: false },
+                learned: { learned: true },
+                unlearned: { learned: false }
+            };
+            const status = statuses[bulkStatusSelect.value];
+            bulkStatusSelect.value = '';
+            if (status) {
+                this.bulkSetStatus(status);
+            }
+        });
+        document.getElementById('bulk-retranslate-btn')?.addEventListener('click', () => this.bulkRetranslate());
+        document.getElementById('bulk-export-btn')?.addEventListener('click', () => this.bulkExport());
+        document.getElementById('bulk-delete-btn')?.addEventListener('click', () => this.bulkDelete());
     }
 
     /**
@@ -937,8 +560,12 @@ class WordsManager {
         }
 
         if (!this.isOnline) {
-            this.showError('No internet connection. Please try again when online.');
-            return;
+            const offlineInfo = await this.dictionaryService.getOfflineDictionary().getInfo().catch(() => null);
+            if (!offlineInfo) {
+                this.showError('No internet connection. Import an offline dictionary to look words up offline.');
+                return;
+            }
+            this.logger.info('Offline: looking up in imported dictionary', { dictionary: offlineInfo.name });
         }
 
         this.logger.info('Looking up word from input', { englishWord });
@@ -951,7 +578,7 @@ class WordsManager {
         }
 
         try {
-            const result = await this.lookupAndTranslate(englishWord);
+            const result = await this.dictionaryService.lookupAndTranslate(englishWord);
             
             if (result.dictionaryData) {
                 this.populateFormFromDictionary(
@@ -959,7 +586,14 @@ class WordsManager {
                     result.vietnameseTranslation,
                     result.vietnameseDefinition
                 );
-                this.showSuccess('Word found and translated! 🎉 Please review and save.');
+                this.lookupSuggestions.clear();
+                this.lookupSuggestions.set(englishWord, result.vietnameseTranslation);
+                this.lookupSuggestions.set(result.dictionaryData.definition?.[0]?.text || '', result.vietnameseDefinition || '');
+                if (result.translationError) {
+                    this.showTranslationUnavailable(result.translationError);
+                } else {
+                    this.showSuccess('Word found and translated! 🎉 Please review and save.');
+                }
             } else {
                 this.showError('Word not found in dictionary. You can still add it manually.');
             }
@@ -976,23 +610,361 @@ class WordsManager {
     }
 
     /**
-     * Populate form with dictionary data and translations
+     * Tell the user translation failed and let them type the Vietnamese fields themselves
      */
-    private populateFormFromDictionary(
-        dictionaryData: CambridgeAPIResponse,
-        vietnameseTranslation?: string,
-        vietnameseDefinition?: string
-    ): void {
-        const categorized = this.categorizePronunciations(dictionaryData.pronunciation || []);
-        
-        // Determine first POS and definition
-        const firstPOS = dictionaryData.pos?.[0] || dictionaryData.definition?.[0]?.pos || '';
-        const firstDefinition = dictionaryData.definition?.[0]?.text || '';
+    private showTranslationUnavailable(reason: string): void {
+        const vietnameseInput = document.getElementById('vietnamese-translation-input') as HTMLInputElement;
+        const vietnameseDefinitionInput = document.getElementById('vietnamese-definition-input') as HTMLTextAreaElement;
+        if (vietnameseDefinitionInput) {
+            vietnameseDefinitionInput.readOnly = false;
+        }
+        this.showError(`Word found, but translation is unavailable (${reason}). Please enter the Vietnamese translation yourself.`);
+        vietnameseInput?.focus();
+    }
 
-        // Populate form fields
-        const vietnameseTranslationInput = document.getElementById('vietnamese-translation-input') as HTMLInputElement;
-        const britishPronunciationInput = document.getElementById('british-pronunciation-input') as HTMLInputElement;
-        const americanPronunciationInput = document.getElementById('american-pronunciation-input') as HTMLInputElement;
+    /**
+     * Parse and index a StarDict or JSON dictionary for offline lookups
+     */
+    async importOfflineDictionary(files: File[]): Promise<void> {
+        this.logger.info('Importing offline dictionary', { files: files.map(file => file.name) });
+        this.showLoading(true);
+        const status = document.getElementById('offline-dictionary-status');
+        if (status) {
+            status.textContent = 'Importing dictionary...';
+        }
+
+        try {
+            const info = await this.dictionaryService.getOfflineDictionary().importFiles(files);
+            this.showSuccess(`Offline dictionary "${info.name}" imported (${info.entryCount.toLocaleString()} words)`);
+        } catch (error: any) {
+            this.logger.error('Failed to import offline dictionary', { error: error.message });
+            this.showError(`Failed to import dictionary: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+            this.renderOfflineDictionaryStatus();
+        }
+    }
+
+    /**
+     * Delete the imported offline dictionary
+     */
+    async removeOfflineDictionary(): Promise<void> {
+        if (!confirm('Remove the offline dictionary from this browser?')) {
+            return;
+        }
+
+        try {
+            await this.dictionaryService.getOfflineDictionary().clear();
+            this.showSuccess('Offline dictionary removed');
+        } catch (error: any) {
+            this.logger.error('Failed to remove offline dictionary', { error: error.message });
+            this.showError('Failed to remove offline dictionary');
+        } finally {
+            this.renderOfflineDictionaryStatus();
+        }
+    }
+
+    /**
+     * Drop cached dictionary pages and translations so the next lookup is fresh
+     */
+    async clearLookupCache(): Promise<void> {
+        try {
+            const cachedEntries = await this.dictionaryService.getLookupCacheSize();
+            await this.dictionaryService.clearLookupCache();
+            this.logger.info('Lookup cache cleared', { cachedEntries });
+            this.showSuccess(`Lookup cache cleared (${cachedEntries} saved results removed)`);
+        } catch (error: any) {
+            this.logger.error('Failed to clear lookup cache', { error: error.message });
+            this.showError('Failed to clear lookup cache');
+        }
+    }
+
+    /**
+     * Download this category's words as CSV, JSON or an Anki import file
+     */
+    exportWords(format: ExportFormat): void {
+        if (!this.category || this.words.length === 0) {
+            this.showError('There are no words to export');
+            return;
+        }
+
+        try {
+            this.wordExporter.download(format, [{ ...this.category, words: this.words }], this.category.name);
+            this.showSuccess(`Exported ${this.words.length} words`);
+        } catch (error: any) {
+            this.logger.error('Export failed', { format, error: error.message });
+            this.showError('Failed to export words');
+        }
+    }
+
+    /**
+     * Open the CSV/TSV import dialog with a clean state
+     */
+    openImportDialog(): void {
+        if (!this.canEdit()) return;
+        this.importTable = null;
+        this.importMapping = [];
+        this.importRows = [];
+        this.importCancelled = false;
+
+        const fileInput = document.getElementById('import-file-input') as HTMLInputElement;
+        const options = document.getElementById('import-options');
+        const confirmBtn = document.getElementById('confirm-import-btn') as HTMLButtonElement;
+        const progress = document.getElementById('import-progress');
+        if (fileInput) fileInput.value = '';
+        if (options) options.style.display = 'none';
+        if (confirmBtn) {
+            confirmBtn.disabled = true;
+            confirmBtn.textContent = 'Import';
+        }
+        if (progress) progress.style.display = 'none';
+
+        document.getElementById('import-modal')!.style.display = 'flex';
+    }
+
+    /**
+     * Close the import dialog; a running auto-fill stops after the current word
+     */
+    closeImportDialog(): void {
+        if (this.importRunning) {
+            this.importCancelled = true;
+            this.logger.info('Import cancellation requested');
+            return;
+        }
+        document.getElementById('import-modal')!.style.display = 'none';
+    }
+
+    /**
+     * Parse the chosen file and guess the column mapping
+     */
+    private async loadImportFile(file: File): Promise<void> {
+        this.logger.info('Loading import file', { name: file.name, size: file.size });
+
+        try {
+            const delimiterSelect = document.getElementById('import-delimiter') as HTMLSelectElement;
+            const hasHeaderInput = document.getElementById('import-has-header') as HTMLInputElement;
+            const text = await file.text();
+            const delimiter = delimiterSelect?.value || (/\.tsv$/i.test(file.name) ? '\t' : undefined);
+
+            this.importTable = this.wordImporter.parse(text, delimiter);
+            if (this.importTable.rows.length === 0) {
+                this.showError('The file is empty');
+                return;
+            }
+
+            const columnCount = Math.max(...this.importTable.rows.map(row => row.length));
+            const guessed = this.wordImporter.guessMapping(this.importTable.rows[0]);
+            this.importMapping = guessed
+                ? [...guessed, ...Array(columnCount - guessed.length).fill('')]
+                : this.wordImporter.defaultMapping(columnCount);
+            if (hasHeaderInput) hasHeaderInput.checked = guessed !== null;
+
+            document.getElementById('import-options')!.style.display = 'flex';
+            this.renderImportMapping();
+            this.refreshImportPreview();
+        } catch (error: any) {
+            this.logger.error('Failed to read import file', { error: error.message });
+            this.showError('Failed to read the file. Please save it as CSV (UTF-8) or TSV.');
+        }
+    }
+
+    /**
+     * One select per column to choose the field it holds
+     */
+    private renderImportMapping(): void {
+        const container = document.getElementById('import-mapping');
+        if (!container || !this.importTable) {
+            return;
+        }
+
+        const firstRow = this.importTable.rows[0] || [];
+        const fields = Object.keys(WordImporter.FIELD_LABELS) as ImportField[];
+        container.innerHTML = this.importMapping.map((selected, column) => `
+            <label>
+                Column ${column + 1}${firstRow[column] ? `: ${this.escapeHtml(firstRow[column].slice(0, 30))}` : ''}
+                <select onchange="wordsManager.setImportColumn(${column}, this.value)">
+                    <option value="">— Ignore —</option>
+                    ${fields.map(field => `<option value="${field}" ${field === selected ? 'selected' : ''}>${WordImporter.FIELD_LABELS[field]}</option>`).join('')}
+                </select>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Map a column to a field (a field can only be mapped once)
+     */
+    setImportColumn(column: number, field: string): void {
+        const importField = field as ImportField | '';
+        this.importMapping = this.importMapping.map((current, index) => {
+            if (index === column) return importField;
+            return importField && current === importField ? '' : current;
+        });
+        this.renderImportMapping();
+        this.refreshImportPreview();
+    }
+
+    /**
+     * Re-classify the rows and show counts plus the first rows of the preview
+     */
+    private refreshImportPreview(): void {
+        const summary = document.getElementById('import-summary');
+        const preview = document.getElementById('import-preview');
+        const confirmBtn = document.getElementById('confirm-import-btn') as HTMLButtonElement;
+        const hasHeader = (document.getElementById('import-has-header') as HTMLInputElement)?.checked || false;
+        const overwrite = (document.getElementById('import-conflict-mode') as HTMLSelectElement)?.value === 'overwrite';
+        if (!this.importTable || !summary || !preview) {
+            return;
+        }
+
+        this.importRows = this.wordImporter.plan(this.importTable, this.importMapping, hasHeader, this.words);
+        const count = (status: string) => this.importRows.filter(row => row.status === status).length;
+        const missingTranslation = this.importRows.filter(row => row.status === 'new' && !row.values.vietnameseTranslation).length;
+        const toWrite = count('new') + (overwrite ? count('conflict') : 0);
+        const totalRows = this.importTable.rows.length - (hasHeader ? 1 : 0);
+
+        summary.innerHTML = `
+            <span class="import-badge import-status-new">${count('new')} new</span>
+            <span class="import-badge import-status-duplicate">${count('duplicate')} duplicates (skipped)</span>
+            <span class="import-badge import-status-conflict">${count('conflict')} conflicts (${overwrite ? 'overwritten' : 'skipped'})</span>
+            <span class="import-badge import-status-invalid">${count('invalid')} invalid</span>
+            ${missingTranslation ? `<span class="import-badge">${missingTranslation} without translation</span>` : ''}
+            ${totalRows > WordImporter.MAX_ROWS ? `<span class="import-badge import-status-invalid">Only the first ${WordImporter.MAX_ROWS} rows are imported</span>` : ''}
+        `;
+
+        const shown = this.importRows.slice(0, 100);
+        preview.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Row</th><th>English</th><th>Vietnamese</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${shown.map(row => `
+                        <tr>
+                            <td>${row.line}</td>
+                            <td>${this.escapeHtml(row.values.englishWord || '')}</td>
+                            <td>${this.escapeHtml(row.values.vietnameseTranslation || '')}</td>
+                            <td class="import-status-${row.status}">${row.status}${row.message ? ` — ${this.escapeHtml(row.message)}` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${this.importRows.length > shown.length ? `<p>…and ${this.importRows.length - shown.length} more rows</p>` : ''}
+        `;
+
+        if (confirmBtn) {
+            confirmBtn.disabled = toWrite === 0;
+            confirmBtn.textContent = toWrite ? `Import ${toWrite} word${toWrite === 1 ? '' : 's'}` : 'Import';
+        }
+    }
+
+    /**
+     * Auto-fill (if chosen) and write the previewed rows
+     */
+    async runImport(): Promise<void> {
+        const autoFill = (document.getElementById('import-autofill') as HTMLInputElement)?.checked || false;
+        const overwrite = (document.getElementById('import-conflict-mode') as HTMLSelectElement)?.value === 'overwrite';
+        const confirmBtn = document.getElementById('confirm-import-btn') as HTMLButtonElement;
+        const progress = document.getElementById('import-progress');
+
+        if (!this.isOnline) {
+            this.showError('No internet connection. Please try again when online.');
+            return;
+        }
+
+        this.importRunning = true;
+        this.importCancelled = false;
+        if (confirmBtn) confirmBtn.disabled = true;
+        const setProgress = (message: string) => {
+            if (progress) {
+                progress.style.display = 'block';
+                progress.textContent = message;
+            }
+        };
+
+        try {
+            if (autoFill) {
+                await this.wordImporter.autoFill(
+                    this.importRows,
+                    (done, total) => setProgress(`Looking up words in the dictionary… ${done}/${total} (Cancel to stop and import what is ready)`),
+                    () => this.importCancelled
+                );
+            }
+
+            setProgress('Saving words…');
+            const summary = await this.wordImporter.write(
+                this.ownerId,
+                this.categoryId,
+                this.importRows,
+                overwrite,
+                (written, total) => setProgress(`Saving words… ${written}/${total}`)
+            );
+
+            // The batches already incremented wordCount in Firestore
+            if (this.category) {
+                this.category.wordCount += summary.created;
+                this.renderCategoryInfo();
+            }
+
+            this.logger.info('Words imported', summary);
+            this.showSuccess(`Imported ${summary.created} new word${summary.created === 1 ? '' : 's'}` +
+                (summary.updated ? `, updated ${summary.updated}` : '') +
+                (summary.skipped ? `, skipped ${summary.skipped}` : ''));
+            this.importRunning = false;
+            this.closeImportDialog();
+        } catch (error: any) {
+            this.logger.error('Import failed', { error: error.message });
+            this.showError('Import failed part-way. Words saved so far are kept; open the import again to add the rest.');
+            setProgress('Import stopped because of an error.');
+        } finally {
+            this.importRunning = false;
+            if (confirmBtn) confirmBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show which offline dictionary (if any) is available
+     */
+    private async renderOfflineDictionaryStatus(): Promise<void> {
+        const status = document.getElementById('offline-dictionary-status');
+        const removeBtn = document.getElementById('remove-offline-dict-btn');
+        if (!status) {
+            return;
+        }
+
+        try {
+            const info = await this.dictionaryService.getOfflineDictionary().getInfo();
+            if (info) {
+                status.textContent = `📦 ${info.name} · ${info.entryCount.toLocaleString()} words available offline`;
+            } else {
+                status.textContent = 'No offline dictionary imported';
+            }
+            if (removeBtn) {
+                removeBtn.style.display = info ? 'inline-block' : 'none';
+            }
+        } catch (error: any) {
+            this.logger.warn('Offline dictionary unavailable', { error: error.message });
+            status.textContent = 'Offline dictionary is not supported in this browser';
+        }
+    }
+
+    /**
+     * Populate form with dictionary data and translations
+     */
+    private populateFormFromDictionary(
+        dictionaryData: CambridgeAPIResponse,
+        vietnameseTranslation?: string,
+        vietnameseDefinition?: string
+    ): void {
+        const categorized = this.dictionaryService.categorizePronunciations(dictionaryData.pronunciation || []);
+        
+        // Determine first POS and definition
+        const firstPOS = dictionaryData.pos?.[0] || dictionaryData.definition?.[0]?.pos || '';
+        const firstDefinition = dictionaryData.definition?.[0]?.text || '';
+
+        // Populate form fields
+        const vietnameseTranslationInput = document.getElementById('vietnamese-translation-input') as HTMLInputElement;
+        const britishPronunciationInput = document.getElementById('british-pronunciation-input') as HTMLInputElement;
+        const americanPronunciationInput = document.getElementById('american-pronunciation-input') as HTMLInputElement;
         const australianPronunciationInput = document.getElementById('australian-pronunciation-input') as HTMLInputElement;
         const partOfSpeechInput = document.getElementById('part-of-speech-input') as HTMLInputElement;
         const definitionInput = document.getElementById('definition-input') as HTMLTextAreaElement;
@@ -1006,10 +978,99 @@ class WordsManager {
         if (definitionInput) definitionInput.value = firstDefinition || '';
         if (vietnameseDefinitionInput) vietnameseDefinitionInput.value = vietnameseDefinition || '';
 
+        // Offer every sense; the first one is pre-selected
+        this.lookupSenses = this.dictionaryService.sensesFromResponse(dictionaryData);
+        if (this.lookupSenses[0] && vietnameseDefinition) {
+            this.lookupSenses[0].translation = this.lookupSenses[0].translation || vietnameseDefinition;
+        }
+        this.renderSensePicker();
+
+        // Verb forms from Wiktionary
+        this.lookupInflections = this.dictionaryService.inflectionsFromResponse(dictionaryData);
+        const verbFormsInput = document.getElementById('verb-forms-input') as HTMLInputElement;
+        if (verbFormsInput) verbFormsInput.value = this.formatInflections(this.lookupInflections);
+
         // Setup audio buttons (and default play button)
         this.setupAudioButtons(categorized);
     }
 
+    /**
+     * Render checkboxes for choosing which looked-up senses to save
+     */
+    private renderSensePicker(): void {
+        const pickerRow = document.getElementById('sense-picker-row');
+        const picker = document.getElementById('sense-picker');
+        if (!pickerRow || !picker) return;
+
+        if (this.lookupSenses.length === 0) {
+            pickerRow.style.display = 'none';
+            picker.innerHTML = '';
+            return;
+        }
+
+        pickerRow.style.display = 'block';
+        picker.innerHTML = this.lookupSenses.map((sense, index) => `
+            <label class="sense-option">
+                <input type="checkbox" class="sense-checkbox" data-sense-index="${index}" ${index === 0 ? 'checked' : ''}>
+                ${sense.pos ? `<span class="part-of-speech">${this.escapeHtml(sense.pos)}</span>` : ''}
+                <span class="sense-definition">${this.escapeHtml(sense.definition)}</span>
+                ${sense.examples.length ? `<span class="sense-example-count">${sense.examples.length} example${sense.examples.length === 1 ? '' : 's'}</span>` : ''}
+            </label>
+        `).join('');
+
+        picker.querySelectorAll('.sense-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.onSenseSelectionChange());
+        });
+    }
+
+    /**
+     * Indexes of the senses ticked in the picker
+     */
+    private getSelectedSenseIndexes(): number[] {
+        return Array.from(document.querySelectorAll('#sense-picker .sense-checkbox:checked'))
+            .map(checkbox => Number((checkbox as HTMLInputElement).dataset.senseIndex));
+    }
+
+    /**
+     * Show the first selected sense in the POS/definition fields
+     */
+    private async onSenseSelectionChange(): Promise<void> {
+        const [primaryIndex] = this.getSelectedSenseIndexes();
+        const primary = primaryIndex !== undefined ? this.lookupSenses[primaryIndex] : undefined;
+        const partOfSpeechInput = document.getElementById('part-of-speech-input') as HTMLInputElement;
+        const definitionInput = document.getElementById('definition-input') as HTMLTextAreaElement;
+        const vietnameseDefinitionInput = document.getElementById('vietnamese-definition-input') as HTMLTextAreaElement;
+
+        if (partOfSpeechInput) partOfSpeechInput.value = primary?.pos || '';
+        if (definitionInput) definitionInput.value = primary?.definition || '';
+        if (vietnameseDefinitionInput) vietnameseDefinitionInput.value = primary?.translation || '';
+
+        if (primary && !primary.translation && this.isOnline) {
+            try {
+                primary.translation = await this.dictionaryService.translateText(primary.definition);
+                this.lookupSuggestions.set(primary.definition, primary.translation);
+                if (vietnameseDefinitionInput && definitionInput?.value === primary.definition) {
+                    vietnameseDefinitionInput.value = primary.translation;
+                }
+            } catch (error: any) {
+                this.logger.warn('Sense translation failed', { error: error.message });
+                this.showTranslationUnavailable(error.message);
+            }
+        }
+    }
+
+    /**
+     * Senses to save: the ticked ones, with the first taking the form's POS/definition values
+     */
+    private collectSelectedSenses(partOfSpeech: string, definition: string, vietnameseDefinition: string): WordSense[] {
+        const selected = this.getSelectedSenseIndexes().map(index => ({ ...this.lookupSenses[index] }));
+        if (selected.length === 0) {
+            return definition ? [{ pos: partOfSpeech, definition, translation: vietnameseDefinition, examples: [] }] : [];
+        }
+        selected[0] = { ...selected[0], pos: partOfSpeech, definition, translation: vietnameseDefinition };
+        return selected;
+    }
+
     /**
      * Setup audio buttons for different accents
      */
@@ -1078,14 +1139,14 @@ class WordsManager {
 
         try {
             // Simple query for development (no index required)
-            const wordsRef = collection(this.db, 'users', this.currentUser.uid, 'words');
+            const wordsRef = collection(this.db, 'users', this.ownerId, 'words');
             const q = query(
                 wordsRef, 
                 where('categoryId', '==', this.categoryId)
                 // orderBy('createdAt', 'desc')  // Comment out for now to avoid index requirement
             );
 
-            this.logger.info('Query path:', `users/${this.currentUser.uid}/words`);
+            this.logger.info('Query path:', `users/${this.ownerId}/words`);
 
             // Setup real-time listener
             this.unsubscribeWords = onSnapshot(q, 
@@ -1094,31 +1155,13 @@ class WordsManager {
                     const words: Word[] = [];
                     
                     querySnapshot.forEach((doc: any) => {
-                        const data = doc.data();
-                        words.push({
-                            id: doc.id,
-                            categoryId: data.categoryId,
-                            englishWord: data.englishWord,
-                            vietnameseTranslation: data.vietnameseTranslation,
-                            britishPronunciation: data.britishPronunciation || '',
-                            americanPronunciation: data.americanPronunciation || '',
-                            australianPronunciation: data.australianPronunciation || '',
-                            partOfSpeech: data.partOfSpeech || '',
-                            definition: data.definition || '',
-                            vietnameseDefinition: data.vietnameseDefinition || '',
-                            audioUrls: data.audioUrls || {
-                                british: data.audioUrl || '', // Legacy support
-                                american: '',
-                                australian: ''
-                            },
-                            createdAt: data.createdAt?.toDate() || new Date(),
-                            updatedAt: data.updatedAt?.toDate() || new Date(),
-                            userId: data.userId
-                        });
+                        if (!TrashService.isTrashed(doc.data())) {
+                            words.push(wordFromFirestore(doc.id, doc.data()));
+                        }
                     });
 
-                    this.words = words;
-                    this.applyFilters();
+                    this.homeWords = words;
+                    this.mergeWords();
                     this.showLoading(false);
                     this.logger.info('Words rendered successfully', { count: words.length });
                 },
@@ -1138,234 +1181,1470 @@ class WordsManager {
             this.showError('Failed to load words');
             this.showLoading(false);
         }
+
+        // Collaborators may not be able to read words linked in from the owner's other categories
+        if (this.accessRole === 'owner') {
+            this.setupLinkedWordsListener();
+        }
+    }
+
+    /**
+     * Listen to words of other categories that are also shown in this one
+     */
+    private setupLinkedWordsListener(): void {
+        const linkedQuery = query(
+            collection(this.db, 'users', this.ownerId, 'words'),
+            where('linkedCategoryIds', 'array-contains', this.categoryId)
+        );
+        this.unsubscribeLinkedWords = onSnapshot(linkedQuery,
+            (querySnapshot: any) => {
+                const words: Word[] = [];
+                querySnapshot.forEach((doc: any) => {
+                    if (!TrashService.isTrashed(doc.data())) {
+                        words.push(wordFromFirestore(doc.id, doc.data()));
+                    }
+                });
+                this.linkedWords = words;
+                this.mergeWords();
+            },
+            (error: any) => {
+                this.logger.error('Linked words listener error', { error: error.message });
+            }
+        );
+    }
+
+    // Words of this category followed by linked ones; the selection keeps only words still shown
+    private mergeWords(): void {
+        const homeIds = new Set(this.homeWords.map(word => word.id));
+        this.words = [...this.homeWords, ...this.linkedWords.filter(word => !homeIds.has(word.id))];
+        const shownIds = new Set(this.words.map(word => word.id));
+        this.selectedWordIds.forEach(wordId => {
+            if (!shownIds.has(wordId)) this.selectedWordIds.delete(wordId);
+        });
+        this.applyFilters();
+
+        if (this.highlightWordId && shownIds.has(this.highlightWordId)) {
+            this.highlightWord(this.highlightWordId);
+            this.highlightWordId = '';
+        }
+    }
+
+    /**
+     * Apply search filter to words
+     */
+    private applyFilters(): void {
+        const searchInput = document.getElementById('search-input') as HTMLInputElement;
+
+        let filteredWords = [...this.words];
+
+        // Apply search filter
+        if (searchInput?.value.trim()) {
+            const searchTerm = searchInput.value.toLowerCase();
+            filteredWords = filteredWords.filter(word => 
+                word.englishWord.toLowerCase().includes(searchTerm) ||
+                word.vietnameseTranslation.toLowerCase().includes(searchTerm) ||
+                word.definition?.toLowerCase().includes(searchTerm) ||
+                word.partOfSpeech?.toLowerCase().includes(searchTerm) ||
+                word.senses.some(sense => sense.definition.toLowerCase().includes(searchTerm)) ||
+                word.inflectionForms.some(form => form.includes(searchTerm.trim()))
+            );
+        }
+
+        this.filteredWords = filteredWords;
+        this.renderWords(filteredWords);
+    }
+
+    /**
+     * Render words in the grid
+     */
+    private renderWords(words: Word[]): void {
+        const grid = document.getElementById('words-grid');
+        const emptyState = document.getElementById('empty-state');
+
+        if (!grid || !emptyState) return;
+
+        if (words.length === 0) {
+            grid.innerHTML = '';
+            emptyState.style.display = 'block';
+            this.renderSelectionToolbar();
+            return;
+        }
+
+        // Keep unsaved inline edits across real-time re-renders
+        const editDraft = this.captureEditDraft();
+
+        emptyState.style.display = 'none';
+        grid.innerHTML = words.map(word => `
+            <div class="word-card ${this.selectedWordIds.has(word.id) ? 'selected' : ''}" data-word-id="${word.id}">
+                <div class="word-card-header">
+                    <div class="word-status">
+                        <input type="checkbox" class="word-select" ${this.selectedWordIds.has(word.id) ? 'checked' : ''} onclick="wordsManager.toggleWordSelection('${word.id}', event)" title="Select (Shift-click selects a range)" aria-label="Select ${this.escapeHtml(word.englishWord)}">
+                        <button class="status-toggle favorite-toggle ${word.isFavorite ? 'active' : ''}" onclick="wordsManager.toggleFavorite('${word.id}')" title="${word.isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
+                            ⭐
+                        </button>
+                        <button class="status-toggle learned-toggle ${word.learned ? 'active' : ''}" onclick="wordsManager.toggleLearned('${word.id}')" title="${word.learned ? 'Mark as not learned' : 'Mark as learned'}">
+                            ✅
+                        </button>
+                    </div>
+                    <div class="word-actions">
+                        <button class="action-btn edit-btn" onclick="wordsManager.editWord('${word.id}')" title="Edit word">
+                            ✏️
+                        </button>
+                        <button class="action-btn history-btn" onclick="wordsManager.showWordHistory('${word.id}')" title="Version history">
+                            🕘
+                        </button>
+                        <button class="action-btn move-btn" onclick="wordsManager.openMoveDialog(['${word.id}'])" title="Move or copy to another category">
+                            📂
+                        </button>
+                        <button class="action-btn delete-btn" onclick="wordsManager.deleteWord('${word.id}')" title="Delete word">
+                            🗑️
+                        </button>
+                    </div>
+                </div>
+                <h3 class="english-word">${this.escapeHtml(word.englishWord)}</h3>
+                <p class="vietnamese-translation">${this.escapeHtml(word.vietnameseTranslation)}</p>
+                
+                <div class="pronunciation-section">
+                    ${word.britishPronunciation ? `
+                        <span class="pronunciation uk-pronunciation">
+                            🇬🇧 ${this.escapeHtml(word.britishPronunciation)}
+                            ${word.audioUrls?.british ? `<button class="audio-btn-inline" onclick="wordsManager.playWordAudio('${word.id}', 'british')" title="Play British pronunciation">🔊</button>` : ''}
+                        </span>
+                    ` : ''}
+                    ${word.americanPronunciation ? `
+                        <span class="pronunciation us-pronunciation">
+                            🇺🇸 ${this.escapeHtml(word.americanPronunciation)}
+                            ${word.audioUrls?.american ? `<button class="audio-btn-inline" onclick="wordsManager.playWordAudio('${word.id}', 'american')" title="Play American pronunciation">🔊</button>` : ''}
+                        </span>
+                    ` : ''}
+                    ${word.australianPronunciation ? `
+                        <span class="pronunciation au-pronunciation">
+                            �� ${this.escapeHtml(word.australianPronunciation)}
+                            ${word.audioUrls?.australian ? `<button class="audio-btn-inline" onclick="wordsManager.playWordAudio('${word.id}', 'australian')" title="Play Australian pronunciation">🔊</button>` : ''}
+                        </span>
+                    ` : ''}
+                </div>
+                
+                ${word.senses.length > 0 ? this.renderSenses(word) : `
+                    ${word.partOfSpeech ? `<div class="part-of-speech">${this.escapeHtml(word.partOfSpeech)}</div>` : ''}
+                    ${word.definition ? `<p class="definition">${this.escapeHtml(word.definition)}</p>` : ''}
+                    ${word.vietnameseDefinition ? `<p class="vietnamese-definition">🇻🇳 ${this.escapeHtml(word.vietnameseDefinition)}</p>` : ''}
+                `}
+                
+                ${word.inflections ? `
+                    <div class="verb-forms">
+                        ${word.inflections.past ? `<span class="verb-form"><small>past</small> ${this.escapeHtml(word.inflections.past)}</span>` : ''}
+                        ${word.inflections.pastParticiple ? `<span class="verb-form"><small>p.p.</small> ${this.escapeHtml(word.inflections.pastParticiple)}</span>` : ''}
+                        ${word.inflections.presentParticiple ? `<span class="verb-form"><small>-ing</small> ${this.escapeHtml(word.inflections.presentParticiple)}</span>` : ''}
+                        ${word.inflections.thirdPerson ? `<span class="verb-form"><small>3rd</small> ${this.escapeHtml(word.inflections.thirdPerson)}</span>` : ''}
+                    </div>
+                ` : ''}
+                
+                <div class="word-meta">
+                    <span class="created-date">Added ${this.formatDate(word.createdAt)}</span>
+                    ${word.categoryId !== this.categoryId ? `
+                        <span class="linked-badge" title="Also shown here; the word lives in another category">
+                            🔗 ${this.escapeHtml(this.ownCategories.find(category => category.id === word.categoryId)?.name || 'Another category')}
+                            <button class="linked-remove-btn" onclick="wordsManager.unlinkWord('${word.id}')" title="Stop showing in this category">✕</button>
+                        </span>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        this.restoreEditDraft(editDraft);
+        this.renderSelectionToolbar();
+    }
+
+    /**
+     * Render saved senses with their examples and the "add example" form
+     */
+    private renderSenses(word: Word): string {
+        return `
+            <ol class="word-senses">
+                ${word.senses.map((sense, senseIndex) => `
+                    <li class="word-sense">
+                        ${sense.pos ? `<div class="part-of-speech">${this.escapeHtml(sense.pos)}</div>` : ''}
+                        ${sense.definition ? `<p class="definition">${this.escapeHtml(sense.definition)}</p>` : ''}
+                        ${sense.translation ? `<p class="vietnamese-definition">🇻🇳 ${this.escapeHtml(sense.translation)}</p>` : ''}
+                        ${sense.examples.length ? `
+                            <ul class="sense-examples">
+                                ${sense.examples.map((example, exampleIndex) => `
+                                    <li class="${example.userAdded ? 'user-example' : ''}">
+                                        <em>${this.escapeHtml(example.text)}</em>
+                                        <button class="example-delete-btn" onclick="wordsManager.deleteExample('${word.id}', ${senseIndex}, ${exampleIndex})" title="Remove example">✕</button>
+                                        ${example.translation ? `<span class="example-translation">${this.escapeHtml(example.translation)}</span>` : ''}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+            <button class="add-example-btn" onclick="wordsManager.showAddExampleForm('${word.id}')">➕ Add example</button>
+            <div class="add-example-form" id="add-example-form-${word.id}" style="display: none;">
+                ${word.senses.length > 1 ? `
+                    <select class="word-input" id="example-sense-${word.id}">
+                        ${word.senses.map((sense, index) => `<option value="${index}">${index + 1}. ${sense.pos ? `(${this.escapeHtml(sense.pos)}) ` : ''}${this.escapeHtml(sense.definition.slice(0, 60))}</option>`).join('')}
+                    </select>
+                ` : ''}
+                <input type="text" class="word-input" id="example-text-${word.id}" placeholder="Example sentence in English...">
+                <input type="text" class="word-input" id="example-translation-${word.id}" placeholder="Vietnamese translation (leave empty to translate automatically)">
+                <div class="form-actions">
+                    <button class="save-btn" id="save-example-${word.id}" onclick="wordsManager.addExample('${word.id}')">Add</button>
+                    <button class="cancel-btn" onclick="wordsManager.hideAddExampleForm('${word.id}')">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open the inline "add example" form on a word card
+     */
+    showAddExampleForm(wordId: string): void {
+        if (!this.canEdit()) return;
+        const form = document.getElementById(`add-example-form-${wordId}`);
+        if (form) {
+            form.style.display = 'flex';
+            (document.getElementById(`example-text-${wordId}`) as HTMLInputElement)?.focus();
+        }
+    }
+
+    /**
+     * Close the inline "add example" form
+     */
+    hideAddExampleForm(wordId: string): void {
+        const form = document.getElementById(`add-example-form-${wordId}`);
+        if (form) {
+            form.style.display = 'none';
+        }
+    }
+
+    /**
+     * Add a learner-written example to one sense of a word
+     */
+    async addExample(wordId: string): Promise<void> {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) {
+            this.showError('Word not found');
+            return;
+        }
+
+        const textInput = document.getElementById(`example-text-${wordId}`) as HTMLInputElement;
+        const translationInput = document.getElementById(`example-translation-${wordId}`) as HTMLInputElement;
+        const senseSelect = document.getElementById(`example-sense-${wordId}`) as HTMLSelectElement;
+        const text = textInput?.value.trim() || '';
+        let translation = translationInput?.value.trim() || '';
+        const senseIndex = senseSelect ? Number(senseSelect.value) : 0;
+
+        if (!text) {
+            this.showError('Please enter an example sentence');
+            return;
+        }
+        if (text.length > 300 || translation.length > 300) {
+            this.showError('Examples must be 300 characters or less');
+            return;
+        }
+        if (!this.isOnline) {
+            this.showError('No internet connection. Please try again when online.');
+            return;
+        }
+
+        const saveBtn = document.getElementById(`save-example-${wordId}`) as HTMLButtonElement;
+        if (saveBtn) {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+        }
+
+        try {
+            let translationFailure = '';
+            if (!translation) {
+                try {
+                    translation = await this.dictionaryService.translateText(text);
+                } catch (error: any) {
+                    // Save the example anyway; the translation can be typed in later
+                    this.logger.warn('Example translation failed', { error: error.message, wordId });
+                    translationFailure = error.message;
+                }
+            }
+
+            const senses = word.senses.map(sense => ({ ...sense, examples: [...sense.examples] }));
+            if (senses.length === 0) {
+                senses.push({ pos: word.partOfSpeech, definition: word.definition, translation: word.vietnameseDefinition || '', examples: [] });
+            }
+            senses[senseIndex].examples.push({ text, translation, userAdded: true });
+
+            await this.versionHistory.update(this.ownerId, 'words', wordId, {
+                senses,
+                updatedAt: Timestamp.fromDate(new Date())
+            });
+
+            this.logger.info('Example added', { wordId, senseIndex });
+            if (translationFailure) {
+                this.showError(`Example added, but translation is unavailable (${translationFailure}).`);
+            } else {
+                this.showSuccess('Example added!');
+            }
+        } catch (error: any) {
+            this.logger.error('Failed to add example', { error: error.message, wordId });
+            this.showError('Failed to add example. Please try again.');
+            if (saveBtn) {
+                saveBtn.disabled = false;
+                saveBtn.textContent = 'Add';
+            }
+        }
+    }
+
+    /**
+     * Remove one example sentence from a word
+     */
+    async deleteExample(wordId: string, senseIndex: number, exampleIndex: number): Promise<void> {
+        if (!this.canEdit()) return;
+        const word = this.words.find(w => w.id === wordId);
+        const example = word?.senses[senseIndex]?.examples[exampleIndex];
+        if (!word || !example) {
+            this.showError('Example not found');
+            return;
+        }
+
+        if (!confirm(`Remove the example "${example.text}"?`)) {
+            return;
+        }
+
+        try {
+            const senses = word.senses.map((sense, index) => index === senseIndex
+                ? { ...sense, examples: sense.examples.filter((_, i) => i !== exampleIndex) }
+                : sense);
+
+            await this.versionHistory.update(this.ownerId, 'words', wordId, {
+                senses,
+                updatedAt: Timestamp.fromDate(new Date())
+            });
+
+            this.logger.info('Example removed', { wordId, senseIndex, exampleIndex });
+            this.showSuccess('Example removed');
+        } catch (error: any) {
+            this.logger.error('Failed to remove example', { error: error.message, wordId });
+            this.showError('Failed to remove example. Please try again.');
+        }
+    }
+
+    /**
+     * Capture values of the word currently being edited inline
+     */
+    private captureEditDraft(): { wordId: string; values: { [inputId: string]: string } } | null {
+        if (!this.editingWordId) return null;
+
+        const card = document.querySelector(`.word-card[data-word-id="${this.editingWordId}"]`);
+        if (!card) return null;
+
+        const values: { [inputId: string]: string } = {};
+        card.querySelectorAll('input, textarea').forEach(el => {
+            const input = el as HTMLInputElement | HTMLTextAreaElement;
+            if (input.id) values[input.id] = input.value;
+        });
+        return { wordId: this.editingWordId, values };
+    }
+
+    /**
+     * Re-open inline edit form after re-render and restore unsaved values
+     */
+    private restoreEditDraft(draft: { wordId: string; values: { [inputId: string]: string } } | null): void {
+        if (!draft) return;
+
+        const word = this.words.find(w => w.id === draft.wordId);
+        const card = document.querySelector(`.word-card[data-word-id="${draft.wordId}"]`) as HTMLElement | null;
+        if (!word || !card) {
+            // Word was deleted or filtered out while editing
+            this.editingWordId = null;
+            return;
+        }
+
+        card.classList.add('editing');
+        card.innerHTML = this.renderWordEditForm(word);
+        Object.keys(draft.values).forEach(inputId => {
+            const element = document.getElementById(inputId) as HTMLInputElement | HTMLTextAreaElement;
+            if (element) element.value = draft.values[inputId];
+        });
+    }
+
+    /**
+     * Create new word
+     */
+    async createWord(): Promise<void> {
+        if (!this.canEdit()) return;
+        const englishWordInput = document.getElementById('english-word-input') as HTMLInputElement;
+        const vietnameseInput = document.getElementById('vietnamese-translation-input') as HTMLInputElement;
+        const britishPronunciationInput = document.getElementById('british-pronunciation-input') as HTMLInputElement;
+        const americanPronunciationInput = document.getElementById('american-pronunciation-input') as HTMLInputElement;
+        const australianPronunciationInput = document.getElementById('australian-pronunciation-input') as HTMLInputElement;
+        const partOfSpeechInput = document.getElementById('part-of-speech-input') as HTMLInputElement;
+        const definitionInput = document.getElementById('definition-input') as HTMLTextAreaElement;
+        const vietnameseDefinitionInput = document.getElementById('vietnamese-definition-input') as HTMLTextAreaElement;
+
+        const englishWord = englishWordInput?.value.trim() || '';
+        const vietnameseTranslation = vietnameseInput?.value.trim() || '';
+        const britishPronunciation = britishPronunciationInput?.value.trim() || '';
+        const americanPronunciation = americanPronunciationInput?.value.trim() || '';
+        const australianPronunciation = australianPronunciationInput?.value.trim() || '';
+        const partOfSpeech = partOfSpeechInput?.value.trim() || '';
+        const definition = definitionInput?.value.trim() || '';
+        const vietnameseDefinition = vietnameseDefinitionInput?.value.trim() || '';
+        const audioUrls = (window as any).currentAudioUrls || { british: '', american: '', australian: '' };
+        const senses = this.collectSelectedSenses(partOfSpeech, definition, vietnameseDefinition);
+
+        // Validate input
+        if (!this.validateWordData(englishWord, vietnameseTranslation)) {
+            return;
+        }
+
+        // Check network connection
+        if (!this.isOnline) {
+            this.showError('No internet connection. Please try again when online.');
+            return;
+        }
+
+        const draft: NewWordDraft = {
+            englishWord,
+            vietnameseTranslation,
+            britishPronunciation,
+            americanPronunciation,
+            australianPronunciation,
+            partOfSpeech,
+            definition,
+            vietnameseDefinition,
+            audioUrls,
+            senses,
+            inflections: this.lookupInflections
+        };
+
+        // Offer the saved word before adding a second copy of it
+        const duplicates = await this.findDuplicates(draft);
+        if (duplicates.length > 0) {
+            this.openDuplicateDialog(draft, duplicates);
+            return;
+        }
+
+        await this.saveNewWord(draft);
+    }
+
+    /**
+     * Save a word from the add form to this category
+     */
+    private async saveNewWord(draft: NewWordDraft): Promise<void> {
+        const { englishWord, vietnameseTranslation, partOfSpeech, definition, vietnameseDefinition } = draft;
+        this.logger.info('Creating word', { englishWord, vietnameseTranslation, partOfSpeech, senses: draft.senses.length });
+        
+        // Show loading state
+        this.showLoading(true);
+        const saveBtn = document.getElementById('save-word-btn') as HTMLButtonElement;
+        if (saveBtn) {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+        }
+
+        try {
+            // Translate dictionary examples that came without a translation
+            const senses = await this.dictionaryService.translateMissingExamples(draft.senses);
+
+            // Save to Firestore
+            const wordsRef = collection(this.db, 'users', this.ownerId, 'words');
+            await addDoc(wordsRef, {
+                categoryId: this.categoryId,
+                englishWord,
+                vietnameseTranslation,
+                britishPronunciation: draft.britishPronunciation,
+                americanPronunciation: draft.americanPronunciation,
+                australianPronunciation: draft.australianPronunciation,
+                partOfSpeech,
+                definition,
+                vietnameseDefinition,
+                senses,
+                ...this.dictionaryService.inflectionFields(draft.inflections),
+                audioUrls: draft.audioUrls,
+                isFavorite: false,
+                learned: false,
+                createdAt: Timestamp.fromDate(new Date()),
+                updatedAt: Timestamp.fromDate(new Date()),
+                userId: this.ownerId
+            });
+
+            // Update category word count
+            await this.updateCategoryWordCount();
+
+            // Translations the user changed become glossary entries for next time
+            const learned = await this.learnCorrections([
+                { source: englishWord, target: vietnameseTranslation },
+                { source: definition, target: vietnameseDefinition }
+            ].filter(correction => this.lookupSuggestions.has(correction.source))
+                .map(correction => ({ ...correction, suggested: this.lookupSuggestions.get(correction.source) || '' })));
+
+            this.showSuccess(learned > 0
+                ? 'Word added successfully! Your translation was saved to your glossary.'
+                : 'Word added successfully!');
+            this.clearForm();
+            document.getElementById('add-word-form')!.style.display = 'none';
+
+            this.logger.info('Word created successfully', { englishWord, vietnameseTranslation });
+        } catch (error: any) {
+            this.logger.error('Failed to create word', { error: error.message });
+            this.showError('Failed to save word. Please try again.');
+        } finally {
+            this.showLoading(false);
+            if (saveBtn) {
+                saveBtn.disabled = false;
+                saveBtn.textContent = 'Save Word';
+            }
+        }
+    }
+
+    /**
+     * Saved words the new word duplicates: the ones shown in this category, plus the
+     * rest of the owner's words when the category is your own
+     */
+    private async findDuplicates(draft: NewWordDraft): Promise<DuplicateMatch[]> {
+        const inflectionForms = inflectionFormsOf(draft.inflections);
+        const matches = this.duplicateFinder.inWords(this.words, draft.englishWord, inflectionForms, this.categoryId);
+
+        // Collaborators can only read the words of the shared category
+        if (this.accessRole === 'owner') {
+            try {
+                const shownIds = new Set(matches.map(match => match.word.id));
+                const others = await this.duplicateFinder.inAccount(this.ownerId, draft.englishWord, inflectionForms, this.categoryId);
+                matches.push(...others.filter(match => !shownIds.has(match.word.id)));
+            } catch (error: any) {
+                // Not worth blocking the save over
+                this.logger.warn('Failed to check other categories for duplicates', { error: error.message });
+            }
+        }
+
+        // Exact matches in this category first
+        return matches.sort((a, b) => Number(b.sameCategory) - Number(a.sameCategory) || Number(a.inflected) - Number(b.inflected));
+    }
+
+    /**
+     * Show the saved words a new word duplicates, with open / merge / add anyway
+     */
+    private openDuplicateDialog(draft: NewWordDraft, matches: DuplicateMatch[]): void {
+        const modal = document.getElementById('duplicate-modal');
+        const list = document.getElementById('duplicate-list');
+        if (!modal || !list) return;
+
+        this.pendingWord = draft;
+        this.duplicateMatches = matches;
+        const title = document.getElementById('duplicate-title');
+        if (title) {
+            title.textContent = `"${draft.englishWord}" is already saved`;
+        }
+
+        list.innerHTML = matches.map(({ word, sameCategory, inflected }) => {
+            const category = this.ownCategories.find(c => c.id === word.categoryId);
+            const placement = sameCategory ? 'in this category' : `in ${category ? `${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}` : 'another category'}`;
+            return `
+                <li class="duplicate-item">
+                    <div class="duplicate-word">
+                        <strong>${this.escapeHtml(word.englishWord)}</strong> · ${this.escapeHtml(word.vietnameseTranslation)}
+                        <span class="duplicate-where">${inflected ? 'inflected form, ' : ''}${placement} · ${word.senses.length} ${word.senses.length === 1 ? 'meaning' : 'meanings'}</span>
+                    </div>
+                    <div class="duplicate-actions">
+                        <button class="modal-cancel-btn" onclick="wordsManager.openExistingWord('${word.id}')">Open existing</button>
+                        <button class="save-btn" onclick="wordsManager.mergeIntoExisting('${word.id}')">Merge senses</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the duplicate dialog and keep the add form as it is
+     */
+    closeDuplicateDialog(): void {
+        this.pendingWord = null;
+        this.duplicateMatches = [];
+        document.getElementById('duplicate-modal')!.style.display = 'none';
+    }
+
+    /**
+     * Save the new word even though it duplicates a saved one
+     */
+    async addDuplicateAnyway(): Promise<void> {
+        const draft = this.pendingWord;
+        this.closeDuplicateDialog();
+        if (draft) {
+            await this.saveNewWord(draft);
+        }
+    }
+
+    /**
+     * Go to a saved word instead of adding the new one
+     */
+    openExistingWord(wordId: string): void {
+        const match = this.duplicateMatches.find(m => m.word.id === wordId);
+        if (!match) return;
+        this.closeDuplicateDialog();
+
+        if (match.sameCategory) {
+            this.clearForm();
+            document.getElementById('add-word-form')!.style.display = 'none';
+            this.highlightWord(wordId);
+        } else {
+            window.location.href = `/words?categoryId=${match.word.categoryId}&word=${wordId}`;
+        }
+    }
+
+    /**
+     * Add the new word's meanings (and any pronunciation or audio the saved word lacks)
+     * to a saved word instead of saving a second copy
+     */
+    async mergeIntoExisting(wordId: string): Promise<void> {
+        const match = this.duplicateMatches.find(m => m.word.id === wordId);
+        const draft = this.pendingWord;
+        if (!match || !draft) return;
+        this.closeDuplicateDialog();
+
+        const existing = match.word;
+        const knownDefinitions = new Set(existing.senses.map(sense => normalizeEnglishWord(sense.definition)));
+        const newSenses = draft.senses.filter(sense => sense.definition && !knownDefinitions.has(normalizeEnglishWord(sense.definition)));
+
+        const changes: Record<string, any> = {};
+        (['britishPronunciation', 'americanPronunciation', 'australianPronunciation'] as const).forEach(field => {
+            if (!existing[field] && draft[field]) {
+                changes[field] = draft[field];
+            }
+        });
+        const audioUrls = { ...existing.audioUrls };
+        (['british', 'american', 'australian'] as const).forEach(accent => {
+            if (!audioUrls[accent] && draft.audioUrls[accent]) {
+                audioUrls[accent] = draft.audioUrls[accent];
+                changes.audioUrls = audioUrls;
+            }
+        });
+
+        if (newSenses.length === 0 && Object.keys(changes).length === 0) {
+            this.showSuccess(`"${existing.englishWord}" already has these meanings`);
+            this.clearForm();
+            document.getElementById('add-word-form')!.style.display = 'none';
+            return;
+        }
+
+        this.showLoading(true);
+        try {
+            if (newSenses.length > 0) {
+                const senses = [...existing.senses, ...await this.dictionaryService.translateMissingExamples(newSenses)];
+                changes.senses = senses;
+                changes.partOfSpeech = senses[0].pos;
+                changes.definition = senses[0].definition;
+                changes.vietnameseDefinition = senses[0].translation || '';
+            }
+            changes.updatedAt = Timestamp.fromDate(new Date());
+            await this.versionHistory.update(this.ownerId, 'words', wordId, changes);
+
+            this.showSuccess(`${newSenses.length} ${newSenses.length === 1 ? 'meaning' : 'meanings'} added to "${existing.englishWord}"`);
+            this.clearForm();
+            document.getElementById('add-word-form')!.style.display = 'none';
+            if (match.sameCategory) {
+                this.highlightWord(wordId);
+            }
+            this.logger.info('New word merged into saved word', { wordId, senses: newSenses.length });
+        } catch (error: any) {
+            this.logger.error('Failed to merge into saved word', { wordId, error: error.message });
+            this.showError('Failed to merge meanings. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Scroll a word card into view and flash it
+    private highlightWord(wordId: string): void {
+        const card = document.querySelector(`.word-card[data-word-id="${wordId}"]`) as HTMLElement | null;
+        if (!card) return;
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('word-highlight');
+        setTimeout(() => card.classList.remove('word-highlight'), 2500);
+    }
+
+    /**
+     * Save corrected translations to the user's glossary; returns how many were learned
+     */
+    private async learnCorrections(corrections: { source: string; target: string; suggested: string }[]): Promise<number> {
+        let learned = 0;
+        for (const { source, target, suggested } of corrections) {
+            try {
+                if (await this.userGlossary.learn(source, target, suggested)) {
+                    learned++;
+                }
+            } catch (error: any) {
+                // The word itself is already saved; a missed glossary entry is not worth an error
+                this.logger.warn('Failed to save glossary entry', { source, error: error.message });
+            }
+        }
+        return learned;
+    }
+
+    /**
+     * Bring back a word that was just moved to the trash
+     */
+    private async undoDeleteWord(wordId: string, categoryId: string = this.categoryId): Promise<void> {
+        try {
+            await this.trashService.restoreWord(this.ownerId, wordId);
+            if (this.category && categoryId === this.categoryId) {
+                this.category.wordCount++;
+                this.renderCategoryInfo();
+            }
+            this.showSuccess('Word restored');
+        } catch (error: any) {
+            this.logger.error('Failed to restore word', { error: error.message, wordId });
+            this.showError(`Failed to restore word: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate word data
+     */
+    private validateWordData(
+        englishWord: string,
+        vietnameseTranslation: string,
+        details?: Partial<Word>
+    ): boolean {
+        if (!englishWord) {
+            this.showError('English word is required');
+            return false;
+        }
+
+        if (!vietnameseTranslation) {
+            this.showError('Vietnamese translation is required');
+            return false;
+        }
+
+        if (englishWord.length > 100) {
+            this.showError('English word must be 100 characters or less');
+            return false;
+        }
+
+        if (vietnameseTranslation.length > 200) {
+            this.showError('Vietnamese translation must be 200 characters or less');
+            return false;
+        }
+
+        if (details) {
+            const pronunciations = [
+                details.britishPronunciation,
+                details.americanPronunciation,
+                details.australianPronunciation
+            ];
+            if (pronunciations.some(pron => pron && pron.length > 50)) {
+                this.showError('Pronunciation must be 50 characters or less');
+                return false;
+            }
+
+            if (details.partOfSpeech && details.partOfSpeech.length > 50) {
+                this.showError('Part of speech must be 50 characters or less');
+                return false;
+            }
+
+            if ((details.definition && details.definition.length > 500) ||
+                (details.vietnameseDefinition && details.vietnameseDefinition.length > 500)) {
+                this.showError('Definition must be 500 characters or less');
+                return false;
+            }
+
+            const audioUrls = Object.values(details.audioUrls || {});
+            if (audioUrls.some(url => url && !/^https?:\/\//i.test(url))) {
+                this.showError('Audio URLs must start with http:// or https://');
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Play a saved word's pronunciation from its card
+     */
+    async playWordAudio(wordId: string, accent: Accent): Promise<void> {
+        const word = this.words.find(w => w.id === wordId);
+        const url = word?.audioUrls[accent];
+        if (!word || !url) return;
+
+        const ipa = accent === 'british' ? word.britishPronunciation
+            : accent === 'american' ? word.americanPronunciation : word.australianPronunciation || '';
+        await this.pronunciationPlayer.play(url, accent, word.englishWord, ipa);
+    }
+
+    /**
+     * Play audio pronunciation
+     */
+    async playAudio(audioUrl: string): Promise<void> {
+        await this.playAudioPronunciation(audioUrl);
+    }
+
+    /**
+     * Edit word inline - turns the word card into an edit form
+     */
+    editWord(wordId: string): void {
+        if (!this.canEdit()) return;
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) {
+            this.showError('Word not found');
+            return;
+        }
+
+        // Only one card can be edited at a time
+        if (this.editingWordId && this.editingWordId !== wordId) {
+            this.cancelWordEdit(this.editingWordId);
+        }
+
+        const card = document.querySelector(`.word-card[data-word-id="${wordId}"]`) as HTMLElement | null;
+        if (!card) return;
+
+        this.editingWordId = wordId;
+        card.classList.add('editing');
+        card.innerHTML = this.renderWordEditForm(word);
+        this.populateWordEditForm(word);
+
+        const translationInput = document.getElementById(`edit-translation-${wordId}`) as HTMLInputElement;
+        if (translationInput) {
+            translationInput.focus();
+            translationInput.select();
+        }
+
+        this.logger.info('Editing word', { wordId, englishWord: word.englishWord });
+    }
+
+    /**
+     * Build inline edit form markup for a word card (values are set afterwards)
+     */
+    private renderWordEditForm(word: Word): string {
+        const id = word.id;
+        return `
+            <div class="word-edit-form">
+                <h3 class="english-word">${this.escapeHtml(word.englishWord)}</h3>
+                <div class="form-row">
+                    <label class="form-label" for="edit-translation-${id}">Vietnamese Translation</label>
+                    <input type="text" class="word-input" id="edit-translation-${id}" placeholder="Vietnamese translation...">
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-british-${id}">🇬🇧 British Pronunciation</label>
+                    <input type="text" class="word-input" id="edit-british-${id}" placeholder="/kæt/">
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-american-${id}">🇺🇸 American Pronunciation</label>
+                    <input type="text" class="word-input" id="edit-american-${id}" placeholder="/kæt/">
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-australian-${id}">🇦🇺 Australian Pronunciation</label>
+                    <input type="text" class="word-input" id="edit-australian-${id}" placeholder="/kæt/">
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-pos-${id}">Part of Speech</label>
+                    <input type="text" class="word-input" id="edit-pos-${id}" placeholder="noun, verb, adjective...">
+                </div>
+                <div class="form-row">
+                    <label class="form-label">Verb Forms (past · past participle · -ing · 3rd person)</label>
+                    <div class="verb-forms-inputs">
+                        <input type="text" class="word-input" id="edit-past-${id}" placeholder="went">
+                        <input type="text" class="word-input" id="edit-past-participle-${id}" placeholder="gone">
+                        <input type="text" class="word-input" id="edit-ing-${id}" placeholder="going">
+                        <input type="text" class="word-input" id="edit-third-${id}" placeholder="goes">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-definition-${id}">Definition (English)</label>
+                    <textarea class="word-textarea" id="edit-definition-${id}" rows="2" placeholder="Definition in English..."></textarea>
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-vi-definition-${id}">Definition (Vietnamese)</label>
+                    <textarea class="word-textarea" id="edit-vi-definition-${id}" rows="2" placeholder="Vietnamese definition..."></textarea>
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-audio-british-${id}">🇬🇧 Audio URL</label>
+                    <input type="url" class="word-input" id="edit-audio-british-${id}" placeholder="https://...">
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-audio-american-${id}">🇺🇸 Audio URL</label>
+                    <input type="url" class="word-input" id="edit-audio-american-${id}" placeholder="https://...">
+                </div>
+                <div class="form-row">
+                    <label class="form-label" for="edit-audio-australian-${id}">🇦🇺 Audio URL</label>
+                    <input type="url" class="word-input" id="edit-audio-australian-${id}" placeholder="https://...">
+                </div>
+                <div class="form-actions">
+                    <button class="save-btn" id="save-edit-${id}" onclick="wordsManager.saveWordEdit('${id}')">Save</button>
+                    <button class="cancel-btn" onclick="wordsManager.cancelWordEdit('${id}')">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Fill inline edit form inputs with the current word values
+     */
+    private populateWordEditForm(word: Word): void {
+        const id = word.id;
+        const values: { [inputId: string]: string } = {
+            [`edit-translation-${id}`]: word.vietnameseTranslation,
+            [`edit-british-${id}`]: word.britishPronunciation,
+            [`edit-american-${id}`]: word.americanPronunciation,
+            [`edit-australian-${id}`]: word.australianPronunciation || '',
+            [`edit-pos-${id}`]: word.partOfSpeech,
+            [`edit-definition-${id}`]: word.definition,
+            [`edit-vi-definition-${id}`]: word.vietnameseDefinition || '',
+            [`edit-audio-british-${id}`]: word.audioUrls?.british || '',
+            [`edit-audio-american-${id}`]: word.audioUrls?.american || '',
+            [`edit-audio-australian-${id}`]: word.audioUrls?.australian || '',
+            [`edit-past-${id}`]: word.inflections?.past || '',
+            [`edit-past-participle-${id}`]: word.inflections?.pastParticiple || '',
+            [`edit-ing-${id}`]: word.inflections?.presentParticiple || '',
+            [`edit-third-${id}`]: word.inflections?.thirdPerson || ''
+        };
+
+        Object.keys(values).forEach(inputId => {
+            const element = document.getElementById(inputId) as HTMLInputElement | HTMLTextAreaElement;
+            if (element) element.value = values[inputId] || '';
+        });
+    }
+
+    /**
+     * Save inline word edits to Firestore
+     */
+    async saveWordEdit(wordId: string): Promise<void> {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) {
+            this.showError('Word not found');
+            return;
+        }
+
+        const readValue = (inputId: string): string => {
+            const element = document.getElementById(inputId) as HTMLInputElement | HTMLTextAreaElement;
+            return element?.value.trim() || '';
+        };
+
+        const updates = {
+            vietnameseTranslation: readValue(`edit-translation-${wordId}`),
+            britishPronunciation: readValue(`edit-british-${wordId}`),
+            americanPronunciation: readValue(`edit-american-${wordId}`),
+            australianPronunciation: readValue(`edit-australian-${wordId}`),
+            partOfSpeech: readValue(`edit-pos-${wordId}`),
+            definition: readValue(`edit-definition-${wordId}`),
+            vietnameseDefinition: readValue(`edit-vi-definition-${wordId}`),
+            audioUrls: {
+                british: readValue(`edit-audio-british-${wordId}`),
+                american: readValue(`edit-audio-american-${wordId}`),
+                australian: readValue(`edit-audio-australian-${wordId}`)
+            }
+        };
+
+        // Validate input
+        if (!this.validateWordData(word.englishWord, updates.vietnameseTranslation, updates)) {
+            return;
+        }
+
+        const inflections: WordInflections = {
+            past: readValue(`edit-past-${wordId}`),
+            pastParticiple: readValue(`edit-past-participle-${wordId}`),
+            presentParticiple: readValue(`edit-ing-${wordId}`),
+            thirdPerson: readValue(`edit-third-${wordId}`)
+        };
+        if (Object.values(inflections).some(form => form && form.length > 50)) {
+            this.showError('Verb forms must be 50 characters or less');
+            return;
+        }
+        const hasInflections = Object.values(inflections).some(Boolean);
+
+        // Keep the first sense in sync with the edited flat fields
+        const primarySense: WordSense = {
+            pos: updates.partOfSpeech,
+            definition: updates.definition,
+            translation: updates.vietnameseDefinition,
+            examples: word.senses[0]?.examples || []
+        };
+        const senses = updates.definition ? [primarySense, ...word.senses.slice(1)] : word.senses.slice(1);
+
+        // Check network connection
+        if (!this.isOnline) {
+            this.showError('No internet connection. Please try again when online.');
+            return;
+        }
+
+        this.logger.info('Updating word', { wordId, englishWord: word.englishWord });
+
+        const saveBtn = document.getElementById(`save-edit-${wordId}`) as HTMLButtonElement;
+        if (saveBtn) {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+        }
+
+        try {
+            await this.versionHistory.update(this.ownerId, 'words', wordId, {
+                ...updates,
+                senses,
+                ...(hasInflections
+                    ? this.dictionaryService.inflectionFields(inflections)
+                    : { inflections: deleteField(), inflectionForms: [] }),
+                updatedAt: Timestamp.fromDate(new Date())
+            });
+
+            const corrections = [{ source: word.englishWord, target: updates.vietnameseTranslation, suggested: word.vietnameseTranslation }];
+            if (updates.definition === word.definition) {
+                corrections.push({ source: word.definition, target: updates.vietnameseDefinition, suggested: word.vietnameseDefinition || '' });
+            }
+            const learned = await this.learnCorrections(corrections);
+
+            this.editingWordId = null;
+            this.showSuccess(learned > 0
+                ? 'Word updated successfully! Your translation was saved to your glossary.'
+                : 'Word updated successfully!');
+            this.logger.info('Word updated successfully', { wordId });
+
+            // Snapshot listener re-renders with saved data; render now in case it is delayed
+            this.applyFilters();
+        } catch (error: any) {
+            this.logger.error('Failed to update word', { error: error.message, wordId });
+
+            if (error.code === 'permission-denied') {
+                this.showError('Permission denied. Please check your authentication.');
+            } else if (error.code === 'not-found') {
+                this.showError('Word no longer exists.');
+            } else {
+                this.showError('Failed to save changes. Please try again.');
+            }
+
+            if (saveBtn) {
+                saveBtn.disabled = false;
+                saveBtn.textContent = 'Save';
+            }
+        }
+    }
+
+    /**
+     * Open the version history of a word with a diff against the current version
+     */
+    async showWordHistory(wordId: string): Promise<void> {
+        const word = this.words.find(w => w.id === wordId);
+        const modal = document.getElementById('history-modal');
+        const title = document.getElementById('history-title');
+        const list = document.getElementById('history-list');
+        if (!word || !modal || !list) return;
+
+        if (title) title.textContent = `Version History: ${word.englishWord}`;
+        list.innerHTML = '<p class="history-empty">Loading history...</p>';
+        modal.style.display = 'flex';
+
+        try {
+            const [versions, currentSnap] = await Promise.all([
+                this.versionHistory.list(this.ownerId, 'words', wordId),
+                getDoc(doc(this.db, 'users', this.ownerId, 'words', wordId))
+            ]);
+            if (versions.length === 0) {
+                list.innerHTML = '<p class="history-empty">No earlier versions yet. Versions are saved each time you edit this word or its examples.</p>';
+                return;
+            }
+
+            const current = currentSnap.exists() ? currentSnap.data() : {};
+            list.innerHTML = versions.map(version => {
+                const changes = this.versionHistory.diff('words', version, current);
+                return `
+                    <div class="history-item">
+                        <div class="history-item-header">
+                            <span>${version.savedAt.toLocaleString()}${version.action === 'rollback' ? ' · before a rollback' : ''}</span>
+                            ${changes.length > 0
+                                ? `<button class="save-btn" onclick="wordsManager.rollbackWord('${wordId}', '${version.id}')">Restore this version</button>`
+                                : '<span class="history-current">Same as current</span>'}
+                        </div>
+                        ${changes.map(change => `
+                            <div class="history-field">
+                                <div class="history-field-label">${change.label}</div>
+                                ${change.lines.map(line => `<div class="history-line history-line-${line.type}">${line.type === 'removed' ? '−' : line.type === 'added' ? '+' : ' '} ${this.escapeHtml(line.text)}</div>`).join('')}
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }).join('');
+            this.logger.debug('Word history loaded', { wordId, versions: versions.length });
+        } catch (error: any) {
+            this.logger.error('Failed to load word history', { wordId, error: error.message });
+            list.innerHTML = '<p class="history-empty">Failed to load history.</p>';
+        }
+    }
+
+    /**
+     * Roll a word back to a saved version
+     */
+    async rollbackWord(wordId: string, versionId: string): Promise<void> {
+        if (!this.canEdit()) return;
+        if (!confirm('Restore this version? The current translation, definitions and examples are kept in the history.')) {
+            return;
+        }
+
+        this.showLoading(true);
+        try {
+            await this.versionHistory.rollback(this.ownerId, 'words', wordId, versionId);
+            document.getElementById('history-modal')!.style.display = 'none';
+            if (this.editingWordId === wordId) {
+                this.editingWordId = null;
+            }
+            this.showSuccess('Word restored to the selected version');
+        } catch (error: any) {
+            this.logger.error('Failed to roll back word', { wordId, versionId, error: error.message });
+            this.showError(`Failed to restore version: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     /**
-     * Apply search filter to words
+     * Cancel inline word edit and restore the card
      */
-    private applyFilters(): void {
-        const searchInput = document.getElementById('search-input') as HTMLInputElement;
+    cancelWordEdit(wordId: string): void {
+        if (this.editingWordId === wordId) {
+            this.editingWordId = null;
+        }
+        this.applyFilters();
+    }
 
-        let filteredWords = [...this.words];
+    /**
+     * Toggle favorite flag of a word
+     */
+    async toggleFavorite(wordId: string): Promise<void> {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        await this.updateWordStatus(wordId, { isFavorite: !word.isFavorite });
+    }
 
-        // Apply search filter
-        if (searchInput?.value.trim()) {
-            const searchTerm = searchInput.value.toLowerCase();
-            filteredWords = filteredWords.filter(word => 
-                word.englishWord.toLowerCase().includes(searchTerm) ||
-                word.vietnameseTranslation.toLowerCase().includes(searchTerm) ||
-                word.definition?.toLowerCase().includes(searchTerm) ||
-                word.partOfSpeech?.toLowerCase().includes(searchTerm)
-            );
+    /**
+     * Toggle learned flag of a word
+     */
+    async toggleLearned(wordId: string): Promise<void> {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        await this.updateWordStatus(wordId, { learned: !word.learned });
+    }
+
+    /**
+     * Save favorite/learned status (status changes do not count as edits, so updatedAt is kept)
+     */
+    private async updateWordStatus(wordId: string, status: { isFavorite?: boolean; learned?: boolean }): Promise<void> {
+        if (!this.canEdit()) return;
+        if (!this.isOnline) {
+            this.showError('No internet connection. Please try again when online.');
+            return;
         }
 
-        this.filteredWords = filteredWords;
-        this.renderWords(filteredWords);
+        try {
+            const wordRef = doc(this.db, 'users', this.ownerId, 'words', wordId);
+            await updateDoc(wordRef, status);
+            this.logger.info('Word status updated', { wordId, ...status });
+        } catch (error: any) {
+            this.logger.error('Failed to update word status', { error: error.message, wordId });
+            this.showError('Failed to update word. Please try again.');
+        }
     }
 
     /**
-     * Render words in the grid
+     * Load the signed-in user's categories (targets for moving and copying words)
      */
-    private renderWords(words: Word[]): void {
-        const grid = document.getElementById('words-grid');
-        const emptyState = document.getElementById('empty-state');
-
-        if (!grid || !emptyState) return;
+    private async loadOwnCategories(): Promise<void> {
+        const snapshot = await getDocs(collection(this.db, 'users', this.currentUser.uid, 'categories'));
+        this.ownCategories = snapshot.docs
+            .filter((categoryDoc: any) => !TrashService.isTrashed(categoryDoc.data()))
+            .map((categoryDoc: any) => ({
+                id: categoryDoc.id,
+                name: categoryDoc.data().name,
+                icon: categoryDoc.data().icon || '📚',
+                wordCount: categoryDoc.data().wordCount || 0
+            }))
+            .sort((a: Category, b: Category) => a.name.localeCompare(b.name));
+    }
 
-        if (words.length === 0) {
-            grid.innerHTML = '';
-            emptyState.style.display = 'block';
-            return;
+    /**
+     * Add a word to or remove it from the selection; Shift-click applies the same to
+     * every word shown between the previous click and this one
+     */
+    toggleWordSelection(wordId: string, event?: MouseEvent): void {
+        const select = !this.selectedWordIds.has(wordId);
+        let wordIds = [wordId];
+
+        if (event?.shiftKey && this.lastSelectedWordId) {
+            const from = this.filteredWords.findIndex(word => word.id === this.lastSelectedWordId);
+            const to = this.filteredWords.findIndex(word => word.id === wordId);
+            if (from !== -1 && to !== -1) {
+                wordIds = this.filteredWords.slice(Math.min(from, to), Math.max(from, to) + 1).map(word => word.id);
+            }
         }
+        this.lastSelectedWordId = wordId;
 
-        emptyState.style.display = 'none';
-        grid.innerHTML = words.map(word => `
-            <div class="word-card" data-word-id="${word.id}">
-                <div class="word-card-header">
-                    <div class="word-actions">
-                        <button class="action-btn edit-btn" onclick="wordsManager.editWord('${word.id}')" title="Edit word">
-                            ✏️
-                        </button>
-                        <button class="action-btn delete-btn" onclick="wordsManager.deleteWord('${word.id}', '${word.englishWord}')" title="Delete word">
-                            🗑️
-                        </button>
-                    </div>
-                </div>
-                <h3 class="english-word">${word.englishWord}</h3>
-                <p class="vietnamese-translation">${word.vietnameseTranslation}</p>
-                
-                <div class="pronunciation-section">
-                    ${word.britishPronunciation ? `
-                        <span class="pronunciation uk-pronunciation">
-                            🇬🇧 ${word.britishPronunciation}
-                            ${word.audioUrls?.british ? `<button class="audio-btn-inline" onclick="wordsManager.playAudioPronunciation('${word.audioUrls.british}', 'british')" title="Play British pronunciation">🔊</button>` : ''}
-                        </span>
-                    ` : ''}
-                    ${word.americanPronunciation ? `
-                        <span class="pronunciation us-pronunciation">
-                            🇺🇸 ${word.americanPronunciation}
-                            ${word.audioUrls?.american ? `<button class="audio-btn-inline" onclick="wordsManager.playAudioPronunciation('${word.audioUrls.american}', 'american')" title="Play American pronunciation">🔊</button>` : ''}
-                        </span>
-                    ` : ''}
-                    ${word.australianPronunciation ? `
-                        <span class="pronunciation au-pronunciation">
-                            �� ${word.australianPronunciation}
-                            ${word.audioUrls?.australian ? `<button class="audio-btn-inline" onclick="wordsManager.playAudioPronunciation('${word.audioUrls.australian}', 'australian')" title="Play Australian pronunciation">🔊</button>` : ''}
-                        </span>
-                    ` : ''}
-                </div>
-                
-                ${word.partOfSpeech ? `<div class="part-of-speech">${word.partOfSpeech}</div>` : ''}
-                ${word.definition ? `<p class="definition">${word.definition}</p>` : ''}
-                ${word.vietnameseDefinition ? `<p class="vietnamese-definition">🇻🇳 ${word.vietnameseDefinition}</p>` : ''}
-                
-                <div class="word-meta">
-                    <span class="created-date">Added ${this.formatDate(word.createdAt)}</span>
-                </div>
-            </div>
-        `).join('');
+        wordIds.forEach(id => {
+            if (select) {
+                this.selectedWordIds.add(id);
+            } else {
+                this.selectedWordIds.delete(id);
+            }
+            const card = document.querySelector(`[data-word-id="${id}"]`);
+            card?.classList.toggle('selected', select);
+            const checkbox = card?.querySelector('.word-select') as HTMLInputElement | null;
+            if (checkbox) checkbox.checked = select;
+        });
+        this.renderSelectionToolbar();
     }
 
     /**
-     * Create new word
+     * Select every word that matches the search
      */
-    async createWord(): Promise<void> {
-        const englishWordInput = document.getElementById('english-word-input') as HTMLInputElement;
-        const vietnameseInput = document.getElementById('vietnamese-translation-input') as HTMLInputElement;
-        const britishPronunciationInput = document.getElementById('british-pronunciation-input') as HTMLInputElement;
-        const americanPronunciationInput = document.getElementById('american-pronunciation-input') as HTMLInputElement;
-        const australianPronunciationInput = document.getElementById('australian-pronunciation-input') as HTMLInputElement;
-        const partOfSpeechInput = document.getElementById('part-of-speech-input') as HTMLInputElement;
-        const definitionInput = document.getElementById('definition-input') as HTMLTextAreaElement;
-        const vietnameseDefinitionInput = document.getElementById('vietnamese-definition-input') as HTMLTextAreaElement;
+    selectAllWords(): void {
+        this.filteredWords.forEach(word => this.selectedWordIds.add(word.id));
+        this.renderWords(this.filteredWords);
+    }
 
-        const englishWord = englishWordInput?.value.trim() || '';
-        const vietnameseTranslation = vietnameseInput?.value.trim() || '';
-        const britishPronunciation = britishPronunciationInput?.value.trim() || '';
-        const americanPronunciation = americanPronunciationInput?.value.trim() || '';
-        const australianPronunciation = australianPronunciationInput?.value.trim() || '';
-        const partOfSpeech = partOfSpeechInput?.value.trim() || '';
-        const definition = definitionInput?.value.trim() || '';
-        const vietnameseDefinition = vietnameseDefinitionInput?.value.trim() || '';
-        const audioUrls = (window as any).currentAudioUrls || { british: '', american: '', australian: '' };
+    /**
+     * Clear the selection
+     */
+    clearSelection(): void {
+        this.selectedWordIds.clear();
+        this.lastSelectedWordId = null;
+        this.renderWords(this.filteredWords);
+    }
 
-        // Validate input
-        if (!this.validateWordData(englishWord, vietnameseTranslation)) {
-            return;
-        }
+    // Selected words that are still shown (in display order)
+    private getSelectedWords(): Word[] {
+        return this.words.filter(word => this.selectedWordIds.has(word.id));
+    }
 
-        // Check network connection
-        if (!this.isOnline) {
-            this.showError('No internet connection. Please try again when online.');
-            return;
-        }
+    /**
+     * Mark the selected words as favorite/learned or not
+     */
+    async bulkSetStatus(status: WordStatus): Promise<void> {
+        const words = this.getSelectedWords();
+        if (!this.canEdit() || words.length === 0) return;
 
-        this.logger.info('Creating word', { englishWord, vietnameseTranslation, partOfSpeech });
-        
-        // Show loading state
         this.showLoading(true);
-        const saveBtn = document.getElementById('save-word-btn') as HTMLButtonElement;
-        if (saveBtn) {
-            saveBtn.disabled = true;
-            saveBtn.textContent = 'Saving...';
+        try {
+            const count = await this.wordBulkEditor.setStatus(this.ownerId, words, status);
+            this.showSuccess(`Updated ${count} ${count === 1 ? 'word' : 'words'}`);
+        } catch (error: any) {
+            this.logger.error('Failed to update selected words', { error: error.message });
+            this.showError('Failed to update the selected words. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Translate the selected words again
+     */
+    async bulkRetranslate(): Promise<void> {
+        const words = this.getSelectedWords();
+        if (!this.canEdit() || words.length === 0) return;
+        if (!confirm(`Re-translate ${words.length} ${words.length === 1 ? 'word' : 'words'}? The current translations are kept in each word's version history.`)) {
+            return;
         }
 
+        const button = document.getElementById('bulk-retranslate-btn') as HTMLButtonElement;
+        if (button) button.disabled = true;
         try {
-            // Save to Firestore
-            const wordsRef = collection(this.db, 'users', this.currentUser.uid, 'words');
-            await addDoc(wordsRef, {
-                categoryId: this.categoryId,
-                englishWord,
-                vietnameseTranslation,
-                britishPronunciation,
-                americanPronunciation,
-                australianPronunciation,
-                partOfSpeech,
-                definition,
-                vietnameseDefinition,
-                audioUrls,
-                createdAt: Timestamp.fromDate(new Date()),
-                updatedAt: Timestamp.fromDate(new Date()),
-                userId: this.currentUser.uid
+            const summary = await this.wordBulkEditor.retranslate(this.ownerId, words, (done, total) => {
+                if (button) button.textContent = `🌐 Translating ${done}/${total}...`;
             });
-
-            // Update category word count
-            await this.updateCategoryWordCount();
-
-            this.showSuccess('Word added successfully!');
-            this.clearForm();
-            document.getElementById('add-word-form')!.style.display = 'none';
-
-            this.logger.info('Word created successfully', { englishWord, vietnameseTranslation });
+            if (summary.failed.length > 0) {
+                this.showError(`Re-translated ${summary.updated}; no translation found for: ${summary.failed.slice(0, 5).join(', ')}${summary.failed.length > 5 ? '…' : ''}`);
+            } else {
+                this.showSuccess(`Re-translated ${summary.updated} ${summary.updated === 1 ? 'word' : 'words'}`);
+            }
         } catch (error: any) {
-            this.logger.error('Failed to create word', { error: error.message });
-            this.showError('Failed to save word. Please try again.');
+            this.logger.error('Failed to re-translate selected words', { error: error.message });
+            this.showError('Failed to save the new translations. Please try again.');
         } finally {
-            this.showLoading(false);
-            if (saveBtn) {
-                saveBtn.disabled = false;
-                saveBtn.textContent = 'Save Word';
+            if (button) {
+                button.disabled = false;
+                button.textContent = '🌐 Re-translate';
             }
         }
     }
 
     /**
-     * Validate word data
+     * Download the selected words in the format chosen for export
      */
-    private validateWordData(englishWord: string, vietnameseTranslation: string): boolean {
-        if (!englishWord) {
-            this.showError('English word is required');
-            return false;
+    bulkExport(): void {
+        const words = this.getSelectedWords();
+        if (!this.category || words.length === 0) return;
+
+        const format = ((document.getElementById('export-format') as HTMLSelectElement)?.value || 'csv') as ExportFormat;
+        try {
+            this.wordExporter.download(format, [{ ...this.category, words }], `${this.category.name} (selection)`);
+            this.showSuccess(`Exported ${words.length} ${words.length === 1 ? 'word' : 'words'}`);
+        } catch (error: any) {
+            this.logger.error('Failed to export selected words', { error: error.message });
+            this.showError('Failed to export the selected words');
         }
+    }
 
-        if (!vietnameseTranslation) {
-            this.showError('Vietnamese translation is required');
-            return false;
+    /**
+     * Move the selected words to the trash, with undo
+     */
+    async bulkDelete(): Promise<void> {
+        const words = this.getSelectedWords();
+        if (!this.canEdit() || words.length === 0) return;
+        if (!confirm(`Move ${words.length} ${words.length === 1 ? 'word' : 'words'} to the trash?`)) {
+            return;
         }
 
-        if (englishWord.length > 100) {
-            this.showError('English word must be 100 characters or less');
-            return false;
+        this.showLoading(true);
+        try {
+            const trashed = words.map(word => ({ id: word.id, categoryId: word.categoryId }));
+            await this.trashService.trashWords(this.ownerId, trashed);
+            const homeCount = trashed.filter(word => word.categoryId === this.categoryId).length;
+            if (this.category) {
+                this.category.wordCount = Math.max(0, this.category.wordCount - homeCount);
+                this.renderCategoryInfo();
+            }
+            this.selectedWordIds.clear();
+            this.renderSelectionToolbar();
+
+            this.showNotification(`${trashed.length} ${trashed.length === 1 ? 'word' : 'words'} moved to trash`, 'success', {
+                label: 'Undo',
+                onClick: async () => {
+                    try {
+                        await this.trashService.restoreWords(this.ownerId, trashed);
+                        if (this.category) {
+                            this.category.wordCount += homeCount;
+                            this.renderCategoryInfo();
+                        }
+                        this.showSuccess('Words restored');
+                    } catch (error: any) {
+                        this.logger.error('Failed to restore words', { error: error.message });
+                        this.showError(`Failed to restore words: ${error.message}`);
+                    }
+                }
+            });
+        } catch (error: any) {
+            this.logger.error('Failed to delete selected words', { error: error.message });
+            this.showError('Failed to delete the selected words. Please try again.');
+        } finally {
+            this.showLoading(false);
         }
+    }
 
-        if (vietnameseTranslation.length > 200) {
-            this.showError('Vietnamese translation must be 200 characters or less');
-            return false;
+    // Selection count and bulk actions, shown while words are selected
+    private renderSelectionToolbar(): void {
+        const toolbar = document.getElementById('selection-toolbar');
+        const count = document.getElementById('selection-count');
+        if (!toolbar || !count) return;
+
+        toolbar.style.display = this.selectedWordIds.size > 0 ? 'flex' : 'none';
+        count.textContent = `${this.selectedWordIds.size} selected`;
+    }
+
+    /**
+     * Open the move/copy dialog for one or more words
+     */
+    openMoveDialog(wordIds: string[]): void {
+        const modal = document.getElementById('move-modal');
+        const title = document.getElementById('move-title');
+        const select = document.getElementById('move-target-select') as HTMLSelectElement;
+        if (!modal || !select || wordIds.length === 0) return;
+
+        const targets = this.ownCategories.filter(category => category.id !== this.categoryId);
+        if (targets.length === 0) {
+            this.showError('Create another category first');
+            return;
         }
 
-        // Check for duplicate words
-        if (this.words.some(word => word.englishWord.toLowerCase() === englishWord.toLowerCase())) {
-            this.showError('This word already exists in this category');
-            return false;
+        this.moveWordIds = wordIds;
+        const firstWord = this.words.find(word => word.id === wordIds[0]);
+        if (title) {
+            title.textContent = wordIds.length === 1 && firstWord ? `Move "${firstWord.englishWord}"` : `Move ${wordIds.length} Words`;
         }
+        select.innerHTML = targets
+            .map(category => `<option value="${category.id}">${this.escapeHtml(category.icon)} ${this.escapeHtml(category.name)}</option>`)
+            .join('');
+
+        // Words of someone else's category can only be copied into your own
+        const owner = this.accessRole === 'owner';
+        document.querySelectorAll('input[name="move-action"]').forEach(input => {
+            const radio = input as HTMLInputElement;
+            radio.disabled = !owner && radio.value !== 'copy';
+            radio.checked = radio.value === (owner ? 'move' : 'copy');
+        });
+        modal.style.display = 'flex';
+    }
 
-        return true;
+    /**
+     * Close the move/copy dialog
+     */
+    closeMoveDialog(): void {
+        this.moveWordIds = [];
+        document.getElementById('move-modal')!.style.display = 'none';
     }
 
     /**
-     * Play audio pronunciation
+     * Move, copy or link the words of the open dialog to the chosen category
      */
-    async playAudio(audioUrl: string): Promise<void> {
-        await this.playAudioPronunciation(audioUrl);
+    async confirmMove(): Promise<void> {
+        const targetId = (document.getElementById('move-target-select') as HTMLSelectElement)?.value;
+        const action = ((document.querySelector('input[name="move-action"]:checked') as HTMLInputElement)?.value || 'move') as MoveAction;
+        const target = this.ownCategories.find(category => category.id === targetId);
+        const words = this.words.filter(word => this.moveWordIds.includes(word.id));
+        if (!target || words.length === 0) return;
+        if (action !== 'copy' && this.accessRole !== 'owner') return;
+
+        this.closeMoveDialog();
+        this.showLoading(true);
+
+        try {
+            let count: number;
+            if (action === 'move') {
+                count = await this.wordMover.move(this.currentUser.uid, words, target.id);
+                const movedOut = words.filter(word => word.categoryId === this.categoryId).length;
+                if (this.category) {
+                    this.category.wordCount = Math.max(0, this.category.wordCount - movedOut);
+                    this.renderCategoryInfo();
+                }
+            } else if (action === 'copy') {
+                count = await this.wordMover.copy(this.currentUser.uid, words, target.id);
+            } else {
+                count = await this.wordMover.link(this.currentUser.uid, words, target.id);
+            }
+
+            words.forEach(word => this.selectedWordIds.delete(word.id));
+            this.renderSelectionToolbar();
+            const verb = action === 'move' ? 'moved to' : action === 'copy' ? 'copied to' : 'now also shown in';
+            this.showSuccess(`${count} ${count === 1 ? 'word' : 'words'} ${verb} "${target.name}"`);
+        } catch (error: any) {
+            this.logger.error('Failed to move words', { action, targetId, error: error.message });
+            this.showError(`Failed to ${action} words. Please try again.`);
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     /**
-     * Edit word (placeholder for inline editing)
+     * Stop showing a linked word in this category (the word stays in its own category)
      */
-    editWord(wordId: string): void {
-        // TODO: Implement inline editing
-        this.showError('Inline editing coming soon! Please delete and recreate the word for now.');
+    async unlinkWord(wordId: string): Promise<void> {
+        if (this.accessRole !== 'owner') return;
+
+        try {
+            await this.wordMover.unlink(this.ownerId, wordId, this.categoryId);
+            this.showSuccess('Word removed from this category');
+        } catch (error: any) {
+            this.logger.error('Failed to unlink word', { wordId, error: error.message });
+            this.showError('Failed to remove word from this category');
+        }
     }
 
     /**
      * Delete word with confirmation
      */
-    deleteWord(wordId: string, englishWord: string): void {
+    deleteWord(wordId: string): void {
+        if (!this.canEdit()) return;
         const modal = document.getElementById('delete-modal');
         const message = document.getElementById('delete-message');
-        
-        if (modal && message) {
-            message.textContent = `Are you sure you want to delete "${englishWord}"?`;
+        const englishWord = this.words.find(word => word.id === wordId)?.englishWord;
+
+        if (modal && message && englishWord !== undefined) {
+            message.textContent = this.accessRole === 'owner'
+                ? `Move "${englishWord}" to the trash? You can restore it from the categories page for ${TrashService.RETENTION_DAYS} days.`
+                : `Move "${englishWord}" to the trash? The category owner can restore it for ${TrashService.RETENTION_DAYS} days.`;
             modal.style.display = 'flex';
             
             // Store word ID for deletion
@@ -1386,14 +2665,19 @@ class WordsManager {
         this.showLoading(true);
 
         try {
-            const wordRef = doc(this.db, 'users', this.currentUser.uid, 'words', wordId);
-            await deleteDoc(wordRef);
-
-            // Update category word count
-            await this.updateCategoryWordCount();
+            const word = this.words.find(item => item.id === wordId);
+            const englishWord = word?.englishWord || 'Word';
+            await this.trashService.trashWord(this.ownerId, wordId, word?.categoryId || this.categoryId);
+            if (this.category && (!word || word.categoryId === this.categoryId)) {
+                this.category.wordCount = Math.max(0, this.category.wordCount - 1);
+                this.renderCategoryInfo();
+            }
 
-            this.showSuccess('Word deleted successfully!');
-            this.logger.info('Word deleted successfully', { wordId });
+            this.showNotification(`"${englishWord}" moved to trash`, 'success', {
+                label: 'Undo',
+                onClick: () => this.undoDeleteWord(wordId, word?.categoryId)
+            });
+            this.logger.info('Word moved to trash', { wordId });
         } catch (error: any) {
             this.logger.error('Failed to delete word', { error: error.message });
             this.showError('Failed to delete word');
@@ -1407,8 +2691,8 @@ class WordsManager {
      */
     private async updateCategoryWordCount(): Promise<void> {
         try {
-            const currentWordCount = this.words.length;
-            const categoryRef = doc(this.db, 'users', this.currentUser.uid, 'categories', this.categoryId);
+            const currentWordCount = this.homeWords.length;
+            const categoryRef = doc(this.db, 'users', this.ownerId, 'categories', this.categoryId);
             await updateDoc(categoryRef, {
                 wordCount: currentWordCount,
                 updatedAt: Timestamp.fromDate(new Date())
@@ -1436,7 +2720,8 @@ class WordsManager {
             'australian-pronunciation-input',
             'part-of-speech-input',
             'definition-input',
-            'vietnamese-definition-input'
+            'vietnamese-definition-input',
+            'verb-forms-input'
         ];
         
         inputs.forEach(id => {
@@ -1444,6 +2729,12 @@ class WordsManager {
             if (element) element.value = '';
         });
 
+        this.lookupSuggestions.clear();
+
+        // Only editable after a failed translation
+        const vietnameseDefinitionInput = document.getElementById('vietnamese-definition-input') as HTMLTextAreaElement;
+        if (vietnameseDefinitionInput) vietnameseDefinitionInput.readOnly = true;
+
         // Hide audio buttons and clear stored audio URLs
         const audioButtons = [
             'british-audio-btn',
@@ -1461,6 +2752,20 @@ class WordsManager {
         
         delete (window as any).currentAudioUrl;
         delete (window as any).currentAudioUrls;
+
+        this.lookupSenses = [];
+        this.lookupInflections = undefined;
+        this.renderSensePicker();
+    }
+
+    /**
+     * "went · gone · going · goes" style summary of verb forms
+     */
+    private formatInflections(inflections?: WordInflections): string {
+        if (!inflections) return '';
+        return [inflections.past, inflections.pastParticiple, inflections.presentParticiple, inflections.thirdPerson]
+            .filter(Boolean)
+            .join(' · ');
     }
 
     /**
@@ -1614,8 +2919,8 @@ class WordsManager {
 
         let html = `
             <div class="print-header">
-                <div class="print-title">📚 ${categoryName} - Word List</div>
-                <div class="print-subtitle">${categoryDescription}</div>
+                <div class="print-title">📚 ${this.escapeHtml(categoryName)} - Word List</div>
+                <div class="print-subtitle">${this.escapeHtml(categoryDescription)}</div>
                 <div class="print-subtitle">Generated on ${currentDate} | Total: ${words.length} words</div>
             </div>
             
@@ -1645,11 +2950,13 @@ class WordsManager {
             // Use simple div structure instead of list
             html += `
                 <div class="print-word-item">
-                    <span class="print-word">${index + 1}. ${word.englishWord}</span>
-                    <span class="print-pronunciation">🇺🇸 /${cleanUS}/</span>
-                    <span class="print-pronunciation">🇬🇧 /${cleanUK}/</span>
-                    <span class="print-translation">${word.vietnameseTranslation}</span>
-                    <span class="print-pos">(${shortPos})</span>
+                    <span class="print-word">${index + 1}. ${this.escapeHtml(word.englishWord)}</span>
+                    <span class="print-pronunciation">🇺🇸 /${this.escapeHtml(cleanUS)}/</span>
+                    <span class="print-pronunciation">🇬🇧 /${this.escapeHtml(cleanUK)}/</span>
+                    <span class="print-translation">${this.escapeHtml(word.vietnameseTranslation)}</span>
+                    <span class="print-pos">(${this.escapeHtml(shortPos)})</span>
+                    ${word.inflections ? `<span class="print-verb-forms">${this.escapeHtml(word.englishWord)} – ${this.escapeHtml(this.formatInflections(word.inflections).replace(/ · /g, ' – '))}</span>` : ''}
+                    ${this.generatePrintExamples(word)}
                 </div>
             `;
         });
@@ -1661,6 +2968,27 @@ class WordsManager {
         return html;
     }
 
+    /**
+     * Example sentences (with translations) of a word for the printed list
+     */
+    private generatePrintExamples(word: Word): string {
+        const examples = word.senses.flatMap(sense => sense.examples);
+        if (examples.length === 0) {
+            return '';
+        }
+
+        return `
+            <ul class="print-examples">
+                ${examples.map(example => `
+                    <li>
+                        <span class="print-example">${this.escapeHtml(example.text)}</span>
+                        ${example.translation ? `<span class="print-example-translation">→ ${this.escapeHtml(example.translation)}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
     /**
      * Get filtered words based on current search and filter settings
      */
@@ -1676,7 +3004,8 @@ class WordsManager {
             filteredWords = filteredWords.filter(word => 
                 word.englishWord.toLowerCase().includes(searchTerm) ||
                 word.vietnameseTranslation.toLowerCase().includes(searchTerm) ||
-                word.partOfSpeech.toLowerCase().includes(searchTerm)
+                word.partOfSpeech.toLowerCase().includes(searchTerm) ||
+                word.inflectionForms.some(form => form.includes(searchTerm))
             );
         }
         
@@ -1707,6 +3036,16 @@ class WordsManager {
         return date.toLocaleDateString();
     }
 
+    /**
+     * Escape text for use in HTML templates
+     */
+    private escapeHtml(text: string): string {
+        const div = document.createElement('div');
+        div.textContent = text;
+        // Also quotes, for attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     /**
      * Show loading state
      */
@@ -1732,12 +3071,22 @@ class WordsManager {
     }
 
     /**
-     * Show notification
+     * Show notification, optionally with an action button (e.g. Undo) that keeps it open longer
      */
-    private showNotification(message: string, type: 'success' | 'error'): void {
+    private showNotification(message: string, type: 'success' | 'error', action?: { label: string; onClick: () => void }): void {
         const notification = document.createElement('div');
         notification.className = `${type}-notification`;
         notification.textContent = message;
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'notification-action-btn';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                notification.remove();
+                action.onClick();
+            });
+            notification.appendChild(actionBtn);
+        }
         notification.style.cssText = `
             position: fixed;
             top: 20px;
@@ -1754,12 +3103,12 @@ class WordsManager {
         
         document.body.appendChild(notification);
         
-        // Remove after 3 seconds
+        // Remove after 3 seconds (8 when there is something to click)
         setTimeout(() => {
             if (notification.parentNode) {
                 notification.parentNode.removeChild(notification);
             }
-        }, 3000);
+        }, action ? 8000 : 3000);
     }
 
     /**
@@ -1773,6 +3122,10 @@ class WordsManager {
             this.unsubscribeWords();
             this.unsubscribeWords = null;
         }
+        if (this.unsubscribeLinkedWords) {
+            this.unsubscribeLinkedWords();
+            this.unsubscribeLinkedWords = null;
+        }
         
         // Clear arrays
         this.words = [];